@@ -0,0 +1,94 @@
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { createCanvas } from '@napi-rs/canvas';
+import { createNarrativeGenerator, createTTSService } from '../src/components/Services/serviceFactory.js';
+import { convertPDFToHTML, parseHTMLElements, extractPDFText, renderPageImages } from '../src/utils/pdfDocument.js';
+import { findMaskRegions } from '../src/utils/identifierMasking.js';
+import { createTextMeasurer } from '../src/utils/textMeasurement.js';
+import { alignNarrationSteps, needsHighlightReview } from '../src/utils/textAlignment.js';
+import { generatePresentationHTMLWithZoom } from '../src/utils/presentationHTML.js';
+import { createProjectArchive } from '../src/utils/projectArchive.js';
+import { createVideoProject } from '../src/utils/videoProject.js';
+import { toWebVTT, toSRT } from '../src/utils/captions.js';
+
+const require = createRequire(import.meta.url);
+const STANDARD_FONT_DATA_URL = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+/**
+ * Runs the presentation pipeline for one PDF, the same steps the browser app takes:
+ * text extraction, page images (masked when asked), narrative, highlight alignment, audio and HTML,
+ * plus the Remotion video project with each step's audio and the captions as WebVTT and SRT.
+ * Highlights that would go to the review editor in the app are kept as they are and counted.
+ * @param {Uint8Array} pdfBytes - PDF file
+ * @param {Object} options - { fileName, offline, maskingMode: 'off' | 'blackout' | 'blur', scale }
+ * @returns {Promise<Object>} { html, archive: zip bytes, videoProject, captions: { vtt, srt }, narrative, pageCount, stepCount, reviewCount, audioSteps }
+ */
+export const convertDocument = async (pdfBytes, options = {}) => {
+  const { fileName, offline, maskingMode = 'off', scale = 1 } = options;
+
+  // pdf.js takes ownership of the bytes it is given, so it gets a copy
+  const pdf = await pdfjsLib.getDocument({
+    data: pdfBytes.slice(),
+    standardFontDataUrl: STANDARD_FONT_DATA_URL,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const htmlData = await convertPDFToHTML(pdf);
+    const measureText = createTextMeasurer(createCanvas(1, 1).getContext('2d'));
+    const maskRegions = maskingMode === 'off' ? [] : findMaskRegions(htmlData.html, { measureText });
+    const pageImages = await renderPageImages(pdf, createCanvas(1, 1), { scale, maskRegions, maskingMode, createCanvas });
+    const elements = parseHTMLElements(htmlData);
+    const pdfText = await extractPDFText(pdf);
+
+    const narrativeResult = await createNarrativeGenerator({ offline }).generateNarrativeScript(pdfText, elements);
+    if (!narrativeResult.success) {
+      throw new Error(`Narrative generation failed: ${narrativeResult.error}`);
+    }
+    const narrative = narrativeResult.narrative;
+    if (narrative.steps.length === 0) {
+      throw new Error('The narrative has no steps');
+    }
+
+    const highlights = alignNarrationSteps(elements, narrative.steps, { measureText });
+
+    const audio = await createTTSService({ offline }).generateNarrativeAudio(narrative);
+    if (!audio.success) {
+      throw new Error(`Audio generation failed: ${audio.error || 'no step audio could be generated'}`);
+    }
+
+    const html = generatePresentationHTMLWithZoom(highlights, pageImages, narrative, audio);
+    const archive = await createProjectArchive({
+      pdf: pdfBytes,
+      fileName,
+      analysis: htmlData,
+      semanticBlocks: elements,
+      highlights,
+      narrative,
+      pageImages,
+      audio,
+      settings: { maskingMode, scale }
+    });
+
+    const videoProject = createVideoProject(highlights, pageImages, narrative, audio);
+
+    return {
+      html,
+      archive,
+      videoProject,
+      captions: { vtt: toWebVTT(videoProject.captions), srt: toSRT(videoProject.captions) },
+      narrative,
+      pageCount: pdf.numPages,
+      stepCount: narrative.steps.length,
+      reviewCount: highlights.filter(needsHighlightReview).length,
+      audioSteps: audio.successSteps,
+      usedFallback: !!narrativeResult.usedFallback,
+      reconciliation: narrative.reconciliation?.status || null
+    };
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+export default convertDocument;
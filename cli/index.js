@@ -0,0 +1,182 @@
+import { parseArgs } from 'node:util';
+import { existsSync } from 'node:fs';
+import { readdir, readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import pLimit from 'p-limit';
+import { MASK_MODES } from '../src/utils/identifierMasking.js';
+import { hashContent } from '../src/utils/contentHash.js';
+import ConversionProgress from './progress.js';
+import convertDocument from './convertDocument.js';
+
+/**
+ * Batch Converter
+ * Turns every PDF in a folder into a presentation package:
+ *
+ *   <out>/<name>/presentation.html          self-contained presentation
+ *   <out>/<name>/<name>.eob-project.zip     project archive (opens in the app for review and editing)
+ *   <out>/<name>/video-project.json         props for the video compositions (npm run video -- ... --props=...)
+ *   <out>/<name>/captions.vtt, captions.srt  captions on the video's timeline
+ *   <out>/report.json                       per-file results of the last run
+ *
+ * Run with: npm run convert -- <input folder> [options]
+ */
+
+const USAGE = `Usage: npm run convert -- <input folder> [options]
+
+Options:
+  -o, --out <folder>        Output folder (default: <input folder>/presentations)
+  -c, --concurrency <n>     PDFs converted at the same time (default: 2)
+      --offline             Rule-based narrative and silent audio instead of Azure OpenAI and Speech
+      --mask <mode>         Mask member identifiers on page images: ${MASK_MODES.join(', ')} (default: VITE_EXPORT_MASK_MODE or off)
+      --scale <n>           Page image scale (default: 1)
+      --force               Convert files again even if they were converted before
+  -h, --help                Show this help`;
+
+if (existsSync('.env')) {
+  process.loadEnvFile('.env');
+}
+
+const parseOptions = () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o' },
+      concurrency: { type: 'string', short: 'c', default: '2' },
+      offline: { type: 'boolean', default: false },
+      mask: { type: 'string', default: process.env.VITE_EXPORT_MASK_MODE || 'off' },
+      scale: { type: 'string', default: '1' },
+      force: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    process.exit(values.help ? 0 : 1);
+  }
+
+  const concurrency = Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`--concurrency must be a positive integer, got "${values.concurrency}"`);
+  }
+  if (!MASK_MODES.includes(values.mask)) {
+    throw new Error(`--mask must be one of ${MASK_MODES.join(', ')}, got "${values.mask}"`);
+  }
+  const scale = Number(values.scale);
+  if (!(scale > 0)) {
+    throw new Error(`--scale must be a positive number, got "${values.scale}"`);
+  }
+
+  const inputDir = path.resolve(positionals[0]);
+  return {
+    inputDir,
+    outputDir: path.resolve(values.out || path.join(inputDir, 'presentations')),
+    concurrency,
+    offline: values.offline,
+    maskingMode: values.mask,
+    scale,
+    force: values.force
+  };
+};
+
+const convertFile = async (name, options, progress) => {
+  const started = Date.now();
+  const baseName = name.replace(/\.pdf$/i, '');
+  const packageDir = path.join(options.outputDir, baseName);
+  let sha256 = null;
+
+  try {
+    const pdfBytes = new Uint8Array(await readFile(path.join(options.inputDir, name)));
+    sha256 = await hashContent(pdfBytes);
+
+    if (!options.force && progress.isDone(name, sha256)) {
+      console.log(`⏭️ ${name}: already converted`);
+      return { file: name, status: 'skipped', outputDir: packageDir };
+    }
+
+    console.log(`📄 ${name}: converting...`);
+    const result = await convertDocument(pdfBytes, {
+      fileName: name,
+      offline: options.offline,
+      maskingMode: options.maskingMode,
+      scale: options.scale
+    });
+
+    await mkdir(packageDir, { recursive: true });
+    await writeFile(path.join(packageDir, 'presentation.html'), result.html);
+    await writeFile(path.join(packageDir, `${baseName}.eob-project.zip`), result.archive);
+    await writeFile(path.join(packageDir, 'video-project.json'), JSON.stringify(result.videoProject));
+    await writeFile(path.join(packageDir, 'captions.vtt'), result.captions.vtt);
+    await writeFile(path.join(packageDir, 'captions.srt'), result.captions.srt);
+
+    const entry = {
+      status: 'converted',
+      sha256,
+      outputDir: packageDir,
+      pageCount: result.pageCount,
+      stepCount: result.stepCount,
+      audioSteps: result.audioSteps,
+      highlightsToReview: result.reviewCount,
+      usedFallback: result.usedFallback,
+      reconciliation: result.reconciliation,
+      durationMs: Date.now() - started
+    };
+    await progress.record(name, entry);
+    console.log(`✅ ${name}: ${result.stepCount} steps${result.reviewCount ? `, ${result.reviewCount} highlight(s) to review` : ''}`);
+    return { file: name, ...entry };
+  } catch (error) {
+    const entry = { status: 'failed', sha256, error: error.message, durationMs: Date.now() - started };
+    await progress.record(name, entry);
+    console.error(`❌ ${name}: ${error.message}`);
+    return { file: name, ...entry };
+  }
+};
+
+const main = async () => {
+  const options = parseOptions();
+
+  const files = (await readdir(options.inputDir, { withFileTypes: true }))
+    .filter(entry => entry.isFile() && /\.pdf$/i.test(entry.name))
+    .map(entry => entry.name)
+    .sort();
+
+  if (files.length === 0) {
+    throw new Error(`No PDF files in ${options.inputDir}`);
+  }
+
+  await mkdir(options.outputDir, { recursive: true });
+  const progress = await new ConversionProgress(options.outputDir).load();
+
+  console.log(`🚀 Converting ${files.length} PDF(s) from ${options.inputDir} to ${options.outputDir}` +
+    ` (concurrency ${options.concurrency}${options.offline ? ', offline' : ''}${options.maskingMode !== 'off' ? `, mask ${options.maskingMode}` : ''})`);
+
+  const limit = pLimit(options.concurrency);
+  const results = await Promise.all(files.map(name => limit(() => convertFile(name, options, progress))));
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  const report = {
+    finishedAt: new Date().toISOString(),
+    inputDir: options.inputDir,
+    outputDir: options.outputDir,
+    offline: options.offline,
+    maskingMode: options.maskingMode,
+    totals: { files: results.length, converted: count('converted'), skipped: count('skipped'), failed: count('failed') },
+    files: results
+  };
+  await writeFile(path.join(options.outputDir, 'report.json'), JSON.stringify(report, null, 2));
+
+  console.log(`\n📊 ${report.totals.converted} converted, ${report.totals.skipped} skipped, ${report.totals.failed} failed`);
+  results
+    .filter(result => result.status === 'failed')
+    .forEach(result => console.log(`   ❌ ${result.file}: ${result.error}`));
+  console.log(`📝 Report: ${path.join(options.outputDir, 'report.json')}`);
+
+  if (report.totals.failed > 0) {
+    process.exitCode = 1;
+  }
+};
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
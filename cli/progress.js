@@ -0,0 +1,76 @@
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+
+export const PROGRESS_FILE = '.convert-progress.json';
+const PROGRESS_VERSION = 1;
+
+/**
+ * Conversion progress kept in the output folder so an interrupted batch can be resumed.
+ * Entries are keyed by input file name and remember the PDF's SHA-256, so a file that
+ * changed since it was converted is converted again.
+ */
+class ConversionProgress {
+  /**
+   * @param {string} outputDir - Batch output folder
+   */
+  constructor(outputDir) {
+    this.file = path.join(outputDir, PROGRESS_FILE);
+    this.entries = {};
+    this.pendingWrite = Promise.resolve();
+  }
+
+  /**
+   * Loads earlier progress (a missing or unreadable file starts a fresh batch)
+   */
+  async load() {
+    if (!existsSync(this.file)) return this;
+
+    try {
+      const saved = JSON.parse(await readFile(this.file, 'utf8'));
+      if (saved.version === PROGRESS_VERSION) {
+        this.entries = saved.files || {};
+      } else {
+        console.warn(`⚠️ Ignoring progress file version ${saved.version}`);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not read ${this.file}, starting over: ${error.message}`);
+    }
+    return this;
+  }
+
+  /**
+   * Whether a file was already converted from the same bytes
+   * @param {string} name - Input file name
+   * @param {string} sha256 - Hash of the current PDF bytes
+   * @returns {boolean} True when it can be skipped
+   */
+  isDone(name, sha256) {
+    const entry = this.entries[name];
+    return !!entry && entry.status === 'converted' && entry.sha256 === sha256;
+  }
+
+  /**
+   * Records a file's result and saves the progress file
+   * @param {string} name - Input file name
+   * @param {Object} entry - { status, sha256, ... }
+   * @returns {Promise<void>} Resolves once written; a failed write is reported, and the next one saves every entry again
+   */
+  record(name, entry) {
+    this.entries[name] = { ...entry, updatedAt: new Date().toISOString() };
+    // Conversions finish concurrently; writes go one at a time, each with the latest entries.
+    // Each write handles its own failure so one bad write doesn't stop the ones after it.
+    this.pendingWrite = this.pendingWrite.then(() => this.save()).catch(error => {
+      console.warn(`⚠️ Could not save progress to ${this.file}: ${error.message}`);
+    });
+    return this.pendingWrite;
+  }
+
+  async save() {
+    const temporary = `${this.file}.tmp`;
+    await writeFile(temporary, JSON.stringify({ version: PROGRESS_VERSION, files: this.entries }, null, 2));
+    await rename(temporary, this.file);
+  }
+}
+
+export default ConversionProgress;
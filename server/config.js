@@ -0,0 +1,54 @@
+/**
+ * API Server Configuration
+ * Credentials live only here, read from the server's environment.
+ *
+ * Use the unprefixed names (AZURE_OPENAI_API_KEY, ...) for the server. The VITE_ names are still
+ * read as a fallback, but Vite bundles every VITE_ variable into the client, so keys should be
+ * renamed before deploying.
+ */
+
+const readVar = (env, name, warnings) => {
+  if (env[name]) return env[name];
+  if (env[`VITE_${name}`]) {
+    warnings.push(`VITE_${name} is used by the server; rename it to ${name} so it is not bundled into the client`);
+    return env[`VITE_${name}`];
+  }
+  return undefined;
+};
+
+/**
+ * Builds the server configuration from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} Server, OpenAI, Document Intelligence and Speech settings plus warnings
+ */
+export const loadServerConfig = (env = process.env) => {
+  const warnings = [];
+
+  const config = {
+    port: Number(env.PORT || env.API_SERVER_PORT || 8787),
+    allowedOrigins: (env.API_ALLOWED_ORIGINS || 'http://localhost:5173')
+      .split(',')
+      .map(origin => origin.trim())
+      .filter(Boolean),
+    maxPdfBytes: Number(env.API_MAX_PDF_BYTES || 25 * 1024 * 1024),
+    maxJsonBytes: Number(env.API_MAX_JSON_BYTES || 5 * 1024 * 1024),
+    openai: {
+      apiKey: readVar(env, 'AZURE_OPENAI_API_KEY', warnings),
+      endpoint: readVar(env, 'AZURE_OPENAI_ENDPOINT', warnings),
+      deploymentName: readVar(env, 'AZURE_OPENAI_DEPLOYMENT_NAME', warnings)
+    },
+    documentIntelligence: {
+      provider: env.DOCUMENT_ANALYSIS_PROVIDER || 'azure',
+      endpoint: readVar(env, 'AZURE_DOCUMENT_INTELLIGENCE_ENDPOINT', warnings),
+      key: readVar(env, 'AZURE_DOCUMENT_INTELLIGENCE_KEY', warnings)
+    },
+    speech: {
+      subscriptionKey: readVar(env, 'AZURE_SPEECH_KEY', warnings),
+      region: readVar(env, 'AZURE_SPEECH_REGION', warnings)
+    }
+  };
+
+  return { ...config, warnings };
+};
+
+export default loadServerConfig;
@@ -0,0 +1,116 @@
+import http from 'node:http';
+import { existsSync } from 'node:fs';
+import loadServerConfig from './config.js';
+import createRoutes, { HttpError } from './routes.js';
+
+/**
+ * API Server
+ * Holds the Azure/OpenAI credentials and exposes analyze, narrate, map and synthesize
+ * endpoints for the browser app (enable with VITE_USE_API_SERVER=true).
+ *
+ * Run with: npm run server
+ */
+
+if (existsSync('.env')) {
+  process.loadEnvFile('.env');
+}
+
+const config = loadServerConfig();
+const routes = createRoutes(config);
+
+/**
+ * Reads the request body, rejecting anything larger than the limit
+ */
+const readBody = (request, limit) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new HttpError(413, `Request body exceeds ${limit} bytes`));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+};
+
+const corsHeaders = (request) => {
+  const origin = request.headers.origin;
+  if (!origin || !config.allowedOrigins.includes(origin)) return {};
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Expose-Headers': 'X-Cache',
+    'Vary': 'Origin'
+  };
+};
+
+const send = (response, status, headers, body) => {
+  response.writeHead(status, headers);
+  response.end(body);
+};
+
+const handleRequest = async (request, response) => {
+  const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+  const cors = corsHeaders(request);
+
+  if (request.method === 'OPTIONS') {
+    send(response, 204, cors);
+    return;
+  }
+
+  try {
+    const route = routes[`${request.method} ${url.pathname}`];
+    if (!route) {
+      throw new HttpError(404, `No route for ${request.method} ${url.pathname}`);
+    }
+
+    const isPdf = (request.headers['content-type'] || '').startsWith('application/pdf');
+    const body = request.method === 'POST'
+      ? await readBody(request, isPdf ? config.maxPdfBytes : config.maxJsonBytes)
+      : null;
+
+    let json = {};
+    if (body && !isPdf && body.length > 0) {
+      try {
+        json = JSON.parse(body.toString('utf8'));
+      } catch {
+        throw new HttpError(400, 'Request body must be valid JSON');
+      }
+      // Routes read fields off the body, so null, arrays and bare values are rejected here
+      if (json === null || typeof json !== 'object' || Array.isArray(json)) {
+        throw new HttpError(400, 'Request body must be a JSON object');
+      }
+    }
+
+    const result = await route({ body, json, query: url.searchParams });
+
+    if (result.json !== undefined) {
+      send(response, result.status, { ...cors, ...result.headers, 'Content-Type': 'application/json' }, JSON.stringify(result.json));
+    } else {
+      send(response, result.status, { ...cors, ...result.headers }, result.body);
+    }
+  } catch (error) {
+    const status = error.status || 500;
+    if (status >= 500) {
+      console.error(`❌ ${request.method} ${url.pathname} failed:`, error);
+    }
+    send(response, status, { ...cors, 'Content-Type': 'application/json' }, JSON.stringify({ error: error.message }));
+  }
+};
+
+const server = http.createServer((request, response) => {
+  handleRequest(request, response);
+});
+
+server.listen(config.port, () => {
+  config.warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+  console.log(`🚀 API server listening on http://localhost:${config.port}`);
+});
@@ -0,0 +1,139 @@
+import GPTNarrativeGenerator from '../src/components/Services/GPTNarrativeGenerator.js';
+import GPTNarrationMapper from '../src/components/Services/GPTNarrationMapper.js';
+import AzureTTSService from '../src/components/Services/AzureTTSService.js';
+import createDocumentAnalysisProvider from '../src/components/Services/documentAnalysisProviderFactory.js';
+import { getContentCache } from '../src/components/Services/ContentCache.js';
+import { pickSSMLOptions, validateSSMLOptions } from '../src/utils/ssmlBuilder.js';
+
+const MAX_TTS_CHARACTERS = 5000;
+
+/**
+ * Error carrying the HTTP status to answer with
+ */
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const requireString = (value, name) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new HttpError(400, `"${name}" must be a non-empty string`);
+  }
+  return value;
+};
+
+/**
+ * Creates the API route handlers. Services are created on first use so a missing
+ * credential only disables the endpoints that need it.
+ * @param {Object} config - Server configuration from loadServerConfig()
+ * @returns {Object} Map of "METHOD /path" to handler(request) → { status, json } or { status, body, headers }
+ */
+export const createRoutes = (config) => {
+  const cache = getContentCache();
+  const services = {};
+
+  const getService = (name, create) => {
+    if (!services[name]) {
+      try {
+        services[name] = create();
+      } catch (error) {
+        throw new HttpError(503, error.message);
+      }
+    }
+    return services[name];
+  };
+
+  const analysisProvider = () => getService('analysis', () => {
+    const { provider, ...providerConfig } = config.documentIntelligence;
+    if (provider === 'remote') {
+      throw new Error('DOCUMENT_ANALYSIS_PROVIDER cannot be "remote" on the API server');
+    }
+    return createDocumentAnalysisProvider({ provider, ...providerConfig });
+  });
+  const narrativeGenerator = () => getService('narrative', () => new GPTNarrativeGenerator({ ...config.openai, cache }));
+  const narrationMapper = () => getService('mapper', () => new GPTNarrationMapper(config.openai));
+  const ttsService = () => getService('tts', () => new AzureTTSService({ ...config.speech, cache }));
+
+  return {
+    'GET /api/health': async () => ({
+      status: 200,
+      json: { status: 'ok', cache: cache.getStats() }
+    }),
+
+    'POST /api/analyze': async ({ body, query }) => {
+      if (!body || body.length === 0) {
+        throw new HttpError(400, 'Request body must be the PDF file');
+      }
+      const model = query.get('model') || 'prebuilt-document';
+      const provider = analysisProvider();
+
+      const { value, hit } = await cache.resolve(
+        'analysis',
+        { pdf: body, model, provider: provider.name },
+        () => provider.analyze(body, model)
+      );
+
+      return { status: 200, json: value, headers: { 'X-Cache': hit ? 'HIT' : 'MISS' } };
+    },
+
+    'POST /api/narrate': async ({ json }) => {
+      const pdfText = requireString(json.pdfText, 'pdfText');
+      const semanticBlocks = Array.isArray(json.semanticBlocks) ? json.semanticBlocks : [];
+
+      const result = await narrativeGenerator().generateNarrativeScript(pdfText, semanticBlocks);
+      return { status: result.success ? 200 : 502, json: result };
+    },
+
+    'POST /api/map': async ({ json }) => {
+      const narration = requireString(json.narration, 'narration');
+      const elementIds = Array.isArray(json.elementIds) ? json.elementIds : [];
+      if (elementIds.length === 0 && !json.htmlWithIds) {
+        throw new HttpError(400, 'Provide "elementIds" or "htmlWithIds"');
+      }
+
+      const result = await narrationMapper().mapNarrationToElements(narration, json.htmlWithIds || '', elementIds);
+      return { status: 200, json: result };
+    },
+
+    'POST /api/synthesize': async ({ json, query }) => {
+      const text = requireString(json.text, 'text');
+      if (text.length > MAX_TTS_CHARACTERS) {
+        throw new HttpError(413, `"text" is longer than ${MAX_TTS_CHARACTERS} characters`);
+      }
+      const options = pickSSMLOptions(json.options || {});
+      try {
+        validateSSMLOptions(options);
+      } catch (error) {
+        throw new HttpError(400, error.message);
+      }
+
+      const { audioData, words, audioDuration, fromCache } = await ttsService().resolveSpeech(text, options);
+
+      // ?format=json also returns word boundaries for captions/karaoke highlighting
+      if (query.get('format') === 'json') {
+        return {
+          status: 200,
+          json: {
+            audioBase64: Buffer.from(audioData).toString('base64'),
+            boundaries: words.map(({ text: word, start, end }) => ({ text: word, start, end })),
+            audioDuration,
+            fromCache
+          }
+        };
+      }
+
+      return {
+        status: 200,
+        body: Buffer.from(audioData),
+        headers: {
+          'Content-Type': 'audio/mpeg',
+          'X-Cache': fromCache ? 'HIT' : 'MISS'
+        }
+      };
+    }
+  };
+};
+
+export default createRoutes;
@@ -1,20 +1,152 @@
 import React from 'react';
-import { registerRoot } from 'remotion';
+import { Composition, registerRoot } from 'remotion';
 import VideoComposition from './components/Remotion/VideoComposition';
+import PDFPresentation from './components/Remotion/PDFPresentation';
+import PowerPointPresentation from './components/Remotion/PowerPointPresentation';
+import { getNarrationMetadata } from './utils/narrationTimeline';
+import { createCaptionCues } from './utils/captions';
+import { APP_CONFIG } from './utils/constants';
 
-// Register the main video composition for Remotion
-registerRoot(() => {
+/**
+ * Remotion Root
+ * Registers the video compositions, each in every format of APP_CONFIG.VIDEO.FORMATS: the plain id renders
+ * 16:9, "<id>-Vertical" 9:16 and "<id>-Square" 1:1. Their props come from a project file passed with --props,
+ * usually a narration script saved with NarrationScriptGenerator.exportScript():
+ *
+ *   npm run video -- DocumentPresentation out/presentation.mp4 --props=./narration-script.json
+ *
+ * or a video project written by the batch converter (createVideoProject), whose segments each carry
+ * their step's audio as audioUrl.
+ *
+ * Besides the script's htmlContent, narrationMappings, segments and metadata, a project file can set
+ * audioFile (URL of the combined narration track, which the export leaves out), pdfFile (URL of the PDF,
+ * for PDFPresentation), azureResults and videoConfig ({ width, height, fps }).
+ */
+
+const getVideoConfig = (project) => ({
+  ...project.videoConfig,
+  fps: project.videoConfig?.fps || project.metadata?.fps
+});
+
+/**
+ * Caption cues for the burned-in captions: the project's own (video projects carry cues timed from
+ * word boundaries), otherwise made from the segments' text and timing
+ */
+const getCaptions = (project) => {
+  if (project.captions) return project.captions;
+
+  const segments = project.narrationSegments || project.segments || [];
+  return createCaptionCues(segments.map(segment => ({
+    text: segment.text,
+    startTime: segment.startTime,
+    duration: segment.duration ?? (segment.endTime - segment.startTime)
+  })));
+};
+
+// EOB summary card shown at the end of the video (video projects from the batch converter carry one)
+const getSummaryProps = (project) => ({
+  eobSummary: project.eobSummary || null,
+  flaggedFields: project.flaggedFields || []
+});
+
+/**
+ * Narration clips for NarrationAudio: one per segment that has its own audio, otherwise the
+ * combined track from the start of the video
+ */
+const getNarrationAudio = (project) => {
+  const segments = project.narrationSegments || project.segments || [];
+  const stepClips = segments
+    .filter(segment => segment.audioUrl)
+    .map(segment => ({ src: segment.audioUrl, startTime: segment.startTime, duration: segment.duration }));
+  if (stepClips.length > 0) return stepClips;
+
+  const audioUrl = project.audioFile || project.combinedAudio?.audioUrl;
+  if (!audioUrl) return [];
+  return [{ src: audioUrl, startTime: 0, duration: project.combinedAudio?.duration ?? project.totalDuration }];
+};
+
+// Each composition picks the fields it renders from the project file
+const COMPOSITIONS = [
+  {
+    id: 'DocumentPresentation',
+    component: VideoComposition,
+    toProps: (project) => ({
+      htmlContent: project.htmlContent || '',
+      narrationMappings: project.narrationMappings || null,
+      narrationAudio: getNarrationAudio(project),
+      captions: getCaptions(project),
+      ...getSummaryProps(project),
+      videoConfig: getVideoConfig(project)
+    })
+  },
+  {
+    id: 'PDFPresentation',
+    component: PDFPresentation,
+    toProps: (project) => ({
+      pdfFile: project.pdfFile || null,
+      azureResults: project.azureResults || null,
+      narrationSegments: project.narrationSegments || project.segments || [],
+      narrationAudio: getNarrationAudio(project),
+      captions: getCaptions(project),
+      ...getSummaryProps(project),
+      videoConfig: getVideoConfig(project)
+    })
+  },
+  {
+    id: 'PowerPointPresentation',
+    component: PowerPointPresentation,
+    toProps: (project) => ({
+      htmlContent: project.htmlContent || '',
+      narrationSegments: project.narrationSegments || project.segments || [],
+      narrationAudio: getNarrationAudio(project),
+      captions: getCaptions(project),
+      ...getSummaryProps(project),
+      videoConfig: getVideoConfig(project)
+    })
+  }
+];
+
+/**
+ * Maps the project file to a composition's props and sizes the video to the narration
+ * The 16:9 compositions keep a size set in the project's videoConfig; the other formats always use their own.
+ */
+const createCalculateMetadata = (toProps, formatSize) => ({ props }) => {
+  const compositionProps = toProps(props);
+  if (formatSize) {
+    compositionProps.videoConfig = { ...compositionProps.videoConfig, ...formatSize };
+  }
+  const metadata = getNarrationMetadata(compositionProps);
+
+  console.log(`🎬 Narration timeline: ${metadata.durationInFrames} frames at ${metadata.fps}fps (${metadata.width}x${metadata.height})`);
+  return {
+    ...metadata,
+    props: {
+      ...compositionProps,
+      videoConfig: { ...compositionProps.videoConfig, ...metadata }
+    }
+  };
+};
+
+export const RemotionRoot = () => {
   return (
-    <VideoComposition
-      htmlContent=""
-      narrationMappings={null}
-      audioFile={null}
-      videoConfig={{
-        width: 1920,
-        height: 1080,
-        fps: 30,
-        durationInFrames: 600
-      }}
-    />
+    <>
+      {COMPOSITIONS.flatMap(({ id, component, toProps }) => (
+        Object.entries(APP_CONFIG.VIDEO.FORMATS).map(([format, { width, height, compositionSuffix }]) => (
+          <Composition
+            key={`${id}${compositionSuffix}`}
+            id={`${id}${compositionSuffix}`}
+            component={component}
+            width={width}
+            height={height}
+            fps={APP_CONFIG.VIDEO.DEFAULT_FPS}
+            durationInFrames={APP_CONFIG.VIDEO.MIN_DURATION * APP_CONFIG.VIDEO.DEFAULT_FPS}
+            defaultProps={{}}
+            calculateMetadata={createCalculateMetadata(toProps, format === 'landscape' ? null : { width, height })}
+          />
+        ))
+      ))}
+    </>
   );
-});
\ No newline at end of file
+};
+
+registerRoot(RemotionRoot);
@@ -1,5 +1,5 @@
 import React, { useState, useCallback } from 'react';
-import { DocumentAnalysisClient, AzureKeyCredential } from '@azure/ai-form-recognizer';
+import createDocumentAnalysisProvider from '../Services/documentAnalysisProviderFactory';
 
 /**
  * ExactLayoutConverter - Preserves exact PDF layout and styling
@@ -10,18 +10,10 @@ const ExactLayoutConverter = ({ onHTMLGenerated, onError }) => {
   const [progress, setProgress] = useState('');
 
   const analyzeDocument = useCallback(async (pdfBuffer) => {
-    const endpoint = import.meta.env.VITE_AZURE_DOCUMENT_INTELLIGENCE_ENDPOINT;
-    const key = import.meta.env.VITE_AZURE_DOCUMENT_INTELLIGENCE_KEY;
+    const provider = createDocumentAnalysisProvider();
     
-    if (!endpoint || !key) {
-      throw new Error('Azure Document Intelligence credentials not configured');
-    }
-
-    const client = new DocumentAnalysisClient(endpoint, new AzureKeyCredential(key));
-    
-    setProgress('Analyzing document with Azure Document Intelligence...');
-    const poller = await client.beginAnalyzeDocument("prebuilt-document", pdfBuffer);
-    const result = await poller.pollUntilDone();
+    setProgress(`Analyzing document with ${provider.name} analysis provider...`);
+    const result = await provider.analyze(pdfBuffer, "prebuilt-document");
     
     return result;
   }, []);
@@ -1,5 +1,6 @@
 import React, { useRef, useEffect, useState, useCallback } from 'react';
 import * as pdfjsLib from 'pdfjs-dist';
+import { pdfTextItemToRect, pdfToCanvasRect } from '../../utils/geometry';
 
 // Set up PDF.js worker
 pdfjsLib.GlobalWorkerOptions.workerSrc = '/pdfjs/pdf.worker.min.js';
@@ -34,8 +35,9 @@ const PDFViewer = ({
         setIsLoading(true);
         setError(null);
 
-        const arrayBuffer = await pdfFile.arrayBuffer();
-        const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+        // A File/Blob from an upload, or a URL (e.g. from a Remotion props file)
+        const source = typeof pdfFile === 'string' ? { url: pdfFile } : { data: await pdfFile.arrayBuffer() };
+        const pdf = await pdfjsLib.getDocument(source).promise;
         
         setPdfDocument(pdf);
         
@@ -114,18 +116,8 @@ const PDFViewer = ({
           const elementId = `text-item-${index}`;
           
           // Convert PDF coordinates to canvas coordinates
-          const x = item.transform[4] * pdfScale;
-          const y = viewport.height - (item.transform[5] * pdfScale) - (item.height * pdfScale);
-          const width = item.width * pdfScale;
-          const height = item.height * pdfScale;
-          
           bounds[elementId] = {
-            x,
-            y,
-            width,
-            height,
-            centerX: x + width / 2,
-            centerY: y + height / 2,
+            ...pdfTextItemToRect(item, viewport.height, pdfScale),
             text: item.str,
             elementId
           };
@@ -153,17 +145,7 @@ const PDFViewer = ({
   const getHighlightCoordinates = useCallback((region) => {
     if (!region || !canvasRef.current) return null;
     
-    const canvas = canvasRef.current;
-    const rect = canvas.getBoundingClientRect();
-    
-    return {
-      x: region.x * pdfScale,
-      y: region.y * pdfScale,
-      width: region.width * pdfScale,
-      height: region.height * pdfScale,
-      centerX: (region.x + region.width / 2) * pdfScale,
-      centerY: (region.y + region.height / 2) * pdfScale
-    };
+    return pdfToCanvasRect(region, pdfScale);
   }, [pdfScale]);
 
   // Render highlight overlays
@@ -188,23 +188,6 @@ export const extractElementIds = (htmlContent) => {
 /**
  * Gets element bounds for precise video targeting
  */
-export const getElementBounds = (elementId, containerRef) => {
-  if (!containerRef?.current) return null;
-  
-  const element = containerRef.current.querySelector(`#${elementId}`);
-  if (!element) return null;
-  
-  const rect = element.getBoundingClientRect();
-  const containerRect = containerRef.current.getBoundingClientRect();
-  
-  return {
-    x: rect.left - containerRect.left,
-    y: rect.top - containerRect.top,
-    width: rect.width,
-    height: rect.height,
-    centerX: rect.left - containerRect.left + rect.width / 2,
-    centerY: rect.top - containerRect.top + rect.height / 2
-  };
-};
+export { getElementBounds } from '../../utils/geometry';
 
 export default injectSemanticIDs;
\ No newline at end of file
@@ -0,0 +1,49 @@
+import React from 'react';
+import { useCurrentFrame, useVideoConfig } from 'remotion';
+import { getFrameLayout } from '../../utils/videoLayout';
+import { getCaptionAtTime } from '../../utils/captions';
+
+/**
+ * CaptionOverlay - Burned-in captions
+ * Shows the caption cue (see createCaptionCues) for the current frame in the lower part of the
+ * video, sized and placed for the format (see getFrameLayout).
+ */
+const CaptionOverlay = ({ cues }) => {
+  const frame = useCurrentFrame();
+  const { width, height, fps } = useVideoConfig();
+  const cue = getCaptionAtTime(cues, frame / fps);
+  if (!cue) return null;
+
+  const { captionStyle, fontSize } = getFrameLayout({ width, height });
+
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        ...captionStyle,
+        display: 'flex',
+        justifyContent: 'center',
+        zIndex: 200
+      }}
+    >
+      <div
+        style={{
+          background: 'rgba(0, 0, 0, 0.8)',
+          color: 'white',
+          padding: `${fontSize.caption * 0.3}px ${fontSize.caption * 0.6}px`,
+          borderRadius: fontSize.caption * 0.3,
+          fontSize: fontSize.caption,
+          fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+          fontWeight: 600,
+          lineHeight: 1.35,
+          textAlign: 'center',
+          whiteSpace: 'pre-line'
+        }}
+      >
+        {cue.text}
+      </div>
+    </div>
+  );
+};
+
+export default CaptionOverlay;
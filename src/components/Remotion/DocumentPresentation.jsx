@@ -1,48 +1,60 @@
-import React, { useRef, useEffect, useState } from 'react';
-import { useCurrentFrame, useVideoConfig, interpolate, Easing } from 'remotion';
-import { getElementBounds, calculateTransform, interpolate as coordInterpolate } from '../../utils/CoordinateMapper';
+import React, { useRef, useLayoutEffect, useState } from 'react';
+import { useCurrentFrame, useVideoConfig } from 'remotion';
+import { getCameraAtFrame } from '../../utils/cameraTimeline';
+import { getFrameLayout } from '../../utils/videoLayout';
 import HighlightOverlay from './HighlightOverlay';
+import CaptionOverlay from './CaptionOverlay';
+import SummaryOverlay from './SummaryOverlay';
 
 /**
  * DocumentPresentation - Core Remotion component for PDF to Video presentations
- * Embeds HTML content and handles zoom/pan animations with precise element targeting
+ * Embeds HTML content and handles zoom/pan animations with precise element targeting.
+ * The active timeline entry and the camera are derived from the current frame, so a render
+ * walks through every entry of the timeline; the camera moves between entries with each entry's
+ * transitionType (see cameraTransitions). Highlights are framed in the part of the video the
+ * format's caption leaves clear (see getFrameLayout).
  */
-const DocumentPresentation = ({ 
-  htmlContent, 
-  animationTimeline, 
-  currentSectionIndex = 0,
-  onElementBoundsUpdate 
+const DocumentPresentation = ({
+  htmlContent,
+  animationTimeline,
+  captions,
+  eobSummary,
+  flaggedFields,
+  onElementBoundsUpdate
 }) => {
   const frame = useCurrentFrame();
   const { width: videoWidth, height: videoHeight, fps } = useVideoConfig();
   const containerRef = useRef(null);
   const [elementBounds, setElementBounds] = useState({});
-  const [currentTransform, setCurrentTransform] = useState({
-    scale: 1,
-    translateX: 0,
-    translateY: 0
-  });
-
-  // Update element bounds when HTML content changes
-  useEffect(() => {
+  const { cameraViewport } = getFrameLayout({ width: videoWidth, height: videoHeight });
+
+  // Measure element bounds when HTML content changes (before paint, so the first rendered frame is framed correctly)
+  useLayoutEffect(() => {
     if (htmlContent && containerRef.current) {
+      const container = containerRef.current;
+      const containerRect = container.getBoundingClientRect();
+      // Undo the camera and any preview scaling so bounds are in untransformed content pixels
+      const renderedScale = containerRect.width / container.offsetWidth || 1;
       const bounds = {};
-      const allElements = containerRef.current.querySelectorAll('[id]');
-      
+      const allElements = container.querySelectorAll('[id]');
+
       allElements.forEach(element => {
         const rect = element.getBoundingClientRect();
-        const containerRect = containerRef.current.getBoundingClientRect();
-        
+        const x = (rect.left - containerRect.left) / renderedScale;
+        const y = (rect.top - containerRect.top) / renderedScale;
+        const width = rect.width / renderedScale;
+        const height = rect.height / renderedScale;
+
         bounds[element.id] = {
-          x: rect.left - containerRect.left,
-          y: rect.top - containerRect.top,
-          width: rect.width,
-          height: rect.height,
-          centerX: rect.left - containerRect.left + rect.width / 2,
-          centerY: rect.top - containerRect.top + rect.height / 2
+          x,
+          y,
+          width,
+          height,
+          centerX: x + width / 2,
+          centerY: y + height / 2
         };
       });
-      
+
       setElementBounds(bounds);
       if (onElementBoundsUpdate) {
         onElementBoundsUpdate(bounds);
@@ -50,99 +62,35 @@ const DocumentPresentation = ({
     }
   }, [htmlContent, onElementBoundsUpdate]);
 
-  // Calculate current animation state
-  useEffect(() => {
-    if (!animationTimeline || animationTimeline.length === 0) return;
-    
-    const currentAnimation = animationTimeline[currentSectionIndex];
-    if (!currentAnimation) return;
-    
-    const { elementId, startFrame, endFrame, keyframes } = currentAnimation;
-    const elementBounds = getElementBounds(elementId, containerRef);
-    
-    if (!elementBounds) return;
-    
-    // Calculate progress through current animation
-    const progress = Math.max(0, Math.min(1, (frame - startFrame) / (endFrame - startFrame)));
-    
-    // Interpolate between keyframes
-    const currentKeyframe = getCurrentKeyframe(keyframes, frame, startFrame);
-    const nextKeyframe = getNextKeyframe(keyframes, frame, startFrame);
-    
-    if (currentKeyframe && nextKeyframe) {
-      const keyframeProgress = (frame - currentKeyframe.frame) / (nextKeyframe.frame - currentKeyframe.frame);
-      const easedProgress = Easing.easeInOut(keyframeProgress);
-      
-      const transform = calculateTransform(
-        elementBounds,
-        { width: videoWidth, height: videoHeight },
-        interpolate(currentKeyframe.scale, nextKeyframe.scale, easedProgress)
-      );
-      
-      // Apply translation interpolation
-      const translateX = coordInterpolate(
-        currentKeyframe.translateX || 0,
-        nextKeyframe.translateX || 0,
-        easedProgress,
-        'easeInOut'
-      );
-      
-      const translateY = coordInterpolate(
-        currentKeyframe.translateY || 0,
-        nextKeyframe.translateY || 0,
-        easedProgress,
-        'easeInOut'
-      );
-      
-      const opacity = coordInterpolate(
-        currentKeyframe.opacity || 1,
-        nextKeyframe.opacity || 1,
-        easedProgress,
-        'easeInOut'
-      );
-      
-      setCurrentTransform({
-        scale: transform.scale,
-        translateX: translateX,
-        translateY: translateY,
-        opacity: opacity
-      });
-    }
-  }, [frame, animationTimeline, currentSectionIndex, videoWidth, videoHeight]);
-
-  // Get current keyframe based on frame
-  const getCurrentKeyframe = (keyframes, currentFrame, startFrame) => {
-    const relativeFrame = currentFrame - startFrame;
-    return keyframes.find(kf => kf.frame <= relativeFrame) || keyframes[0];
-  };
-
-  // Get next keyframe for interpolation
-  const getNextKeyframe = (keyframes, currentFrame, startFrame) => {
-    const relativeFrame = currentFrame - startFrame;
-    const nextKeyframe = keyframes.find(kf => kf.frame > relativeFrame);
-    return nextKeyframe || keyframes[keyframes.length - 1];
-  };
+  // Camera and highlight for this frame of the whole timeline
+  const { index: sectionIndex, section, transform: currentTransform, highlightOpacity, contentOpacity } = getCameraAtFrame(
+    animationTimeline || [],
+    frame,
+    elementBounds,
+    { width: videoWidth, height: videoHeight },
+    { transitionFrames: Math.round(fps / 2), viewport: cameraViewport }
+  );
 
   // Get current highlight configuration
   const getCurrentHighlight = () => {
-    if (!animationTimeline || animationTimeline.length === 0) return null;
-    
-    const currentAnimation = animationTimeline[currentSectionIndex];
-    if (!currentAnimation) return null;
-    
-    const { elementId, highlightType } = currentAnimation;
+    if (!section || highlightOpacity === 0) return null;
+
+    const { elementId, highlightType } = section;
     const bounds = elementBounds[elementId];
-    
+
     if (!bounds) return null;
-    
+
     return {
       elementId,
       bounds,
       type: highlightType || 'border',
-      opacity: currentTransform.opacity || 1
+      opacity: highlightOpacity,
+      startFrame: section.startFrame
     };
   };
 
+  const currentHighlight = getCurrentHighlight();
+
   return (
     <div
       style={{
@@ -153,30 +101,33 @@ const DocumentPresentation = ({
         position: 'relative'
       }}
     >
-      {/* HTML Content Container */}
+      {/* HTML Content Container (translation is in screen pixels, applied after scaling) */}
       <div
         ref={containerRef}
         style={{
           width: '100%',
           height: '100%',
-          transform: `scale(${currentTransform.scale}) translate(${currentTransform.translateX}px, ${currentTransform.translateY}px)`,
+          transform: `translate(${currentTransform.translateX}px, ${currentTransform.translateY}px) scale(${currentTransform.scale})`,
           transformOrigin: 'center center',
-          opacity: currentTransform.opacity || 1,
-          transition: 'transform 0.1s ease-out'
+          opacity: contentOpacity
         }}
         dangerouslySetInnerHTML={{ __html: htmlContent }}
       />
-      
+
       {/* Highlight Overlay */}
-      {getCurrentHighlight() && (
+      {currentHighlight && (
         <HighlightOverlay
-          highlight={getCurrentHighlight()}
+          highlight={currentHighlight}
           videoWidth={videoWidth}
           videoHeight={videoHeight}
           currentTransform={currentTransform}
         />
       )}
-      
+
+      <CaptionOverlay cues={captions} />
+
+      <SummaryOverlay eobSummary={eobSummary} flaggedFields={flaggedFields} />
+
       {/* Debug Information (only in development) */}
       {process.env.NODE_ENV === 'development' && (
         <div
@@ -194,14 +145,14 @@ const DocumentPresentation = ({
           }}
         >
           <div>Frame: {frame}</div>
-          <div>Section: {currentSectionIndex + 1}/{animationTimeline?.length || 0}</div>
+          <div>Section: {sectionIndex + 1}/{animationTimeline?.length || 0}</div>
           <div>Scale: {currentTransform.scale?.toFixed(2)}</div>
           <div>Translate: ({currentTransform.translateX?.toFixed(0)}, {currentTransform.translateY?.toFixed(0)})</div>
-          <div>Opacity: {currentTransform.opacity?.toFixed(2)}</div>
+          <div>Highlight: {highlightOpacity.toFixed(2)}</div>
         </div>
       )}
     </div>
   );
 };
 
-export default DocumentPresentation;
\ No newline at end of file
+export default DocumentPresentation;
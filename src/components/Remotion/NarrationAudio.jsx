@@ -0,0 +1,31 @@
+import React from 'react';
+import { Audio, Sequence, useVideoConfig } from 'remotion';
+import { getNarrationClips } from '../../utils/narrationTimeline';
+
+/**
+ * NarrationAudio - Voice-over track for the video compositions
+ * Places each narration clip on the timeline in its own Sequence, so the rendered file carries
+ * the narration in sync with the step it belongs to (one clip per step, or a single combined track).
+ */
+const NarrationAudio = ({ narrationAudio }) => {
+  const { fps } = useVideoConfig();
+  const clips = getNarrationClips(narrationAudio, fps);
+
+  return (
+    <>
+      {clips.map((clip, index) => (
+        <Sequence
+          key={`${index}-${clip.from}`}
+          from={clip.from}
+          durationInFrames={clip.durationInFrames}
+          name={`Narration ${index + 1}`}
+          layout="none"
+        >
+          <Audio src={clip.src} />
+        </Sequence>
+      ))}
+    </>
+  );
+};
+
+export default NarrationAudio;
@@ -1,50 +1,53 @@
-import React, { useRef, useEffect, useState, useCallback } from 'react';
-import { useCurrentFrame, useVideoConfig, interpolate, Easing } from 'remotion';
+import React, { useRef, useEffect, useState, useCallback, useMemo } from 'react';
+import { useCurrentFrame, useVideoConfig } from 'remotion';
 import PDFViewer from '../PDFToHTML/PDFViewer';
-import { mapAzureResultsToPDFCoordinates, createHighlightRegion, calculateOptimalZoom } from '../../utils/PDFCoordinateMapper';
-import AzureTTSService from '../Services/AzureTTSService';
+import { mapAzureElementsToPdf, padRect } from '../../utils/geometry';
+import { createAnimationSequence, getCameraAtFrame } from '../../utils/cameraTimeline';
+import { createNarrationMappings } from '../../utils/narrationTimeline';
+import { getFrameLayout } from '../../utils/videoLayout';
+import NarrationAudio from './NarrationAudio';
+import CaptionOverlay from './CaptionOverlay';
+import ProgressOverlay from './ProgressOverlay';
+import SummaryOverlay from './SummaryOverlay';
 
 /**
  * PDF Presentation Component
- * Uses actual PDF with precise coordinate mapping for pixel-perfect presentations
+ * Uses actual PDF with precise coordinate mapping for pixel-perfect presentations.
+ * The narrated segment (startTime/endTime in seconds) and the camera follow the current frame, moving
+ * between segments with each segment's transitionType (see cameraTransitions),
+ * and the narration clips are placed on the timeline by NarrationAudio. Elements are framed in the part
+ * of the video the format's caption leaves clear (see getFrameLayout).
  */
 const PDFPresentation = ({ 
   pdfFile,
   azureResults,
   narrationSegments, 
-  audioData,
-  currentSegmentIndex = 0,
+  narrationAudio,
+  captions = [],
+  eobSummary = null,
+  flaggedFields = [],
   onElementBoundsUpdate 
 }) => {
   const frame = useCurrentFrame();
   const { width: videoWidth, height: videoHeight, fps } = useVideoConfig();
+  const { cameraViewport } = getFrameLayout({ width: videoWidth, height: videoHeight });
   const containerRef = useRef(null);
-  const audioRef = useRef(null);
   const [elementBounds, setElementBounds] = useState({});
-  const [currentTransform, setCurrentTransform] = useState({
-    scale: 1,
-    translateX: 0,
-    translateY: 0
-  });
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [currentTime, setCurrentTime] = useState(0);
   const [pdfViewport, setPdfViewport] = useState(null);
   const [mappedElements, setMappedElements] = useState({});
+  const currentTime = frame / fps;
 
-  // Initialize TTS service
-  const ttsService = useRef(null);
-  useEffect(() => {
-    try {
-      ttsService.current = new AzureTTSService();
-    } catch (error) {
-      console.error('TTS service initialization failed:', error);
-    }
-  }, []);
+  // Segment being narrated at this frame (the last one that has started)
+  const currentSegmentIndex = (narrationSegments || []).reduce(
+    (found, segment, index) => (segment.startTime ?? Infinity) <= currentTime ? index : found,
+    -1
+  );
+  const currentSegment = narrationSegments?.[currentSegmentIndex] || null;
 
-  // Map Azure results to PDF coordinates when viewport is available
+  // Map Azure results to PDF points when the page viewport is available (PDFViewer scales them to its canvas)
   useEffect(() => {
     if (azureResults && pdfViewport) {
-      const mapped = mapAzureResultsToPDFCoordinates(azureResults, pdfViewport, 1.0);
+      const mapped = mapAzureElementsToPdf(azureResults, pdfViewport);
       setMappedElements(mapped);
       console.log('Mapped elements:', mapped);
     }
@@ -63,131 +66,29 @@ const PDFPresentation = ({
     setPdfViewport(viewport);
   }, []);
 
-  // Calculate current animation state
-  useEffect(() => {
-    if (!narrationSegments || narrationSegments.length === 0) return;
-    
-    const currentSegment = narrationSegments[currentSegmentIndex];
-    if (!currentSegment) return;
-    
-    const elementCoords = mappedElements[currentSegment.elementId];
-    if (!elementCoords) return;
-    
-    // Calculate progress through current animation
-    const progress = Math.max(0, Math.min(1, frame / (currentSegment.duration * fps)));
-    
-    // Interpolate zoom and position
-    const targetZoom = currentSegment.zoomLevel || 2.0;
-    const currentZoom = interpolate(progress, [0, 0.1, 0.9, 1], [1, targetZoom, targetZoom, 1], {
-      extrapolateLeft: 'clamp',
-      extrapolateRight: 'clamp',
-      easing: Easing.easeInOut
-    });
-    
-    // Calculate center position
-    const centerX = videoWidth / 2 - elementCoords.centerX * currentZoom;
-    const centerY = videoHeight / 2 - elementCoords.centerY * currentZoom;
-    
-    setCurrentTransform({
-      scale: currentZoom,
-      translateX: centerX,
-      translateY: centerY,
-      opacity: interpolate(progress, [0, 0.1, 0.9, 1], [0, 1, 1, 0], {
-        extrapolateLeft: 'clamp',
-        extrapolateRight: 'clamp'
-      })
-    });
-  }, [frame, narrationSegments, currentSegmentIndex, mappedElements, videoWidth, videoHeight, fps]);
+  // Segments are timed in seconds; the camera follows the same frame timeline as the other compositions
+  const animationTimeline = useMemo(() => createAnimationSequence(
+    createNarrationMappings(narrationSegments || [], fps).mappings,
+    { width: videoWidth, height: videoHeight, fps }
+  ), [narrationSegments, videoWidth, videoHeight, fps]);
+
+  // Elements are centered in the camera viewport (the zoom is capped so the element fits)
+  const { transform: currentTransform, contentOpacity } = getCameraAtFrame(
+    animationTimeline,
+    frame,
+    mappedElements,
+    { width: videoWidth, height: videoHeight },
+    { transitionFrames: Math.round(fps / 2), viewport: cameraViewport }
+  );
 
   // Get current highlight configuration
   const getCurrentHighlight = () => {
-    if (!narrationSegments || narrationSegments.length === 0) return null;
-    
-    const currentSegment = narrationSegments[currentSegmentIndex];
     if (!currentSegment) return null;
     
     const elementCoords = mappedElements[currentSegment.elementId];
     if (!elementCoords) return null;
     
-    return createHighlightRegion(elementCoords, currentSegment.highlightType || 'border');
-  };
-
-  // Handle audio playback
-  useEffect(() => {
-    if (audioData && audioRef.current) {
-      const audio = audioRef.current;
-      
-      const handleTimeUpdate = () => {
-        setCurrentTime(audio.currentTime);
-        updatePresentationForCurrentTime(audio.currentTime);
-      };
-
-      const handlePlay = () => setIsPlaying(true);
-      const handlePause = () => setIsPlaying(false);
-      const handleEnded = () => setIsPlaying(false);
-
-      audio.addEventListener('timeupdate', handleTimeUpdate);
-      audio.addEventListener('play', handlePlay);
-      audio.addEventListener('pause', handlePause);
-      audio.addEventListener('ended', handleEnded);
-
-      return () => {
-        audio.removeEventListener('timeupdate', handleTimeUpdate);
-        audio.removeEventListener('play', handlePlay);
-        audio.removeEventListener('pause', handlePause);
-        audio.removeEventListener('ended', handleEnded);
-      };
-    }
-  }, [audioData]);
-
-  // Update presentation based on current audio time
-  const updatePresentationForCurrentTime = useCallback((audioTime) => {
-    if (!narrationSegments || narrationSegments.length === 0) return;
-
-    // Find current segment based on audio time
-    const currentSegment = narrationSegments.find(segment => 
-      audioTime >= segment.startTime && audioTime <= segment.endTime
-    );
-
-    if (currentSegment) {
-      const elementCoords = mappedElements[currentSegment.elementId];
-      if (elementCoords) {
-        const zoomLevel = currentSegment.zoomLevel || 2.0;
-        const centerX = videoWidth / 2 - elementCoords.centerX * zoomLevel;
-        const centerY = videoHeight / 2 - elementCoords.centerY * zoomLevel;
-
-        setCurrentTransform({
-          scale: zoomLevel,
-          translateX: centerX,
-          translateY: centerY,
-          opacity: 1
-        });
-      }
-    }
-  }, [narrationSegments, mappedElements, videoWidth, videoHeight]);
-
-  // Play/pause audio
-  const toggleAudio = useCallback(() => {
-    if (audioRef.current) {
-      if (isPlaying) {
-        audioRef.current.pause();
-      } else {
-        audioRef.current.play();
-      }
-    }
-  }, [isPlaying]);
-
-  // Seek to specific time
-  const seekTo = useCallback((time) => {
-    if (audioRef.current) {
-      audioRef.current.currentTime = time;
-    }
-  }, []);
-
-  // Get progress percentage
-  const getProgress = () => {
-    if (!audioData || !audioRef.current) return 0;
-    return (currentTime / audioData.duration) * 100;
+    return { ...padRect(elementCoords, 10), type: currentSegment.highlightType || 'border' };
   };
 
   return (
@@ -206,10 +107,9 @@ const PDFPresentation = ({
         style={{
           width: '100%',
           height: '100%',
-          transform: `scale(${currentTransform.scale}) translate(${currentTransform.translateX}px, ${currentTransform.translateY}px)`,
+          transform: `translate(${currentTransform.translateX}px, ${currentTransform.translateY}px) scale(${currentTransform.scale})`,
           transformOrigin: 'center center',
-          opacity: currentTransform.opacity || 1,
-          transition: 'transform 0.5s ease-out'
+          opacity: contentOpacity,
         }}
       >
         <PDFViewer
@@ -222,94 +122,11 @@ const PDFPresentation = ({
         />
       </div>
 
-      {/* Audio Controls */}
-      {audioData && (
-        <div
-          style={{
-            position: 'absolute',
-            bottom: 20,
-            left: 20,
-            right: 20,
-            background: 'rgba(0, 0, 0, 0.8)',
-            color: 'white',
-            padding: '15px',
-            borderRadius: '10px',
-            display: 'flex',
-            alignItems: 'center',
-            gap: '15px'
-          }}
-        >
-          <button
-            onClick={toggleAudio}
-            style={{
-              background: isPlaying ? '#f44336' : '#4caf50',
-              color: 'white',
-              border: 'none',
-              borderRadius: '50%',
-              width: '50px',
-              height: '50px',
-              cursor: 'pointer',
-              fontSize: '20px'
-            }}
-          >
-            {isPlaying ? '⏸️' : '▶️'}
-          </button>
-
-          <div style={{ flex: 1 }}>
-            <div
-              style={{
-                width: '100%',
-                height: '4px',
-                background: '#333',
-                borderRadius: '2px',
-                cursor: 'pointer',
-                position: 'relative'
-              }}
-              onClick={(e) => {
-                const rect = e.currentTarget.getBoundingClientRect();
-                const clickX = e.clientX - rect.left;
-                const percentage = clickX / rect.width;
-                const newTime = percentage * audioData.duration;
-                seekTo(newTime);
-              }}
-            >
-              <div
-                style={{
-                  width: `${getProgress()}%`,
-                  height: '100%',
-                  background: '#4caf50',
-                  borderRadius: '2px',
-                  transition: 'width 0.1s ease'
-                }}
-              />
-            </div>
-          </div>
+      <CaptionOverlay cues={captions} />
 
-          <div style={{ fontSize: '14px', minWidth: '100px' }}>
-            {formatTime(currentTime)} / {formatTime(audioData.duration)}
-          </div>
-        </div>
-      )}
+      <ProgressOverlay />
 
-      {/* Current Narration Text */}
-      {narrationSegments && narrationSegments[currentSegmentIndex] && (
-        <div
-          style={{
-            position: 'absolute',
-            top: 20,
-            left: 20,
-            right: 20,
-            background: 'rgba(0, 0, 0, 0.8)',
-            color: 'white',
-            padding: '15px',
-            borderRadius: '10px',
-            fontSize: '16px',
-            lineHeight: '1.4'
-          }}
-        >
-          <strong>Narration:</strong> {narrationSegments[currentSegmentIndex].phrase}
-        </div>
-      )}
+      <SummaryOverlay eobSummary={eobSummary} flaggedFields={flaggedFields} />
 
       {/* Debug Information */}
       {process.env.NODE_ENV === 'development' && (
@@ -335,24 +152,9 @@ const PDFPresentation = ({
         </div>
       )}
 
-      {/* Hidden Audio Element */}
-      {audioData && (
-        <audio
-          ref={audioRef}
-          src={audioData.audioUrl}
-          preload="auto"
-          style={{ display: 'none' }}
-        />
-      )}
+      <NarrationAudio narrationAudio={narrationAudio} />
     </div>
   );
 };
 
-// Helper function to format time
-const formatTime = (seconds) => {
-  const mins = Math.floor(seconds / 60);
-  const secs = Math.floor(seconds % 60);
-  return `${mins}:${secs.toString().padStart(2, '0')}`;
-};
-
 export default PDFPresentation;
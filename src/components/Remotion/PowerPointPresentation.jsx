@@ -1,64 +1,64 @@
-import React, { useRef, useEffect, useState, useCallback } from 'react';
-import { useCurrentFrame, useVideoConfig, interpolate, Easing } from 'remotion';
-import { getElementBounds, calculateTransform, interpolate as coordInterpolate } from '../../utils/CoordinateMapper';
+import React, { useRef, useLayoutEffect, useMemo, useState } from 'react';
+import { useCurrentFrame, useVideoConfig } from 'remotion';
+import { createAnimationSequence, getCameraAtFrame } from '../../utils/cameraTimeline';
+import { createNarrationMappings } from '../../utils/narrationTimeline';
+import { getFrameLayout } from '../../utils/videoLayout';
 import HighlightOverlay from './HighlightOverlay';
-import AzureTTSService from '../Services/AzureTTSService';
+import NarrationAudio from './NarrationAudio';
+import CaptionOverlay from './CaptionOverlay';
+import ProgressOverlay from './ProgressOverlay';
+import SummaryOverlay from './SummaryOverlay';
 
 /**
  * PowerPoint-style Presentation Component
- * Synchronizes audio narration with visual animations and highlighting
+ * Synchronizes audio narration with visual animations and highlighting.
+ * Everything follows the current frame: the segment being narrated (startTime/endTime in seconds),
+ * the camera, and the narration clips placed on the timeline by NarrationAudio.
+ * Burned-in captions, progress and the summary card are laid out for the video's format (see getFrameLayout).
  */
-const PowerPointPresentation = ({ 
-  htmlContent, 
-  narrationSegments, 
-  audioData,
-  currentSlideIndex = 0,
-  onSlideChange,
-  onElementBoundsUpdate 
+const PowerPointPresentation = ({
+  htmlContent,
+  narrationSegments,
+  narrationAudio,
+  captions = [],
+  eobSummary = null,
+  flaggedFields = [],
+  onElementBoundsUpdate
 }) => {
   const frame = useCurrentFrame();
   const { width: videoWidth, height: videoHeight, fps } = useVideoConfig();
   const containerRef = useRef(null);
-  const audioRef = useRef(null);
   const [elementBounds, setElementBounds] = useState({});
-  const [currentTransform, setCurrentTransform] = useState({
-    scale: 1,
-    translateX: 0,
-    translateY: 0
-  });
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [currentTime, setCurrentTime] = useState(0);
-
-  // Initialize TTS service
-  const ttsService = useRef(null);
-  useEffect(() => {
-    try {
-      ttsService.current = new AzureTTSService();
-    } catch (error) {
-      console.error('TTS service initialization failed:', error);
-    }
-  }, []);
+  const { cameraViewport } = getFrameLayout({ width: videoWidth, height: videoHeight });
+  const currentTime = frame / fps;
 
   // Update element bounds when HTML content changes
-  useEffect(() => {
+  useLayoutEffect(() => {
     if (htmlContent && containerRef.current) {
+      const container = containerRef.current;
+      const containerRect = container.getBoundingClientRect();
+      // Undo the camera and any preview scaling so bounds are in untransformed content pixels
+      const renderedScale = containerRect.width / container.offsetWidth || 1;
       const bounds = {};
-      const allElements = containerRef.current.querySelectorAll('[id]');
-      
+      const allElements = container.querySelectorAll('[id]');
+
       allElements.forEach(element => {
         const rect = element.getBoundingClientRect();
-        const containerRect = containerRef.current.getBoundingClientRect();
-        
+        const x = (rect.left - containerRect.left) / renderedScale;
+        const y = (rect.top - containerRect.top) / renderedScale;
+        const width = rect.width / renderedScale;
+        const height = rect.height / renderedScale;
+
         bounds[element.id] = {
-          x: rect.left - containerRect.left,
-          y: rect.top - containerRect.top,
-          width: rect.width,
-          height: rect.height,
-          centerX: rect.left - containerRect.left + rect.width / 2,
-          centerY: rect.top - containerRect.top + rect.height / 2
+          x,
+          y,
+          width,
+          height,
+          centerX: x + width / 2,
+          centerY: y + height / 2
         };
       });
-      
+
       setElementBounds(bounds);
       if (onElementBoundsUpdate) {
         onElementBoundsUpdate(bounds);
@@ -66,107 +66,42 @@ const PowerPointPresentation = ({
     }
   }, [htmlContent, onElementBoundsUpdate]);
 
-  // Handle audio playback
-  useEffect(() => {
-    if (audioData && audioRef.current) {
-      const audio = audioRef.current;
-      
-      const handleTimeUpdate = () => {
-        setCurrentTime(audio.currentTime);
-        updatePresentationForCurrentTime(audio.currentTime);
-      };
-
-      const handlePlay = () => setIsPlaying(true);
-      const handlePause = () => setIsPlaying(false);
-      const handleEnded = () => setIsPlaying(false);
-
-      audio.addEventListener('timeupdate', handleTimeUpdate);
-      audio.addEventListener('play', handlePlay);
-      audio.addEventListener('pause', handlePause);
-      audio.addEventListener('ended', handleEnded);
-
-      return () => {
-        audio.removeEventListener('timeupdate', handleTimeUpdate);
-        audio.removeEventListener('play', handlePlay);
-        audio.removeEventListener('pause', handlePause);
-        audio.removeEventListener('ended', handleEnded);
-      };
-    }
-  }, [audioData]);
-
-  // Update presentation based on current audio time
-  const updatePresentationForCurrentTime = useCallback((audioTime) => {
-    if (!narrationSegments || narrationSegments.length === 0) return;
-
-    // Find current segment based on audio time
-    const currentSegment = narrationSegments.find(segment => 
-      audioTime >= segment.startTime && audioTime <= segment.endTime
-    );
-
-    if (currentSegment && currentSegment.elementId) {
-      const bounds = elementBounds[currentSegment.elementId];
-      if (bounds) {
-        const transform = calculateTransform(
-          bounds,
-          { width: videoWidth, height: videoHeight },
-          currentSegment.zoomLevel || 2.0
-        );
+  // Segments are timed in seconds; the camera works on the same frame timeline as DocumentPresentation
+  const animationTimeline = useMemo(() => createAnimationSequence(
+    createNarrationMappings(narrationSegments || [], fps).mappings,
+    { width: videoWidth, height: videoHeight, fps }
+  ), [narrationSegments, videoWidth, videoHeight, fps]);
+
+  const { index: segmentIndex, transform: currentTransform, highlightOpacity, contentOpacity } = getCameraAtFrame(
+    animationTimeline,
+    frame,
+    elementBounds,
+    { width: videoWidth, height: videoHeight },
+    { transitionFrames: Math.round(fps / 2), viewport: cameraViewport }
+  );
 
-        setCurrentTransform({
-          scale: transform.scale,
-          translateX: transform.translateX,
-          translateY: transform.translateY,
-          opacity: 1
-        });
-      }
-    }
-  }, [narrationSegments, elementBounds, videoWidth, videoHeight]);
+  const currentSegment = segmentIndex >= 0 && currentTime <= narrationSegments[segmentIndex].endTime
+    ? narrationSegments[segmentIndex]
+    : null;
 
   // Get current highlight configuration
   const getCurrentHighlight = () => {
-    if (!narrationSegments || narrationSegments.length === 0) return null;
-    
-    const currentSegment = narrationSegments.find(segment => 
-      currentTime >= segment.startTime && currentTime <= segment.endTime
-    );
+    if (!currentSegment || !currentSegment.elementId || highlightOpacity === 0) return null;
 
-    if (!currentSegment || !currentSegment.elementId) return null;
-    
     const bounds = elementBounds[currentSegment.elementId];
     if (!bounds) return null;
-    
+
     return {
       elementId: currentSegment.elementId,
       bounds,
       type: currentSegment.highlightType || 'border',
-      opacity: 1,
+      opacity: highlightOpacity,
+      startFrame: animationTimeline[segmentIndex].startFrame,
       phrase: currentSegment.text
     };
   };
 
-  // Play/pause audio
-  const toggleAudio = useCallback(() => {
-    if (audioRef.current) {
-      if (isPlaying) {
-        audioRef.current.pause();
-      } else {
-        audioRef.current.play();
-      }
-    }
-  }, [isPlaying]);
-
-  // Seek to specific time
-  const seekTo = useCallback((time) => {
-    if (audioRef.current) {
-      audioRef.current.currentTime = time;
-    }
-  }, []);
-
-  // Get progress percentage
-  const getProgress = () => {
-    if (!audioData || !audioRef.current) return 0;
-    return (currentTime / audioData.duration) * 100;
-  };
+  const currentHighlight = getCurrentHighlight();
 
   return (
     <div
@@ -178,118 +113,34 @@ const PowerPointPresentation = ({
         position: 'relative'
       }}
     >
-      {/* HTML Content Container */}
+      {/* HTML Content Container (translation is in screen pixels, applied after scaling) */}
       <div
         ref={containerRef}
         style={{
           width: '100%',
           height: '100%',
-          transform: `scale(${currentTransform.scale}) translate(${currentTransform.translateX}px, ${currentTransform.translateY}px)`,
+          transform: `translate(${currentTransform.translateX}px, ${currentTransform.translateY}px) scale(${currentTransform.scale})`,
           transformOrigin: 'center center',
-          opacity: currentTransform.opacity || 1,
-          transition: 'transform 0.5s ease-out'
+          opacity: contentOpacity
         }}
         dangerouslySetInnerHTML={{ __html: htmlContent }}
       />
-      
+
       {/* Highlight Overlay */}
-      {getCurrentHighlight() && (
+      {currentHighlight && (
         <HighlightOverlay
-          highlight={getCurrentHighlight()}
+          highlight={currentHighlight}
           videoWidth={videoWidth}
           videoHeight={videoHeight}
           currentTransform={currentTransform}
         />
       )}
 
-      {/* Audio Controls */}
-      {audioData && (
-        <div
-          style={{
-            position: 'absolute',
-            bottom: 20,
-            left: 20,
-            right: 20,
-            background: 'rgba(0, 0, 0, 0.8)',
-            color: 'white',
-            padding: '15px',
-            borderRadius: '10px',
-            display: 'flex',
-            alignItems: 'center',
-            gap: '15px'
-          }}
-        >
-          <button
-            onClick={toggleAudio}
-            style={{
-              background: isPlaying ? '#f44336' : '#4caf50',
-              color: 'white',
-              border: 'none',
-              borderRadius: '50%',
-              width: '50px',
-              height: '50px',
-              cursor: 'pointer',
-              fontSize: '20px'
-            }}
-          >
-            {isPlaying ? '⏸️' : '▶️'}
-          </button>
+      <CaptionOverlay cues={captions} />
 
-          <div style={{ flex: 1 }}>
-            <div
-              style={{
-                width: '100%',
-                height: '4px',
-                background: '#333',
-                borderRadius: '2px',
-                cursor: 'pointer',
-                position: 'relative'
-              }}
-              onClick={(e) => {
-                const rect = e.currentTarget.getBoundingClientRect();
-                const clickX = e.clientX - rect.left;
-                const percentage = clickX / rect.width;
-                const newTime = percentage * audioData.duration;
-                seekTo(newTime);
-              }}
-            >
-              <div
-                style={{
-                  width: `${getProgress()}%`,
-                  height: '100%',
-                  background: '#4caf50',
-                  borderRadius: '2px',
-                  transition: 'width 0.1s ease'
-                }}
-              />
-            </div>
-          </div>
+      <ProgressOverlay />
 
-          <div style={{ fontSize: '14px', minWidth: '100px' }}>
-            {formatTime(currentTime)} / {formatTime(audioData.duration)}
-          </div>
-        </div>
-      )}
-
-      {/* Current Narration Text */}
-      {getCurrentHighlight() && (
-        <div
-          style={{
-            position: 'absolute',
-            top: 20,
-            left: 20,
-            right: 20,
-            background: 'rgba(0, 0, 0, 0.8)',
-            color: 'white',
-            padding: '15px',
-            borderRadius: '10px',
-            fontSize: '16px',
-            lineHeight: '1.4'
-          }}
-        >
-          <strong>Narration:</strong> {getCurrentHighlight().phrase}
-        </div>
-      )}
+      <SummaryOverlay eobSummary={eobSummary} flaggedFields={flaggedFields} />
 
       {/* Debug Information */}
       {process.env.NODE_ENV === 'development' && (
@@ -309,29 +160,14 @@ const PowerPointPresentation = ({
         >
           <div>Frame: {frame}</div>
           <div>Time: {currentTime.toFixed(2)}s</div>
+          <div>Segment: {segmentIndex + 1}/{narrationSegments?.length || 0}</div>
           <div>Scale: {currentTransform.scale?.toFixed(2)}</div>
-          <div>Playing: {isPlaying ? 'Yes' : 'No'}</div>
         </div>
       )}
 
-      {/* Hidden Audio Element */}
-      {audioData && (
-        <audio
-          ref={audioRef}
-          src={audioData.audioUrl}
-          preload="auto"
-          style={{ display: 'none' }}
-        />
-      )}
+      <NarrationAudio narrationAudio={narrationAudio} />
     </div>
   );
 };
 
-// Helper function to format time
-const formatTime = (seconds) => {
-  const mins = Math.floor(seconds / 60);
-  const secs = Math.floor(seconds % 60);
-  return `${mins}:${secs.toString().padStart(2, '0')}`;
-};
-
 export default PowerPointPresentation;
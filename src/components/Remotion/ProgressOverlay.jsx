@@ -0,0 +1,63 @@
+import React from 'react';
+import { useCurrentFrame, useVideoConfig } from 'remotion';
+import { getFrameLayout } from '../../utils/videoLayout';
+
+/**
+ * ProgressOverlay - Progress bar and elapsed time of the video, laid out for the format
+ */
+const ProgressOverlay = () => {
+  const frame = useCurrentFrame();
+  const { width, height, fps, durationInFrames } = useVideoConfig();
+  const { progressStyle, fontSize } = getFrameLayout({ width, height });
+  const progress = Math.min(100, (frame / Math.max(1, durationInFrames - 1)) * 100);
+
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        ...progressStyle,
+        background: 'rgba(0, 0, 0, 0.8)',
+        color: 'white',
+        padding: fontSize.progress,
+        borderRadius: fontSize.progress * 0.7,
+        display: 'flex',
+        alignItems: 'center',
+        gap: fontSize.progress,
+        zIndex: 200
+      }}
+    >
+      <div style={{ flex: 1 }}>
+        <div
+          style={{
+            width: '100%',
+            height: Math.max(4, fontSize.progress * 0.3),
+            background: '#333',
+            borderRadius: 2
+          }}
+        >
+          <div
+            style={{
+              width: `${progress}%`,
+              height: '100%',
+              background: '#4caf50',
+              borderRadius: 2
+            }}
+          />
+        </div>
+      </div>
+
+      <div style={{ fontSize: fontSize.progress, minWidth: fontSize.progress * 7, textAlign: 'right' }}>
+        {formatTime(frame / fps)} / {formatTime(durationInFrames / fps)}
+      </div>
+    </div>
+  );
+};
+
+// Helper function to format time
+const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+export default ProgressOverlay;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { useCurrentFrame, useVideoConfig, interpolate } from 'remotion';
+import { getFrameLayout } from '../../utils/videoLayout';
+import { APP_CONFIG } from '../../utils/constants';
+
+const SUMMARY_ROWS = [
+  { field: 'totalCharged', label: 'Total Charged' },
+  { field: 'insurancePaid', label: 'Insurance Paid' },
+  { field: 'adjustments', label: 'Adjustments' },
+  { field: 'patientOwes', label: 'You Owe', emphasis: true }
+];
+
+/**
+ * SummaryOverlay - EOB summary card shown over the last seconds of the video
+ * (getNarrationMetadata adds APP_CONFIG.VIDEO.SUMMARY_DURATION to the video when there is a summary).
+ * Amounts that could not be verified against the document are marked, as in the standalone presentation.
+ */
+const SummaryOverlay = ({ eobSummary, flaggedFields = [] }) => {
+  const frame = useCurrentFrame();
+  const { width, height, fps, durationInFrames } = useVideoConfig();
+  if (!eobSummary) return null;
+
+  const startFrame = durationInFrames - Math.round(APP_CONFIG.VIDEO.SUMMARY_DURATION * fps);
+  if (frame < startFrame) return null;
+
+  const { summaryStyle, fontSize } = getFrameLayout({ width, height });
+  const size = fontSize.summary;
+  const opacity = interpolate(frame, [startFrame, startFrame + fps / 2], [0, 1], {
+    extrapolateLeft: 'clamp',
+    extrapolateRight: 'clamp'
+  });
+
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        ...summaryStyle,
+        background: 'rgba(255, 255, 255, 0.95)',
+        borderRadius: size * 0.5,
+        padding: size,
+        boxShadow: '0 8px 24px rgba(0, 0, 0, 0.15)',
+        fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+        fontSize: size,
+        color: '#2d3436',
+        opacity,
+        zIndex: 300
+      }}
+    >
+      <div style={{ fontWeight: 700, fontSize: size * 1.2, marginBottom: size * 0.6 }}>📋 EOB Summary</div>
+      <div style={{ color: '#636e72', fontSize: size * 0.8, marginBottom: size * 0.6 }}>
+        {eobSummary.providerName} · {eobSummary.serviceDate}
+      </div>
+
+      {SUMMARY_ROWS.map(({ field, label, emphasis }) => (
+        <div
+          key={field}
+          style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            gap: size,
+            padding: `${size * 0.25}px 0`,
+            borderTop: emphasis ? '1px solid #fdcb6e' : 'none',
+            marginTop: emphasis ? size * 0.25 : 0,
+            fontWeight: emphasis ? 700 : 400
+          }}
+        >
+          <span>{label}:</span>
+          <span style={{ color: emphasis ? '#d63031' : undefined }}>
+            {eobSummary[field]}{flaggedFields.includes(field) ? ' ⚠️' : ''}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SummaryOverlay;
@@ -1,16 +1,24 @@
 import React, { useRef, useEffect, useState } from 'react';
-import { Composition, continueRender, delayRender } from 'remotion';
+import { continueRender, delayRender } from 'remotion';
 import DocumentPresentation from './DocumentPresentation';
-import { createAnimationSequence } from '../../utils/CoordinateMapper';
+import NarrationAudio from './NarrationAudio';
+import { createAnimationSequence } from '../../utils/cameraTimeline';
+import { APP_CONFIG } from '../../utils/constants';
 
 /**
  * VideoComposition - Main Remotion composition for PDF to Video presentations
- * Orchestrates the entire video generation process
+ * Orchestrates the entire video generation process (registered as "DocumentPresentation" in Root.jsx)
+ * Narration comes from narrationAudio ([{ src, startTime, duration }], one clip per step), or from
+ * audioFile, a single track that starts with the video.
  */
 const VideoComposition = ({ 
   htmlContent, 
   narrationMappings, 
+  narrationAudio,
   audioFile,
+  captions = [],
+  eobSummary = null,
+  flaggedFields = [],
   videoConfig = {}
 }) => {
   const [animationTimeline, setAnimationTimeline] = useState([]);
@@ -20,9 +28,9 @@ const VideoComposition = ({
   const handle = useRef(null);
 
   const {
-    width = 1920,
-    height = 1080,
-    fps = 30,
+    width = APP_CONFIG.VIDEO.DEFAULT_WIDTH,
+    height = APP_CONFIG.VIDEO.DEFAULT_HEIGHT,
+    fps = APP_CONFIG.VIDEO.DEFAULT_FPS,
     durationInFrames = 600
   } = videoConfig;
 
@@ -78,7 +86,9 @@ const VideoComposition = ({
       <DocumentPresentation
         htmlContent={htmlContent}
         animationTimeline={animationTimeline}
-        currentSectionIndex={0} // This would be controlled by Remotion's frame system
+        captions={captions}
+        eobSummary={eobSummary}
+        flaggedFields={flaggedFields}
         onElementBoundsUpdate={handleElementBoundsUpdate}
       />
     );
@@ -108,36 +118,9 @@ const VideoComposition = ({
       }}
     >
       {renderComposition()}
+      <NarrationAudio narrationAudio={narrationAudio || (audioFile ? [{ src: audioFile, startTime: 0 }] : [])} />
     </div>
   );
 };
 
-/**
- * Main Video Composition Component for Remotion
- * This is the root component that Remotion will render
- */
-export const MainVideoComposition = ({ 
-  htmlContent, 
-  narrationMappings, 
-  audioFile,
-  videoConfig = {}
-}) => {
-  return (
-    <Composition
-      id="DocumentPresentation"
-      component={VideoComposition}
-      durationInFrames={videoConfig.durationInFrames || 600}
-      fps={videoConfig.fps || 30}
-      width={videoConfig.width || 1920}
-      height={videoConfig.height || 1080}
-      defaultProps={{
-        htmlContent,
-        narrationMappings,
-        audioFile,
-        videoConfig
-      }}
-    />
-  );
-};
-
 export default VideoComposition;
\ No newline at end of file
@@ -0,0 +1,82 @@
+import { getEnvVar } from '../../utils/envChecker.js';
+
+/**
+ * Checks whether the app should call the API server (server/) instead of Azure/OpenAI directly
+ * @returns {boolean} True when VITE_USE_API_SERVER=true
+ */
+export const isApiServerEnabled = () => {
+  return getEnvVar('VITE_USE_API_SERVER', 'false') === 'true';
+};
+
+/**
+ * API Client
+ * Small fetch wrapper for the API server that holds the Azure/OpenAI credentials
+ */
+class ApiClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.baseUrl - Server origin (defaults to VITE_API_BASE_URL, or same origin)
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl ?? getEnvVar('VITE_API_BASE_URL', '')).replace(/\/$/, '');
+  }
+
+  /**
+   * Sends a request and throws with the server's error message on failure
+   * @param {string} path - Endpoint path (e.g. /api/narrate)
+   * @param {Object} init - fetch options
+   * @returns {Promise<Response>} Successful response
+   */
+  async request(path, init = {}) {
+    const response = await fetch(`${this.baseUrl}${path}`, { method: 'POST', ...init });
+
+    if (!response.ok) {
+      let message = response.statusText;
+      try {
+        const body = await response.json();
+        message = body.error || message;
+      } catch {
+        // Non-JSON error body, keep the status text
+      }
+      throw new Error(`API error: ${response.status} - ${message}`);
+    }
+
+    return response;
+  }
+
+  /**
+   * Posts JSON and returns the parsed JSON response
+   */
+  async postJSON(path, data) {
+    const response = await this.request(path, {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+    return await response.json();
+  }
+
+  /**
+   * Posts raw bytes (e.g. a PDF) and returns the parsed JSON response
+   */
+  async postBinary(path, bytes, contentType = 'application/octet-stream') {
+    const response = await this.request(path, {
+      headers: { 'Content-Type': contentType },
+      body: bytes
+    });
+    return await response.json();
+  }
+
+  /**
+   * Posts JSON and returns the binary response (e.g. synthesized audio)
+   * @returns {Promise<{data: ArrayBuffer, headers: Headers}>} Response body and headers
+   */
+  async postJSONForBinary(path, data) {
+    const response = await this.request(path, {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+    return { data: await response.arrayBuffer(), headers: response.headers };
+  }
+}
+
+export default ApiClient;
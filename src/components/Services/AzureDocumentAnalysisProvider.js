@@ -0,0 +1,43 @@
+import { DocumentAnalysisClient, AzureKeyCredential } from '@azure/ai-form-recognizer';
+import DocumentAnalysisProvider, { normalizeAnalysisResult } from './DocumentAnalysisProvider.js';
+import { getEnvVar } from '../../utils/envChecker.js';
+
+/**
+ * Azure Document Analysis Provider
+ * Runs analysis through Azure Document Intelligence
+ */
+class AzureDocumentAnalysisProvider extends DocumentAnalysisProvider {
+  /**
+   * @param {Object} config - Optional credentials (defaults to environment variables)
+   * @param {string} config.endpoint - Azure Document Intelligence endpoint
+   * @param {string} config.key - Azure Document Intelligence key
+   */
+  constructor(config = {}) {
+    super('azure');
+    this.endpoint = config.endpoint || getEnvVar('VITE_AZURE_DOCUMENT_INTELLIGENCE_ENDPOINT');
+    this.key = config.key || getEnvVar('VITE_AZURE_DOCUMENT_INTELLIGENCE_KEY');
+
+    if (!this.endpoint || !this.key) {
+      throw new Error(`Azure Document Intelligence credentials not configured. Endpoint: ${this.endpoint ? 'Set' : 'Missing'}, Key: ${this.key ? 'Set' : 'Missing'}`);
+    }
+
+    this.client = new DocumentAnalysisClient(
+      this.endpoint,
+      new AzureKeyCredential(this.key)
+    );
+  }
+
+  /**
+   * Analyzes a PDF document using Azure Document Intelligence
+   * @param {Uint8Array|ArrayBuffer} pdfBuffer - PDF file as byte array
+   * @param {string} model - Model to use for analysis (default: prebuilt-document)
+   * @returns {Promise<Object>} Normalized analysis result
+   */
+  async analyze(pdfBuffer, model = 'prebuilt-document') {
+    const poller = await this.client.beginAnalyzeDocument(model, pdfBuffer);
+    const result = await poller.pollUntilDone();
+    return normalizeAnalysisResult(result);
+  }
+}
+
+export default AzureDocumentAnalysisProvider;
@@ -1,45 +1,42 @@
-import { DocumentAnalysisClient, AzureKeyCredential } from '@azure/ai-form-recognizer';
+import createDocumentAnalysisProvider from './documentAnalysisProviderFactory.js';
+import { getContentCache } from './ContentCache.js';
 
 /**
  * Azure Document Intelligence Service
  * Handles PDF analysis and document structure extraction
  */
 class AzureDocumentIntelligence {
-  constructor() {
-    this.endpoint = import.meta.env.VITE_AZURE_DOCUMENT_INTELLIGENCE_ENDPOINT;
-    this.key = import.meta.env.VITE_AZURE_DOCUMENT_INTELLIGENCE_KEY;
-    
-    console.log('Environment variables:', {
-      endpoint: this.endpoint ? 'Set' : 'Not set',
-      key: this.key ? 'Set' : 'Not set',
-      allEnv: import.meta.env
-    });
-    
-    if (!this.endpoint || !this.key) {
-      throw new Error(`Azure Document Intelligence credentials not configured. Endpoint: ${this.endpoint ? 'Set' : 'Missing'}, Key: ${this.key ? 'Set' : 'Missing'}`);
-    }
-    
-    this.client = new DocumentAnalysisClient(
-      this.endpoint, 
-      new AzureKeyCredential(this.key)
-    );
+  /**
+   * @param {Object} options - Service options
+   * @param {DocumentAnalysisProvider} options.provider - Analysis provider (defaults to the configured one)
+   * @param {ContentCache} options.cache - Result cache (defaults to the shared content cache)
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || createDocumentAnalysisProvider();
+    this.cache = options.cache || getContentCache();
+    console.log(`Document analysis provider: ${this.provider.name}`);
   }
 
   /**
-   * Analyzes a PDF document using Azure Document Intelligence
+   * Analyzes a PDF document using the configured analysis provider
    * @param {Uint8Array} pdfBuffer - PDF file as byte array
    * @param {string} model - Model to use for analysis (default: prebuilt-document)
    * @returns {Promise<Object>} Analysis results
    */
   async analyzeDocument(pdfBuffer, model = 'prebuilt-document') {
     try {
-      console.log('Starting document analysis with Azure Document Intelligence...');
+      console.log(`Starting document analysis with ${this.provider.name} provider...`);
       
-      const poller = await this.client.beginAnalyzeDocument(model, pdfBuffer);
-      const result = await poller.pollUntilDone();
+      const { value: result, hit } = await this.cache.resolve(
+        'analysis',
+        { pdf: pdfBuffer, model, provider: this.provider.name },
+        () => this.provider.analyze(pdfBuffer, model)
+      );
       
-      console.log('Document analysis completed successfully');
-      return this.processAnalysisResult(result);
+      console.log(`Document analysis completed successfully${hit ? ' (cached)' : ''}`);
+      const processed = this.processAnalysisResult(result);
+      processed.metadata.fromCache = hit;
+      return processed;
       
     } catch (error) {
       console.error('Error analyzing document:', error);
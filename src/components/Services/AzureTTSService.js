@@ -1,15 +1,32 @@
+import * as SpeechSDK from 'microsoft-cognitiveservices-speech-sdk';
+import { getContentCache } from './ContentCache.js';
+import { getEnvVar } from '../../utils/envChecker.js';
+import { hashContent } from '../../utils/contentHash.js';
+import { buildSSML, getStepSSMLOptions } from '../../utils/ssmlBuilder.js';
+import { alignWordBoundaries, ticksToSeconds } from '../../utils/wordTiming.js';
+
+const OUTPUT_FORMAT = 'audio-16khz-128kbitrate-mono-mp3';
+const OUTPUT_FORMAT_SDK = 'Audio16Khz128KBitRateMonoMp3';
+
 /**
  * Azure Text-to-Speech Service
  * Generates high-quality audio narration for presentation steps
  */
 
 class AzureTTSService {
-  constructor() {
-    this.subscriptionKey = import.meta.env.VITE_AZURE_SPEECH_KEY;
-    this.region = import.meta.env.VITE_AZURE_SPEECH_REGION || 'eastus';
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.subscriptionKey - Azure Speech key (defaults to VITE_AZURE_SPEECH_KEY)
+   * @param {string} options.region - Azure Speech region (defaults to VITE_AZURE_SPEECH_REGION)
+   * @param {ContentCache} options.cache - Audio cache (defaults to the shared content cache)
+   * @param {string} options.voice - Narrative voice name (defaults to VITE_AZURE_SPEECH_VOICE, else picked per narrative)
+   */
+  constructor(options = {}) {
+    this.subscriptionKey = options.subscriptionKey || getEnvVar('VITE_AZURE_SPEECH_KEY');
+    this.region = options.region || getEnvVar('VITE_AZURE_SPEECH_REGION', 'eastus');
     this.endpoint = `https://${this.region}.tts.speech.microsoft.com/`;
     
-    if (!this.subscriptionKey) {
+    if (!this.subscriptionKey && this.requiresCredentials()) {
       throw new Error('Azure Speech Service key not configured');
     }
 
@@ -18,6 +35,15 @@ class AzureTTSService {
     this.isPlaying = false;
     this.availableVoices = this.getAvailableVoices();
     this.currentNarrativeVoice = null; // Store voice for entire narrative
+    this.defaultVoiceName = options.voice || getEnvVar('VITE_AZURE_SPEECH_VOICE');
+    this.cache = options.cache || getContentCache();
+  }
+
+  /**
+   * Whether this service calls Azure Speech directly (remote subclasses do not)
+   */
+  requiresCredentials() {
+    return true;
   }
 
   /**
@@ -54,8 +80,9 @@ class AzureTTSService {
         console.log(`🎭 Step ${step.stepNumber} using voice: ${voiceToUse.displayName}`);
       }
       
-      const audioData = await this.synthesizeSpeech(step.narrative, {
+      const { audioData, words, audioDuration, fromCache } = await this.resolveSpeech(step.narrative, {
         ...options,
+        ...getStepSSMLOptions(step),
         voice: voiceToUse.name
       });
       
@@ -64,8 +91,11 @@ class AzureTTSService {
         stepNumber: step.stepNumber,
         audioData: audioData,
         duration: step.duration,
+        audioDuration,
+        words,
         text: step.narrative,
-        voice: voiceToUse
+        voice: voiceToUse,
+        fromCache
       };
 
     } catch (error) {
@@ -94,9 +124,12 @@ class AzureTTSService {
       }
 
       // Set voice for entire narrative if not already set
-      if (!this.currentNarrativeVoice || options.randomizeVoice) {
+      if (options.randomizeVoice) {
         this.currentNarrativeVoice = this.getRandomVoice();
         console.log(`🎭 Selected voice: ${this.currentNarrativeVoice.displayName}`);
+      } else if (!this.currentNarrativeVoice) {
+        this.currentNarrativeVoice = await this.selectNarrativeVoice(narrativeScript);
+        console.log(`🎭 Selected voice: ${this.currentNarrativeVoice.displayName}`);
       }
 
       const audioSteps = [];
@@ -112,23 +145,73 @@ class AzureTTSService {
         }
         
         // Small delay between requests to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100));
+        if (!audioResult.fromCache) {
+          await new Promise(resolve => setTimeout(resolve, 100));
+        }
       }
 
-      const successCount = audioSteps.filter(step => step.success).length;
+      const cachedCount = audioSteps.filter(step => step.fromCache).length;
+      if (cachedCount > 0) {
+        console.log(`💾 Reused cached audio for ${cachedCount}/${audioSteps.length} steps`);
+      }
       
+      return this.summarizeNarrativeAudio(narrativeScript, audioSteps, totalDuration);
+
+    } catch (error) {
+      console.error('❌ Error generating narrative audio:', error);
       return {
-        success: successCount > 0,
-        title: narrativeScript.title,
-        totalSteps: narrativeScript.steps.length,
-        successSteps: successCount,
-        totalDuration: totalDuration,
-        audioSteps: audioSteps,
-        readyToPlay: successCount === narrativeScript.steps.length
+        success: false,
+        error: error.message,
+        audioSteps: []
       };
+    }
+  }
+
+  /**
+   * Regenerate audio for an edited narrative script, synthesizing only the steps that changed
+   * @param {Object} narrativeScript - Edited narrative script
+   * @param {Array} previousAudioSteps - Audio results in the edited step order; null entries are synthesized again
+   * @param {Object} options - TTS options
+   * @returns {Promise<Object>} Complete audio generation result (same shape as generateNarrativeAudio)
+   */
+  async updateNarrativeAudio(narrativeScript, previousAudioSteps = [], options = {}) {
+    try {
+      if (!narrativeScript || !narrativeScript.steps) {
+        throw new Error('Invalid narrative script provided');
+      }
+
+      // Keep the voice the rest of the narrative was spoken with
+      const reused = previousAudioSteps.find(audioStep => audioStep && audioStep.voice);
+      if (!this.currentNarrativeVoice) {
+        this.currentNarrativeVoice = reused ? reused.voice : await this.selectNarrativeVoice(narrativeScript);
+      }
+
+      const audioSteps = [];
+      let totalDuration = 0;
+      let synthesizedCount = 0;
+
+      for (const [index, step] of narrativeScript.steps.entries()) {
+        const previous = previousAudioSteps[index];
+        let audioResult;
+
+        if (previous && previous.success) {
+          audioResult = { ...previous, stepNumber: step.stepNumber, duration: step.duration };
+        } else {
+          audioResult = await this.generateStepAudio(step, options);
+          synthesizedCount++;
+        }
+        audioSteps.push(audioResult);
+
+        if (audioResult.success) {
+          totalDuration += step.duration || 5;
+        }
+      }
+
+      console.log(`🎵 Re-synthesized ${synthesizedCount}/${audioSteps.length} edited steps`);
+      return this.summarizeNarrativeAudio(narrativeScript, audioSteps, totalDuration);
 
     } catch (error) {
-      console.error('❌ Error generating narrative audio:', error);
+      console.error('❌ Error updating narrative audio:', error);
       return {
         success: false,
         error: error.message,
@@ -137,6 +220,25 @@ class AzureTTSService {
     }
   }
 
+  /**
+   * Builds the narrative audio result from per-step results
+   */
+  summarizeNarrativeAudio(narrativeScript, audioSteps, totalDuration) {
+    const successCount = audioSteps.filter(step => step.success).length;
+    const cachedCount = audioSteps.filter(step => step.fromCache).length;
+
+    return {
+      success: successCount > 0,
+      title: narrativeScript.title,
+      totalSteps: narrativeScript.steps.length,
+      successSteps: successCount,
+      totalDuration: totalDuration,
+      audioSteps: audioSteps,
+      cachedSteps: cachedCount,
+      readyToPlay: successCount === narrativeScript.steps.length
+    };
+  }
+
   /**
    * Synthesize speech using Azure TTS
    * @param {string} text - Text to convert to speech
@@ -144,40 +246,108 @@ class AzureTTSService {
    * @returns {Promise<ArrayBuffer>} Audio data
    */
   async synthesizeSpeech(text, options = {}) {
-    const {
-      voice = 'en-US-AriaNeural',
-      rate = '0%',
-      pitch = '0%',
-      volume = '100%'
-    } = options;
-
-    // SSML for better control over speech synthesis
-    const ssml = `
-      <speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="en-US">
-        <voice name="${voice}">
-          <prosody rate="${rate}" pitch="${pitch}" volume="${volume}">
-            ${text}
-          </prosody>
-        </voice>
-      </speak>
-    `;
-
-    const response = await fetch(`${this.endpoint}cognitiveservices/v1`, {
-      method: 'POST',
-      headers: {
-        'Ocp-Apim-Subscription-Key': this.subscriptionKey,
-        'Content-Type': 'application/ssml+xml',
-        'X-Microsoft-OutputFormat': 'audio-16khz-128kbitrate-mono-mp3'
-      },
-      body: ssml
-    });
+    const { audioData } = await this.resolveSpeech(text, options);
+    return audioData;
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`TTS API error: ${response.status} - ${errorText}`);
-    }
+  /**
+   * Synthesize speech and return word-level timing alongside the audio
+   * @param {string} text - Text to convert to speech
+   * @param {Object} options - TTS options
+   * @returns {Promise<Object>} { audioData, audioBlob, audioUrl, duration, words }
+   */
+  async generateSpeechWithTiming(text, options = {}) {
+    const { audioData, words, audioDuration } = await this.resolveSpeech(text, options);
+    const audioBlob = typeof Blob !== 'undefined' ? new Blob([audioData], { type: 'audio/mpeg' }) : null;
+
+    return {
+      audioData,
+      audioBlob,
+      audioUrl: audioBlob && typeof URL.createObjectURL === 'function' ? URL.createObjectURL(audioBlob) : null,
+      duration: audioDuration,
+      words
+    };
+  }
+
+  /**
+   * Synthesize speech, reusing cached audio for identical SSML
+   * @param {string} text - Text to convert to speech
+   * @param {Object} options - TTS options
+   * @returns {Promise<Object>} { audioData, words, audioDuration, fromCache }
+   */
+  async resolveSpeech(text, options = {}) {
+    const ssml = this.buildSSML(text, options);
+
+    const { value, hit } = await this.cache.resolve(
+      'tts',
+      { ssml, region: this.region, outputFormat: OUTPUT_FORMAT, timing: 'word-boundaries' },
+      () => this.requestSpeech(ssml)
+    );
+
+    return {
+      // Hand out a copy so callers can transfer/detach it without corrupting the cache
+      audioData: value.audioData.slice(0),
+      words: alignWordBoundaries(text, value.boundaries),
+      audioDuration: value.audioDuration,
+      fromCache: hit
+    };
+  }
 
-    return await response.arrayBuffer();
+  /**
+   * Build the SSML document for a piece of text
+   * @param {string} text - Text to convert to speech (escaped by the builder)
+   * @param {Object} options - TTS options (voice, prosody, pauses, emphasis, currency)
+   * @returns {string} SSML document
+   */
+  buildSSML(text, options = {}) {
+    return buildSSML(text, options);
+  }
+
+  /**
+   * Synthesize SSML with the Speech SDK, collecting word boundaries as they are reported
+   * @param {string} ssml - SSML document
+   * @returns {Promise<Object>} { audioData, boundaries: [{ text, start, end }], audioDuration } (seconds)
+   */
+  async requestSpeech(ssml) {
+    const speechConfig = SpeechSDK.SpeechConfig.fromSubscription(this.subscriptionKey, this.region);
+    speechConfig.speechSynthesisOutputFormat = SpeechSDK.SpeechSynthesisOutputFormat[OUTPUT_FORMAT_SDK];
+
+    // No audio config: collect the bytes instead of playing them
+    const synthesizer = new SpeechSDK.SpeechSynthesizer(speechConfig, null);
+    const boundaries = [];
+
+    synthesizer.wordBoundary = (sender, event) => {
+      if (event.boundaryType !== SpeechSDK.SpeechSynthesisBoundaryType.Word) return;
+      const start = ticksToSeconds(event.audioOffset);
+      boundaries.push({
+        text: event.text,
+        start,
+        end: start + ticksToSeconds(event.duration)
+      });
+    };
+
+    return new Promise((resolve, reject) => {
+      synthesizer.speakSsmlAsync(
+        ssml,
+        result => {
+          synthesizer.close();
+          if (result.reason === SpeechSDK.ResultReason.SynthesizingAudioCompleted) {
+            resolve({
+              audioData: result.audioData,
+              boundaries,
+              audioDuration: ticksToSeconds(result.audioDuration)
+            });
+          } else {
+            const details = SpeechSDK.CancellationDetails.fromResult(result);
+            reject(new Error(`TTS API error: ${details.errorDetails || result.errorDetails || 'synthesis canceled'}`));
+          }
+        },
+        error => {
+          synthesizer.close();
+          reject(new Error(`TTS API error: ${error}`));
+        }
+      );
+    });
   }
 
   /**
@@ -379,6 +549,23 @@ class AzureTTSService {
     ];
   }
 
+  /**
+   * Picks the voice for a narrative: the configured voice, otherwise one derived from the narration text.
+   * The voice is part of the SSML (and so of the audio cache key), so the same document must get the same voice.
+   * @param {Object} narrativeScript - Narrative script
+   * @returns {Promise<Object>} Voice object
+   */
+  async selectNarrativeVoice(narrativeScript) {
+    if (this.defaultVoiceName) {
+      const configured = this.availableVoices.find(voice => voice.name === this.defaultVoiceName);
+      if (configured) return configured;
+      console.warn(`Voice '${this.defaultVoiceName}' not found. Choosing a voice from the narrative instead.`);
+    }
+
+    const seed = await hashContent(narrativeScript.steps.map(step => step.narrative));
+    return this.availableVoices[parseInt(seed.substring(0, 8), 16) % this.availableVoices.length];
+  }
+
   /**
    * Get a random voice from available voices
    * @returns {Object} Random voice object
@@ -393,7 +580,7 @@ class AzureTTSService {
    */
   resetNarrativeVoice() {
     this.currentNarrativeVoice = null;
-    console.log('🎭 Narrative voice reset - next generation will use random voice');
+    console.log('🎭 Narrative voice reset - next generation will choose its voice again');
   }
 
   /**
@@ -0,0 +1,348 @@
+import { hashContent, stableStringify } from '../../utils/contentHash.js';
+import { getEnvVar, isNodeRuntime } from '../../utils/envChecker.js';
+
+const DB_NAME = 'preper-content-cache';
+const STORE_NAME = 'entries';
+
+/**
+ * IndexedDB storage for the browser (handles ArrayBuffers natively)
+ */
+class IndexedDBCacheStore {
+  constructor(dbName = DB_NAME) {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+          store.createIndex('namespace', 'namespace');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async transaction(mode, run) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      const request = run(tx.objectStore(STORE_NAME));
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async get(namespace, key) {
+    const entry = await this.transaction('readonly', store => store.get(`${namespace}:${key}`));
+    return entry ? entry.value : undefined;
+  }
+
+  async set(namespace, key, value) {
+    await this.transaction('readwrite', store => store.put({
+      key: `${namespace}:${key}`,
+      namespace,
+      value,
+      createdAt: Date.now()
+    }));
+  }
+
+  async delete(namespace, key) {
+    await this.transaction('readwrite', store => store.delete(`${namespace}:${key}`));
+  }
+
+  async clear(namespace) {
+    if (!namespace) {
+      await this.transaction('readwrite', store => store.clear());
+      return;
+    }
+    await this.transaction('readwrite', store => {
+      const request = store.index('namespace').openKeyCursor(IDBKeyRange.only(namespace));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          store.delete(cursor.primaryKey);
+          cursor.continue();
+        }
+      };
+      return request;
+    });
+  }
+}
+
+/**
+ * JSON replacer/reviver pair that keeps binary audio intact on disk
+ */
+const toBase64 = (buffer) => Buffer.from(buffer).toString('base64');
+const fromBase64 = (text) => {
+  const bytes = Buffer.from(text, 'base64');
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+};
+
+const serializeValue = (value) => JSON.stringify(value, (key, item) => {
+  if (item instanceof ArrayBuffer) {
+    return { __cacheType: 'ArrayBuffer', base64: toBase64(item) };
+  }
+  if (ArrayBuffer.isView(item)) {
+    return { __cacheType: 'Uint8Array', base64: toBase64(new Uint8Array(item.buffer, item.byteOffset, item.byteLength)) };
+  }
+  return item;
+});
+
+const deserializeValue = (text) => JSON.parse(text, (key, item) => {
+  if (item && item.__cacheType === 'ArrayBuffer') return fromBase64(item.base64);
+  if (item && item.__cacheType === 'Uint8Array') return new Uint8Array(fromBase64(item.base64));
+  return item;
+});
+
+/**
+ * File storage for Node: <directory>/<namespace>/<key>.json
+ */
+class FileSystemCacheStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  async paths(namespace, key) {
+    const { join } = await import('node:path');
+    const namespaceDir = join(this.directory, namespace);
+    return { namespaceDir, filePath: key ? join(namespaceDir, `${key}.json`) : null };
+  }
+
+  async get(namespace, key) {
+    const { readFile } = await import('node:fs/promises');
+    const { filePath } = await this.paths(namespace, key);
+    try {
+      return deserializeValue(await readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+  }
+
+  async set(namespace, key, value) {
+    const { mkdir, writeFile } = await import('node:fs/promises');
+    const { namespaceDir, filePath } = await this.paths(namespace, key);
+    await mkdir(namespaceDir, { recursive: true });
+    await writeFile(filePath, serializeValue(value));
+  }
+
+  async delete(namespace, key) {
+    const { rm } = await import('node:fs/promises');
+    const { filePath } = await this.paths(namespace, key);
+    await rm(filePath, { force: true });
+  }
+
+  async clear(namespace) {
+    const { rm } = await import('node:fs/promises');
+    const { join } = await import('node:path');
+    await rm(namespace ? join(this.directory, namespace) : this.directory, { recursive: true, force: true });
+  }
+}
+
+/**
+ * In-memory storage used when nothing persistent is available
+ */
+class MemoryCacheStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(namespace, key) {
+    return this.entries.get(`${namespace}:${key}`);
+  }
+
+  async set(namespace, key, value) {
+    this.entries.set(`${namespace}:${key}`, value);
+  }
+
+  async delete(namespace, key) {
+    this.entries.delete(`${namespace}:${key}`);
+  }
+
+  async clear(namespace) {
+    if (!namespace) {
+      this.entries.clear();
+      return;
+    }
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(`${namespace}:`)) this.entries.delete(key);
+    }
+  }
+}
+
+/**
+ * Content Cache Service
+ * Caches expensive Azure/OpenAI results keyed by a hash of their inputs
+ * (PDF bytes, prompt, model, voice...), so re-processing the same document is free.
+ *
+ * Namespaces in use: 'analysis', 'narrative', 'tts'
+ */
+class ContentCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {Object} options.store - Storage backend (defaults to IndexedDB in the browser, disk in Node)
+   * @param {string} options.directory - Cache directory for the Node store
+   * @param {boolean} options.enabled - Set to false to bypass the cache entirely
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? getEnvVar('VITE_CONTENT_CACHE', 'on') !== 'off';
+    this.store = options.store || this.createDefaultStore(options.directory);
+    this.resetStats();
+  }
+
+  createDefaultStore(directory) {
+    if (isNodeRuntime()) {
+      return new FileSystemCacheStore(directory || getEnvVar('CONTENT_CACHE_DIR', '.cache/content'));
+    }
+    if (typeof indexedDB !== 'undefined') {
+      return new IndexedDBCacheStore();
+    }
+    return new MemoryCacheStore();
+  }
+
+  /**
+   * Builds the cache key for a set of inputs
+   * @param {Object} parts - Everything the cached result depends on (binary values are hashed first)
+   * @returns {Promise<string>} SHA-256 key
+   */
+  async buildKey(parts) {
+    const hashedParts = {};
+    for (const [name, value] of Object.entries(parts)) {
+      hashedParts[name] = value instanceof ArrayBuffer || ArrayBuffer.isView(value)
+        ? `sha256:${await hashContent(value)}`
+        : value;
+    }
+    return await hashContent(stableStringify(hashedParts));
+  }
+
+  /**
+   * Returns the cached value for the inputs, computing and storing it on a miss
+   * @param {string} namespace - Cache namespace (e.g. 'tts')
+   * @param {Object} parts - Inputs that identify the result
+   * @param {Function} compute - Async function producing the value on a miss
+   * @param {Object} options - Lookup options
+   * @param {Function} options.shouldCache - Return false to skip storing a computed value
+   * @returns {Promise<{value: *, hit: boolean, key: string}>} Value and whether it came from the cache
+   */
+  async resolve(namespace, parts, compute, options = {}) {
+    const { shouldCache = () => true } = options;
+
+    if (!this.enabled) {
+      return { value: await compute(), hit: false, key: null };
+    }
+
+    const key = await this.buildKey(parts);
+    const cached = await this.safely(() => this.store.get(namespace, key));
+
+    if (cached !== undefined) {
+      this.record(namespace, 'hits');
+      console.log(`💾 Cache hit (${namespace}) ${key.substring(0, 12)}`);
+      return { value: cached, hit: true, key };
+    }
+
+    this.record(namespace, 'misses');
+    const value = await compute();
+
+    if (value !== undefined && shouldCache(value)) {
+      await this.safely(() => this.store.set(namespace, key, value));
+      this.record(namespace, 'writes');
+    }
+
+    return { value, hit: false, key };
+  }
+
+  /**
+   * Same as resolve() but returns only the value
+   */
+  async getOrCompute(namespace, parts, compute, options = {}) {
+    const { value } = await this.resolve(namespace, parts, compute, options);
+    return value;
+  }
+
+  /**
+   * Removes the cached result for one set of inputs
+   * @param {string} namespace - Cache namespace
+   * @param {Object} parts - Inputs that identify the result
+   */
+  async invalidate(namespace, parts) {
+    const key = await this.buildKey(parts);
+    await this.store.delete(namespace, key);
+    console.log(`🗑️ Invalidated cache entry (${namespace}) ${key.substring(0, 12)}`);
+  }
+
+  /**
+   * Clears one namespace, or the whole cache when no namespace is given
+   * @param {string} namespace - Optional cache namespace
+   */
+  async clear(namespace) {
+    await this.store.clear(namespace);
+    console.log(`🗑️ Cleared ${namespace ? `${namespace} ` : ''}cache`);
+  }
+
+  /**
+   * Gets hit/miss counts since the last reset
+   * @returns {Object} Totals, hit rate and per-namespace counts
+   */
+  getStats() {
+    const namespaces = JSON.parse(JSON.stringify(this.stats));
+    const totals = Object.values(namespaces).reduce((sum, counts) => ({
+      hits: sum.hits + counts.hits,
+      misses: sum.misses + counts.misses,
+      writes: sum.writes + counts.writes
+    }), { hits: 0, misses: 0, writes: 0 });
+    const lookups = totals.hits + totals.misses;
+
+    return {
+      ...totals,
+      hitRate: lookups > 0 ? totals.hits / lookups : 0,
+      namespaces
+    };
+  }
+
+  resetStats() {
+    this.stats = {};
+  }
+
+  record(namespace, counter) {
+    if (!this.stats[namespace]) {
+      this.stats[namespace] = { hits: 0, misses: 0, writes: 0 };
+    }
+    this.stats[namespace][counter]++;
+  }
+
+  /**
+   * Runs a storage operation without letting storage failures break the pipeline
+   */
+  async safely(operation) {
+    try {
+      return await operation();
+    } catch (error) {
+      console.warn('⚠️ Content cache unavailable:', error.message);
+      return undefined;
+    }
+  }
+}
+
+let sharedCache = null;
+
+/**
+ * Gets the cache instance shared by all services
+ * @returns {ContentCache} Shared cache
+ */
+export const getContentCache = () => {
+  if (!sharedCache) {
+    sharedCache = new ContentCache();
+  }
+  return sharedCache;
+};
+
+export { IndexedDBCacheStore, FileSystemCacheStore, MemoryCacheStore };
+
+export default ContentCache;
@@ -0,0 +1,108 @@
+/**
+ * Document Analysis Provider
+ * Common interface for services that turn a PDF into a normalized analysis result.
+ *
+ * Implementations only need to provide analyze(buffer, model). The normalized result
+ * is plain JSON so it can be recorded to disk and replayed by the local fixture provider.
+ */
+class DocumentAnalysisProvider {
+  constructor(name = 'base') {
+    this.name = name;
+  }
+
+  /**
+   * Analyzes a PDF document
+   * @param {Uint8Array|ArrayBuffer} pdfBuffer - PDF file as byte array
+   * @param {string} model - Model to use for analysis (default: prebuilt-document)
+   * @returns {Promise<Object>} Normalized analysis result
+   */
+  async analyze(pdfBuffer, model = 'prebuilt-document') {
+    throw new Error(`Document analysis provider "${this.name}" does not implement analyze()`);
+  }
+}
+
+/**
+ * Extracts plain text from an Azure content field (string or { content })
+ */
+const contentOf = (field) => {
+  if (field === null || field === undefined) return '';
+  if (typeof field === 'string') return field;
+  return field.content || '';
+};
+
+/**
+ * Copies bounding regions into plain objects
+ */
+const normalizeBoundingRegions = (regions = []) => {
+  return regions.map(region => ({
+    pageNumber: region.pageNumber,
+    polygon: (region.polygon || []).map(point => ({ x: point.x, y: point.y }))
+  }));
+};
+
+/**
+ * Normalizes an Azure Document Intelligence result (or a recorded one) into plain JSON
+ * @param {Object} result - Raw analysis result
+ * @returns {Object} Normalized result with string keys/values and plain bounding regions
+ */
+export const normalizeAnalysisResult = (result = {}) => {
+  return {
+    modelId: result.modelId,
+    apiVersion: result.apiVersion,
+    content: result.content || '',
+    pages: (result.pages || []).map(page => ({
+      pageNumber: page.pageNumber,
+      width: page.width,
+      height: page.height,
+      unit: page.unit,
+      angle: page.angle || 0,
+      lines: (page.lines || []).map(line => ({
+        content: line.content,
+        polygon: (line.polygon || []).map(point => ({ x: point.x, y: point.y }))
+      })),
+      words: (page.words || []).map(word => ({
+        content: word.content,
+        confidence: word.confidence,
+        polygon: (word.polygon || []).map(point => ({ x: point.x, y: point.y }))
+      }))
+    })),
+    tables: (result.tables || []).map(table => ({
+      rowCount: table.rowCount,
+      columnCount: table.columnCount,
+      boundingRegions: normalizeBoundingRegions(table.boundingRegions),
+      cells: (table.cells || []).map(cell => ({
+        rowIndex: cell.rowIndex,
+        columnIndex: cell.columnIndex,
+        rowSpan: cell.rowSpan || 1,
+        columnSpan: cell.columnSpan || 1,
+        kind: cell.kind || 'content',
+        content: cell.content || '',
+        boundingRegions: normalizeBoundingRegions(cell.boundingRegions)
+      }))
+    })),
+    keyValuePairs: (result.keyValuePairs || []).map(pair => ({
+      key: contentOf(pair.key),
+      value: contentOf(pair.value),
+      confidence: pair.confidence,
+      boundingRegions: normalizeBoundingRegions(
+        pair.boundingRegions || [
+          ...(pair.key?.boundingRegions || []),
+          ...(pair.value?.boundingRegions || [])
+        ]
+      )
+    })),
+    paragraphs: (result.paragraphs || []).map(paragraph => ({
+      content: paragraph.content || '',
+      role: paragraph.role,
+      boundingRegions: normalizeBoundingRegions(paragraph.boundingRegions)
+    })),
+    styles: (result.styles || []).map(style => ({ ...style })),
+    documents: (result.documents || []).map(document => ({
+      docType: document.docType,
+      confidence: document.confidence,
+      fields: JSON.parse(JSON.stringify(document.fields || {}))
+    }))
+  };
+};
+
+export default DocumentAnalysisProvider;
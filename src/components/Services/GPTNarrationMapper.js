@@ -1,18 +1,34 @@
 import OpenAI from 'openai';
+import { getEnvVar, isNodeRuntime } from '../../utils/envChecker.js';
+import PIIRedactor from './PIIRedactor.js';
+import { describeHighlightTypes, resolveHighlightType } from '../../utils/highlightStyles.js';
+import { getTransitionTypes, resolveTransitionType } from '../../utils/cameraTransitions.js';
 
 /**
  * GPT-4o Narration Mapper Service
  * Maps narration text to specific HTML elements for video animations
  * 
- * SECURITY NOTE: This service uses dangerouslyAllowBrowser: true
- * This is required for browser environments but exposes API keys to client-side code.
- * In production, consider using a backend proxy to protect API credentials.
+ * SECURITY NOTE: Used directly in the browser this service exposes the API key.
+ * Set VITE_USE_API_SERVER=true to go through the API server (server/) instead;
+ * see RemoteNarrationMapper.
  */
 class GPTNarrationMapper {
-  constructor() {
-    const apiKey = import.meta.env.VITE_AZURE_OPENAI_API_KEY;
-    const endpoint = import.meta.env.VITE_AZURE_OPENAI_ENDPOINT;
-    const deploymentName = import.meta.env.VITE_AZURE_OPENAI_DEPLOYMENT_NAME;
+  /**
+   * @param {Object} options - Mapper options
+   * @param {string} options.apiKey - Azure OpenAI key (defaults to VITE_AZURE_OPENAI_API_KEY)
+   * @param {string} options.endpoint - Azure OpenAI endpoint (defaults to VITE_AZURE_OPENAI_ENDPOINT)
+   * @param {string} options.deploymentName - Deployment to use (defaults to VITE_AZURE_OPENAI_DEPLOYMENT_NAME)
+   * @param {Object} options.redaction - PIIRedactor options ({ enabled, entities })
+   */
+  constructor(options = {}) {
+    const apiKey = options.apiKey || getEnvVar('VITE_AZURE_OPENAI_API_KEY');
+    const endpoint = options.endpoint || getEnvVar('VITE_AZURE_OPENAI_ENDPOINT');
+    const deploymentName = options.deploymentName || getEnvVar('VITE_AZURE_OPENAI_DEPLOYMENT_NAME');
+
+    this.deploymentName = deploymentName;
+    this.redactionOptions = options.redaction || {};
+
+    if (!this.requiresCredentials()) return;
     
     console.log('OpenAI Environment variables:', {
       apiKey: apiKey ? 'Set' : 'Not set',
@@ -31,28 +47,48 @@ class GPTNarrationMapper {
       defaultHeaders: {
         'api-key': apiKey,
       },
-      dangerouslyAllowBrowser: true, // Required for browser environment
+      dangerouslyAllowBrowser: !isNodeRuntime(), // Browser use without the API server exposes the key
     });
   }
 
+  /**
+   * Whether this mapper talks to Azure OpenAI directly (remote subclasses do not)
+   */
+  requiresCredentials() {
+    return true;
+  }
+
   /**
    * Maps narration phrases to HTML elements using GPT-4o
    * @param {string} narration - The narration text to analyze
    * @param {string} htmlWithIds - HTML content with semantic IDs
    * @param {Array} elementIds - Array of available element IDs
-   * @returns {Promise<Object>} Mapping results with timing and animation data
+   * @returns {Promise<Object>} Mapping results with timing and animation data (plus the redaction audit)
    */
   async mapNarrationToElements(narration, htmlWithIds, elementIds = []) {
-    try {
-      // Extract element IDs if not provided
-      if (elementIds.length === 0) {
-        elementIds = this.extractElementIds(htmlWithIds);
-      }
+    // Extract element IDs if not provided
+    if (elementIds.length === 0) {
+      elementIds = this.extractElementIds(htmlWithIds);
+    }
+
+    // Personal details in the narration never reach GPT; phrases get the originals back
+    const redactor = new PIIRedactor(this.redactionOptions);
+    const result = await this.requestMappings(redactor.redact(narration), elementIds);
+    return { ...redactor.restore(result), redaction: redactor.getAudit() };
+  }
 
+  /**
+   * Requests mappings from GPT-4o
+   * @param {string} narration - Redacted narration text
+   * @param {Array} elementIds - Available element IDs
+   * @returns {Promise<Object>} Mapping results with placeholders still in place
+   */
+  async requestMappings(narration, elementIds) {
+    try {
       const prompt = this.buildMappingPrompt(narration, elementIds);
       
       const response = await this.openai.chat.completions.create({
-        model: import.meta.env.VITE_AZURE_OPENAI_DEPLOYMENT_NAME,
+        model: this.deploymentName,
         messages: [
           {
             role: "system",
@@ -94,8 +130,8 @@ For each narration phrase, determine:
 1. The most relevant HTML element ID (must be from the list above)
 2. Appropriate zoom level (1.0-3.0, where 1.0 = full page, 3.0 = close-up)
 3. Duration in frames (30fps, so 30 frames = 1 second)
-4. Highlight style (border, spotlight, glow, or none)
-5. Transition type (smooth, instant, or fade)
+4. Highlight style: ${describeHighlightTypes()}, or none
+5. Transition type into the element (${getTransitionTypes().join(', ')}); smooth zooms out on its own when the element is far from the previous one
 
 Return JSON in this exact format:
 {
@@ -152,8 +188,8 @@ Guidelines:
         startFrame: mapping.startFrame || 0,
         duration: mapping.duration || 90,
         zoomLevel: Math.max(1.0, Math.min(3.0, mapping.zoomLevel || 2.0)),
-        highlightType: mapping.highlightType || 'border',
-        transitionType: mapping.transitionType || 'smooth',
+        highlightType: resolveHighlightType(mapping.highlightType),
+        transitionType: resolveTransitionType(mapping.transitionType),
         confidence: Math.max(0, Math.min(1, mapping.confidence || 0.8))
       };
     });
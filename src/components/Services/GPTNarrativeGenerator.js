@@ -1,18 +1,48 @@
 import OpenAI from 'openai';
-import AzureTTSService from './AzureTTSService';
+import AzureTTSService from './AzureTTSService.js';
+import { getContentCache } from './ContentCache.js';
+import PIIRedactor from './PIIRedactor.js';
+import { getEnvVar, isNodeRuntime } from '../../utils/envChecker.js';
+import {
+  NARRATIVE_RESPONSE_FORMAT,
+  parseNarrativeContent,
+  normalizeNarrative,
+  formatValidationErrors
+} from '../../utils/narrativeSchema.js';
+import { reconcileEOBSummary } from '../../utils/eobReconciliation.js';
+import { describeHighlightTypes } from '../../utils/highlightStyles.js';
+import { getTransitionTypes } from '../../utils/cameraTransitions.js';
 
 class GPTNarrativeGenerator {
-  constructor() {
-    const apiKey = import.meta.env.VITE_AZURE_OPENAI_API_KEY;
-    const endpoint = import.meta.env.VITE_AZURE_OPENAI_ENDPOINT;
-    const deploymentName = import.meta.env.VITE_AZURE_OPENAI_DEPLOYMENT_NAME || 'gpt-4o-latest-deployment';
+  /**
+   * @param {Object} options - Generator options
+   * @param {string} options.apiKey - Azure OpenAI key (defaults to VITE_AZURE_OPENAI_API_KEY)
+   * @param {string} options.endpoint - Azure OpenAI endpoint (defaults to VITE_AZURE_OPENAI_ENDPOINT)
+   * @param {string} options.deploymentName - Deployment to use (defaults to VITE_AZURE_OPENAI_DEPLOYMENT_NAME)
+   * @param {Object} options.ttsOptions - Options for the TTS service used by the multimedia helpers
+   * @param {ContentCache} options.cache - Response cache (defaults to the shared content cache)
+   * @param {number} options.maxRepairAttempts - Follow-up requests when a response fails validation (default: 1)
+   * @param {Object} options.redaction - PIIRedactor options ({ enabled, entities })
+   */
+  constructor(options = {}) {
+    const apiKey = options.apiKey || getEnvVar('VITE_AZURE_OPENAI_API_KEY');
+    const endpoint = options.endpoint || getEnvVar('VITE_AZURE_OPENAI_ENDPOINT');
+    const deploymentName = options.deploymentName || getEnvVar('VITE_AZURE_OPENAI_DEPLOYMENT_NAME', 'gpt-4o-latest-deployment');
+
+    this.deploymentName = deploymentName;
+    this.ttsOptions = options.ttsOptions || {};
+    this.ttsService = null;
+    this.cache = options.cache || getContentCache();
+    this.maxRepairAttempts = options.maxRepairAttempts ?? 1;
+    this.redactionOptions = options.redaction || {};
+
+    if (!this.requiresCredentials()) return;
 
     // Debug environment variables
     console.log('🔍 Environment Variables Debug:');
     console.log('API Key:', apiKey ? `${apiKey.substring(0, 10)}...` : 'NOT SET');
     console.log('Endpoint:', endpoint || 'NOT SET');
     console.log('Deployment:', deploymentName);
-    console.log('All env vars:', import.meta.env);
 
     if (!apiKey || !endpoint) {
       throw new Error(`Azure OpenAI credentials not configured. API Key: ${apiKey ? 'Set' : 'Missing'}, Endpoint: ${endpoint ? 'Set' : 'Missing'}`);
@@ -21,15 +51,29 @@ class GPTNarrativeGenerator {
     this.openai = new OpenAI({
       apiKey: apiKey,
       baseURL: `${endpoint.replace(/\/$/, '')}/openai/deployments/${deploymentName}`,
-      defaultQuery: { 'api-version': '2024-02-15-preview' },
+      defaultQuery: { 'api-version': '2024-08-01-preview' }, // First version with json_schema structured outputs
       defaultHeaders: {
         'api-key': apiKey,
       },
-      dangerouslyAllowBrowser: true, // Required for browser environment
+      dangerouslyAllowBrowser: !isNodeRuntime(), // Browser use without the API server exposes the key
     });
+  }
 
-    this.deploymentName = deploymentName;
-    this.ttsService = new AzureTTSService();
+  /**
+   * Whether this generator talks to Azure OpenAI directly (remote subclasses do not)
+   */
+  requiresCredentials() {
+    return true;
+  }
+
+  /**
+   * Lazily creates the TTS service so narrative-only callers don't need speech credentials
+   */
+  getTTSService() {
+    if (!this.ttsService) {
+      this.ttsService = new AzureTTSService(this.ttsOptions);
+    }
+    return this.ttsService;
   }
 
   /**
@@ -37,8 +81,39 @@ class GPTNarrativeGenerator {
    * @param {string} pdfText - Extracted text from PDF
    * @param {Array} semanticBlocks - Current semantic blocks for coordinate mapping
    * @returns {Promise<Object>} Narrative script with highlighting instructions
+   *   ({ success, narrative, rawResponse, fromCache, usedFallback, validationErrors, repairAttempts })
+   *   narrative.reconciliation holds the eobSummary checks (see reconcileEOBSummary)
+   *   redaction is the PIIRedactor audit of what was replaced before the text was sent
    */
   async generateNarrativeScript(pdfText, semanticBlocks) {
+    // Personal details never reach GPT; placeholders are swapped back in the narrative
+    const redactor = new PIIRedactor(this.redactionOptions);
+    const result = await this.requestNarrativeScript(redactor.redact(pdfText), redactor.redactBlocks(semanticBlocks));
+    if (!result.success) return result;
+
+    const redaction = redactor.getAudit();
+    if (redaction.total > 0) {
+      console.log(`🔒 Redacted ${redaction.total} PII occurrence(s) before sending:`, redaction.redactions.map(item => item.placeholder).join(', '));
+    }
+
+    const narrative = redactor.restore(result.narrative);
+
+    // Check the extracted amounts add up and come from the document before they're shown
+    narrative.reconciliation = reconcileEOBSummary(narrative.eobSummary, pdfText);
+    if (narrative.reconciliation.status === 'flagged') {
+      console.warn('⚠️ EOB summary failed reconciliation:', narrative.reconciliation.issues.map(issue => issue.message));
+    }
+
+    return { ...result, narrative, redaction };
+  }
+
+  /**
+   * Requests the narrative from GPT-4o (text and blocks are already redacted)
+   * @param {string} pdfText - Redacted PDF text
+   * @param {Array} semanticBlocks - Semantic blocks with redacted text
+   * @returns {Promise<Object>} Narrative result with placeholders still in place
+   */
+  async requestNarrativeScript(pdfText, semanticBlocks) {
     try {
       console.log('🎬 Generating narrative script with GPT-4o...');
       console.log('PDF Text Length:', pdfText.length);
@@ -46,12 +121,114 @@ class GPTNarrativeGenerator {
 
       const prompt = this.buildNarrativePrompt(pdfText, semanticBlocks);
       
-      const response = await this.openai.chat.completions.create({
+      const request = {
         model: this.deploymentName,
         messages: [
           {
             role: "system",
-            content: `You are an expert healthcare educator who explains Explanation of Benefits (EOB) documents in very simple language, like you are helping an elderly patient who may not be familiar with medical or insurance terms. 
+            content: this.getSystemPrompt()
+          },
+          {
+            role: "user",
+            content: prompt
+          }
+        ],
+        temperature: 0.7,
+        max_tokens: 2000,
+        response_format: NARRATIVE_RESPONSE_FORMAT
+      };
+
+      // Same PDF text, blocks, prompt and deployment → reuse the earlier (valid) GPT response
+      let repairAttempts = 0;
+      const { value: narrativeContent, hit } = await this.cache.resolve(
+        'narrative',
+        request,
+        async () => {
+          const result = await this.requestValidNarrative(request);
+          repairAttempts = result.repairAttempts;
+          return result.content;
+        },
+        { shouldCache: content => this.isParsableNarrative(content) }
+      );
+      console.log(`📝 GPT-4o Response${hit ? ' (cached)' : ''}:`, narrativeContent);
+
+      const { data, errors } = parseNarrativeContent(narrativeContent);
+      const usedFallback = errors.length > 0;
+      if (usedFallback) {
+        console.warn(`⚠️ Narrative failed schema validation after ${repairAttempts} repair attempt(s), using fallback:\n${formatValidationErrors(errors)}`);
+      }
+
+      const narrative = usedFallback
+        ? this.createFallbackNarrative(semanticBlocks)
+        : this.enhanceNarrative(normalizeNarrative(data), semanticBlocks);
+
+      return {
+        success: true,
+        narrative,
+        rawResponse: narrativeContent,
+        fromCache: hit,
+        usedFallback,
+        validationErrors: errors,
+        repairAttempts
+      };
+
+    } catch (error) {
+      console.error('❌ Error generating narrative script:', error);
+      return {
+        success: false,
+        error: error.message,
+        narrative: null
+      };
+    }
+  }
+
+  /**
+   * Requests a narrative and asks GPT to fix schema violations
+   * @param {Object} request - Chat completion request
+   * @returns {Promise<Object>} { content, errors, repairAttempts } for the last response
+   */
+  async requestValidNarrative(request) {
+    const response = await this.openai.chat.completions.create(request);
+    let content = response.choices[0].message.content;
+    let { errors } = parseNarrativeContent(content);
+    let repairAttempts = 0;
+
+    while (errors.length > 0 && repairAttempts < this.maxRepairAttempts) {
+      repairAttempts++;
+      console.warn(`⚠️ Narrative response failed schema validation, repair attempt ${repairAttempts}:\n${formatValidationErrors(errors)}`);
+
+      const repairResponse = await this.openai.chat.completions.create({
+        ...request,
+        temperature: 0,
+        messages: [
+          ...request.messages,
+          { role: 'assistant', content: content || '' },
+          { role: 'user', content: this.buildRepairPrompt(errors) }
+        ]
+      });
+      content = repairResponse.choices[0].message.content;
+      ({ errors } = parseNarrativeContent(content));
+    }
+
+    return { content, errors, repairAttempts };
+  }
+
+  /**
+   * Prompt asking GPT to correct its previous response
+   * @param {Array} errors - Validation errors [{ path, message }]
+   */
+  buildRepairPrompt(errors) {
+    return `Your previous response does not match the required JSON schema:
+${formatValidationErrors(errors)}
+
+Return the complete corrected JSON. Keep the content the same where it was valid. Respond with valid JSON only.`;
+  }
+
+  /**
+   * System prompt describing the narrator's role and tone
+   */
+  getSystemPrompt() {
+    return `You are an expert healthcare educator who explains Explanation of Benefits (EOB) documents in very simple language, like you are helping an elderly patient who may not be familiar with medical or insurance terms. 
 
             Your task:
             1. Read the EOB carefully and create a narration script that explains only the most important information, step by step
@@ -77,37 +254,14 @@ class GPTNarrativeGenerator {
             - Exact text to highlight from the document
             - The semantic block ID that matches the highlighted text
             
-            IMPORTANT: Also extract financial summary data for a sticky note display`
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 2000
-      });
-
-      const narrativeContent = response.choices[0].message.content;
-      console.log('📝 GPT-4o Response:', narrativeContent);
-
-      // Parse the response to extract structured data
-      const parsedNarrative = this.parseNarrativeResponse(narrativeContent, semanticBlocks);
-      
-      return {
-        success: true,
-        narrative: parsedNarrative,
-        rawResponse: narrativeContent
-      };
+            IMPORTANT: Also extract financial summary data for a sticky note display`;
+  }
 
-    } catch (error) {
-      console.error('❌ Error generating narrative script:', error);
-      return {
-        success: false,
-        error: error.message,
-        narrative: null
-      };
-    }
+  /**
+   * Checks whether a GPT response is a schema-valid narrative (only those are cached)
+   */
+  isParsableNarrative(content) {
+    return parseNarrativeContent(content).errors.length === 0;
   }
 
   /**
@@ -115,7 +269,7 @@ class GPTNarrativeGenerator {
    */
   buildNarrativePrompt(pdfText, semanticBlocks) {
     const blockTexts = semanticBlocks.map(block => 
-      `Block ${block.step}: "${block.text}" (ID: ${block.id})`
+      `Block ${block.step}: "${block.text}" (ID: ${block.id}${block.pageNumber ? `, Page: ${block.pageNumber}` : ''})`
     ).join('\n');
 
     return `Please analyze this EOB (Explanation of Benefits) document and create a simple, helpful narrative script for an elderly patient.
@@ -153,8 +307,21 @@ Please provide a JSON response with the following structure:
       "narrative": "Simple explanation of the medical services in very basic terms",
       "highlightText": "Exact text to highlight from the PDF",
       "highlightId": "semantic-block-id-to-highlight",
+      "pageNumber": 1,
       "duration": 6,
-      "importance": 0.95
+      "importance": 0.95,
+      "speech": {
+        "emphasis": ["Words or amounts to stress, e.g. '$30.00'"],
+        "pauseAfter": 500
+      },
+      "focusCues": [
+        {
+          "atText": "Words from this step's narrative where the view should move",
+          "highlightText": "Exact text from the PDF to show at that moment"
+        }
+      ],
+      "highlightType": "border",
+      "transitionType": "smooth"
     }
   ],
   "conclusion": "Warm conclusion with next steps"
@@ -187,55 +354,50 @@ Requirements:
    - Patient responsibility amount
    - Deductible and copay amounts
    - Format all amounts with dollar signs and proper formatting
+10. The document may span several pages (marked [Page N] in the PDF text). Cover the important
+    information on every page and set pageNumber to the page that holds each step's highlightText
+11. "speech" is optional (use null): list at most two phrases from the narrative to emphasize (usually the amount
+    the patient owes) and a pauseAfter in milliseconds (0-2000, or null) where a short pause helps understanding
+12. "focusCues" is optional (use null): when one step talks about two places on the page (e.g. the amount charged,
+    then the amount you owe), add a cue whose atText is copied word-for-word from the narrative and whose
+    highlightText is the exact PDF text to move to
+13. importance is between 0 and 1, duration is in seconds, and highlightId is null when no block ID fits
+14. "highlightType" is how the step's text is highlighted: ${describeHighlightTypes()}, or none.
+    Save pulse and spotlight for the one or two steps that matter most (usually what the patient owes); null leaves the default
+15. "transitionType" is how the view moves to the step's highlight: ${getTransitionTypes().join(', ')}. Use null (smooth) for
+    most steps; fade or slide suit a change of topic, zoom suits the final amount the patient owes
 
 Please respond with valid JSON only.`;
   }
 
   /**
-   * Parse GPT-4o response into structured narrative data
+   * Adds semantic block matches and totals to a validated narrative
    */
-  parseNarrativeResponse(response, semanticBlocks) {
-    try {
-      // Extract JSON from response (handle cases where GPT adds extra text)
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('No JSON found in GPT response');
-      }
-
-      const narrativeData = JSON.parse(jsonMatch[0]);
+  enhanceNarrative(narrativeData, semanticBlocks) {
+    const enhancedSteps = narrativeData.steps.map((step, index) => {
+      // Find the best matching semantic block for highlighting
+      const matchingBlock = this.findBestMatchingBlock(step.highlightText, semanticBlocks);
       
-      // Validate and enhance the narrative data
-      const enhancedSteps = narrativeData.steps.map((step, index) => {
-        // Find the best matching semantic block for highlighting
-        const matchingBlock = this.findBestMatchingBlock(step.highlightText, semanticBlocks);
-        
-        return {
-          ...step,
-          stepNumber: index + 1,
-          highlightId: matchingBlock ? matchingBlock.id : null,
-          highlightCoordinates: matchingBlock ? {
-            x: matchingBlock.x,
-            y: matchingBlock.y,
-            width: matchingBlock.width,
-            height: matchingBlock.height
-          } : null,
-          matched: !!matchingBlock
-        };
-      });
-
       return {
-        ...narrativeData,
-        steps: enhancedSteps,
-        totalDuration: enhancedSteps.reduce((total, step) => total + (step.duration || 5), 0),
-        eobSummary: narrativeData.eobSummary || this.createDefaultEOBSummary()
+        ...step,
+        stepNumber: index + 1,
+        highlightId: matchingBlock ? matchingBlock.id : null,
+        pageNumber: step.pageNumber || matchingBlock?.pageNumber || 1,
+        highlightCoordinates: matchingBlock ? {
+          x: matchingBlock.x,
+          y: matchingBlock.y,
+          width: matchingBlock.width,
+          height: matchingBlock.height
+        } : null,
+        matched: !!matchingBlock
       };
+    });
 
-    } catch (error) {
-      console.error('❌ Error parsing narrative response:', error);
-      
-      // Fallback: create a basic narrative from semantic blocks
-      return this.createFallbackNarrative(semanticBlocks);
-    }
+    return {
+      ...narrativeData,
+      steps: enhancedSteps,
+      totalDuration: enhancedSteps.reduce((total, step) => total + (step.duration || 5), 0)
+    };
   }
 
   /**
@@ -350,7 +512,7 @@ Please respond with valid JSON only.`;
       }
 
       // Then generate audio for the narrative
-      const audioResult = await this.ttsService.generateNarrativeAudio(narrativeResult.narrative);
+      const audioResult = await this.getTTSService().generateNarrativeAudio(narrativeResult.narrative);
       
       return {
         success: true,
@@ -375,7 +537,7 @@ Please respond with valid JSON only.`;
    */
   async generateAudioNarration(narrativeStep) {
     try {
-      const audioResult = await this.ttsService.generateStepAudio(narrativeStep);
+      const audioResult = await this.getTTSService().generateStepAudio(narrativeStep);
       return audioResult;
     } catch (error) {
       console.error('❌ Error generating audio narration:', error);
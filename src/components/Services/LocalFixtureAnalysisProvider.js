@@ -0,0 +1,103 @@
+import DocumentAnalysisProvider, { normalizeAnalysisResult } from './DocumentAnalysisProvider.js';
+import { hashContent } from '../../utils/contentHash.js';
+import { getEnvVar, isNodeRuntime } from '../../utils/envChecker.js';
+
+/**
+ * Local Fixture Analysis Provider
+ * Replays recorded analysis results so the pipeline runs offline and deterministically.
+ *
+ * Fixtures are looked up by the SHA-256 of the PDF bytes:
+ *   <sha256>.<model>.json  (model-specific recording)
+ *   <sha256>.json          (any model)
+ * In Node they are read from fixturesDir; in the browser they are fetched from fixturesUrl.
+ */
+class LocalFixtureAnalysisProvider extends DocumentAnalysisProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.fixturesDir - Directory with recorded results (Node)
+   * @param {string} config.fixturesUrl - Base URL with recorded results (browser)
+   */
+  constructor(config = {}) {
+    super('local');
+    this.fixturesDir = config.fixturesDir || getEnvVar('ANALYSIS_FIXTURES_DIR', 'public/fixtures/analysis');
+    this.fixturesUrl = (config.fixturesUrl || getEnvVar('VITE_ANALYSIS_FIXTURES_URL', '/fixtures/analysis')).replace(/\/$/, '');
+  }
+
+  /**
+   * Gets the candidate fixture file names for a document hash and model
+   */
+  getFixtureNames(hash, model) {
+    return [`${hash}.${model}.json`, `${hash}.json`];
+  }
+
+  /**
+   * Replays a recorded analysis result for the given PDF
+   * @param {Uint8Array|ArrayBuffer} pdfBuffer - PDF file as byte array
+   * @param {string} model - Model the recording was made with
+   * @returns {Promise<Object>} Normalized analysis result
+   */
+  async analyze(pdfBuffer, model = 'prebuilt-document') {
+    const hash = await hashContent(pdfBuffer);
+
+    for (const fileName of this.getFixtureNames(hash, model)) {
+      const recorded = await this.readFixture(fileName);
+      if (recorded) {
+        console.log(`📼 Replaying recorded analysis ${fileName}`);
+        return normalizeAnalysisResult(recorded);
+      }
+    }
+
+    throw new Error(`No recorded analysis found for document ${hash} (model: ${model}). Record one with saveFixture() or switch VITE_DOCUMENT_ANALYSIS_PROVIDER to "azure".`);
+  }
+
+  /**
+   * Reads a fixture file, returning null when it does not exist
+   */
+  async readFixture(fileName) {
+    if (isNodeRuntime()) {
+      const { readFile } = await import('node:fs/promises');
+      const { join } = await import('node:path');
+      try {
+        return JSON.parse(await readFile(join(this.fixturesDir, fileName), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    }
+
+    const response = await fetch(`${this.fixturesUrl}/${fileName}`);
+    if (!response.ok) return null;
+
+    // Vite's dev server answers unknown paths with index.html
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('json')) return null;
+
+    return await response.json();
+  }
+
+  /**
+   * Records an analysis result so later runs can replay it (Node only)
+   * @param {Uint8Array|ArrayBuffer} pdfBuffer - PDF the result belongs to
+   * @param {Object} result - Raw or normalized analysis result
+   * @param {string} model - Model the result was produced with
+   * @returns {Promise<string>} Path of the written fixture
+   */
+  async saveFixture(pdfBuffer, result, model = 'prebuilt-document') {
+    if (!isNodeRuntime()) {
+      throw new Error('Recording fixtures is only supported in Node');
+    }
+
+    const { mkdir, writeFile } = await import('node:fs/promises');
+    const { join } = await import('node:path');
+    const hash = await hashContent(pdfBuffer);
+    const filePath = join(this.fixturesDir, `${hash}.${model}.json`);
+
+    await mkdir(this.fixturesDir, { recursive: true });
+    await writeFile(filePath, JSON.stringify(normalizeAnalysisResult(result), null, 2));
+
+    console.log(`💾 Recorded analysis fixture ${filePath}`);
+    return filePath;
+  }
+}
+
+export default LocalFixtureAnalysisProvider;
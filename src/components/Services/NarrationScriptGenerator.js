@@ -1,3 +1,7 @@
+import { APP_CONFIG } from '../../utils/constants.js';
+import { concatenateAudio, createWebAudioDecoder, encodeWav, DEFAULT_SAMPLE_RATE } from '../../utils/audioConcat.js';
+import { createNarrationMappings } from '../../utils/narrationTimeline.js';
+
 /**
  * Narration Script Generator
  * Creates timed narration segments for PowerPoint-style presentations
@@ -13,11 +17,10 @@ class NarrationScriptGenerator {
    */
   async initialize() {
     try {
-      const { default: AzureTTSService } = await import('./AzureTTSService.js');
-      const { default: GPTNarrationMapper } = await import('./GPTNarrationMapper.js');
+      const { createTTSService, createNarrationMapper } = await import('./serviceFactory.js');
       
-      this.ttsService = new AzureTTSService();
-      this.gptMapper = new GPTNarrationMapper();
+      this.ttsService = createTTSService();
+      this.gptMapper = createNarrationMapper();
     } catch (error) {
       console.error('Failed to initialize services:', error);
       throw error;
@@ -41,7 +44,9 @@ class NarrationScriptGenerator {
       rate = '0%',
       pitch = '0%',
       volume = '100%',
-      pauseBetweenSegments = 0.5 // seconds
+      pauseBetweenSegments = 0.5, // seconds
+      sampleRate = DEFAULT_SAMPLE_RATE,
+      decodeAudio // Optional (ArrayBuffer) => { sampleRate, channelData } for non-browser runtimes
     } = options;
 
     try {
@@ -67,7 +72,11 @@ class NarrationScriptGenerator {
 
       // Step 4: Calculate timing and create final script
       console.log('Calculating timing and creating final script...');
-      const finalScript = this.createFinalScript(audioSegments, htmlContent);
+      const finalScript = await this.createFinalScript(audioSegments, htmlContent, {
+        pauseBetweenSegments,
+        sampleRate,
+        decodeAudio
+      });
 
       return finalScript;
     } catch (error) {
@@ -145,41 +154,87 @@ class NarrationScriptGenerator {
 
   /**
    * Creates final script with combined audio and timing
+   * Segment times are taken from the combined track's offset table, so they match the audio exactly.
    */
-  createFinalScript(audioSegments, htmlContent) {
-    const totalDuration = audioSegments.reduce((total, segment) => {
-      return total + (segment.audioData?.duration || 0) + 0.5; // 0.5s pause between segments
-    }, 0);
+  async createFinalScript(audioSegments, htmlContent, options = {}) {
+    const fps = APP_CONFIG.VIDEO.DEFAULT_FPS;
+    const combinedAudio = await this.combineAudioSegments(audioSegments, options);
 
-    // Combine all audio segments into one file
-    const combinedAudio = this.combineAudioSegments(audioSegments);
+    const segments = audioSegments.map((segment, index) => {
+      const offset = combinedAudio.offsets[index];
+      return {
+        ...segment,
+        startTime: offset.start,
+        endTime: offset.end,
+        duration: offset.duration,
+        frameStart: Math.round(offset.start * fps),
+        frameEnd: Math.round(offset.end * fps)
+      };
+    });
 
     return {
-      segments: audioSegments,
-      totalDuration,
+      segments,
+      totalDuration: combinedAudio.duration,
       combinedAudio,
+      // Timeline for the Remotion compositions, aligned with combinedAudio
+      narrationMappings: createNarrationMappings(segments, fps),
       htmlContent,
       metadata: {
-        totalSegments: audioSegments.length,
-        totalFrames: Math.ceil(totalDuration * 30), // 30fps
+        totalSegments: segments.length,
+        totalFrames: Math.ceil(combinedAudio.duration * fps),
+        fps,
         generatedAt: new Date().toISOString()
       }
     };
   }
 
   /**
-   * Combines multiple audio segments into one
+   * Combines all audio segments into one WAV track with pauses between segments
+   * @param {Array} audioSegments - Segments from generateAudioForSegments
+   * @param {Object} options - { pauseBetweenSegments, sampleRate, decodeAudio }
+   * @returns {Promise<Object>} { audioData, audioBlob, audioUrl, duration, sampleRate, offsets }
+   *   offsets: [{ id, index, start, end, duration, hasAudio }] in seconds from the start of the track
    */
-  combineAudioSegments(audioSegments) {
-    // This is a simplified version - in production, use Web Audio API
-    // For now, return the first segment's audio
-    const validSegments = audioSegments.filter(segment => segment.audioData);
-    if (validSegments.length === 0) return null;
+  async combineAudioSegments(audioSegments, options = {}) {
+    const {
+      pauseBetweenSegments = 0.5,
+      sampleRate = DEFAULT_SAMPLE_RATE,
+      decodeAudio = createWebAudioDecoder(sampleRate)
+    } = options;
+
+    const decodedSegments = [];
+    for (const segment of audioSegments) {
+      let decoded = null;
+      if (segment.audioData?.audioData) {
+        try {
+          decoded = await decodeAudio(segment.audioData.audioData);
+        } catch (error) {
+          console.warn(`⚠️ Could not decode audio for ${segment.id}, using silence:`, error.message);
+        }
+      }
+
+      decodedSegments.push({
+        id: segment.id,
+        decoded,
+        // Keep the planned length for segments without audio so later offsets don't shift
+        fallbackDuration: segment.audioData?.duration || segment.duration || 0
+      });
+    }
+
+    const { samples, duration, offsets } = concatenateAudio(decodedSegments, { pauseBetweenSegments, sampleRate });
+    const audioData = encodeWav(samples, sampleRate);
+    const audioBlob = typeof Blob !== 'undefined' ? new Blob([audioData], { type: 'audio/wav' }) : null;
+    const audioUrl = audioBlob && typeof URL?.createObjectURL === 'function' ? URL.createObjectURL(audioBlob) : null;
+
+    console.log(`🔊 Combined ${offsets.length} segments into ${duration.toFixed(2)}s of audio`);
 
     return {
-      audioUrl: validSegments[0].audioUrl,
-      audioBlob: validSegments[0].audioBlob,
-      duration: validSegments.reduce((total, segment) => total + (segment.audioData?.duration || 0), 0)
+      audioData,
+      audioBlob,
+      audioUrl,
+      duration,
+      sampleRate,
+      offsets
     };
   }
 
@@ -206,6 +261,12 @@ class NarrationScriptGenerator {
   exportScript(script) {
     const exportData = {
       ...script,
+      combinedAudio: script.combinedAudio ? {
+        ...script.combinedAudio,
+        audioData: null, // Keep only the offset table
+        audioUrl: null,
+        audioBlob: null
+      } : null,
       segments: script.segments.map(segment => ({
         ...segment,
         audioData: null, // Remove audio data for export
@@ -0,0 +1,160 @@
+import GPTNarrativeGenerator from './GPTNarrativeGenerator.js';
+import OfflineTTSService from './OfflineTTSService.js';
+import { buildTextIndex } from '../../utils/textAlignment.js';
+
+const AMOUNT_PATTERN = /\$\s?\d[\d,]*(?:\.\d{2})?/;
+
+/**
+ * EOB lines the offline narrative explains, in the order a reader meets them.
+ * summaryField names the eobSummary amount taken from the matching line; highlightType is the
+ * style the line is highlighted in (see highlightStyles) and transitionType how the view moves to it
+ * (see cameraTransitions, smooth when not set).
+ */
+const EOB_LINE_RULES = [
+  {
+    pattern: /not a bill/i,
+    title: 'This Is Not a Bill',
+    narrative: () => 'First, the good news: this paper is not a bill. It explains how your insurance handled a visit.',
+    importance: 0.9,
+    highlightType: 'spotlight',
+    transitionType: 'fade'
+  },
+  {
+    pattern: /\b(amount billed|total charges?|provider charged|billed amount|charged)\b/i,
+    summaryField: 'totalCharged',
+    title: 'What Your Provider Charged',
+    narrative: amount => `Your provider charged ${amount || 'the amount shown here'} for this care.`,
+    importance: 0.85,
+    highlightType: 'underline'
+  },
+  {
+    pattern: /\b(plan paid|insurance paid|paid by (your )?plan|amount paid)\b/i,
+    summaryField: 'insurancePaid',
+    title: 'What Your Plan Paid',
+    narrative: amount => `Your plan paid ${amount || 'the amount shown here'} of that.`,
+    importance: 0.85,
+    highlightType: 'underline'
+  },
+  {
+    pattern: /\b(adjustments?|discounts?|plan savings)\b/i,
+    summaryField: 'adjustments',
+    title: 'Discounts and Adjustments',
+    narrative: amount => `Your plan's discount with the provider took off ${amount || 'the amount shown here'}.`,
+    importance: 0.7,
+    highlightType: 'border'
+  },
+  {
+    pattern: /\bdeductible\b/i,
+    summaryField: 'deductible',
+    title: 'Your Deductible',
+    narrative: amount => `${amount || 'This amount'} went toward your deductible, the part you pay before your plan starts paying.`,
+    importance: 0.75,
+    highlightType: 'glow'
+  },
+  {
+    pattern: /\bco-?pay(ment)?\b/i,
+    summaryField: 'copay',
+    title: 'Your Copay',
+    narrative: amount => `Your copay for this visit was ${amount || 'the amount shown here'}.`,
+    importance: 0.75,
+    highlightType: 'glow'
+  },
+  {
+    pattern: /\b(you (may )?owe|your (share|responsibility)|patient (responsibility|owes|balance)|amount (you owe|due)|balance due)\b/i,
+    summaryField: 'patientOwes',
+    title: 'What You May Owe',
+    narrative: amount => `The most important number: you may owe ${amount || 'the amount shown here'}. Wait for a bill from your provider before paying.`,
+    importance: 0.95,
+    highlightType: 'pulse',
+    transitionType: 'zoom'
+  }
+];
+
+const SECONDS_PER_WORD = 0.4;
+
+/**
+ * Offline Narrative Generator
+ * Same interface as GPTNarrativeGenerator, but the narrative is built from rules that look for
+ * the usual EOB lines (charges, plan paid, what you owe, ...) in the page text. Used by the batch
+ * CLI and for demos without Azure OpenAI; the output is deterministic for a given document.
+ */
+class OfflineNarrativeGenerator extends GPTNarrativeGenerator {
+  requiresCredentials() {
+    return false;
+  }
+
+  /**
+   * Builds the narrative from the text lines that match EOB_LINE_RULES
+   * @param {string} pdfText - Redacted PDF text
+   * @param {Array} semanticBlocks - Text items with coordinates and redacted text
+   * @returns {Promise<Object>} Narrative result in the GPTNarrativeGenerator shape
+   */
+  async requestNarrativeScript(pdfText, semanticBlocks) {
+    console.log('🎬 Generating narrative script offline...');
+
+    const lines = buildTextIndex(semanticBlocks).flatMap(page => page.lines.map(line => ({
+      pageNumber: page.pageNumber,
+      text: line.items.map(item => item.text).join(' ')
+    })));
+
+    const eobSummary = this.createDefaultEOBSummary();
+    const steps = [];
+
+    EOB_LINE_RULES.forEach(rule => {
+      const line = lines.find(candidate => rule.pattern.test(candidate.text));
+      if (!line) return;
+
+      const amount = line.text.match(AMOUNT_PATTERN)?.[0].replace(/\s/g, '') || null;
+      if (rule.summaryField && amount) {
+        eobSummary[rule.summaryField] = amount;
+      }
+
+      const narrative = rule.narrative(amount);
+      steps.push({
+        stepNumber: steps.length + 1,
+        title: rule.title,
+        narrative,
+        highlightText: line.text,
+        pageNumber: line.pageNumber,
+        duration: Math.max(3, Math.ceil(narrative.split(/\s+/).length * SECONDS_PER_WORD)),
+        importance: rule.importance,
+        highlightType: rule.highlightType,
+        transitionType: rule.transitionType,
+        ...(amount ? { speech: { emphasis: [amount] } } : {})
+      });
+    });
+
+    if (steps.length === 0) {
+      console.warn('⚠️ No EOB lines recognized offline, using fallback narrative');
+    }
+
+    const narrative = steps.length > 0
+      ? this.enhanceNarrative({
+        title: 'Understanding Your Explanation of Benefits',
+        introduction: 'Let me walk you through the most important parts of this statement.',
+        eobSummary,
+        steps,
+        conclusion: 'That covers the key numbers. Call the number on your card if anything looks wrong.'
+      }, semanticBlocks)
+      : this.createFallbackNarrative(semanticBlocks);
+
+    return {
+      success: true,
+      narrative,
+      rawResponse: null,
+      fromCache: false,
+      usedFallback: steps.length === 0,
+      validationErrors: [],
+      repairAttempts: 0
+    };
+  }
+
+  getTTSService() {
+    if (!this.ttsService) {
+      this.ttsService = new OfflineTTSService(this.ttsOptions);
+    }
+    return this.ttsService;
+  }
+}
+
+export default OfflineNarrativeGenerator;
@@ -0,0 +1,37 @@
+import AzureTTSService from './AzureTTSService.js';
+import { encodeWav } from '../../utils/audioConcat.js';
+import { estimateWordTimings } from '../../utils/wordTiming.js';
+
+const SAMPLE_RATE = 8000;
+const WORDS_PER_SECOND = 2.5; // Slow, clear narration pace
+
+/**
+ * Offline TTS Service
+ * Same interface as AzureTTSService, but every step gets silent WAV audio as long as the
+ * narration would take to speak, with estimated word timings. Lets presentations be built and
+ * timed without Azure Speech (batch CLI, demos); real speech can be added later by editing the project.
+ */
+class OfflineTTSService extends AzureTTSService {
+  requiresCredentials() {
+    return false;
+  }
+
+  /**
+   * Creates silent audio sized to the text
+   * @param {string} text - Text that would be spoken
+   * @returns {Promise<Object>} { audioData, words, audioDuration, fromCache }
+   */
+  async resolveSpeech(text) {
+    const wordCount = String(text || '').split(/\s+/).filter(Boolean).length;
+    const audioDuration = Math.max(1, wordCount / WORDS_PER_SECOND);
+
+    return {
+      audioData: encodeWav(new Float32Array(Math.round(audioDuration * SAMPLE_RATE)), SAMPLE_RATE),
+      words: estimateWordTimings(text, audioDuration),
+      audioDuration,
+      fromCache: false
+    };
+  }
+}
+
+export default OfflineTTSService;
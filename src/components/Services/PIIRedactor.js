@@ -0,0 +1,184 @@
+import { getEnvVar } from '../../utils/envChecker.js';
+import { DATE_PATTERN } from '../../utils/identifierPatterns.js';
+
+/**
+ * PII Redactor
+ * Swaps personal details in document text for stable placeholders (e.g. [MEMBER_ID_1])
+ * before the text is sent to GPT, and maps the placeholders back in the response.
+ *
+ * One redactor is used per document: the same value always gets the same placeholder,
+ * and values found in one text (e.g. "Member Name: Jane Doe" in the page text) are also
+ * replaced in later texts where they appear without a label (e.g. a semantic block).
+ */
+
+// Labels match in any case while names and dates after them stay case-sensitive
+const anyCase = (pattern) => pattern.replace(/[a-z]/g, letter => `[${letter}${letter.toUpperCase()}]`);
+// 2-4 capitalized words, stopping before the next field label ("JANE DOE Member ID: ...")
+const NEXT_LABEL = anyCase('(?:member|patient|subscriber|id|dob|date|group|policy|plan|claim|address|phone|account)');
+const NAME = String.raw`[A-Z][A-Za-z'.-]+(?: (?!${NEXT_LABEL}\b)[A-Z][A-Za-z'.-]+){1,3}`;
+
+const STREET_SUFFIX = String.raw`(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Circle|Cir|Parkway|Pkwy)`;
+
+/**
+ * Detectors per entity type. Patterns with a capture group redact only the group
+ * (the label, e.g. "DOB:", stays so GPT still understands the document).
+ */
+export const PII_ENTITIES = {
+  name: {
+    label: 'NAME',
+    patterns: [new RegExp(String.raw`\b${anyCase('(?:member|patient|subscriber|insured|policy ?holder)(?:[ \t]+name)?')}[ \t]*:[ \t]*(${NAME})`, 'g')]
+  },
+  memberId: {
+    label: 'MEMBER_ID',
+    // The value must contain a digit so "Member ID Information" isn't redacted, and either a letter
+    // or at least 5 characters so a year ("Policy No. 2024") isn't taken for an ID
+    patterns: [/\b(?:member|subscriber|patient|insured|policy|ID)[ \t]*(?:ID|number|no\.?|#)[ \t]*[:#]?[ \t]*(?=[A-Z0-9-]*\d)(?=[A-Z0-9-]*[A-Z]|[A-Z0-9-]{5})([A-Z0-9][A-Z0-9-]{3,})\b/gi]
+  },
+  dateOfBirth: {
+    label: 'DOB',
+    patterns: [new RegExp(String.raw`\b${anyCase('(?:date of birth|birth ?date|dob)')}[ \t]*[:#]?[ \t]*(${DATE_PATTERN})`, 'g')]
+  },
+  address: {
+    label: 'ADDRESS',
+    patterns: [new RegExp(String.raw`\b\d{1,6}[ \t]+(?:[A-Z][A-Za-z]*[ \t]+){1,4}${STREET_SUFFIX}\b\.?(?:,?[ \t]+(?:Apt|Suite|Unit|#)[ \t]*[\w-]+)?(?:,?[ \t]+[A-Z][A-Za-z]+(?:[ \t]+[A-Z][A-Za-z]+)*,[ \t]*[A-Z]{2}[ \t]+\d{5}(?:-\d{4})?)?`, 'g')]
+  },
+  ssn: {
+    label: 'SSN',
+    patterns: [/\b\d{3}-\d{2}-\d{4}\b/g]
+  },
+  phone: {
+    label: 'PHONE',
+    patterns: [/(?:\(\d{3}\)[ \t]?|\b\d{3}[-.])\d{3}[-.]\d{4}\b/g]
+  },
+  email: {
+    label: 'EMAIL',
+    patterns: [/\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g]
+  }
+};
+
+const PLACEHOLDER_PATTERN = /\[([A-Z_]+_\d+)\]/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Reads the entity list from VITE_PII_ENTITIES (comma-separated; default: all)
+ */
+const getConfiguredEntities = () => {
+  const configured = getEnvVar('VITE_PII_ENTITIES', '');
+  return configured ? configured.split(',').map(entity => entity.trim()).filter(Boolean) : Object.keys(PII_ENTITIES);
+};
+
+class PIIRedactor {
+  /**
+   * @param {Object} options - Redactor options
+   * @param {boolean} options.enabled - Redact at all (defaults to VITE_PII_REDACTION !== 'off')
+   * @param {string[]} options.entities - Entity types to redact (defaults to VITE_PII_ENTITIES, or all of PII_ENTITIES)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? getEnvVar('VITE_PII_REDACTION', 'on') !== 'off';
+    this.entities = options.entities || getConfiguredEntities();
+
+    const unknown = this.entities.filter(entity => !PII_ENTITIES[entity]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown PII entity type(s): ${unknown.join(', ')}. Use ${Object.keys(PII_ENTITIES).join(', ')}`);
+    }
+
+    this.placeholders = new Map(); // lower-cased value → { placeholder, entity, value, occurrences }
+    this.values = new Map(); // placeholder → original value
+    this.counters = {};
+  }
+
+  /**
+   * Returns the placeholder for a value, registering it the first time it is seen
+   */
+  getPlaceholder(entity, value) {
+    const key = value.toLowerCase();
+    if (!this.placeholders.has(key)) {
+      const { label } = PII_ENTITIES[entity];
+      this.counters[label] = (this.counters[label] || 0) + 1;
+      const placeholder = `[${label}_${this.counters[label]}]`;
+      this.placeholders.set(key, { placeholder, entity, value, occurrences: 0 });
+      this.values.set(placeholder.slice(1, -1), value);
+    }
+    return this.placeholders.get(key).placeholder;
+  }
+
+  /**
+   * Replaces detected PII (and any value detected earlier) with placeholders
+   * @param {string} text - Text to redact
+   * @returns {string} Redacted text
+   */
+  redact(text) {
+    if (!this.enabled || typeof text !== 'string' || text === '') return text;
+
+    this.entities.forEach(entity => {
+      PII_ENTITIES[entity].patterns.forEach(pattern => {
+        for (const match of text.matchAll(pattern)) {
+          const value = (match[1] ?? match[0]).trim();
+          if (value) this.getPlaceholder(entity, value);
+        }
+      });
+    });
+
+    // Longest values first so "Jane Doe" isn't split by a shorter registered value. Values are
+    // only replaced as whole tokens, so an ID never eats into a longer number, date or word.
+    const entries = [...this.placeholders.values()].sort((a, b) => b.value.length - a.value.length);
+    return entries.reduce((redacted, entry) => {
+      return redacted.replace(new RegExp(`(?<![\\w/.-])${escapeRegExp(entry.value)}(?![\\w/-]|\\.\\w)`, 'gi'), () => {
+        entry.occurrences++;
+        return entry.placeholder;
+      });
+    }, text);
+  }
+
+  /**
+   * Redacts the text of semantic blocks, keeping ids and coordinates
+   * @param {Array} blocks - Blocks with a `text` field
+   * @returns {Array} Redacted copies
+   */
+  redactBlocks(blocks = []) {
+    if (!this.enabled) return blocks;
+    return blocks.map(block => ({ ...block, text: this.redact(block.text) }));
+  }
+
+  /**
+   * Puts the original values back into strings anywhere in a value (narratives, summaries, mappings)
+   * @param {*} value - String, array or plain object
+   * @returns {*} Copy with placeholders replaced
+   */
+  restore(value) {
+    if (!this.enabled || this.values.size === 0) return value;
+
+    if (typeof value === 'string') {
+      return value.replace(PLACEHOLDER_PATTERN, (placeholder, name) => this.values.get(name) ?? placeholder);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.restore(item));
+    }
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restore(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * Audit of what was redacted (never includes the original values)
+   * @returns {Object} { enabled, entities, total, redactions: [{ placeholder, entity, occurrences }] }
+   */
+  getAudit() {
+    const redactions = [...this.placeholders.values()].map(({ placeholder, entity, occurrences }) => ({
+      placeholder,
+      entity,
+      occurrences
+    }));
+
+    return {
+      enabled: this.enabled,
+      entities: this.entities,
+      total: redactions.reduce((total, redaction) => total + redaction.occurrences, 0),
+      redactions
+    };
+  }
+}
+
+export default PIIRedactor;
@@ -0,0 +1,33 @@
+import DocumentAnalysisProvider from './DocumentAnalysisProvider.js';
+import ApiClient from './ApiClient.js';
+
+/**
+ * Remote Document Analysis Provider
+ * Runs analysis through the API server so the Document Intelligence key stays server-side
+ */
+class RemoteDocumentAnalysisProvider extends DocumentAnalysisProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {ApiClient} config.apiClient - Client for the API server
+   */
+  constructor(config = {}) {
+    super('remote');
+    this.apiClient = config.apiClient || new ApiClient(config);
+  }
+
+  /**
+   * Analyzes a PDF document on the API server
+   * @param {Uint8Array|ArrayBuffer} pdfBuffer - PDF file as byte array
+   * @param {string} model - Model to use for analysis (default: prebuilt-document)
+   * @returns {Promise<Object>} Normalized analysis result
+   */
+  async analyze(pdfBuffer, model = 'prebuilt-document') {
+    return await this.apiClient.postBinary(
+      `/api/analyze?model=${encodeURIComponent(model)}`,
+      pdfBuffer,
+      'application/pdf'
+    );
+  }
+}
+
+export default RemoteDocumentAnalysisProvider;
@@ -0,0 +1,39 @@
+import GPTNarrationMapper from './GPTNarrationMapper.js';
+import ApiClient from './ApiClient.js';
+
+/**
+ * Remote Narration Mapper
+ * Same interface as GPTNarrationMapper, but GPT-4o is called by the API server
+ */
+class RemoteNarrationMapper extends GPTNarrationMapper {
+  /**
+   * @param {Object} options - Mapper options
+   * @param {ApiClient} options.apiClient - Client for the API server
+   */
+  constructor(options = {}) {
+    super(options);
+    this.apiClient = options.apiClient || new ApiClient(options);
+  }
+
+  requiresCredentials() {
+    return false;
+  }
+
+  /**
+   * Maps narration phrases to HTML elements on the API server
+   * Only the redacted narration and element IDs are uploaded, never the whole document.
+   * @param {string} narration - Redacted narration text
+   * @param {Array} elementIds - Available element IDs
+   * @returns {Promise<Object>} Mapping results with timing and animation data
+   */
+  async requestMappings(narration, elementIds) {
+    try {
+      return await this.apiClient.postJSON('/api/map', { narration, elementIds });
+    } catch (error) {
+      console.error('Error mapping narration to elements:', error);
+      throw new Error(`Failed to map narration: ${error.message}`);
+    }
+  }
+}
+
+export default RemoteNarrationMapper;
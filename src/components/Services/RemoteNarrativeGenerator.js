@@ -0,0 +1,51 @@
+import GPTNarrativeGenerator from './GPTNarrativeGenerator.js';
+import RemoteTTSService from './RemoteTTSService.js';
+import ApiClient from './ApiClient.js';
+
+/**
+ * Remote Narrative Generator
+ * Same interface as GPTNarrativeGenerator, but GPT-4o is called by the API server
+ */
+class RemoteNarrativeGenerator extends GPTNarrativeGenerator {
+  /**
+   * @param {Object} options - Generator options
+   * @param {ApiClient} options.apiClient - Client for the API server
+   */
+  constructor(options = {}) {
+    super(options);
+    this.apiClient = options.apiClient || new ApiClient(options);
+  }
+
+  requiresCredentials() {
+    return false;
+  }
+
+  /**
+   * Generate narrative script on the API server (text is redacted before it leaves the browser)
+   * @param {string} pdfText - Redacted PDF text
+   * @param {Array} semanticBlocks - Semantic blocks with redacted text
+   * @returns {Promise<Object>} Narrative script with highlighting instructions
+   */
+  async requestNarrativeScript(pdfText, semanticBlocks) {
+    try {
+      console.log('🎬 Generating narrative script via API server...');
+      return await this.apiClient.postJSON('/api/narrate', { pdfText, semanticBlocks });
+    } catch (error) {
+      console.error('❌ Error generating narrative script:', error);
+      return {
+        success: false,
+        error: error.message,
+        narrative: null
+      };
+    }
+  }
+
+  getTTSService() {
+    if (!this.ttsService) {
+      this.ttsService = new RemoteTTSService({ ...this.ttsOptions, apiClient: this.apiClient });
+    }
+    return this.ttsService;
+  }
+}
+
+export default RemoteNarrativeGenerator;
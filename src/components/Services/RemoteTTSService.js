@@ -0,0 +1,68 @@
+import AzureTTSService from './AzureTTSService.js';
+import ApiClient from './ApiClient.js';
+import { pickSSMLOptions, validateSSMLOptions } from '../../utils/ssmlBuilder.js';
+import { alignWordBoundaries } from '../../utils/wordTiming.js';
+
+const base64ToArrayBuffer = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+};
+
+/**
+ * Remote TTS Service
+ * Same interface as AzureTTSService, but speech is synthesized by the API server
+ */
+class RemoteTTSService extends AzureTTSService {
+  /**
+   * @param {Object} options - Service options
+   * @param {ApiClient} options.apiClient - Client for the API server
+   */
+  constructor(options = {}) {
+    super(options);
+    this.apiClient = options.apiClient || new ApiClient(options);
+  }
+
+  requiresCredentials() {
+    return false;
+  }
+
+  /**
+   * Synthesize speech on the API server, reusing audio cached in this browser
+   * @param {string} text - Text to convert to speech
+   * @param {Object} options - TTS options
+   * @returns {Promise<Object>} { audioData, words, audioDuration, fromCache }
+   */
+  async resolveSpeech(text, options = {}) {
+    const ssmlOptions = pickSSMLOptions(options);
+    validateSSMLOptions(ssmlOptions);
+    const request = { text, options: ssmlOptions };
+
+    let serverCacheHit = false;
+    const { value, hit } = await this.cache.resolve(
+      'tts',
+      { ...request, server: this.apiClient.baseUrl, timing: 'word-boundaries' },
+      async () => {
+        const response = await this.apiClient.postJSON('/api/synthesize?format=json', request);
+        serverCacheHit = response.fromCache;
+        return {
+          audioData: base64ToArrayBuffer(response.audioBase64),
+          boundaries: response.boundaries,
+          audioDuration: response.audioDuration
+        };
+      }
+    );
+
+    return {
+      audioData: value.audioData.slice(0),
+      words: alignWordBoundaries(text, value.boundaries),
+      audioDuration: value.audioDuration,
+      fromCache: hit || serverCacheHit
+    };
+  }
+}
+
+export default RemoteTTSService;
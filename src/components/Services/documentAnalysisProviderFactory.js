@@ -0,0 +1,33 @@
+import AzureDocumentAnalysisProvider from './AzureDocumentAnalysisProvider.js';
+import LocalFixtureAnalysisProvider from './LocalFixtureAnalysisProvider.js';
+import RemoteDocumentAnalysisProvider from './RemoteDocumentAnalysisProvider.js';
+import { isApiServerEnabled } from './ApiClient.js';
+import { getEnvVar } from '../../utils/envChecker.js';
+
+export const DOCUMENT_ANALYSIS_PROVIDERS = {
+  azure: AzureDocumentAnalysisProvider,
+  local: LocalFixtureAnalysisProvider,
+  remote: RemoteDocumentAnalysisProvider
+};
+
+/**
+ * Creates the configured document analysis provider
+ * @param {Object} options - Provider options
+ * @param {string} options.provider - 'azure', 'local' or 'remote' (defaults to VITE_DOCUMENT_ANALYSIS_PROVIDER,
+ *   then 'remote' when the API server is enabled, then 'azure')
+ * @returns {DocumentAnalysisProvider} Provider instance
+ */
+export const createDocumentAnalysisProvider = (options = {}) => {
+  const { provider, ...config } = options;
+  const defaultProvider = isApiServerEnabled() ? 'remote' : 'azure';
+  const name = (provider || getEnvVar('VITE_DOCUMENT_ANALYSIS_PROVIDER', defaultProvider)).toLowerCase();
+  const Provider = DOCUMENT_ANALYSIS_PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown document analysis provider "${name}". Expected one of: ${Object.keys(DOCUMENT_ANALYSIS_PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider(config);
+};
+
+export default createDocumentAnalysisProvider;
@@ -0,0 +1,73 @@
+import GPTNarrativeGenerator from './GPTNarrativeGenerator.js';
+import GPTNarrationMapper from './GPTNarrationMapper.js';
+import AzureTTSService from './AzureTTSService.js';
+import AzureDocumentIntelligence from './AzureDocumentIntelligence.js';
+import RemoteNarrativeGenerator from './RemoteNarrativeGenerator.js';
+import RemoteNarrationMapper from './RemoteNarrationMapper.js';
+import RemoteTTSService from './RemoteTTSService.js';
+import OfflineNarrativeGenerator from './OfflineNarrativeGenerator.js';
+import OfflineTTSService from './OfflineTTSService.js';
+import { isApiServerEnabled } from './ApiClient.js';
+import { getEnvVar } from '../../utils/envChecker.js';
+
+/**
+ * Service Factory
+ * Picks the offline services when options.offline or VITE_OFFLINE_MODE=true, the
+ * API-server-backed services when VITE_USE_API_SERVER=true, otherwise the services
+ * that call Azure/OpenAI directly.
+ */
+
+/**
+ * Whether rule-based narratives and silent audio replace GPT-4o and Azure Speech
+ * @param {Object} options - Service options ({ offline } overrides VITE_OFFLINE_MODE)
+ * @returns {boolean} True for offline mode
+ */
+export const isOfflineMode = (options = {}) => {
+  return options.offline ?? getEnvVar('VITE_OFFLINE_MODE') === 'true';
+};
+
+/**
+ * Creates the narrative generator
+ * @param {Object} options - Generator options
+ * @returns {GPTNarrativeGenerator} Offline, direct or remote generator
+ */
+export const createNarrativeGenerator = (options = {}) => {
+  if (isOfflineMode(options)) return new OfflineNarrativeGenerator(options);
+  return isApiServerEnabled() ? new RemoteNarrativeGenerator(options) : new GPTNarrativeGenerator(options);
+};
+
+/**
+ * Creates the narration mapper
+ * @param {Object} options - Mapper options
+ * @returns {GPTNarrationMapper} Direct or remote mapper
+ */
+export const createNarrationMapper = (options = {}) => {
+  return isApiServerEnabled() ? new RemoteNarrationMapper(options) : new GPTNarrationMapper(options);
+};
+
+/**
+ * Creates the TTS service
+ * @param {Object} options - Service options
+ * @returns {AzureTTSService} Offline, direct or remote TTS service
+ */
+export const createTTSService = (options = {}) => {
+  if (isOfflineMode(options)) return new OfflineTTSService(options);
+  return isApiServerEnabled() ? new RemoteTTSService(options) : new AzureTTSService(options);
+};
+
+/**
+ * Creates the document intelligence service (its provider already follows VITE_USE_API_SERVER)
+ * @param {Object} options - Service options
+ * @returns {AzureDocumentIntelligence} Document intelligence service
+ */
+export const createDocumentIntelligence = (options = {}) => {
+  return new AzureDocumentIntelligence(options);
+};
+
+export default {
+  isOfflineMode,
+  createNarrativeGenerator,
+  createNarrationMapper,
+  createTTSService,
+  createDocumentIntelligence
+};
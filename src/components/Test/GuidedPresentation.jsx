@@ -1,7 +1,7 @@
 import React, { useRef, useEffect, useState } from 'react';
 import * as pdfjsLib from 'pdfjs-dist';
-import GPTNarrativeGenerator from '../Services/GPTNarrativeGenerator';
-import AzureTTSService from '../Services/AzureTTSService';
+import { createNarrativeGenerator, createTTSService } from '../Services/serviceFactory';
+import { alignNarrationSteps, isHighlightPlaced } from '../../utils/textAlignment';
 
 // Set up PDF.js worker
 pdfjsLib.GlobalWorkerOptions.workerSrc = '/pdfjs/pdf.worker.min.js';
@@ -116,7 +116,7 @@ const GuidedPresentation = () => {
       // ALIGNMENT STEP: Align HTML elements with narration sections
       let alignedHighlights = [];
       if (generatedNarrative && generatedNarrative.steps) {
-        alignedHighlights = alignHTMLElementsWithNarration(htmlElements, generatedNarrative.steps);
+        alignedHighlights = alignNarrationSteps(htmlElements, generatedNarrative.steps);
         console.log('🎯 Using aligned highlights:', alignedHighlights.length);
         console.log('Highlights needing review:', alignedHighlights.filter(h => h.needsReview).length);
       } else {
@@ -213,215 +213,6 @@ const GuidedPresentation = () => {
     return elements;
   };
 
-  // Normalize text for matching (lowercase, remove punctuation, collapse spaces)
-  const normalizeText = (text) => {
-    return text
-      .toLowerCase()
-      .replace(/[^\w\s]/g, ' ')  // Replace punctuation with spaces
-      .replace(/\s+/g, ' ')      // Collapse multiple spaces
-      .trim();
-  };
-
-  // Calculate similarity between two texts using fuzzy matching
-  const calculateTextSimilarity = (text1, text2) => {
-    const normalized1 = normalizeText(text1);
-    const normalized2 = normalizeText(text2);
-    
-    // Exact match
-    if (normalized1 === normalized2) return 1.0;
-    
-    // Empty text gets 0 similarity
-    if (normalized1.length === 0 || normalized2.length === 0) return 0;
-    
-    // Check for exact substring matches first
-    if (normalized1.includes(normalized2) || normalized2.includes(normalized1)) {
-      return 0.9; // High score for substring matches
-    }
-    
-    const words1 = normalized1.split(' ').filter(w => w.length > 1);
-    const words2 = normalized2.split(' ').filter(w => w.length > 1);
-    
-    if (words1.length === 0 || words2.length === 0) return 0;
-    
-    // Calculate intersection of words
-    const intersection = words1.filter(word => words2.includes(word));
-    const union = [...new Set([...words1, ...words2])];
-    
-    // Jaccard similarity
-    const jaccard = intersection.length / union.length;
-    
-    // Boost score if the shorter text is mostly contained in the longer text
-    const shorter = words1.length < words2.length ? words1 : words2;
-    const longer = words1.length >= words2.length ? words1 : words2;
-    const containmentScore = shorter.filter(word => longer.includes(word)).length / shorter.length;
-    
-    return Math.max(jaccard, containmentScore * 0.8);
-  };
-
-  // Merge nearby HTML elements into one bounding box
-  const mergeHTMLElements = (elements) => {
-    if (elements.length === 0) return null;
-    if (elements.length === 1) return elements[0];
-    
-    const minX = Math.min(...elements.map(e => e.x));
-    const minY = Math.min(...elements.map(e => e.y));
-    const maxX = Math.max(...elements.map(e => e.x + e.width));
-    const maxY = Math.max(...elements.map(e => e.y + e.height));
-    
-    return {
-      id: `merged-${elements.map(e => e.id).join('-')}`,
-      x: minX,
-      y: minY,
-      width: maxX - minX,
-      height: maxY - minY,
-      text: elements.map(e => e.text).join(' '),
-      fontSize: Math.max(...elements.map(e => e.fontSize)),
-      fontFamily: elements[0].fontFamily,
-      elements: elements,
-      isMerged: true
-    };
-  };
-
-  // Align HTML elements with narration sections
-  const alignHTMLElementsWithNarration = (htmlElements, narrationSteps) => {
-    if (!narrationSteps || narrationSteps.length === 0) {
-      console.log('⚠️ No narration steps provided');
-      return [];
-    }
-
-    console.log('🎯 HIGHLIGHT ALIGNMENT DEBUG');
-    console.log('Narration steps:', narrationSteps.length);
-    console.log('HTML elements:', htmlElements.length);
-
-    const alignedHighlights = [];
-    const usedElementIds = new Set();
-
-    // For each narration step, find the best matching HTML element(s)
-    narrationSteps.forEach((step, stepIndex) => {
-      const stepText = step.highlightText || step.narrative || '';
-      const normalizedStepText = normalizeText(stepText);
-      
-      console.log(`\n🔍 STEP ${stepIndex + 1} ANALYSIS:`);
-      console.log(`Narration: "${stepText}"`);
-      console.log(`Highlight Text: "${step.highlightText || 'N/A'}"`);
-      console.log(`Normalized: "${normalizedStepText}"`);
-
-      // Find all elements that haven't been used yet
-      const availableElements = htmlElements.filter(element => !usedElementIds.has(element.id));
-      console.log(`Available elements: ${availableElements.length}`);
-      
-      // Calculate similarity scores for all available elements
-      const elementScores = availableElements.map(element => ({
-        element,
-        similarity: calculateTextSimilarity(stepText, element.text),
-        keywordMatch: normalizedStepText.split(' ').some(word => 
-          word.length > 2 && normalizeText(element.text).includes(word)
-        ),
-        exactMatch: normalizeText(element.text).includes(normalizedStepText) || 
-                   normalizedStepText.includes(normalizeText(element.text))
-      }));
-
-      // Sort by similarity score (highest first)
-      elementScores.sort((a, b) => {
-        if (a.exactMatch && !b.exactMatch) return -1;
-        if (!a.exactMatch && b.exactMatch) return 1;
-        if (a.keywordMatch && !b.keywordMatch) return -1;
-        if (!a.keywordMatch && b.keywordMatch) return 1;
-        return b.similarity - a.similarity;
-      });
-
-      console.log('📊 TOP 5 MATCHES:');
-      elementScores.slice(0, 5).forEach((es, i) => {
-        console.log(`${i + 1}. ID: ${es.element.id}`);
-        console.log(`   Text: "${es.element.text}"`);
-        console.log(`   Coords: (${es.element.x}, ${es.element.y}) ${es.element.width}x${es.element.height}`);
-        console.log(`   Similarity: ${es.similarity.toFixed(3)}, Keywords: ${es.keywordMatch}, Exact: ${es.exactMatch}`);
-      });
-
-      // Find the best match(es) - be much more selective
-      const bestMatch = elementScores[0];
-      
-      // Only proceed if we have a good match and it's not an empty element
-      if (bestMatch && 
-          bestMatch.element.text.trim().length > 0 && // Not empty
-          (bestMatch.similarity > 0.5 || bestMatch.exactMatch) && // Higher threshold
-          bestMatch.element.width > 0 && bestMatch.element.height > 0) { // Has actual size
-        
-        // Only merge elements that are very close to the best match
-        const similarElements = elementScores.filter(es => 
-          es.element.text.trim().length > 0 && // Not empty
-          es.element.width > 0 && es.element.height > 0 && // Has actual size
-          (es.similarity > 0.7 || es.exactMatch) && // Much higher threshold
-          Math.abs(es.element.y - bestMatch.element.y) < 50 && // Close vertically
-          Math.abs(es.element.x - bestMatch.element.x) < 200 // Close horizontally
-        ).map(es => es.element);
-
-        console.log(`✅ FOUND ${similarElements.length} MATCHING ELEMENTS (filtered from ${elementScores.length})`);
-
-        // If we have too many elements, just use the best one
-        const elementsToMerge = similarElements.length > 5 ? [bestMatch.element] : similarElements;
-        
-        // Merge similar elements
-        const mergedElement = mergeHTMLElements(elementsToMerge);
-        if (mergedElement) {
-          // Create highlight object
-          const highlight = {
-            id: `highlight-${stepIndex}`,
-            step: stepIndex + 1,
-            x: mergedElement.x,
-            y: mergedElement.y,
-            width: mergedElement.width,
-            height: mergedElement.height,
-            text: mergedElement.text,
-            narrationText: stepText,
-            narrative: step.narrative,
-            fontSize: mergedElement.fontSize,
-            fontFamily: mergedElement.fontFamily,
-            isMerged: mergedElement.isMerged,
-            elements: mergedElement.elements || [mergedElement]
-          };
-          
-          console.log(`🎯 CREATED HIGHLIGHT:`);
-          console.log(`   Position: (${highlight.x}, ${highlight.y}) ${highlight.width}x${highlight.height}`);
-          console.log(`   Text: "${highlight.text}"`);
-          
-          alignedHighlights.push(highlight);
-          
-          // Mark all merged elements as used
-          elementsToMerge.forEach(element => usedElementIds.add(element.id));
-        }
-      } else {
-        console.log(`❌ NO MATCH FOUND - Creating placeholder`);
-        // Create a "needs review" highlight
-        const needsReviewHighlight = {
-          id: `needs-review-${stepIndex}`,
-          step: stepIndex + 1,
-          x: 50,
-          y: 50 + (stepIndex * 100),
-          width: 200,
-          height: 30,
-          text: stepText,
-          narrationText: stepText,
-          narrative: step.narrative,
-          fontSize: 12,
-          fontFamily: 'Arial',
-          isMerged: false,
-          elements: [],
-          needsReview: true
-        };
-        alignedHighlights.push(needsReviewHighlight);
-      }
-    });
-
-    console.log(`\n🎯 FINAL ALIGNMENT RESULT:`);
-    console.log(`Total highlights: ${alignedHighlights.length}`);
-    alignedHighlights.forEach((h, i) => {
-      console.log(`${i + 1}. Step ${h.step}: (${h.x}, ${h.y}) ${h.width}x${h.height} - "${h.text.substring(0, 30)}..." ${h.needsReview ? '[NEEDS REVIEW]' : ''}`);
-    });
-
-    return alignedHighlights;
-  };
-
   // Generate semantic blocks from text content
   const generateSemanticBlocks = (textContent, viewport) => {
     const blocks = [];
@@ -615,10 +406,13 @@ const GuidedPresentation = () => {
       setIsGeneratingNarrative(true);
       setNarrativeError(null);
       
-      const narrativeGenerator = new GPTNarrativeGenerator();
+      const narrativeGenerator = createNarrativeGenerator();
       const result = await narrativeGenerator.generateNarrativeScript(pdfText, semanticBlocks);
       
       if (result.success) {
+        if (result.usedFallback) {
+          console.warn('⚠️ Narrative failed schema validation, using fallback:', result.validationErrors);
+        }
         setNarrativeScript(result.narrative);
         console.log('🎬 Generated narrative script:', result.narrative);
         return result.narrative;
@@ -642,7 +436,7 @@ const GuidedPresentation = () => {
       setIsGeneratingAudio(true);
       setAudioError(null);
       
-      const ttsService = new AzureTTSService();
+      const ttsService = createTTSService();
       const result = await ttsService.generateNarrativeAudio(narrative);
       
       if (result.success) {
@@ -940,7 +734,7 @@ const GuidedPresentation = () => {
             <div class="pdf-container" id="pdfContainer">
                 <img src="${imageDataUrl}" alt="PDF Page ${pageNumber}" class="pdf-background">
                 <div class="highlight-overlay" id="highlightOverlay">
-                ${alignedHighlights.map((highlight, index) => {
+                ${alignedHighlights.filter(isHighlightPlaced).map((highlight, index) => {
                     const x = highlight.x * scaleX;
                     const y = highlight.y * scaleY;
                     const width = highlight.width * scaleX;
@@ -1,7 +1,18 @@
 import React, { useRef, useEffect, useState } from 'react';
 import * as pdfjsLib from 'pdfjs-dist';
-import GPTNarrativeGenerator from '../Services/GPTNarrativeGenerator';
-import AzureTTSService from '../Services/AzureTTSService';
+import { createNarrativeGenerator, createTTSService, createDocumentIntelligence } from '../Services/serviceFactory';
+import { getContentCache } from '../Services/ContentCache';
+import { buildExplanationOfBenefitBundle, validateExplanationOfBenefitBundle } from '../../utils/fhirExplanationOfBenefit';
+import { findMaskRegions } from '../../utils/identifierMasking';
+import { createTextMeasurer } from '../../utils/textMeasurement';
+import { convertPDFToHTML, parseHTMLElements, extractPDFText, renderPageImages } from '../../utils/pdfDocument';
+import { alignNarrationSteps, needsHighlightReview } from '../../utils/textAlignment';
+import { createProjectArchive, readProjectArchive } from '../../utils/projectArchive';
+import { getEnvVar } from '../../utils/envChecker';
+import { generatePresentationHTMLWithZoom } from '../../utils/presentationHTML';
+import { createCaptionCuesFromAudio, toWebVTT, toSRT } from '../../utils/captions';
+import HighlightReviewEditor from './HighlightReviewEditor';
+import NarrativeStepEditor from './NarrativeStepEditor';
 
 // Set up PDF.js worker
 pdfjsLib.GlobalWorkerOptions.workerSrc = '/pdfjs/pdf.worker.min.js';
@@ -12,7 +23,9 @@ pdfjsLib.GlobalWorkerOptions.workerSrc = '/pdfjs/pdf.worker.min.js';
  */
 const GuidedPresentationWithZoom = () => {
   const fileInputRef = useRef(null);
+  const projectInputRef = useRef(null);
   const canvasRef = useRef(null);
+  const ttsServiceRef = useRef(null);
   const [pdfDocument, setPdfDocument] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(0);
@@ -26,12 +39,20 @@ const GuidedPresentationWithZoom = () => {
   const [narrativeScript, setNarrativeScript] = useState(null);
   const [isGeneratingNarrative, setIsGeneratingNarrative] = useState(false);
   const [narrativeError, setNarrativeError] = useState(null);
+  const [narrativeWarning, setNarrativeWarning] = useState(null);
+  const [reconciliationIssues, setReconciliationIssues] = useState([]);
   const [audioData, setAudioData] = useState(null);
   const [isGeneratingAudio, setIsGeneratingAudio] = useState(false);
   const [audioError, setAudioError] = useState(null);
   const [currentFile, setCurrentFile] = useState(null);
   const [isDataProcessing, setIsDataProcessing] = useState(false);
   const [isDataProcessingComplete, setIsDataProcessingComplete] = useState(false);
+  const [cacheStats, setCacheStats] = useState(null);
+  const [maskingMode, setMaskingMode] = useState(() => getEnvVar('VITE_EXPORT_MASK_MODE', 'off'));
+  const [reviewSession, setReviewSession] = useState(null);
+  const [presentationInputs, setPresentationInputs] = useState(null);
+  const [isEditingNarrative, setIsEditingNarrative] = useState(false);
+  const [keyValuePairs, setKeyValuePairs] = useState([]);
 
   // Handle file selection
   const handleFileSelect = async (event) => {
@@ -49,6 +70,12 @@ const GuidedPresentationWithZoom = () => {
       setCurrentFile(file);
       setIsDataProcessing(false);
       setIsDataProcessingComplete(false);
+      setCacheStats(null);
+      setReviewSession(null);
+      setPresentationInputs(null);
+      setIsEditingNarrative(false);
+      setKeyValuePairs([]);
+      getContentCache().resetStats();
 
       const arrayBuffer = await file.arrayBuffer();
       const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
@@ -60,8 +87,8 @@ const GuidedPresentationWithZoom = () => {
       // Start data processing
       setIsDataProcessing(true);
       
-      // Load first page
-      await loadPage(pdf, 1, file);
+      // Load every page as one presentation
+      await loadDocument(pdf, file);
       
     } catch (err) {
       console.error('Error loading PDF:', err);
@@ -71,48 +98,30 @@ const GuidedPresentationWithZoom = () => {
     }
   };
 
-  // Load specific page and generate presentation
-  const loadPage = async (pdf, pageNumber, file) => {
+  // Load all pages and generate a single presentation for the whole document
+  const loadDocument = async (pdf, file) => {
     try {
-      const page = await pdf.getPage(pageNumber);
+      // Azure analysis runs alongside; only the FHIR export uses its key-value pairs
+      const keyValuePairsPromise = analyzeKeyValuePairs(file);
       
-      // Use high resolution for crisp rendering
-      const scaleFactor = 2.0; // 2x resolution for high DPI displays
-      const baseViewport = page.getViewport({ scale: scale });
-      const highResViewport = page.getViewport({ scale: scale * scaleFactor });
-      
-      // Set canvas dimensions with high resolution
-      const canvas = canvasRef.current;
-      const context = canvas.getContext('2d');
-      
-      // Set actual canvas size (high resolution)
-      canvas.width = highResViewport.width;
-      canvas.height = highResViewport.height;
-      
-      // Set display size (CSS pixels) - this is what we'll use for coordinates
-      canvas.style.width = baseViewport.width + 'px';
-      canvas.style.height = baseViewport.height + 'px';
-      
-      // Scale the drawing context to match the device pixel ratio
-      context.scale(scaleFactor, scaleFactor);
+      // Convert PDF to HTML using pdf2htmlEX
+      const htmlData = await convertPDFToHTML(pdf);
       
-      // Render PDF page to canvas with high resolution
-      const renderContext = {
-        canvasContext: context,
-        viewport: baseViewport
-      };
+      // Masks and highlights place partial text items by the same glyph widths
+      const measureText = createTextMeasurer(document.createElement('canvas').getContext('2d'));
       
-      await page.render(renderContext).promise;
+      // Member IDs, SSNs, group numbers and dates of birth are masked on the page images when enabled
+      const maskRegions = maskingMode === 'off' ? [] : findMaskRegions(htmlData.html, { measureText });
       
-      // Convert PDF to HTML using pdf2htmlEX
-      const htmlData = await convertPDFToHTML(file);
+      // Render every page to an image for the presentation background
+      const pageImages = await renderPageImages(pdf, canvasRef.current, { scale, maskRegions, maskingMode });
       
       // Parse HTML elements with coordinates
       const htmlElements = parseHTMLElements(htmlData);
       setSemanticData(htmlElements);
       
       // Extract PDF text for GPT-4o analysis
-      const pdfText = await extractPDFText(pdf, pageNumber);
+      const pdfText = await extractPDFText(pdf);
       
       // Mark data processing as complete before starting AI analysis
       setIsDataProcessingComplete(true);
@@ -127,261 +136,98 @@ const GuidedPresentationWithZoom = () => {
       // Align HTML elements with narration sections
       let alignedHighlights = [];
       if (generatedNarrative && generatedNarrative.steps) {
-        alignedHighlights = alignHTMLElementsWithNarration(htmlElements, generatedNarrative.steps);
+        alignedHighlights = alignNarrationSteps(htmlElements, generatedNarrative.steps, { measureText });
       }
       
       // Small delay to show AI analysis completion
       await new Promise(resolve => setTimeout(resolve, 500));
       
-      // Generate audio for the narrative script
-      let generatedAudio = null;
-      if (generatedNarrative && generatedNarrative.steps) {
-        generatedAudio = await generateAudioForNarrative(generatedNarrative);
+      // Everything a saved project needs besides the narrative, highlights and audio
+      const analysisKeyValuePairs = await keyValuePairsPromise;
+      setKeyValuePairs(analysisKeyValuePairs);
+      const documentData = { pageImages, elements: htmlElements, analysis: { ...htmlData, keyValuePairs: analysisKeyValuePairs } };
+      
+      // Let an operator fix unmatched or low-confidence highlights before anything is generated from them
+      const flaggedCount = alignedHighlights.filter(needsHighlightReview).length;
+      if (flaggedCount > 0) {
+        console.log(`✏️ ${flaggedCount} highlight(s) need review`);
+        setReviewSession({ highlights: alignedHighlights, narrative: generatedNarrative, documentData });
+        return;
       }
       
-      // Generate presentation HTML with zoom functionality
-      const html = generatePresentationHTMLWithZoom(alignedHighlights, baseViewport, pageNumber, canvas, generatedNarrative, generatedAudio);
-      setPresentationHTML(html);
+      await finishPresentation(alignedHighlights, generatedNarrative, documentData);
       
     } catch (err) {
-      console.error('Error loading page:', err);
-      setError(`Failed to load page ${pageNumber}: ${err.message}`);
+      console.error('Error loading document:', err);
+      setError(`Failed to load document: ${err.message}`);
     }
   };
 
-  // Convert PDF to HTML using pdf2htmlEX (simulated)
-  const convertPDFToHTML = async (pdfFile) => {
-    console.log('🔄 Converting PDF to HTML using pdf2htmlEX...');
-    
-    const pdf = await pdfjsLib.getDocument(URL.createObjectURL(pdfFile)).promise;
-    const page = await pdf.getPage(1);
-    const textContent = await page.getTextContent();
-    const viewport = page.getViewport({ scale: 1 });
-    
-    // Create HTML-like structure with coordinates
-    const htmlElements = textContent.items.map((item, index) => {
-      const x = item.transform[4];
-      const y = viewport.height - item.transform[5] - item.height;
-      const width = item.width;
-      const height = item.height;
-      const text = item.str.trim();
-      
-      return {
-        id: `element-${index}`,
-        x: x,
-        y: y,
-        width: width,
-        height: height,
-        text: text,
-        fontSize: item.height,
-        fontFamily: item.fontName || 'Arial',
-        className: 'text-element',
-        style: `position: absolute; left: ${x}px; top: ${y}px; width: ${width}px; height: ${height}px; font-size: ${item.height}px; font-family: ${item.fontName || 'Arial'};`
-      };
-    });
-    
-    return {
-      html: htmlElements,
-      viewport: viewport,
-      pageWidth: viewport.width,
-      pageHeight: viewport.height
-    };
-  };
-
-  // Parse HTML elements and extract text with coordinates
-  const parseHTMLElements = (htmlData) => {
-    console.log('📄 PARSING HTML ELEMENTS:');
-    
-    const elements = htmlData.html.map(element => ({
-      id: element.id,
-      x: element.x,
-      y: element.y,
-      width: element.width,
-      height: element.height,
-      text: element.text,
-      fontSize: element.fontSize,
-      fontFamily: element.fontFamily,
-      className: element.className
-    }));
-    
-    console.log(`Found ${elements.length} HTML elements`);
-    return elements;
-  };
-
-  // Normalize text for matching
-  const normalizeText = (text) => {
-    return text
-      .toLowerCase()
-      .replace(/[^\w\s]/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
+  // Member, plan and claim fields for the FHIR export; the presentation does not need them
+  const analyzeKeyValuePairs = async (file) => {
+    try {
+      const analysis = await createDocumentIntelligence().analyzeDocument(new Uint8Array(await file.arrayBuffer()));
+      return analysis.keyValuePairs;
+    } catch (err) {
+      console.warn('⚠️ Document analysis unavailable, the FHIR export will only hold the narrative summary:', err.message);
+      return [];
+    }
   };
 
-  // Calculate similarity between two texts using fuzzy matching
-  const calculateTextSimilarity = (text1, text2) => {
-    const normalized1 = normalizeText(text1);
-    const normalized2 = normalizeText(text2);
-    
-    if (normalized1 === normalized2) return 1.0;
-    if (normalized1.length === 0 || normalized2.length === 0) return 0;
-    
-    if (normalized1.includes(normalized2) || normalized2.includes(normalized1)) {
-      return 0.9;
+  // Generate audio and the presentation from the final (possibly reviewed) highlights
+  const finishPresentation = async (highlights, narrative, documentData) => {
+    // Generate audio for the narrative script
+    let generatedAudio = null;
+    if (narrative && narrative.steps) {
+      generatedAudio = await generateAudioForNarrative(narrative);
     }
     
-    const words1 = normalized1.split(' ').filter(w => w.length > 1);
-    const words2 = normalized2.split(' ').filter(w => w.length > 1);
-    
-    if (words1.length === 0 || words2.length === 0) return 0;
-    
-    const intersection = words1.filter(word => words2.includes(word));
-    const union = [...new Set([...words1, ...words2])];
-    
-    const jaccard = intersection.length / union.length;
-    
-    const shorter = words1.length < words2.length ? words1 : words2;
-    const longer = words1.length >= words2.length ? words1 : words2;
-    const containmentScore = shorter.filter(word => longer.includes(word)).length / shorter.length;
-    
-    return Math.max(jaccard, containmentScore * 0.8);
+    // Generate presentation HTML with zoom functionality
+    const html = generatePresentationHTMLWithZoom(highlights, documentData.pageImages, narrative, generatedAudio);
+    setPresentationHTML(html);
+    setPresentationInputs({ ...documentData, highlights, narrative, audio: generatedAudio });
+    setCacheStats(getContentCache().getStats());
   };
 
-  // Merge nearby HTML elements into one bounding box
-  const mergeHTMLElements = (elements) => {
-    if (elements.length === 0) return null;
-    if (elements.length === 1) return elements[0];
+  // Rebuild the presentation from edited steps: no GPT call, audio only for steps whose narration changed
+  const handleNarrativeEditApply = async ({ narrative, highlights, audioSteps }) => {
+    const { pageImages } = presentationInputs;
+    setIsEditingNarrative(false);
     
-    const minX = Math.min(...elements.map(e => e.x));
-    const minY = Math.min(...elements.map(e => e.y));
-    const maxX = Math.max(...elements.map(e => e.x + e.width));
-    const maxY = Math.max(...elements.map(e => e.y + e.height));
-    
-    return {
-      id: `merged-${elements.map(e => e.id).join('-')}`,
-      x: minX,
-      y: minY,
-      width: maxX - minX,
-      height: maxY - minY,
-      text: elements.map(e => e.text).join(' '),
-      fontSize: Math.max(...elements.map(e => e.fontSize)),
-      fontFamily: elements[0].fontFamily,
-      elements: elements,
-      isMerged: true
-    };
-  };
-
-  // Align HTML elements with narration sections
-  const alignHTMLElementsWithNarration = (htmlElements, narrationSteps) => {
-    if (!narrationSteps || narrationSteps.length === 0) {
-      console.log('⚠️ No narration steps provided');
-      return [];
-    }
-
-    const alignedHighlights = [];
-    const usedElementIds = new Set();
-
-    narrationSteps.forEach((step, stepIndex) => {
-      const stepText = step.highlightText || step.narrative || '';
-      const normalizedStepText = normalizeText(stepText);
-      
-      const availableElements = htmlElements.filter(element => !usedElementIds.has(element.id));
-      
-      const elementScores = availableElements.map(element => ({
-        element,
-        similarity: calculateTextSimilarity(stepText, element.text),
-        keywordMatch: normalizedStepText.split(' ').some(word => 
-          word.length > 2 && normalizeText(element.text).includes(word)
-        ),
-        exactMatch: normalizeText(element.text).includes(normalizedStepText) || 
-                   normalizedStepText.includes(normalizeText(element.text))
-      }));
-
-      elementScores.sort((a, b) => {
-        if (a.exactMatch && !b.exactMatch) return -1;
-        if (!a.exactMatch && b.exactMatch) return 1;
-        if (a.keywordMatch && !b.keywordMatch) return -1;
-        if (!a.keywordMatch && b.keywordMatch) return 1;
-        return b.similarity - a.similarity;
-      });
-
-      const bestMatch = elementScores[0];
+    try {
+      setIsGeneratingAudio(true);
+      setAudioError(null);
       
-      if (bestMatch && 
-          bestMatch.element.text.trim().length > 0 &&
-          (bestMatch.similarity > 0.5 || bestMatch.exactMatch) &&
-          bestMatch.element.width > 0 && bestMatch.element.height > 0) {
-        
-        const similarElements = elementScores.filter(es => 
-          es.element.text.trim().length > 0 &&
-          es.element.width > 0 && es.element.height > 0 &&
-          (es.similarity > 0.7 || es.exactMatch) &&
-          Math.abs(es.element.y - bestMatch.element.y) < 50 &&
-          Math.abs(es.element.x - bestMatch.element.x) < 200
-        ).map(es => es.element);
-
-        const elementsToMerge = similarElements.length > 5 ? [bestMatch.element] : similarElements;
-        
-        const mergedElement = mergeHTMLElements(elementsToMerge);
-        if (mergedElement) {
-          const highlight = {
-            id: `highlight-${stepIndex}`,
-            step: stepIndex + 1,
-            x: mergedElement.x,
-            y: mergedElement.y,
-            width: mergedElement.width,
-            height: mergedElement.height,
-            text: mergedElement.text,
-            narrationText: stepText,
-            narrative: step.narrative,
-            fontSize: mergedElement.fontSize,
-            fontFamily: mergedElement.fontFamily,
-            isMerged: mergedElement.isMerged,
-            elements: mergedElement.elements || [mergedElement]
-          };
-          
-          alignedHighlights.push(highlight);
-          elementsToMerge.forEach(element => usedElementIds.add(element.id));
-        }
-      } else {
-        const needsReviewHighlight = {
-          id: `needs-review-${stepIndex}`,
-          step: stepIndex + 1,
-          x: 50,
-          y: 50 + (stepIndex * 100),
-          width: 200,
-          height: 30,
-          text: stepText,
-          narrationText: stepText,
-          narrative: step.narrative,
-          fontSize: 12,
-          fontFamily: 'Arial',
-          isMerged: false,
-          elements: [],
-          needsReview: true
-        };
-        alignedHighlights.push(needsReviewHighlight);
+      const ttsService = ttsServiceRef.current || createTTSService();
+      ttsServiceRef.current = ttsService;
+      const audio = await ttsService.updateNarrativeAudio(narrative, audioSteps);
+      if (!audio.success) {
+        setAudioError(audio.error || 'No step audio could be generated');
       }
-    });
-
-    return alignedHighlights;
+      setAudioData(audio.success ? audio : null);
+      setNarrativeScript(narrative);
+      
+      const html = generatePresentationHTMLWithZoom(highlights, pageImages, narrative, audio.success ? audio : null);
+      setPresentationHTML(html);
+      setPresentationInputs({ ...presentationInputs, highlights, narrative, audio: audio.success ? audio : null });
+    } catch (err) {
+      console.error('Error updating presentation:', err);
+      setError(`Failed to update presentation: ${err.message}`);
+    } finally {
+      setIsGeneratingAudio(false);
+    }
   };
 
-  // Extract PDF text
-  const extractPDFText = async (pdf, pageNumber) => {
+  // Continue generation with the operator's corrected highlights
+  const handleReviewApply = async (reviewedHighlights) => {
+    const { narrative, documentData } = reviewSession;
+    setReviewSession(null);
+    
     try {
-      const page = await pdf.getPage(pageNumber);
-      const textContent = await page.getTextContent();
-      
-      const fullText = textContent.items
-        .map(item => item.str)
-        .join(' ')
-        .replace(/\s+/g, ' ')
-        .trim();
-      
-      return fullText;
-    } catch (error) {
-      console.error('❌ Error extracting PDF text:', error);
-      return '';
+      await finishPresentation(reviewedHighlights, narrative, documentData);
+    } catch (err) {
+      console.error('Error generating presentation:', err);
+      setError(`Failed to generate presentation: ${err.message}`);
     }
   };
 
@@ -390,11 +236,18 @@ const GuidedPresentationWithZoom = () => {
     try {
       setIsGeneratingNarrative(true);
       setNarrativeError(null);
+      setNarrativeWarning(null);
+      setReconciliationIssues([]);
       
-      const narrativeGenerator = new GPTNarrativeGenerator();
+      const narrativeGenerator = createNarrativeGenerator();
       const result = await narrativeGenerator.generateNarrativeScript(pdfText, semanticBlocks);
       
       if (result.success) {
+        if (result.usedFallback) {
+          const fieldCount = result.validationErrors?.length || 0;
+          setNarrativeWarning(`The generated script did not match the expected format (${fieldCount} field${fieldCount === 1 ? '' : 's'} invalid), so a basic walkthrough is shown instead.`);
+        }
+        setReconciliationIssues(result.narrative.reconciliation?.issues || []);
         setNarrativeScript(result.narrative);
         return result.narrative;
       } else {
@@ -410,13 +263,148 @@ const GuidedPresentationWithZoom = () => {
     }
   };
 
+  // Export the extracted EOB data as a FHIR ExplanationOfBenefit bundle
+  const exportFHIRBundle = () => {
+    if (!narrativeScript?.eobSummary) return;
+
+    const bundle = buildExplanationOfBenefitBundle({ eobSummary: narrativeScript.eobSummary, keyValuePairs });
+    const { valid, errors } = validateExplanationOfBenefitBundle(bundle);
+    if (!valid) {
+      setError(`FHIR export failed validation: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}`);
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/fhir+json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'explanation-of-benefit.fhir.json';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  // Export the narration captions, timed like the rendered video (steps back to back with short pauses)
+  const exportCaptions = (format) => {
+    const cues = createCaptionCuesFromAudio(presentationInputs?.audio);
+    if (cues.length === 0) return;
+
+    const isVTT = format === 'vtt';
+    const blob = new Blob([isVTT ? toWebVTT(cues) : toSRT(cues)], { type: isVTT ? 'text/vtt' : 'application/x-subrip' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${(currentFile?.name || 'presentation').replace(/\.pdf$/i, '')}.captions.${format}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  // Save everything needed to reopen this presentation without analysis, GPT or TTS
+  const saveProject = async () => {
+    if (!presentationInputs || !currentFile) return;
+
+    try {
+      const archive = await createProjectArchive({
+        pdf: await currentFile.arrayBuffer(),
+        fileName: currentFile.name,
+        analysis: presentationInputs.analysis,
+        semanticBlocks: presentationInputs.elements,
+        highlights: presentationInputs.highlights,
+        narrative: presentationInputs.narrative,
+        pageImages: presentationInputs.pageImages,
+        audio: presentationInputs.audio,
+        settings: { maskingMode, scale }
+      });
+
+      const blob = new Blob([archive], { type: 'application/zip' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${currentFile.name.replace(/\.pdf$/i, '')}.eob-project.zip`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('❌ Error saving project:', err);
+      setError(`Failed to save project: ${err.message}`);
+    }
+  };
+
+  // Restore a saved project: the presentation is rebuilt from the archive without calling any service
+  const handleProjectOpen = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      setIsLoading(true);
+      setError(null);
+      setNarrativeError(null);
+      setNarrativeWarning(null);
+      setAudioError(null);
+      setReviewSession(null);
+      setIsEditingNarrative(false);
+      setCacheStats(null);
+
+      const project = await readProjectArchive(await file.arrayBuffer());
+      if (!project.pdf || project.pageImages.length === 0) {
+        throw new Error('This file only contains a narrative script (no PDF or page images), so the presentation cannot be restored');
+      }
+      if (project.migratedFrom !== null) {
+        console.log(`🔄 Opened a version ${project.migratedFrom} project`);
+      }
+
+      // pdf.js takes ownership of the buffer it is given, so it gets a copy
+      const pdf = await pdfjsLib.getDocument({ data: project.pdf.slice() }).promise;
+      const audio = project.audio?.success ? project.audio : null;
+
+      setCurrentFile(new File([project.pdf], project.fileName || 'document.pdf', { type: 'application/pdf' }));
+      setPdfDocument(pdf);
+      setTotalPages(pdf.numPages);
+      setCurrentPage(1);
+      setCurrentStep(0);
+      setIsPlaying(false);
+      setMaskingMode(project.settings.maskingMode || 'off');
+      setScale(project.settings.scale || 1.0);
+      setSemanticData(project.semanticBlocks);
+      setKeyValuePairs(project.analysis?.keyValuePairs || []);
+      setNarrativeScript(project.narrative);
+      setReconciliationIssues(project.narrative?.reconciliation?.issues || []);
+      setAudioData(audio);
+      setIsDataProcessing(false);
+      setIsDataProcessingComplete(true);
+
+      setPresentationHTML(generatePresentationHTMLWithZoom(project.highlights, project.pageImages, project.narrative, audio));
+      setPresentationInputs({
+        pageImages: project.pageImages,
+        elements: project.semanticBlocks,
+        analysis: project.analysis,
+        highlights: project.highlights,
+        narrative: project.narrative,
+        audio
+      });
+      console.log(`📂 Opened project "${project.fileName}" (${project.narrative?.steps?.length || 0} steps)`);
+    } catch (err) {
+      console.error('❌ Error opening project:', err);
+      setError(`Failed to open project: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   // Generate audio for narrative script
   const generateAudioForNarrative = async (narrative) => {
     try {
       setIsGeneratingAudio(true);
       setAudioError(null);
       
-      const ttsService = new AzureTTSService();
+      // Kept so edited steps are re-spoken with the same voice
+      const ttsService = createTTSService();
+      ttsServiceRef.current = ttsService;
       const result = await ttsService.generateNarrativeAudio(narrative);
       
       if (result.success) {
@@ -435,1647 +423,6 @@ const GuidedPresentationWithZoom = () => {
     }
   };
 
-  // Generate presentation HTML with zoom functionality
-  const generatePresentationHTMLWithZoom = (alignedHighlights, viewport, pageNumber, canvas, narrativeData, audioData) => {
-    const imageDataUrl = canvas.toDataURL('image/png');
-    // Use the display size (CSS pixels) for coordinates, not the high-res canvas size
-    const canvasWidth = viewport.width;
-    const canvasHeight = viewport.height;
-    
-    // Extract EOB summary data
-    const eobSummary = narrativeData?.eobSummary || {
-      serviceDate: "Date not available",
-      providerName: "Provider not identified",
-      services: [{ description: "Service details not available", amount: "$0.00" }],
-      totalCharged: "$0.00",
-      insurancePaid: "$0.00",
-      adjustments: "$0.00",
-      patientOwes: "$0.00",
-      deductible: "$0.00",
-      copay: "$0.00"
-    };
-    
-    // Prepare audio data for embedding
-    const audioDataForHTML = audioData && audioData.audioSteps ? audioData.audioSteps.map(step => {
-      if (step.success && step.audioData) {
-        try {
-          const uint8Array = new Uint8Array(step.audioData);
-          let binaryString = '';
-          const chunkSize = 8192;
-          
-          for (let i = 0; i < uint8Array.length; i += chunkSize) {
-            const chunk = uint8Array.slice(i, i + chunkSize);
-            binaryString += String.fromCharCode.apply(null, chunk);
-          }
-          
-          const base64String = btoa(binaryString);
-          return {
-            stepNumber: step.stepNumber,
-            audioData: `data:audio/mpeg;base64,${base64String}`,
-            duration: step.duration,
-            text: step.text
-          };
-        } catch (error) {
-          console.error('🎵 Error converting audio to base64:', error);
-          return {
-            stepNumber: step.stepNumber,
-            audioData: null,
-            duration: step.duration,
-            text: step.text
-          };
-        }
-      }
-      return {
-        stepNumber: step.stepNumber,
-        audioData: null,
-        duration: step.duration,
-        text: step.text
-      };
-    }) : [];
-    
-    const scaleX = canvasWidth / viewport.width;
-    const scaleY = canvasHeight / viewport.height;
-    
-    return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Guided Presentation with Zoom - Page ${pageNumber}</title>
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { 
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif; 
-            background: #f1f5f9; 
-            color: #1e293b; 
-            overflow: hidden;
-            height: 100vh;
-            margin: 0;
-            padding: 0;
-            line-height: 1.6;
-        }
-        
-        .container { 
-            display: flex; 
-            height: 100vh; 
-            background: #f1f5f9;
-            margin: 0;
-            overflow: hidden;
-            gap: 0;
-        }
-        
-        /* PDF View Section - Main Content */
-        .pdf-viewer { 
-            flex: 1; 
-            background: transparent; 
-            position: relative; 
-            display: flex; 
-            align-items: center; 
-            justify-content: center; 
-            overflow: hidden;
-            cursor: default;
-            margin: 16px;
-            border-radius: 0;
-            box-shadow: none;
-            border: none;
-        }
-        
-         .pdf-container { 
-             position: relative; 
-             transform-origin: center center;
-             transition: none;
-             max-width: calc(100% - 20px);
-             max-height: calc(100% - 20px);
-             margin: 0 auto;
-             background: transparent;
-             border-radius: 0;
-             overflow: visible;
-         }
-        
-        .pdf-background { 
-            width: ${canvasWidth}px; 
-            height: ${canvasHeight}px; 
-            z-index: 1; 
-            user-select: none;
-            pointer-events: none;
-            max-width: 100%;
-            max-height: 100%;
-            object-fit: contain;
-            border-radius: 6px;
-        }
-        
-        .highlight-overlay { 
-            position: absolute; 
-            top: 0; 
-            left: 0; 
-            width: ${canvasWidth}px; 
-            height: ${canvasHeight}px; 
-            z-index: 2; 
-            pointer-events: none; 
-        }
-        
-         .highlight-element { 
-             position: absolute; 
-             border: none; 
-             border-radius: 0; 
-             background: transparent; 
-             opacity: 0; 
-             transform: scale(0.9); 
-             transition: all 0.4s cubic-bezier(0.4, 0, 0.2, 1); 
-             pointer-events: none; 
-             min-width: 0; 
-             min-height: 0; 
-             box-shadow: none;
-         }
-        
-        .highlight-element.needs-review { 
-            border: none; 
-            background: transparent; 
-        }
-        
-        .highlight-label { 
-            position: absolute; 
-            left: -45px; 
-            top: 50%; 
-            transform: translateY(-50%); 
-            background: linear-gradient(135deg, #ffd700, #ffed4e); 
-            color: #333; 
-            font-weight: 600; 
-            font-size: 16px; 
-            width: 36px; 
-            height: 36px; 
-            border-radius: 50%; 
-            box-shadow: 0 4px 15px rgba(255, 215, 0, 0.4); 
-            text-align: center; 
-            display: flex; 
-            align-items: center; 
-            justify-content: center; 
-            border: 3px solid #fff; 
-            line-height: 1; 
-            opacity: 1; /* Always visible when parent is active */
-        }
-        
-        .highlight-element.needs-review .highlight-label { 
-            background: linear-gradient(135deg, #ff6b6b, #ff8e8e); 
-        }
-        
-        .highlight-element.active { 
-            opacity: 1; 
-            transform: scale(1); 
-            box-shadow: none;
-        }
-        
-        .highlight-element.prev { 
-            opacity: 0; 
-            transform: scale(0.9); 
-        }
-        
-        /* Zoom Controls */
-        .zoom-controls {
-            position: absolute;
-            top: 24px;
-            right: 24px;
-            z-index: 10;
-            display: flex;
-            flex-direction: column;
-            gap: 6px;
-            background: #ffffff;
-            padding: 16px;
-            border-radius: 12px;
-            box-shadow: 0 10px 25px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05);
-            border: 1px solid #e2e8f0;
-        }
-        
-        .zoom-btn {
-            width: 40px;
-            height: 40px;
-            border: none;
-            border-radius: 50%;
-            background: #002677;
-            color: white;
-            font-size: 18px;
-            font-weight: 600;
-            cursor: pointer;
-            transition: all 0.2s ease;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            box-shadow: 0 1px 3px 0 rgba(0, 38, 119, 0.3), 0 1px 2px 0 rgba(0, 38, 119, 0.06);
-        }
-        
-        .zoom-btn:hover {
-            background: #003d99;
-            transform: translateY(-1px);
-            box-shadow: 0 4px 6px -1px rgba(0, 38, 119, 0.4), 0 2px 4px -1px rgba(0, 38, 119, 0.06);
-        }
-        
-        .zoom-btn:active {
-            transform: translateY(0);
-            box-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06);
-        }
-        
-        .zoom-btn:disabled {
-            background: #e2e8f0;
-            color: #94a3b8;
-            cursor: not-allowed;
-            transform: none;
-            box-shadow: none;
-        }
-        
-        .zoom-level {
-            text-align: center;
-            color: #64748b;
-            font-weight: 500;
-            font-size: 11px;
-            margin-top: 6px;
-            letter-spacing: 0.025em;
-        }
-        
-        .zoom-to-fit-btn {
-            width: 100%;
-            padding: 8px 12px;
-            background: #ff642b;
-            color: white;
-            border: none;
-            border-radius: 6px;
-            cursor: pointer;
-            font-size: 11px;
-            font-weight: 500;
-            transition: all 0.2s ease;
-            margin-top: 4px;
-        }
-        
-        .zoom-to-fit-btn:hover {
-            background: #e55a2b;
-            transform: translateY(-1px);
-            box-shadow: 0 2px 4px -1px rgba(255, 100, 43, 0.3);
-        }
-        
-        /* EOB Summary Sticky Note */
-        .eob-summary-sticky {
-            position: fixed;
-            top: 24px;
-            left: 24px;
-            width: 300px;
-            max-width: calc(100vw - 48px);
-            background: rgba(255, 255, 255, 0.95);
-            backdrop-filter: blur(10px);
-            -webkit-backdrop-filter: blur(10px);
-            border: 2px solid rgba(255, 255, 255, 0.5);
-            border-radius: 12px;
-            padding: 20px;
-            box-shadow: 0 8px 24px rgba(0, 0, 0, 0.15);
-            z-index: 1000;
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            transform: rotate(0deg);
-            transition: all 0.3s ease;
-        }
-        
-        .eob-summary-sticky:hover {
-            transform: translateY(-2px);
-            box-shadow: none;
-        }
-        
-        .eob-summary-header {
-            display: flex;
-            align-items: center;
-            margin-bottom: 16px;
-            border-bottom: 1px solid #e2e8f0;
-            padding-bottom: 12px;
-            position: relative;
-        }
-
-        .eob-toggle-btn {
-            position: absolute;
-            right: 0;
-            top: 50%;
-            transform: translateY(-50%);
-            background: transparent;
-            border: none;
-            font-size: 16px;
-            color: #64748b;
-            cursor: pointer;
-            padding: 4px;
-            border-radius: 4px;
-            transition: all 0.2s ease;
-            display: none;
-        }
-
-        .eob-toggle-btn:hover {
-            background: rgba(0, 0, 0, 0.1);
-            color: #374151;
-        }
-
-        .eob-toggle-btn.rotated {
-            transform: translateY(-50%) rotate(180deg);
-        }
-        
-        .eob-summary-icon {
-            font-size: 18px;
-            margin-right: 10px;
-            color: #3b82f6;
-        }
-        
-        .eob-summary-title {
-            font-size: 18px;
-            font-weight: 600;
-            color: #1e293b;
-            margin: 0;
-            letter-spacing: -0.025em;
-        }
-        
-        .eob-summary-content {
-            font-size: 14px;
-            line-height: 1.5;
-        }
-        
-        .eob-summary-row {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: 8px;
-            padding: 6px 0;
-            border-radius: 4px;
-            transition: background-color 0.2s ease;
-        }
-        
-        .eob-summary-row:hover {
-            background-color: #f8fafc;
-        }
-        
-        .eob-summary-label {
-            color: #64748b;
-            font-weight: 500;
-            font-size: 13px;
-        }
-        
-        .eob-summary-value {
-            color: #1e293b;
-            font-weight: 600;
-            font-size: 14px;
-        }
-        
-        .eob-summary-value.highlight {
-            color: #dc2626;
-            font-weight: 700;
-            font-size: 16px;
-        }
-        
-        .eob-summary-services {
-            margin-top: 12px;
-            padding-top: 12px;
-            border-top: 1px solid #e2e8f0;
-            background-color: #f8fafc;
-            border-radius: 6px;
-            padding: 12px;
-        }
-        
-        .eob-summary-service {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: 6px;
-            font-size: 13px;
-            padding: 4px 0;
-        }
-        
-        .eob-summary-service-label {
-            color: #64748b;
-            font-weight: 500;
-        }
-        
-        .eob-summary-service-value {
-            color: #1e293b;
-            font-weight: 600;
-        }
-        
-        /* Right Side Panel - Slide Navigation */
-        .slide-navigation {
-            width: 320px;
-            background: rgba(255, 255, 255, 0.2);
-            backdrop-filter: blur(10px);
-            -webkit-backdrop-filter: blur(10px);
-            border: 1px solid rgba(255, 255, 255, 0.3);
-            border-radius: 8px;
-            padding: 0;
-            display: flex;
-            flex-direction: column;
-            overflow-y: auto;
-            flex-shrink: 0;
-            position: relative;
-            margin: 8px;
-            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.1);
-        }
-        
-        /* YouTube-style separator line */
-        .slide-navigation::before {
-            display: none;
-        }
-        
-        .slide-navigation-header {
-            padding: 24px 20px 16px;
-            border-bottom: none;
-            background: transparent;
-        }
-        
-        .slide-navigation h3 { 
-            margin: 0 0 8px 0; 
-            color: #002677; 
-            font-weight: 700;
-            font-size: 20px;
-            text-align: left;
-            line-height: 1.2;
-        }
-        
-        .slide-navigation-subtitle {
-            color: #666;
-            font-size: 14px;
-            margin: 0;
-        }
-        
-        .slide-list {
-            flex: 1;
-            padding: 16px 0;
-            overflow-y: auto;
-        }
-        
-        .slide-item {
-            display: flex;
-            align-items: center;
-            padding: 12px 20px;
-            cursor: pointer;
-            transition: all 0.3s ease;
-            border-left: 3px solid transparent;
-            position: relative;
-        }
-        
-        .slide-item:hover {
-            background: #f8f9fa;
-            border-left-color: #ff642b;
-        }
-        
-        .slide-item.active {
-            background: linear-gradient(135deg, #e3f2fd, #f3e5f5);
-            border-left-color: #002677;
-        }
-        
-        .slide-item.completed {
-            background: linear-gradient(135deg, #e8f5e8, #f1f8e9);
-            border-left-color: #22c55e;
-        }
-        
-        .slide-number {
-            width: 32px;
-            height: 32px;
-            border-radius: 50%;
-            background: #e0e0e0;
-            color: #666;
-            font-weight: 600;
-            font-size: 14px;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            margin-right: 12px;
-            transition: all 0.3s ease;
-        }
-        
-        .slide-item.active .slide-number {
-            background: #002677;
-            color: white;
-            box-shadow: 0 4px 12px rgba(0, 38, 119, 0.3);
-        }
-        
-        .slide-item.completed .slide-number {
-            background: #4caf50;
-            color: white;
-        }
-        
-        .slide-content {
-            flex: 1;
-            min-width: 0;
-        }
-        
-        .slide-title {
-            font-size: 14px;
-            font-weight: 600;
-            color: #333;
-            margin: 0 0 4px 0;
-            line-height: 1.3;
-            word-wrap: break-word;
-            overflow-wrap: break-word;
-        }
-        
-        .slide-preview {
-            font-size: 12px;
-            color: #666;
-            margin: 0;
-            line-height: 1.4;
-            word-wrap: break-word;
-            overflow-wrap: break-word;
-        }
-        
-        .slide-status {
-            position: absolute;
-            right: 16px;
-            top: 50%;
-            transform: translateY(-50%);
-            width: 8px;
-            height: 8px;
-            border-radius: 50%;
-            background: #e0e0e0;
-        }
-        
-        .slide-item.active .slide-status {
-            background: #002677;
-            box-shadow: 0 0 8px rgba(0, 38, 119, 0.4);
-        }
-        
-        .slide-item.completed .slide-status {
-            background: #4caf50;
-        }
-        
-        /* Bottom Controls */
-        .bottom-controls {
-            padding: 20px;
-            border-top: none;
-            background: transparent;
-        }
-        
-        .navigation-arrows {
-            display: flex;
-            justify-content: center;
-            gap: 12px;
-            margin-bottom: 16px;
-        }
-        
-        .nav-arrow {
-            width: 44px;
-            height: 44px;
-            border: none;
-            border-radius: 50%;
-            background: #002677;
-            color: white;
-            font-size: 18px;
-            font-weight: 600;
-            cursor: pointer;
-            transition: all 0.2s ease;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            box-shadow: 0 2px 4px -1px rgba(0, 38, 119, 0.3), 0 1px 2px -1px rgba(0, 38, 119, 0.06);
-        }
-        
-        .nav-arrow:hover {
-            background: #003d99;
-            transform: translateY(-1px);
-            box-shadow: 0 4px 6px -1px rgba(0, 38, 119, 0.4), 0 2px 4px -1px rgba(0, 38, 119, 0.06);
-        }
-        
-        .nav-arrow:disabled {
-            background: #e2e8f0;
-            color: #94a3b8;
-            cursor: not-allowed;
-            transform: none;
-            box-shadow: none;
-        }
-        
-        .progress-section {
-            text-align: center;
-        }
-        
-        .progress-label {
-            font-size: 13px;
-            color: #64748b;
-            margin-bottom: 10px;
-            font-weight: 500;
-        }
-        
-        /* YouTube-style Video Player Controls */
-        .video-player-overlay {
-            position: absolute;
-            bottom: 0;
-            left: 0;
-            right: 0;
-            background: transparent;
-            padding: 24px;
-            z-index: 10;
-            pointer-events: none;
-            border-radius: 0 0 12px 12px;
-        }
-        
-        .video-controls {
-            display: flex;
-            flex-direction: column;
-            align-items: center;
-            gap: 12px;
-            pointer-events: auto;
-        }
-        
-        .play-pause-btn {
-            position: fixed !important;
-            left: 20px !important;
-            bottom: 30px !important;
-            width: 60px !important;
-            height: 60px !important;
-            border-radius: 50% !important;
-            border: none !important;
-            background: #ff642b !important;
-            color: white !important;
-            font-size: 20px !important;
-            cursor: pointer !important;
-            transition: all 0.2s ease !important;
-            display: flex !important;
-            align-items: center !important;
-            justify-content: center !important;
-            box-shadow: 0 6px 12px rgba(255, 100, 43, 0.4) !important;
-            z-index: 1000 !important;
-        }
-        
-        .play-pause-btn:hover {
-            background: #e55a2b !important;
-            transform: scale(1.05) !important;
-            box-shadow: 0 6px 8px -1px rgba(255, 100, 43, 0.4), 0 4px 6px -1px rgba(255, 100, 43, 0.06) !important;
-        }
-        
-        .play-pause-btn.playing {
-            background: #002677 !important;
-            color: white !important;
-            box-shadow: 0 4px 6px -1px rgba(0, 38, 119, 0.3), 0 2px 4px -1px rgba(0, 38, 119, 0.06) !important;
-        }
-        
-        .video-subtitle {
-            position: fixed;
-            bottom: 30px;
-            left: 50%;
-            transform: translateX(-50%);
-            color: #ffffff;
-            font-size: 16px;
-            font-weight: 600;
-            line-height: 1.5;
-            text-align: center;
-            padding: 12px 20px;
-            background: rgba(0, 0, 0, 0.75);
-            backdrop-filter: blur(10px);
-            -webkit-backdrop-filter: blur(10px);
-            border: 1px solid rgba(255, 255, 255, 0.2);
-            border-radius: 8px;
-            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.1);
-            max-width: 60%;
-            word-wrap: break-word;
-            overflow-wrap: break-word;
-            white-space: normal;
-            z-index: 999;
-        }
-        
-        /* Center Play Button for Presentation Start */
-        .center-play-button {
-            position: fixed;
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
-            width: 80px;
-            height: 80px;
-            border-radius: 50%;
-            border: none;
-            background: #ff642b;
-            color: white;
-            font-size: 32px;
-            cursor: pointer;
-            z-index: 1001;
-            box-shadow: 0 8px 24px rgba(255, 100, 43, 0.4);
-            transition: all 0.3s ease;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-        }
-        
-        .center-play-button:hover {
-            background: #e55a2b;
-            transform: translate(-50%, -50%) scale(1.1);
-            box-shadow: 0 12px 32px rgba(255, 100, 43, 0.6);
-        }
-        
-        .center-play-button.hidden {
-            display: none;
-        }
-        
-        .center-play-button::before {
-            content: '▶';
-            margin-left: 4px;
-        }
-        
-        .video-progress {
-            position: fixed;
-            bottom: 0;
-            left: 0;
-            right: 0;
-            height: 4px;
-            background: rgba(255, 255, 255, 0.2);
-            z-index: 11;
-            border-radius: 0;
-        }
-        
-        .video-progress-fill {
-            height: 100%;
-            background: #ff642b;
-            width: 0%;
-            transition: width 0.1s ease;
-            border-radius: 0 0 12px 12px;
-        }
-        
-        /* Audio Controls - Hidden */
-        .audio-controls { 
-            display: none;
-        }
-        
-        /* Progress Bar */
-        .progress-container { 
-            background: #e2e8f0; 
-            height: 8px; 
-            border-radius: 4px; 
-            margin-bottom: 20px; 
-            overflow: hidden; 
-        }
-        
-        .progress-fill { 
-            height: 100%; 
-            background: #ff642b; 
-            width: 0%; 
-            transition: width 0.3s ease; 
-        }
-        
-        /* Responsive design */
-        @media (max-width: 1024px) {
-            /* EOB Summary - Tablet adjustments */
-            .eob-summary-sticky {
-                width: 280px;
-                max-width: calc(50vw - 24px);
-            }
-        }
-
-        @media (max-width: 768px) {
-            .container {
-                flex-direction: column;
-            }
-            
-            .pdf-viewer {
-                height: 60vh;
-                margin: 8px;
-                border-right: none;
-                border-bottom: 1px solid #e2e8f0;
-            }
-            
-            .pdf-container {
-                max-width: calc(100vw - 32px);
-                max-height: calc(60vh - 32px);
-            }
-            
-            .slide-navigation {
-                width: 100%;
-                height: 40vh;
-                border-left: none;
-                border-top: 1px solid #e0e0e0;
-            }
-            
-            .slide-navigation::before {
-                display: none;
-            }
-            
-            .slide-list {
-                max-height: 200px;
-            }
-            
-            .zoom-controls {
-                top: 12px;
-                right: 12px;
-                padding: 12px;
-            }
-            
-            .zoom-btn {
-                width: 36px;
-                height: 36px;
-                font-size: 16px;
-            }
-            
-            .bottom-play-button {
-                width: 60px;
-                height: 60px;
-                font-size: 20px;
-                bottom: 20px;
-            }
-            
-            .subtitle-text {
-                bottom: 100px;
-                font-size: 16px;
-                padding: 10px 16px;
-            }
-            
-            .nav-arrow {
-                width: 40px;
-                height: 40px;
-                font-size: 16px;
-            }
-            
-            .slide-item {
-                padding: 10px 16px;
-            }
-            
-            .slide-number {
-                width: 28px;
-                height: 28px;
-                font-size: 12px;
-            }
-            
-            /* EOB Summary Sticky Note - Mobile - Collapsible */
-            .eob-summary-sticky {
-                position: fixed;
-                top: 12px;
-                left: 12px;
-                right: 12px;
-                width: auto;
-                max-width: none;
-                background: rgba(255, 255, 255, 0.95);
-                backdrop-filter: blur(10px);
-                -webkit-backdrop-filter: blur(10px);
-                border: 2px solid rgba(255, 255, 255, 0.5);
-                border-radius: 12px;
-                box-shadow: 0 8px 24px rgba(0, 0, 0, 0.15);
-                transform: translateY(-100%);
-                z-index: 1001;
-                max-height: 50vh;
-                overflow-y: auto;
-                padding: 16px;
-                transition: transform 0.3s ease;
-            }
-            
-            .eob-summary-sticky.show {
-                transform: translateY(0);
-            }
-            
-            .eob-summary-sticky:hover {
-                transform: translateY(-100%);
-            }
-
-            .eob-toggle-btn {
-                display: block;
-            }
-
-            .eob-summary-content {
-                max-height: 0;
-                overflow: hidden;
-                transition: max-height 0.3s ease;
-            }
-
-            .eob-summary-sticky.show .eob-summary-content {
-                max-height: 300px;
-            }
-            
-            .eob-summary-content {
-                font-size: 14px;
-            }
-            
-            .eob-summary-row {
-                margin-bottom: 8px;
-            }
-            
-            .eob-summary-services {
-                margin-top: 12px;
-                padding-top: 12px;
-            }
-            
-            .eob-summary-service {
-                font-size: 13px;
-                margin-bottom: 6px;
-            }
-        }
-
-        @media (max-width: 480px) {
-            /* EOB Summary - Small mobile - Always visible but compact */
-            .eob-summary-sticky {
-                position: fixed;
-                top: 8px;
-                left: 8px;
-                right: 8px;
-                width: auto;
-                max-width: none;
-                background: rgba(255, 255, 255, 0.98);
-                backdrop-filter: blur(15px);
-                -webkit-backdrop-filter: blur(15px);
-                border: 3px solid rgba(255, 255, 255, 0.8);
-                border-radius: 16px;
-                box-shadow: 0 12px 32px rgba(0, 0, 0, 0.2);
-                transform: translateY(0);
-                z-index: 1001;
-                max-height: 40vh;
-                overflow-y: auto;
-                padding: 12px;
-                font-size: 12px;
-            }
-            
-            .eob-summary-header {
-                margin-bottom: 12px;
-                padding-bottom: 8px;
-            }
-            
-            .eob-summary-title {
-                font-size: 16px;
-            }
-            
-            .eob-summary-content {
-                font-size: 12px;
-            }
-            
-            .eob-summary-row {
-                margin-bottom: 6px;
-                padding: 4px 0;
-            }
-            
-            .eob-summary-services {
-                margin-top: 8px;
-                padding-top: 8px;
-            }
-            
-            .eob-summary-service {
-                font-size: 11px;
-                margin-bottom: 4px;
-            }
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <!-- EOB Summary Sticky Note -->
-        <div class="eob-summary-sticky" id="eobSummary">
-            <div class="eob-summary-header">
-                <div class="eob-summary-icon">📋</div>
-                <h3 class="eob-summary-title">EOB Summary</h3>
-                <button class="eob-toggle-btn" id="eobToggle" aria-label="Toggle EOB summary visibility">▼</button>
-            </div>
-            <div class="eob-summary-content">
-                <div class="eob-summary-row">
-                    <span class="eob-summary-label">Date:</span>
-                    <span class="eob-summary-value">${eobSummary.serviceDate}</span>
-                </div>
-                <div class="eob-summary-row">
-                    <span class="eob-summary-label">Provider:</span>
-                    <span class="eob-summary-value">${eobSummary.providerName}</span>
-                </div>
-                <div class="eob-summary-services">
-                    ${eobSummary.services.map(service => `
-                        <div class="eob-summary-service">
-                            <span class="eob-summary-service-label">${service.description}</span>
-                            <span class="eob-summary-service-value">${service.amount}</span>
-                        </div>
-                    `).join('')}
-                </div>
-                <div class="eob-summary-row">
-                    <span class="eob-summary-label">Total Charged:</span>
-                    <span class="eob-summary-value">${eobSummary.totalCharged}</span>
-                </div>
-                <div class="eob-summary-row">
-                    <span class="eob-summary-label">Insurance Paid:</span>
-                    <span class="eob-summary-value">${eobSummary.insurancePaid}</span>
-                </div>
-                <div class="eob-summary-row">
-                    <span class="eob-summary-label">Adjustments:</span>
-                    <span class="eob-summary-value">${eobSummary.adjustments}</span>
-                </div>
-                <div class="eob-summary-row" style="border-top: 1px solid #fdcb6e; padding-top: 6px; margin-top: 6px;">
-                    <span class="eob-summary-label" style="font-weight: 700; color: #2d3436;">You Owe:</span>
-                    <span class="eob-summary-value highlight">${eobSummary.patientOwes}</span>
-                </div>
-                ${eobSummary.deductible !== "$0.00" ? `
-                <div class="eob-summary-row">
-                    <span class="eob-summary-label">Deductible:</span>
-                    <span class="eob-summary-value">${eobSummary.deductible}</span>
-                </div>
-                ` : ''}
-                ${eobSummary.copay !== "$0.00" ? `
-                <div class="eob-summary-row">
-                    <span class="eob-summary-label">Copay:</span>
-                    <span class="eob-summary-value">${eobSummary.copay}</span>
-                </div>
-                ` : ''}
-            </div>
-        </div>
-
-        <!-- PDF View Section - Main Content -->
-        <div class="pdf-viewer" id="pdfViewer">
-            <!-- Zoom Controls -->
-            <div class="zoom-controls">
-                <button class="zoom-btn" id="zoomIn" title="Zoom In (Ctrl + Plus)">+</button>
-                <button class="zoom-btn" id="zoomOut" title="Zoom Out (Ctrl + Minus)">−</button>
-                <button class="zoom-to-fit-btn" id="zoomToFit" title="Zoom to Fit (Ctrl + 0)">Fit</button>
-                 <div class="zoom-level" id="zoomLevel">150%</div>
-            </div>
-            
-            <!-- YouTube-style Video Player Controls -->
-            <!-- Center Play Button for Presentation Start -->
-            <button class="center-play-button" id="centerPlayBtn" onclick="startPresentation()"></button>
-            
-            <div class="video-player-overlay">
-                <div class="video-progress">
-                    <div class="video-progress-fill" id="progressFill"></div>
-                </div>
-            </div>
-            
-            <!-- Independent Floating Play Button (Left Side) -->
-            <button class="play-pause-btn" id="playPauseBtn" onclick="togglePlay()">▶</button>
-            
-            <!-- Independent Floating Subtitle Text (Center) -->
-            <div class="video-subtitle" id="videoSubtitle">Click play to start the presentation</div>
-            
-            <!-- PDF Container -->
-            <div class="pdf-container" id="pdfContainer">
-                <img src="${imageDataUrl}" alt="PDF Page ${pageNumber}" class="pdf-background">
-                <div class="highlight-overlay" id="highlightOverlay">
-                 ${alignedHighlights.map((highlight, index) => {
-                     // Scale coordinates to match the PDF display size
-                     const x = highlight.x * scaleX;
-                     const y = highlight.y * scaleY;
-                     const width = highlight.width * scaleX;
-                     const height = highlight.height * scaleY;
-                     const stepNumber = highlight.step;
-                     const needsReview = highlight.needsReview ? 'needs-review' : '';
-                     
-                     return `
-                         <div class="highlight-element ${needsReview}" id="highlight-${stepNumber - 1}" data-step="${stepNumber - 1}" style="left: ${x}px; top: ${y}px; width: ${width}px; height: ${height}px;">
-                             <div class="highlight-label">${stepNumber}</div>
-                         </div>
-                     `;
-                 }).join('')}
-                </div>
-            </div>
-        </div>
-        
-        <!-- Right Side Panel - Slide Navigation -->
-        <div class="slide-navigation">
-            <!-- Header -->
-            <div class="slide-navigation-header">
-                <h3>Presentation Sections</h3>
-                <p class="slide-navigation-subtitle">Navigate through your guided presentation</p>
-            </div>
-            
-            <!-- Slide List -->
-            <div class="slide-list" id="slideList">
-                ${alignedHighlights.map((highlight, index) => {
-                    const isActive = index === 0;
-                    const isCompleted = false;
-                    const stepNumber = highlight.step;
-                    const title = highlight.narrationText || highlight.text || `Section ${stepNumber}`;
-                    const preview = highlight.narrative || highlight.text || 'Click to view this section';
-                    
-                    return `
-                        <div class="slide-item ${isActive ? 'active' : ''} ${isCompleted ? 'completed' : ''}" 
-                             onclick="goToStep(${index})" 
-                             data-step="${index}">
-                            <div class="slide-number">${stepNumber}</div>
-                            <div class="slide-content">
-                                <div class="slide-title">${title}</div>
-                                <div class="slide-preview">${preview}</div>
-                            </div>
-                            <div class="slide-status"></div>
-                        </div>
-                    `;
-                }).join('')}
-            </div>
-            
-            <!-- Bottom Controls -->
-            <div class="bottom-controls">
-                <!-- Navigation Arrows -->
-                <div class="navigation-arrows">
-                    <button class="nav-arrow" id="prevBtn" onclick="previousStep()" disabled>‹</button>
-                    <button class="nav-arrow" id="nextBtn" onclick="nextStep()">›</button>
-                </div>
-                
-                <!-- Progress Section -->
-                <div class="progress-section">
-                    <div class="progress-label">Progress</div>
-                    <div class="progress-container">
-                        <div class="progress-fill" id="progressFill"></div>
-                    </div>
-                </div>
-            </div>
-        </div>
-    </div>
-
-    <script>
-        const elements = ${JSON.stringify(alignedHighlights)};
-        const audioData = ${JSON.stringify(audioDataForHTML)};
-        const narrativeScript = ${JSON.stringify(narrativeData)};
-        const totalSteps = elements.length;
-        let currentStep = 0;
-        let isPlaying = false;
-        let playInterval;
-        let audioContext = null;
-        let currentAudio = null;
-        
-         // Zoom functionality
-         let currentZoom = 1.5; // Start at 150% as requested
-         let minZoom = 0.5;
-         let maxZoom = 2.0;
-         let zoomStep = 0.25;
-         let isDragging = false;
-         let dragStart = { x: 0, y: 0 };
-         let currentPan = { x: 0, y: 0 };
-         let isPanning = false;
-        
-        function updateStep(step) {
-            currentStep = step;
-            
-            // Update subtitle text above play button
-            updateSubtitle();
-            
-            // Update progress
-            const progress = ((step + 1) / totalSteps) * 100;
-            const progressFill = document.getElementById('progressFill');
-            if (progressFill) {
-                progressFill.style.width = progress + '%';
-            }
-            
-            // Update highlights - only show current step, hide all others
-            document.querySelectorAll('.highlight-element').forEach((el) => {
-                el.classList.remove('active', 'prev');
-                const elementStep = parseInt(el.getAttribute('data-step')) || 0;
-                if (elementStep === step) {
-                    el.classList.add('active');
-                }
-                // All other elements remain hidden (opacity: 0)
-            });
-            
-            // Update slide navigation
-            document.querySelectorAll('.slide-item').forEach((el, index) => {
-                el.classList.remove('active', 'completed');
-                if (index === step) {
-                    el.classList.add('active');
-                } else if (index < step) {
-                    el.classList.add('completed');
-                }
-            });
-            
-            // Update navigation buttons
-            const prevBtn = document.getElementById('prevBtn');
-            const nextBtn = document.getElementById('nextBtn');
-            if (prevBtn) prevBtn.disabled = step === 0;
-            if (nextBtn) nextBtn.disabled = step >= totalSteps - 1;
-            
-            // Auto-zoom to current element with a small delay to ensure proper rendering
-            setTimeout(() => {
-                zoomToElement(step);
-            }, 100);
-        }
-        
-        function nextStep() {
-            if (currentStep < totalSteps - 1) {
-                updateStep(currentStep + 1);
-                if (isPlaying) {
-                    playStepAudio(currentStep);
-                }
-            } else {
-                stopPlay();
-            }
-        }
-        
-        function previousStep() {
-            if (currentStep > 0) {
-                updateStep(currentStep - 1);
-                if (isPlaying) {
-                    playStepAudio(currentStep);
-                }
-            }
-        }
-        
-        function goToStep(step) {
-            updateStep(step);
-            if (isPlaying) {
-                playStepAudio(step);
-            }
-        }
-        
-        function startPresentation() {
-            // Hide center play button and show video controls
-            const centerBtn = document.getElementById('centerPlayBtn');
-            const videoControls = document.querySelector('.video-controls');
-            
-            if (centerBtn) {
-                centerBtn.classList.add('hidden');
-            }
-            
-            if (videoControls) {
-                videoControls.style.display = 'flex';
-            }
-            
-            // Start the presentation
-            startPlay();
-        }
-        
-        function togglePlay() {
-            // YouTube-style behavior: single click toggles play/pause
-            if (isPlaying) {
-                pausePlay();
-            } else {
-                startPlay();
-            }
-        }
-        
-        // YouTube-style keyboard shortcuts
-        function handleKeyPress(event) {
-            // Space bar or Enter key toggles play/pause (YouTube standard)
-            if (event.code === 'Space' || event.code === 'Enter') {
-                event.preventDefault();
-                togglePlay();
-            }
-            // Arrow keys for navigation (YouTube standard)
-            else if (event.code === 'ArrowLeft') {
-                event.preventDefault();
-                goToPreviousStep();
-            }
-            else if (event.code === 'ArrowRight') {
-                event.preventDefault();
-                goToNextStep();
-            }
-        }
-        
-        function updatePlayButton() {
-            const playBtn = document.getElementById('playPauseBtn');
-            if (!playBtn) return;
-            
-            // YouTube-style icon updates with better visual feedback
-            if (isPlaying) {
-                playBtn.textContent = '⏸';
-                playBtn.classList.add('playing');
-                playBtn.setAttribute('aria-label', 'Pause presentation');
-            } else {
-                playBtn.textContent = '▶';
-                playBtn.classList.remove('playing');
-                playBtn.setAttribute('aria-label', 'Play presentation');
-            }
-        }
-        
-        // YouTube-style click anywhere to play/pause (on video area)
-        function handleVideoClick(event) {
-            // Only trigger if clicking on the video area, not on controls
-            if (event.target.classList.contains('video-player-overlay') || 
-                event.target.classList.contains('video-controls')) {
-                return; // Don't trigger if clicking on controls
-            }
-            
-            // Click on video area toggles play/pause (YouTube behavior)
-            togglePlay();
-        }
-        
-        function updateSubtitle() {
-            const subtitleText = document.getElementById('videoSubtitle');
-            if (!subtitleText) return;
-            
-            // Check if presentation has started (center button is hidden)
-            const centerBtn = document.getElementById('centerPlayBtn');
-            const isPresentationStarted = centerBtn && centerBtn.classList.contains('hidden');
-            
-            if (isPresentationStarted && narrativeScript && narrativeScript.steps && narrativeScript.steps[currentStep]) {
-                const stepData = narrativeScript.steps[currentStep];
-                subtitleText.textContent = stepData.narrative || elements[currentStep]?.text || 'No description available';
-            } else if (isPresentationStarted && elements && elements[currentStep]) {
-                subtitleText.textContent = elements[currentStep].text || 'No description available';
-            } else if (isPresentationStarted) {
-                subtitleText.textContent = 'Click play to start the presentation';
-            } else {
-                subtitleText.textContent = 'Click the play button to start the presentation';
-            }
-        }
-        
-        function startPlay() {
-            // YouTube-style: immediate visual feedback
-            isPlaying = true;
-            updatePlayButton();
-            
-            // YouTube-style: start from current step
-            updateStep(currentStep);
-            
-            if (audioData && audioData.length > 0 && audioData[currentStep] && audioData[currentStep].audioData) {
-                playStepAudio(currentStep);
-            } else {
-                // YouTube-style: auto-advance with smooth transitions
-                playInterval = setInterval(() => {
-                    if (isPlaying) { // Check if still playing (YouTube behavior)
-                        nextStep();
-                    }
-                }, 3000);
-            }
-        }
-        
-        function playStepAudio(stepIndex) {
-            if (audioData && audioData[stepIndex] && audioData[stepIndex].audioData) {
-                if (currentAudio) {
-                    currentAudio.pause();
-                }
-                
-                currentAudio = new Audio(audioData[stepIndex].audioData);
-                currentAudio.play();
-                
-                currentAudio.onended = () => {
-                    if (stepIndex < totalSteps - 1) {
-                        nextStep();
-                    } else {
-                        stopPlay();
-                    }
-                };
-            } else {
-                setTimeout(() => {
-                    if (stepIndex < totalSteps - 1) {
-                        nextStep();
-                    } else {
-                        stopPlay();
-                    }
-                }, 3000);
-            }
-        }
-        
-        function pausePlay() {
-            // YouTube-style: immediate pause with visual feedback
-            isPlaying = false;
-            updatePlayButton();
-            updateStep(currentStep);
-            
-            // YouTube-style: pause audio immediately
-            if (currentAudio) {
-                currentAudio.pause();
-            }
-            
-            // YouTube-style: stop auto-advance
-            if (playInterval) {
-                clearInterval(playInterval);
-                playInterval = null;
-            }
-        }
-        
-        function stopPlay() {
-            isPlaying = false;
-            updatePlayButton();
-            currentStep = 0;
-            updateStep(0);
-            
-            if (currentAudio) {
-                currentAudio.pause();
-                currentAudio.currentTime = 0;
-                currentAudio = null;
-            }
-            
-            if (playInterval) {
-                clearInterval(playInterval);
-                playInterval = null;
-            }
-        }
-        
-         // Zoom functionality - Allow Y-axis movement to follow highlights
-         function updateZoom() {
-             const container = document.getElementById('pdfContainer');
-             const zoomLevel = document.getElementById('zoomLevel');
-             
-             if (container && zoomLevel) {
-                 // Allow Y-axis movement but keep X-axis centered
-                 container.style.transform = \`scale(\${currentZoom}) translate(0px, \${currentPan.y}px)\`;
-                 zoomLevel.textContent = Math.round(currentZoom * 100) + '%';
-                 
-                 // Update button states
-                 const zoomInBtn = document.getElementById('zoomIn');
-                 const zoomOutBtn = document.getElementById('zoomOut');
-                 
-                 if (zoomInBtn) zoomInBtn.disabled = currentZoom >= maxZoom;
-                 if (zoomOutBtn) zoomOutBtn.disabled = currentZoom <= minZoom;
-             }
-         }
-        
-        function zoomIn() {
-            if (currentZoom < maxZoom) {
-                currentZoom = Math.min(maxZoom, currentZoom + zoomStep);
-                updateZoom();
-            }
-        }
-        
-        function zoomOut() {
-            if (currentZoom > minZoom) {
-                currentZoom = Math.max(minZoom, currentZoom - zoomStep);
-                updateZoom();
-            }
-        }
-        
-        function zoomToFit() {
-            const viewer = document.getElementById('pdfViewer');
-            const container = document.getElementById('pdfContainer');
-            
-            if (viewer && container) {
-                const viewerRect = viewer.getBoundingClientRect();
-                const containerRect = container.getBoundingClientRect();
-                
-                const scaleX = viewerRect.width / containerRect.width;
-                const scaleY = viewerRect.height / containerRect.height;
-                const scale = Math.min(scaleX, scaleY) * 0.9; // 90% to leave some margin
-                
-                currentZoom = Math.max(minZoom, Math.min(maxZoom, scale));
-                currentPan = { x: 0, y: 0 };
-                updateZoom();
-            }
-        }
-        
-         function zoomToElement(elementIndex) {
-             if (elementIndex >= 0 && elementIndex < elements.length) {
-                 const element = elements[elementIndex];
-                 const viewer = document.getElementById('pdfViewer');
-                 const container = document.getElementById('pdfContainer');
-                 
-                 if (viewer && container && element) {
-                     // Preserve current zoom level - don't reset it
-                     // Only adjust pan position to center the element
-                     
-                     // Calculate the center of the element
-                     const elementCenterX = element.x + element.width / 2;
-                     const elementCenterY = element.y + element.height / 2;
-                     
-                     // Calculate the center of the viewer
-                     const viewerRect = viewer.getBoundingClientRect();
-                     const viewerCenterX = viewerRect.width / 2;
-                     const viewerCenterY = viewerRect.height / 2;
-                     
-                     // Calculate pan to center the element in the viewer (Y-axis only)
-                     // We need to account for the current zoom level
-                     const panY = (viewerCenterY - elementCenterY) / currentZoom;
-                     
-                     // Keep X-axis centered, only move Y-axis
-                     currentPan = {
-                         x: 0, // Keep X-axis centered
-                         y: panY
-                     };
-                     
-                     updateZoom();
-                 }
-             }
-         }
-        
-         // Pan functionality - Disabled to keep PDF stable
-         function startPan(e) {
-             // Disable panning to keep PDF stable
-             e.preventDefault();
-         }
-         
-         function doPan(e) {
-             // Disable panning to keep PDF stable
-             e.preventDefault();
-         }
-         
-         function endPan(e) {
-             // Disable panning to keep PDF stable
-         }
-        
-        // Mouse wheel zoom
-        function handleWheel(e) {
-            e.preventDefault();
-            const delta = e.deltaY > 0 ? -zoomStep : zoomStep;
-            const newZoom = Math.max(minZoom, Math.min(maxZoom, currentZoom + delta));
-            
-            if (newZoom !== currentZoom) {
-                currentZoom = newZoom;
-                updateZoom();
-            }
-        }
-        
-        // Initialize zoom controls
-        function initializeZoom() {
-            const zoomInBtn = document.getElementById('zoomIn');
-            const zoomOutBtn = document.getElementById('zoomOut');
-            const zoomToFitBtn = document.getElementById('zoomToFit');
-            const pdfViewer = document.getElementById('pdfViewer');
-            
-            if (zoomInBtn) {
-                zoomInBtn.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    e.stopPropagation();
-                    zoomIn();
-                });
-            }
-            if (zoomOutBtn) {
-                zoomOutBtn.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    e.stopPropagation();
-                    zoomOut();
-                });
-            }
-            if (zoomToFitBtn) {
-                zoomToFitBtn.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    e.stopPropagation();
-                    zoomToFit();
-                });
-            }
-            
-            if (pdfViewer) {
-                pdfViewer.addEventListener('mousedown', startPan);
-                pdfViewer.addEventListener('mousemove', doPan);
-                pdfViewer.addEventListener('mouseup', endPan);
-                pdfViewer.addEventListener('mouseleave', endPan);
-                pdfViewer.addEventListener('wheel', handleWheel, { passive: false });
-            }
-            
-            updateZoom();
-        }
-
-        // Initialize EOB Summary Toggle
-        function initializeEOBToggle() {
-            const eobSummary = document.getElementById('eobSummary');
-            const eobToggle = document.getElementById('eobToggle');
-            
-            if (eobSummary && eobToggle) {
-                // Show EOB summary by default on mobile
-                if (window.innerWidth <= 768) {
-                    eobSummary.classList.add('show');
-                }
-                
-                eobToggle.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    e.stopPropagation();
-                    
-                    eobSummary.classList.toggle('show');
-                    eobToggle.classList.toggle('rotated');
-                    
-                    // Update aria-label
-                    const isExpanded = eobSummary.classList.contains('show');
-                    eobToggle.setAttribute('aria-label', 
-                        isExpanded ? 'Hide EOB summary' : 'Show EOB summary'
-                    );
-                });
-            }
-        }
-        
-        // Initialize with YouTube-style behavior
-        updateStep(0);
-        updatePlayButton();
-        updateSubtitle();
-        initializeZoom();
-        initializeEOBToggle();
-        
-        // Hide video controls initially, show center play button
-        const videoControls = document.querySelector('.video-controls');
-        const centerBtn = document.getElementById('centerPlayBtn');
-        
-        if (videoControls) {
-            videoControls.style.display = 'none';
-        }
-        
-        if (centerBtn) {
-            centerBtn.classList.remove('hidden');
-        }
-        
-        // Add YouTube-style event listeners
-        document.addEventListener('keydown', handleKeyPress);
-        
-        // Add click-to-play functionality on video area
-        const videoContainer = document.querySelector('.pdf-container');
-        if (videoContainer) {
-            videoContainer.addEventListener('click', handleVideoClick);
-        }
-        
-         // Set initial zoom to a reasonable level
-         currentZoom = 1.5;
-         updateZoom();
-        
-        // Keyboard navigation
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'ArrowRight' || e.key === ' ') {
-                e.preventDefault();
-                nextStep();
-            } else if (e.key === 'ArrowLeft') {
-                e.preventDefault();
-                previousStep();
-            } else if (e.key === 'Enter') {
-                e.preventDefault();
-                togglePlay();
-            }
-            
-            // Zoom keyboard shortcuts
-            if (e.ctrlKey || e.metaKey) {
-                switch (e.key) {
-                    case '=':
-                    case '+':
-                        e.preventDefault();
-                        zoomIn();
-                        break;
-                    case '-':
-                        e.preventDefault();
-                        zoomOut();
-                        break;
-                    case '0':
-                        e.preventDefault();
-                        zoomToFit();
-                        break;
-                }
-            }
-        });
-    </script>
-</body>
-</html>`;
-  };
-
   return (
     <div className="guided-presentation-modern">
 
@@ -2149,7 +496,12 @@ const GuidedPresentationWithZoom = () => {
                   setIsGeneratingAudio(false);
                   setError(null);
                   setNarrativeError(null);
+                  setNarrativeWarning(null);
+                  setReconciliationIssues([]);
                   setAudioError(null);
+                  setReviewSession(null);
+                  setPresentationInputs(null);
+                  setIsEditingNarrative(false);
                 }}
                 title="Remove file and start over"
                 aria-label="Remove selected file and start over"
@@ -2171,11 +523,46 @@ const GuidedPresentationWithZoom = () => {
             aria-label="Upload EOB PDF document"
             aria-describedby="file-requirements"
           />
+
+          <label className="masking-option">
+            <span>Mask member identifiers in the export</span>
+            <select
+              value={maskingMode}
+              onChange={(e) => setMaskingMode(e.target.value)}
+              disabled={isLoading || !!currentFile}
+              title="Black out or blur member IDs, SSNs, group numbers and dates of birth on the page images (choose before uploading)"
+            >
+              <option value="off">Off</option>
+              <option value="blackout">Black out</option>
+              <option value="blur">Blur</option>
+            </select>
+          </label>
+
+          {!currentFile && (
+            <div className="project-open">
+              <button
+                className="project-open-btn"
+                onClick={() => projectInputRef.current?.click()}
+                disabled={isLoading}
+                title="Reopen a presentation saved with Save project"
+              >
+                Open saved project
+              </button>
+              <input
+                type="file"
+                ref={projectInputRef}
+                onChange={handleProjectOpen}
+                accept=".zip,.json"
+                style={{ display: 'none' }}
+                aria-label="Open a saved project archive"
+              />
+            </div>
+          )}
         </div>
       </div>
 
       {/* Process Steps Workflow */}
-      {(isLoading || isGeneratingNarrative || isGeneratingAudio || presentationHTML) && (
+      {(isLoading || isGeneratingNarrative || isGeneratingAudio || presentationHTML || reviewSession) && (
         <div className="process-workflow" role="region" aria-label="Document processing workflow">
           <h3>Processing Your Document</h3>
           <div className="workflow-steps" role="list" aria-label="Processing steps">
@@ -2300,7 +687,7 @@ const GuidedPresentationWithZoom = () => {
                   const url = URL.createObjectURL(blob);
                   const a = document.createElement('a');
                   a.href = url;
-                  a.download = `guided-presentation-with-zoom-page-${currentPage}.html`;
+                  a.download = `guided-presentation-with-zoom-${totalPages}-page${totalPages === 1 ? '' : 's'}.html`;
                   document.body.appendChild(a);
                   a.click();
                   document.body.removeChild(a);
@@ -2317,12 +704,111 @@ const GuidedPresentationWithZoom = () => {
                 </svg>
                 Download
               </button>
+              {presentationInputs && (
+                <button
+                  onClick={saveProject}
+                  className="download-btn"
+                  disabled={isGeneratingAudio}
+                  aria-label="Save the project as a zip archive"
+                  title="Download the PDF, analysis, narrative, highlights and audio so the presentation can be reopened later"
+                >
+                  Save project
+                </button>
+              )}
+              {presentationInputs?.narrative && (
+                <button
+                  onClick={() => setIsEditingNarrative(true)}
+                  className="download-btn"
+                  disabled={isEditingNarrative || isGeneratingAudio}
+                  aria-label="Edit the narrative steps"
+                  title="Rewrite, reorder, split, merge or delete steps and regenerate the presentation"
+                >
+                  Edit narrative
+                </button>
+              )}
+              {presentationInputs?.audio?.audioSteps?.length > 0 && (
+                <>
+                  <button
+                    onClick={() => exportCaptions('vtt')}
+                    className="download-btn"
+                    disabled={isGeneratingAudio}
+                    aria-label="Download captions as WebVTT"
+                    title="Download the narration captions as a WebVTT file"
+                  >
+                    Captions (VTT)
+                  </button>
+                  <button
+                    onClick={() => exportCaptions('srt')}
+                    className="download-btn"
+                    disabled={isGeneratingAudio}
+                    aria-label="Download captions as SRT"
+                    title="Download the narration captions as a SubRip (SRT) file"
+                  >
+                    Captions (SRT)
+                  </button>
+                </>
+              )}
+              {narrativeScript?.eobSummary && (
+                <button
+                  onClick={exportFHIRBundle}
+                  className="download-btn"
+                  aria-label="Export EOB data as a FHIR ExplanationOfBenefit bundle"
+                  title="Download the extracted EOB data as FHIR R4 JSON"
+                >
+                  Export FHIR
+                </button>
+              )}
             </div>
           )}
           </div>
       )}
 
+      {/* Highlight Review - shown when alignment left steps unmatched or uncertain */}
+      {reviewSession && (
+        <HighlightReviewEditor
+          highlights={reviewSession.highlights}
+          pageImages={reviewSession.documentData.pageImages}
+          elements={reviewSession.documentData.elements}
+          scale={scale}
+          onApply={handleReviewApply}
+        />
+      )}
+
+      {/* Narrative Step Editor */}
+      {isEditingNarrative && presentationInputs && (
+        <NarrativeStepEditor
+          narrative={presentationInputs.narrative}
+          highlights={presentationInputs.highlights}
+          audioSteps={presentationInputs.audio?.audioSteps}
+          elements={presentationInputs.elements}
+          onApply={handleNarrativeEditApply}
+          onCancel={() => setIsEditingNarrative(false)}
+        />
+      )}
+
       {/* Status Messages */}
+      {cacheStats && cacheStats.hits > 0 && (
+        <div className="status-message-modern info" role="status" aria-live="polite">
+          <div className="status-icon" aria-hidden="true">💾</div>
+          <div className="status-content">
+            <div className="status-title">Reused cached results</div>
+            <div className="status-description">
+              Narrative script: {cacheStats.namespaces.narrative?.hits ? 'cached' : 'generated'} · Audio: {cacheStats.namespaces.tts?.hits || 0} of {(cacheStats.namespaces.tts?.hits || 0) + (cacheStats.namespaces.tts?.misses || 0)} clips cached
+            </div>
+          </div>
+          <button
+            className="clear-cache-btn"
+            onClick={async () => {
+              await getContentCache().clear();
+              setCacheStats(null);
+            }}
+            title="Clear cached narratives and audio so the next upload regenerates them"
+          >
+            Clear cache
+          </button>
+        </div>
+      )}
+
       {error && (
         <div className="status-message-modern error" role="alert" aria-live="polite">
           <div className="status-icon" aria-hidden="true">⚠️</div>
@@ -2333,6 +819,30 @@ const GuidedPresentationWithZoom = () => {
         </div>
       )}
 
+      {reconciliationIssues.length > 0 && (
+        <div className="status-message-modern info" role="status" aria-live="polite">
+          <div className="status-icon" aria-hidden="true">🧮</div>
+          <div className="status-content">
+            <div className="status-title">Check the EOB summary amounts</div>
+            <div className="status-description">
+              {reconciliationIssues.map(issue => (
+                <div key={`${issue.field}-${issue.type}`}>{issue.message}</div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {narrativeWarning && (
+        <div className="status-message-modern info" role="status" aria-live="polite">
+          <div className="status-icon" aria-hidden="true">⚠️</div>
+          <div className="status-content">
+            <div className="status-title">Using a basic narrative</div>
+            <div className="status-description">{narrativeWarning}</div>
+          </div>
+        </div>
+      )}
+
       {narrativeError && (
         <div className="status-message-modern error" role="alert" aria-live="polite">
           <div className="status-icon" aria-hidden="true">❌</div>
@@ -2769,9 +1279,49 @@ const GuidedPresentationWithZoom = () => {
           background: #22c55e;
         }
 
+        .masking-option {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          gap: 8px;
+          margin-top: 12px;
+          font-size: 14px;
+          color: #475569;
+        }
+
+        .masking-option select {
+          padding: 4px 8px;
+          border: 1px solid #cbd5e1;
+          border-radius: 6px;
+          font-size: 14px;
+        }
+
+        .project-open {
+          display: flex;
+          justify-content: center;
+          margin-top: 8px;
+        }
+
+        .project-open-btn {
+          background: none;
+          border: none;
+          color: #002677;
+          font-size: 14px;
+          text-decoration: underline;
+          cursor: pointer;
+        }
+
+        .project-open-btn:disabled {
+          opacity: 0.5;
+          cursor: default;
+        }
+
         /* Download Section - Compact Design */
         .download-section {
-          text-align: center;
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: center;
+          gap: 12px;
           padding-top: 16px;
         }
 
@@ -2856,6 +1406,26 @@ const GuidedPresentationWithZoom = () => {
           color: #dc2626;
         }
 
+        .status-message-modern.info {
+          background: #f0fdf4;
+          border-color: #bbf7d0;
+          color: #15803d;
+        }
+
+        .clear-cache-btn {
+          background: white;
+          border: 1px solid #86efac;
+          border-radius: 6px;
+          color: #15803d;
+          cursor: pointer;
+          font-weight: 600;
+          padding: 8px 14px;
+        }
+
+        .clear-cache-btn:hover {
+          background: #dcfce7;
+        }
+
         .status-message-modern.generating {
           background: #f0f9ff;
           border-color: #bae6fd;
@@ -0,0 +1,425 @@
+import React, { useRef, useState } from 'react';
+import { needsHighlightReview, correctHighlight } from '../../utils/textAlignment';
+
+const MIN_BOX_SIZE = 4; // Points; smaller drags count as clicks
+const HANDLE_SIZE = 10; // CSS px
+
+/**
+ * Highlight Review Editor
+ * Lists the steps whose highlight could not be aligned (or was matched with low confidence)
+ * over the rendered page, and lets an operator fix them before the presentation is generated:
+ * draw a new box, drag or resize the current one, or click pdf.js text items to pick them.
+ *
+ * Highlights and text items use PDF points at scale 1; `scale` converts them to the page image's CSS px.
+ */
+const HighlightReviewEditor = ({
+  highlights = [],
+  pageImages = [],
+  elements = [],
+  scale = 1,
+  onApply
+}) => {
+  const stageRef = useRef(null);
+  const dragRef = useRef(null);
+  const reviewIndexes = highlights
+    .map((highlight, index) => (needsHighlightReview(highlight) ? index : -1))
+    .filter(index => index !== -1);
+  const [selectedIndex, setSelectedIndex] = useState(reviewIndexes[0] ?? null);
+  const [corrections, setCorrections] = useState({}); // highlight index → { pageNumber, box, items } | { accepted: true }
+  const [draftBox, setDraftBox] = useState(null);
+
+  const selected = selectedIndex !== null ? highlights[selectedIndex] : null;
+  const correction = selectedIndex !== null ? corrections[selectedIndex] : null;
+  const pageNumber = correction?.pageNumber ?? selected?.pageNumber ?? 1;
+  const pageImage = pageImages.find(image => image.pageNumber === pageNumber) || pageImages[0];
+  const pageItems = elements.filter(element =>
+    (element.pageNumber || 1) === pageNumber &&
+    element.text && element.text.trim() !== '' &&
+    element.width > 0 && element.height > 0
+  );
+  const pickedIds = new Set((correction?.items || []).map(item => item.id));
+
+  // Box shown for the selected step: the operator's correction, else the aligned match (placeholders have none)
+  const getCurrentBox = () => {
+    if (correction?.items?.length) {
+      const { items } = correction;
+      const minX = Math.min(...items.map(item => item.x));
+      const minY = Math.min(...items.map(item => item.y));
+      return {
+        x: minX,
+        y: minY,
+        width: Math.max(...items.map(item => item.x + item.width)) - minX,
+        height: Math.max(...items.map(item => item.y + item.height)) - minY
+      };
+    }
+    if (correction?.box) return correction.box;
+    if (selected && !selected.needsReview && selected.pageNumber === pageNumber) {
+      return { x: selected.x, y: selected.y, width: selected.width, height: selected.height };
+    }
+    return null;
+  };
+  const currentBox = draftBox || getCurrentBox();
+
+  const updateCorrection = (index, next) => {
+    setCorrections(previous => {
+      const updated = { ...previous };
+      if (next) updated[index] = next;
+      else delete updated[index];
+      return updated;
+    });
+  };
+
+  // Pointer position in page points
+  const toPoint = (event) => {
+    const rect = stageRef.current.getBoundingClientRect();
+    return {
+      x: Math.max(0, (event.clientX - rect.left) / scale),
+      y: Math.max(0, (event.clientY - rect.top) / scale)
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    if (selectedIndex === null || event.button !== 0) return;
+    event.preventDefault();
+    stageRef.current.setPointerCapture(event.pointerId);
+
+    const start = toPoint(event);
+    const role = event.target.dataset.role;
+    const mode = role === 'handle' ? 'resize' : role === 'box' ? 'move' : 'draw';
+    dragRef.current = { mode, start, origin: currentBox, itemId: event.target.dataset.itemId || null };
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const point = toPoint(event);
+    const dx = point.x - drag.start.x;
+    const dy = point.y - drag.start.y;
+
+    if (drag.mode === 'draw') {
+      setDraftBox({
+        x: Math.min(drag.start.x, point.x),
+        y: Math.min(drag.start.y, point.y),
+        width: Math.abs(dx),
+        height: Math.abs(dy)
+      });
+    } else if (drag.mode === 'move') {
+      setDraftBox({ ...drag.origin, x: drag.origin.x + dx, y: drag.origin.y + dy });
+    } else {
+      setDraftBox({
+        ...drag.origin,
+        width: Math.max(MIN_BOX_SIZE, drag.origin.width + dx),
+        height: Math.max(MIN_BOX_SIZE, drag.origin.height + dy)
+      });
+    }
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag) return;
+
+    const box = draftBox;
+    setDraftBox(null);
+    const isClick = !box || (drag.mode === 'draw' && box.width < MIN_BOX_SIZE && box.height < MIN_BOX_SIZE);
+
+    if (isClick) {
+      // A click on a text item picks it (or drops it) instead of drawing
+      const item = drag.itemId && pageItems.find(candidate => candidate.id === drag.itemId);
+      if (!item) return;
+      const items = pickedIds.has(item.id)
+        ? correction.items.filter(picked => picked.id !== item.id)
+        : [...(correction?.items || []), item];
+      updateCorrection(selectedIndex, items.length > 0 ? { pageNumber, items } : null);
+      return;
+    }
+
+    updateCorrection(selectedIndex, { pageNumber, box, items: [] });
+  };
+
+  const handlePageChange = (event) => {
+    updateCorrection(selectedIndex, { pageNumber: Number(event.target.value), box: null, items: [] });
+  };
+
+  const handleApply = () => {
+    const reviewed = highlights.map((highlight, index) => {
+      const entry = corrections[index];
+      if (!entry) return highlight;
+      if (entry.accepted) return { ...highlight, reviewed: true };
+      if (!entry.box && !entry.items?.length) return highlight;
+      return correctHighlight(highlight, entry, elements);
+    });
+
+    const corrected = Object.keys(corrections).length;
+    console.log(`✏️ Reviewed ${corrected} of ${reviewIndexes.length} flagged highlight(s)`);
+    onApply(reviewed);
+  };
+
+  const isResolved = (index) => {
+    const entry = corrections[index];
+    return Boolean(entry && (entry.accepted || entry.box || entry.items?.length));
+  };
+  const unresolvedCount = reviewIndexes.filter(index => !isResolved(index)).length;
+
+  return (
+    <div className="highlight-review" role="region" aria-label="Review highlights">
+      <div className="review-header">
+        <h3>Review highlights</h3>
+        <p>
+          {reviewIndexes.length} step{reviewIndexes.length === 1 ? '' : 's'} could not be matched to the page with confidence.
+          Draw a box, drag or resize the current one, or click text to pick it.
+        </p>
+      </div>
+
+      <div className="review-body">
+        <ul className="review-steps">
+          {reviewIndexes.map(index => {
+            const highlight = highlights[index];
+            return (
+              <li key={highlight.id}>
+                <button
+                  className={`review-step ${index === selectedIndex ? 'selected' : ''} ${isResolved(index) ? 'resolved' : ''}`}
+                  onClick={() => setSelectedIndex(index)}
+                  aria-pressed={index === selectedIndex}
+                >
+                  <span className="review-step-title">
+                    {isResolved(index) ? '✅' : '⚠️'} Step {highlight.step}
+                  </span>
+                  <span className="review-step-text">{highlight.narrationText}</span>
+                  <span className="review-step-confidence">
+                    {highlight.needsReview ? 'No match found' : `${Math.round(highlight.confidence * 100)}% match`}
+                  </span>
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+
+        {selected && pageImage && (
+          <div className="review-page">
+            <div className="review-toolbar">
+              {pageImages.length > 1 && (
+                <label>
+                  Page{' '}
+                  <select value={pageNumber} onChange={handlePageChange}>
+                    {pageImages.map(image => (
+                      <option key={image.pageNumber} value={image.pageNumber}>{image.pageNumber}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              {!selected.needsReview && (
+                <button onClick={() => updateCorrection(selectedIndex, { accepted: true })} disabled={correction?.accepted}>
+                  Keep this match
+                </button>
+              )}
+              <button onClick={() => updateCorrection(selectedIndex, null)} disabled={!correction}>
+                Reset
+              </button>
+            </div>
+
+            <div
+              ref={stageRef}
+              className="review-stage"
+              style={{ width: pageImage.width, height: pageImage.height, backgroundImage: `url(${pageImage.imageDataUrl})` }}
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+            >
+              {pageItems.map(item => (
+                <div
+                  key={item.id}
+                  data-item-id={item.id}
+                  className={`review-item ${pickedIds.has(item.id) ? 'picked' : ''}`}
+                  title={item.text}
+                  style={{ left: item.x * scale, top: item.y * scale, width: item.width * scale, height: item.height * scale }}
+                />
+              ))}
+              {currentBox && (
+                <div
+                  data-role="box"
+                  className={`review-box ${correction?.accepted ? 'accepted' : ''}`}
+                  style={{ left: currentBox.x * scale, top: currentBox.y * scale, width: currentBox.width * scale, height: currentBox.height * scale }}
+                >
+                  <div data-role="handle" className="review-handle" style={{ width: HANDLE_SIZE, height: HANDLE_SIZE }} />
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="review-footer">
+        <button className="download-btn" onClick={handleApply}>
+          Generate presentation
+        </button>
+        {unresolvedCount > 0 && (
+          <span className="review-remaining">
+            {unresolvedCount} step{unresolvedCount === 1 ? '' : 's'} will keep the automatic highlight
+          </span>
+        )}
+      </div>
+
+      <style>{`
+        .highlight-review {
+          max-width: 1200px;
+          margin: 16px auto;
+          padding: 16px 20px;
+          background: #ffffff;
+          border: 1px solid #e2e8f0;
+          border-radius: 12px;
+        }
+
+        .review-header h3 {
+          margin: 0 0 4px;
+          font-size: 18px;
+          color: #0f172a;
+        }
+
+        .review-header p {
+          margin: 0 0 12px;
+          font-size: 14px;
+          color: #475569;
+        }
+
+        .review-body {
+          display: flex;
+          gap: 16px;
+          align-items: flex-start;
+        }
+
+        .review-steps {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          width: 260px;
+          flex-shrink: 0;
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+        }
+
+        .review-step {
+          width: 100%;
+          display: flex;
+          flex-direction: column;
+          gap: 2px;
+          text-align: left;
+          padding: 8px 10px;
+          border: 1px solid #cbd5e1;
+          border-radius: 8px;
+          background: #f8fafc;
+          cursor: pointer;
+        }
+
+        .review-step.selected {
+          border-color: #002677;
+          background: #eef2ff;
+        }
+
+        .review-step-title {
+          font-weight: 600;
+          font-size: 14px;
+        }
+
+        .review-step-text {
+          font-size: 13px;
+          color: #334155;
+        }
+
+        .review-step-confidence {
+          font-size: 12px;
+          color: #b45309;
+        }
+
+        .review-step.resolved .review-step-confidence {
+          color: #15803d;
+        }
+
+        .review-page {
+          flex: 1;
+          overflow: auto;
+        }
+
+        .review-toolbar {
+          display: flex;
+          gap: 8px;
+          align-items: center;
+          margin-bottom: 8px;
+          font-size: 14px;
+        }
+
+        .review-toolbar button,
+        .review-toolbar select {
+          padding: 4px 10px;
+          border: 1px solid #cbd5e1;
+          border-radius: 6px;
+          background: #ffffff;
+          font-size: 14px;
+        }
+
+        .review-stage {
+          position: relative;
+          background-size: 100% 100%;
+          box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+          cursor: crosshair;
+          touch-action: none;
+          user-select: none;
+        }
+
+        .review-item {
+          position: absolute;
+          border: 1px dashed rgba(0, 38, 119, 0.25);
+          cursor: pointer;
+        }
+
+        .review-item:hover {
+          background: rgba(0, 38, 119, 0.1);
+        }
+
+        .review-item.picked {
+          background: rgba(0, 38, 119, 0.2);
+          border-style: solid;
+        }
+
+        .review-box {
+          position: absolute;
+          border: 3px solid #f59e0b;
+          background: rgba(245, 158, 11, 0.15);
+          cursor: move;
+        }
+
+        .review-box.accepted {
+          border-color: #16a34a;
+          background: rgba(22, 163, 74, 0.15);
+        }
+
+        .review-handle {
+          position: absolute;
+          right: -6px;
+          bottom: -6px;
+          background: #ffffff;
+          border: 2px solid #f59e0b;
+          border-radius: 2px;
+          cursor: nwse-resize;
+        }
+
+        .review-footer {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          gap: 12px;
+          padding-top: 16px;
+        }
+
+        .review-remaining {
+          font-size: 13px;
+          color: #b45309;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default HighlightReviewEditor;
@@ -0,0 +1,351 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { alignNarrationSteps, buildTextIndex, findTextSpan, MIN_CONFIDENCE } from '../../utils/textAlignment';
+import { createTextMeasurer } from '../../utils/textMeasurement';
+
+/**
+ * Narrative Step Editor
+ * Lets a content reviewer rewrite, reorder, split, merge or delete narrative steps and change
+ * what each step highlights, after the narrative was generated and before the presentation is
+ * regenerated. Steps keep their audio unless their spoken text changed.
+ */
+const NarrativeStepEditor = ({
+  narrative,
+  highlights = [],
+  audioSteps = [],
+  elements = [],
+  onApply,
+  onCancel
+}) => {
+  const nextKeyRef = useRef(0);
+  const createKey = () => `step-${nextKeyRef.current++}`;
+
+  // Draft per step: the step, its highlight and its audio (dropped when it no longer matches the text)
+  const [drafts, setDrafts] = useState(() => narrative.steps.map((step, index) => ({
+    key: createKey(),
+    step: { ...step },
+    highlight: highlights[index] || null,
+    audioStep: audioSteps[index] || null,
+    alignedHighlightText: step.highlightText || ''
+  })));
+  const [cursor, setCursor] = useState(null); // { key, position } in a narrative textarea
+  // Same glyph-width placement as the generated highlights
+  const measureText = useMemo(() => createTextMeasurer(document.createElement('canvas').getContext('2d')), []);
+  const textIndex = useMemo(() => buildTextIndex(elements, { measureText }), [elements, measureText]);
+
+  const updateStep = (key, changes) => {
+    setDrafts(previous => previous.map(draft => (draft.key === key ? { ...draft, step: { ...draft.step, ...changes } } : draft)));
+  };
+
+  const moveStep = (index, offset) => {
+    setDrafts(previous => {
+      const reordered = [...previous];
+      const [draft] = reordered.splice(index, 1);
+      reordered.splice(index + offset, 0, draft);
+      return reordered;
+    });
+  };
+
+  const deleteStep = (index) => {
+    setDrafts(previous => previous.filter((_, i) => i !== index));
+  };
+
+  // Focus cues only make sense in the step whose text still contains their phrase
+  const keepCues = (cues, text) => (cues || []).filter(cue => text.includes(cue.atText));
+
+  const splitStep = (index) => {
+    const draft = drafts[index];
+    const text = draft.step.narrative;
+    const first = text.slice(0, cursor.position).trim();
+    const second = text.slice(cursor.position).trim();
+    const duration = draft.step.duration || 5;
+    const firstDuration = Math.max(1, Math.round(duration * (first.length / text.length)));
+
+    const halves = [
+      { ...draft.step, narrative: first, duration: firstDuration, focusCues: keepCues(draft.step.focusCues, first) },
+      {
+        ...draft.step,
+        title: `${draft.step.title} (continued)`,
+        narrative: second,
+        duration: Math.max(1, duration - firstDuration),
+        focusCues: keepCues(draft.step.focusCues, second)
+      }
+    ].map(step => ({
+      key: createKey(),
+      step,
+      highlight: draft.highlight && { ...draft.highlight, focusCues: keepCues(draft.highlight.focusCues, step.narrative) },
+      audioStep: null,
+      alignedHighlightText: draft.alignedHighlightText
+    }));
+
+    setDrafts(previous => [...previous.slice(0, index), ...halves, ...previous.slice(index + 1)]);
+    setCursor(null);
+  };
+
+  const mergeWithNext = (index) => {
+    const [draft, next] = drafts.slice(index, index + 2);
+    const merged = {
+      ...draft,
+      key: createKey(),
+      step: {
+        ...draft.step,
+        narrative: `${draft.step.narrative.trim()} ${next.step.narrative.trim()}`,
+        duration: (draft.step.duration || 5) + (next.step.duration || 5),
+        importance: Math.max(draft.step.importance || 0, next.step.importance || 0),
+        focusCues: [...(draft.step.focusCues || []), ...(next.step.focusCues || [])]
+      },
+      highlight: draft.highlight && {
+        ...draft.highlight,
+        focusCues: [...(draft.highlight.focusCues || []), ...(next.highlight?.focusCues || [])]
+      },
+      audioStep: null
+    };
+
+    setDrafts(previous => [...previous.slice(0, index), merged, ...previous.slice(index + 2)]);
+  };
+
+  const canSplit = (draft) => {
+    if (!cursor || cursor.key !== draft.key) return false;
+    const text = draft.step.narrative;
+    return text.slice(0, cursor.position).trim() !== '' && text.slice(cursor.position).trim() !== '';
+  };
+
+  const handleApply = () => {
+    const steps = drafts.map((draft, index) => ({ ...draft.step, stepNumber: index + 1 }));
+
+    const nextHighlights = drafts.map((draft, index) => {
+      const step = steps[index];
+      const highlightChanged = (step.highlightText || '') !== draft.alignedHighlightText;
+      const highlight = highlightChanged || !draft.highlight
+        ? alignNarrationSteps(elements, [step], { measureText })[0]
+        : draft.highlight;
+
+      return {
+        ...highlight,
+        id: highlight.needsReview ? `needs-review-${index}` : `highlight-${index}`,
+        step: index + 1,
+        narrationText: step.highlightText || step.narrative,
+        narrative: step.narrative
+      };
+    });
+
+    // Audio is reused only when the spoken text is unchanged
+    const nextAudioSteps = drafts.map((draft, index) => {
+      const { audioStep } = draft;
+      return audioStep && audioStep.success && audioStep.text === steps[index].narrative ? audioStep : null;
+    });
+
+    const changedCount = nextAudioSteps.filter(audioStep => !audioStep).length;
+    console.log(`✏️ Edited narrative: ${steps.length} steps, ${changedCount} need new audio`);
+
+    onApply({
+      narrative: { ...narrative, steps },
+      highlights: nextHighlights,
+      audioSteps: nextAudioSteps
+    });
+  };
+
+  // Where an edited highlight target would land (shown before applying)
+  const describeTarget = (draft) => {
+    const highlightText = draft.step.highlightText || '';
+    if (highlightText === draft.alignedHighlightText) return null;
+    const span = findTextSpan(textIndex, highlightText || draft.step.narrative, { pageNumber: draft.step.pageNumber });
+    return span && span.confidence >= MIN_CONFIDENCE
+      ? `Found on page ${span.pageNumber}: "${span.text}"`
+      : 'Not found on the page - the step will need review';
+  };
+
+  const hasEmptyStep = drafts.some(draft => draft.step.narrative.trim() === '');
+
+  return (
+    <div className="narrative-editor" role="region" aria-label="Edit narrative steps">
+      <div className="narrative-editor-header">
+        <h3>Edit narrative</h3>
+        <p>Changes are applied without another AI request. Only steps whose narration changed are spoken again.</p>
+      </div>
+
+      <ol className="narrative-editor-steps">
+        {drafts.map((draft, index) => {
+          const target = describeTarget(draft);
+          const needsAudio = !draft.audioStep || draft.audioStep.text !== draft.step.narrative;
+
+          return (
+            <li key={draft.key} className="narrative-editor-step">
+              <div className="narrative-editor-row">
+                <span className="narrative-editor-number">{index + 1}</span>
+                <input
+                  type="text"
+                  value={draft.step.title}
+                  onChange={(e) => updateStep(draft.key, { title: e.target.value })}
+                  aria-label={`Step ${index + 1} title`}
+                />
+                <div className="narrative-editor-actions">
+                  <button onClick={() => moveStep(index, -1)} disabled={index === 0} title="Move up" aria-label="Move step up">↑</button>
+                  <button onClick={() => moveStep(index, 1)} disabled={index === drafts.length - 1} title="Move down" aria-label="Move step down">↓</button>
+                  <button onClick={() => splitStep(index)} disabled={!canSplit(draft)} title="Split the narration at the text cursor">Split</button>
+                  <button onClick={() => mergeWithNext(index)} disabled={index === drafts.length - 1} title="Merge with the next step">Merge</button>
+                  <button onClick={() => deleteStep(index)} disabled={drafts.length === 1} title="Delete step">Delete</button>
+                </div>
+              </div>
+
+              <textarea
+                value={draft.step.narrative}
+                rows={3}
+                onChange={(e) => updateStep(draft.key, { narrative: e.target.value })}
+                onSelect={(e) => setCursor({ key: draft.key, position: e.target.selectionStart })}
+                aria-label={`Step ${index + 1} narration`}
+              />
+
+              <label className="narrative-editor-target">
+                <span>Highlight</span>
+                <input
+                  type="text"
+                  value={draft.step.highlightText || ''}
+                  onChange={(e) => updateStep(draft.key, { highlightText: e.target.value })}
+                  placeholder="Text on the page to highlight"
+                />
+              </label>
+
+              <div className="narrative-editor-status">
+                {needsAudio && <span className="narrative-editor-badge">🎙️ New audio</span>}
+                {target && <span className="narrative-editor-badge">🎯 {target}</span>}
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+
+      <div className="narrative-editor-footer">
+        <button className="download-btn" onClick={handleApply} disabled={hasEmptyStep}>
+          Update presentation
+        </button>
+        <button className="narrative-editor-cancel" onClick={onCancel}>
+          Cancel
+        </button>
+        {hasEmptyStep && <span className="narrative-editor-warning">Every step needs narration text</span>}
+      </div>
+
+      <style>{`
+        .narrative-editor {
+          max-width: 1200px;
+          margin: 16px auto;
+          padding: 16px 20px;
+          background: #ffffff;
+          border: 1px solid #e2e8f0;
+          border-radius: 12px;
+        }
+
+        .narrative-editor-header h3 {
+          margin: 0 0 4px;
+          font-size: 18px;
+          color: #0f172a;
+        }
+
+        .narrative-editor-header p {
+          margin: 0 0 12px;
+          font-size: 14px;
+          color: #475569;
+        }
+
+        .narrative-editor-steps {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          display: flex;
+          flex-direction: column;
+          gap: 12px;
+        }
+
+        .narrative-editor-step {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+          padding: 12px;
+          border: 1px solid #cbd5e1;
+          border-radius: 8px;
+          background: #f8fafc;
+        }
+
+        .narrative-editor-row {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .narrative-editor-number {
+          font-weight: 700;
+          color: #002677;
+          min-width: 20px;
+        }
+
+        .narrative-editor-step input,
+        .narrative-editor-step textarea {
+          flex: 1;
+          padding: 6px 8px;
+          border: 1px solid #cbd5e1;
+          border-radius: 6px;
+          font-size: 14px;
+          font-family: inherit;
+        }
+
+        .narrative-editor-step textarea {
+          resize: vertical;
+        }
+
+        .narrative-editor-actions {
+          display: flex;
+          gap: 4px;
+        }
+
+        .narrative-editor-actions button,
+        .narrative-editor-cancel {
+          padding: 4px 10px;
+          border: 1px solid #cbd5e1;
+          border-radius: 6px;
+          background: #ffffff;
+          font-size: 13px;
+          cursor: pointer;
+        }
+
+        .narrative-editor-actions button:disabled {
+          opacity: 0.4;
+          cursor: default;
+        }
+
+        .narrative-editor-target {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-size: 13px;
+          color: #475569;
+        }
+
+        .narrative-editor-status {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px;
+          font-size: 12px;
+          color: #475569;
+        }
+
+        .narrative-editor-status:empty {
+          display: none;
+        }
+
+        .narrative-editor-footer {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          gap: 12px;
+          padding-top: 16px;
+        }
+
+        .narrative-editor-warning {
+          font-size: 13px;
+          color: #b45309;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default NarrativeStepEditor;
@@ -5,16 +5,26 @@ Config.setVideoImageFormat('jpeg');
 Config.setOverwriteOutput(true);
 Config.setPixelFormat('yuv420p');
 Config.setCodec('h264');
-Config.setCrf(18);
-Config.setVideoBitrate('2M');
+Config.setCrf(18); // Remotion rejects a CRF together with a fixed video bitrate
 
 // Audio Configuration
 Config.setAudioBitrate('128k');
-Config.setAudioCodec('aac');
-Config.setAudioSampleRate(44100);
-Config.setAudioChannels(2);
+Config.setAudioCodec('aac'); // Remotion always mixes audio to 48 kHz stereo
 
 // Performance Configuration
 Config.setImageSequence(false);
 Config.setConcurrency(1);
-Config.setTimeoutInMilliseconds(30000);
\ No newline at end of file
+Config.setTimeoutInMilliseconds(30000);
+
+// Node-only code paths (file cache, recorded fixtures) import node: built-ins lazily. They never
+// run in the rendered page, so webpack leaves them out of the bundle instead of failing on them
+Config.overrideWebpackConfig((currentConfiguration) => {
+  const externals = [currentConfiguration.externals || []].flat();
+  return {
+    ...currentConfiguration,
+    externals: [
+      ...externals,
+      ({ request }, callback) => (request?.startsWith('node:') ? callback(null, `commonjs ${request}`) : callback())
+    ]
+  };
+});
@@ -0,0 +1,159 @@
+/**
+ * Audio Concatenation Utilities
+ * Decodes narration segments, joins them with silent gaps and encodes one WAV track
+ * with a per-segment offset table (seconds).
+ */
+
+export const DEFAULT_SAMPLE_RATE = 16000; // Matches the Azure TTS output format
+
+/**
+ * Creates a decoder that uses the Web Audio API (browser only)
+ * @param {number} sampleRate - Rate the audio is resampled to while decoding
+ * @returns {Function} async (ArrayBuffer) => { sampleRate, channelData: Float32Array[] }
+ */
+export const createWebAudioDecoder = (sampleRate = DEFAULT_SAMPLE_RATE) => {
+  return async (arrayBuffer) => {
+    const OfflineContext = globalThis.OfflineAudioContext || globalThis.webkitOfflineAudioContext;
+    if (!OfflineContext) {
+      throw new Error('Web Audio API is not available; pass a decodeAudio function to decode segments');
+    }
+
+    // decodeAudioData detaches its input, so decode a copy
+    const context = new OfflineContext(1, 1, sampleRate);
+    const audioBuffer = await context.decodeAudioData(arrayBuffer.slice(0));
+
+    const channelData = [];
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+      channelData.push(audioBuffer.getChannelData(channel));
+    }
+    return { sampleRate: audioBuffer.sampleRate, channelData };
+  };
+};
+
+/**
+ * Averages all channels into one
+ * @param {Float32Array[]} channelData - Per-channel samples
+ * @returns {Float32Array} Mono samples
+ */
+export const downmixToMono = (channelData) => {
+  if (channelData.length === 1) return channelData[0];
+
+  const length = Math.max(...channelData.map(channel => channel.length));
+  const mono = new Float32Array(length);
+  channelData.forEach(channel => {
+    for (let i = 0; i < channel.length; i++) {
+      mono[i] += channel[i] / channelData.length;
+    }
+  });
+  return mono;
+};
+
+/**
+ * Linear resampling, used when a decoder returns a different sample rate
+ * @param {Float32Array} samples - Input samples
+ * @param {number} fromRate - Input sample rate
+ * @param {number} toRate - Output sample rate
+ * @returns {Float32Array} Resampled samples
+ */
+export const resample = (samples, fromRate, toRate) => {
+  if (fromRate === toRate) return samples;
+
+  const ratio = fromRate / toRate;
+  const output = new Float32Array(Math.round(samples.length / ratio));
+  for (let i = 0; i < output.length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, samples.length - 1);
+    const fraction = position - index;
+    output[i] = samples[index] * (1 - fraction) + samples[next] * fraction;
+  }
+  return output;
+};
+
+/**
+ * Joins decoded segments with silent gaps
+ * @param {Array} segments - [{ id, decoded: { sampleRate, channelData } | null, fallbackDuration }]
+ *   Segments without audio become silence of fallbackDuration seconds so later offsets stay correct.
+ * @param {Object} options - { pauseBetweenSegments (seconds), sampleRate }
+ * @returns {Object} { samples: Float32Array, sampleRate, duration, offsets: [{ id, index, start, end, duration, hasAudio }] }
+ */
+export const concatenateAudio = (segments, options = {}) => {
+  const { pauseBetweenSegments = 0.5, sampleRate = DEFAULT_SAMPLE_RATE } = options;
+  const gapSamples = Math.round(pauseBetweenSegments * sampleRate);
+
+  const parts = segments.map(segment => {
+    if (segment.decoded) {
+      const mono = downmixToMono(segment.decoded.channelData);
+      return resample(mono, segment.decoded.sampleRate, sampleRate);
+    }
+    return new Float32Array(Math.round((segment.fallbackDuration || 0) * sampleRate));
+  });
+
+  const totalSamples = parts.reduce((total, part) => total + part.length, 0) +
+    gapSamples * Math.max(0, parts.length - 1);
+  const samples = new Float32Array(totalSamples);
+  const offsets = [];
+
+  let position = 0;
+  parts.forEach((part, index) => {
+    samples.set(part, position);
+    offsets.push({
+      id: segments[index].id,
+      index,
+      start: position / sampleRate,
+      end: (position + part.length) / sampleRate,
+      duration: part.length / sampleRate,
+      hasAudio: !!segments[index].decoded
+    });
+    position += part.length + (index < parts.length - 1 ? gapSamples : 0);
+  });
+
+  return { samples, sampleRate, duration: totalSamples / sampleRate, offsets };
+};
+
+/**
+ * Encodes mono samples as a 16-bit PCM WAV file
+ * @param {Float32Array} samples - Samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate
+ * @returns {ArrayBuffer} WAV file bytes
+ */
+export const encodeWav = (samples, sampleRate = DEFAULT_SAMPLE_RATE) => {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+
+  const writeString = (offset, string) => {
+    for (let i = 0; i < string.length; i++) {
+      view.setUint8(offset + i, string.charCodeAt(i));
+    }
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // Mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeString(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+  }
+
+  return buffer;
+};
+
+export default {
+  DEFAULT_SAMPLE_RATE,
+  createWebAudioDecoder,
+  downmixToMono,
+  resample,
+  concatenateAudio,
+  encodeWav
+};
@@ -0,0 +1,187 @@
+import { calculateTransform } from './geometry.js';
+import { planTransition, getTransitionState, blendTransforms } from './cameraTransitions.js';
+
+/**
+ * Camera Timeline
+ * Lays narrated sections out on the frame timeline and works out where the camera is at each frame.
+ * Element bounds and transforms come from the geometry module.
+ */
+
+/**
+ * Creates smooth animation sequence for Remotion
+ * @param {Array} sections - Array of section mappings from GPT
+ * @param {Object} videoConfig - Video configuration
+ * @returns {Array} Animation timeline
+ */
+export const createAnimationSequence = (sections, videoConfig = {}) => {
+  const {
+    width = 1920,
+    height = 1080,
+    fps = 30
+  } = videoConfig;
+  
+  const timeline = [];
+  let currentFrame = 0;
+  
+  sections.forEach((section, index) => {
+    // Sections timed against a combined audio track carry their own start frame
+    const startFrame = section.startFrame ?? currentFrame;
+    const duration = section.duration || 90; // 3 seconds at 30fps
+    const endFrame = startFrame + duration;
+    
+    // Create animation keyframes
+    const keyframes = {
+      start: {
+        frame: startFrame,
+        scale: 1.0,
+        translateX: 0,
+        translateY: 0,
+        opacity: 0
+      },
+      focus: {
+        frame: startFrame + 15, // 0.5 second transition
+        scale: section.zoomLevel || 2.0,
+        translateX: 0, // Will be calculated based on element position
+        translateY: 0, // Will be calculated based on element position
+        opacity: 1
+      },
+      end: {
+        frame: endFrame - 15, // 0.5 second transition out
+        scale: section.zoomLevel || 2.0,
+        translateX: 0,
+        translateY: 0,
+        opacity: 1
+      },
+      exit: {
+        frame: endFrame,
+        scale: 1.0,
+        translateX: 0,
+        translateY: 0,
+        opacity: 0
+      }
+    };
+    
+    timeline.push({
+      id: `animation-${index}`,
+      elementId: section.elementId,
+      startFrame,
+      endFrame,
+      duration,
+      keyframes,
+      highlightType: section.highlightType || 'border',
+      transitionType: section.transitionType || 'smooth',
+      phrase: section.phrase,
+      confidence: section.confidence || 0.8
+    });
+    
+    currentFrame = endFrame;
+  });
+  
+  return timeline;
+};
+
+/**
+ * Finds the timeline entry shown at a frame
+ * An entry stays active from its start frame until the next one starts, so pauses between
+ * narration steps keep the previous element in view.
+ * @param {Array} timeline - Animation timeline from createAnimationSequence
+ * @param {number} frame - Current frame
+ * @returns {number} Index of the active entry, or -1 before the first one starts
+ */
+export const getActiveSectionIndex = (timeline = [], frame) => {
+  let activeIndex = -1;
+  timeline.forEach((section, index) => {
+    if (section.startFrame <= frame && (activeIndex === -1 || section.startFrame >= timeline[activeIndex].startFrame)) {
+      activeIndex = index;
+    }
+  });
+  return activeIndex;
+};
+
+/**
+ * Works out the camera and highlight for a frame of the whole timeline
+ * At the start of each entry the camera moves from the previous element to the active one with
+ * the entry's transitionType (see cameraTransitions), and it eases back to the full page at the
+ * end of the last entry.
+ * @param {Array} timeline - Animation timeline from createAnimationSequence
+ * @param {number} frame - Current frame
+ * @param {Object} boundsById - Untransformed element bounds keyed by element ID
+ * @param {Object} videoSize - Video dimensions {width, height}
+ * @param {Object} options - { transitionFrames (base transition length, default: 15, half a second at 30fps), viewport (see calculateTransform) }
+ * @returns {Object} { index, section, transform: { scale, translateX, translateY }, highlightOpacity, contentOpacity }
+ */
+export const getCameraAtFrame = (timeline = [], frame, boundsById = {}, videoSize, options = {}) => {
+  const { transitionFrames = 15, viewport = null } = options;
+  const overview = { scale: 1, translateX: 0, translateY: 0 };
+
+  const index = getActiveSectionIndex(timeline, frame);
+  if (index === -1) {
+    return { index, section: null, transform: overview, highlightOpacity: 0, contentOpacity: 1 };
+  }
+
+  // Where the camera rests while an entry is active (the full page if its element is missing)
+  const getTarget = (section) => {
+    const bounds = section && boundsById[section.elementId];
+    if (!bounds) return overview;
+    const { scale, translateX, translateY } = calculateTransform(bounds, videoSize, section.keyframes?.focus?.scale ?? 2.0, viewport);
+    return { scale, translateX, translateY };
+  };
+
+  const section = timeline[index];
+  const from = index > 0 ? getTarget(timeline[index - 1]) : overview;
+  const plan = planTransition(section.transitionType, from, getTarget(section), { videoSize, viewport });
+  const arrivalFrames = transitionFrames * plan.durationFactor;
+  const state = getTransitionState(plan, arrivalFrames > 0 ? (frame - section.startFrame) / arrivalFrames : 1);
+  let transform = state.transform;
+
+  const isLast = index === timeline.length - 1;
+  if (isLast && frame > section.endFrame - transitionFrames) {
+    transform = blendTransforms(transform, overview, (frame - (section.endFrame - transitionFrames)) / transitionFrames, { videoSize, viewport });
+  }
+
+  // Fade the highlight in as the camera arrives and out once the entry's narration is over
+  const fadeOut = 1 - (frame - section.endFrame) / transitionFrames;
+  const highlightOpacity = Math.max(0, Math.min(1, state.arrival, fadeOut));
+
+  return { index, section, transform, highlightOpacity, contentOpacity: state.opacity };
+};
+
+/**
+ * Interpolates between two values for smooth animation
+ * @param {number} startValue - Starting value
+ * @param {number} endValue - Ending value
+ * @param {number} progress - Progress (0-1)
+ * @param {string} easing - Easing function name
+ * @returns {number} Interpolated value
+ */
+export const interpolate = (startValue, endValue, progress, easing = 'easeInOut') => {
+  const clampedProgress = Math.max(0, Math.min(1, progress));
+  
+  let easedProgress;
+  switch (easing) {
+    case 'easeIn':
+      easedProgress = clampedProgress * clampedProgress;
+      break;
+    case 'easeOut':
+      easedProgress = 1 - Math.pow(1 - clampedProgress, 2);
+      break;
+    case 'easeInOut':
+      easedProgress = clampedProgress < 0.5 
+        ? 2 * clampedProgress * clampedProgress
+        : 1 - Math.pow(-2 * clampedProgress + 2, 2) / 2;
+      break;
+    case 'linear':
+    default:
+      easedProgress = clampedProgress;
+      break;
+  }
+  
+  return startValue + (endValue - startValue) * easedProgress;
+};
+
+export default {
+  createAnimationSequence,
+  getActiveSectionIndex,
+  getCameraAtFrame,
+  interpolate
+};
@@ -0,0 +1,205 @@
+import { TRANSITION_TYPES } from './constants.js';
+import { easing } from './animationHelpers.js';
+import { transformToCamera, cameraToTransform } from './geometry.js';
+
+/**
+ * Camera Transitions
+ * How the camera moves from one narrated element to the next, for each of TRANSITION_TYPES:
+ * - smooth: eased pan and zoom; when the next element is outside the current view the camera
+ *   zooms out far enough to show both, then zooms in on the target
+ * - instant: cut straight to the target
+ * - fade: fade the page out, cut, fade back in
+ * - slide: the old view slides out to the left while the new one slides in from the right
+ * - zoom: always zoom out, then in on the target
+ *
+ * Transitions work on cameras ({ centerX, centerY, scale }: the content point shown at the center
+ * of the viewport and the zoom, see transformToCamera) so pans follow a straight line whatever the
+ * zoom does. Transforms in and out are the calculateTransform kind (translate in screen pixels,
+ * scaling about the video center).
+ * The standalone presentation uses the same types and TRANSITION_SETTINGS in its own player script.
+ */
+
+export const TRANSITION_SETTINGS = {
+  // Length of each type relative to the base transition (half a second)
+  durationFactors: {
+    [TRANSITION_TYPES.SMOOTH]: 1,
+    [TRANSITION_TYPES.INSTANT]: 0,
+    [TRANSITION_TYPES.FADE]: 1,
+    [TRANSITION_TYPES.SLIDE]: 1,
+    [TRANSITION_TYPES.ZOOM]: 2
+  },
+  // Zooming out and back in takes as long as a zoom transition
+  bridgeDurationFactor: 2,
+  // While zoomed out, the two targets span at most this share of the viewport
+  bridgeFill: 0.8,
+  // A zoom transition zooms out to at most this share of the closer of the two views
+  zoomOutFactor: 0.6,
+  minScale: 0.5
+};
+
+export const DEFAULT_TRANSITION_TYPE = TRANSITION_TYPES.SMOOTH;
+
+/**
+ * Names of the supported transition types
+ * @returns {Array} e.g. ['smooth', 'instant', 'fade', 'slide', 'zoom']
+ */
+export const getTransitionTypes = () => Object.values(TRANSITION_TYPES);
+
+/**
+ * Normalizes a transition type from a narrative, a GPT mapping or a project file
+ * @param {string} type - Requested type
+ * @param {string} fallback - Type used when the request is missing or unknown
+ * @returns {string} One of TRANSITION_TYPES, or the fallback
+ */
+export const resolveTransitionType = (type, fallback = DEFAULT_TRANSITION_TYPE) => {
+  const name = typeof type === 'string' ? type.trim().toLowerCase() : '';
+  return getTransitionTypes().includes(name) ? name : fallback;
+};
+
+const getViewport = (videoSize, viewport) => viewport || { x: 0, y: 0, width: videoSize.width, height: videoSize.height };
+
+/**
+ * Whether the target's center is outside what the camera currently shows
+ * @param {Object} from - Current camera
+ * @param {Object} to - Target camera
+ * @param {Object} frame - Viewport {width, height}
+ * @returns {boolean}
+ */
+export const isFarApart = (from, to, frame) => (
+  Math.abs(to.centerX - from.centerX) > frame.width / (2 * from.scale) ||
+  Math.abs(to.centerY - from.centerY) > frame.height / (2 * from.scale)
+);
+
+/**
+ * Camera halfway through a zoom-out-then-in: centered between both targets, zoomed out until both fit
+ * @param {Object} from - Current camera
+ * @param {Object} to - Target camera
+ * @param {Object} frame - Viewport {width, height}
+ * @param {number} maxScale - Upper bound for the zoom (lower it to force a visible zoom-out)
+ * @returns {Object} Camera
+ */
+export const getBridgeCamera = (from, to, frame, maxScale = Math.min(from.scale, to.scale)) => {
+  const { bridgeFill, minScale } = TRANSITION_SETTINGS;
+  const dx = Math.abs(to.centerX - from.centerX);
+  const dy = Math.abs(to.centerY - from.centerY);
+  const fitScale = Math.min(
+    dx > 0 ? (frame.width * bridgeFill) / dx : Infinity,
+    dy > 0 ? (frame.height * bridgeFill) / dy : Infinity
+  );
+
+  return {
+    centerX: (from.centerX + to.centerX) / 2,
+    centerY: (from.centerY + to.centerY) / 2,
+    scale: Math.max(minScale, Math.min(maxScale, fitScale))
+  };
+};
+
+const blendCameras = (from, to, progress) => {
+  const eased = easing.easeInOut(Math.max(0, Math.min(1, progress)));
+  return {
+    centerX: from.centerX + (to.centerX - from.centerX) * eased,
+    centerY: from.centerY + (to.centerY - from.centerY) * eased,
+    scale: from.scale + (to.scale - from.scale) * eased
+  };
+};
+
+/**
+ * Eases straight from one transform to another (camera space, no zoom-out)
+ * @param {Object} from - Transform at progress 0
+ * @param {Object} to - Transform at progress 1
+ * @param {number} progress - 0 to 1; values outside are clamped
+ * @param {Object} options - { videoSize, viewport }
+ * @returns {Object} { scale, translateX, translateY }
+ */
+export const blendTransforms = (from, to, progress, options = {}) => {
+  const { videoSize, viewport = null } = options;
+  const camera = blendCameras(transformToCamera(from, videoSize, viewport), transformToCamera(to, videoSize, viewport), progress);
+  return cameraToTransform(camera, videoSize, viewport);
+};
+
+/**
+ * Works out how the camera gets from one transform to another
+ * @param {string} type - Transition type (unknown types are smooth)
+ * @param {Object} from - Transform the camera starts at
+ * @param {Object} to - Transform of the target
+ * @param {Object} options - { videoSize, viewport }
+ * @returns {Object} Plan for getTransitionState: { type, from, to, bridge, durationFactor, videoSize, viewport }
+ */
+export const planTransition = (type, from, to, options = {}) => {
+  const { videoSize, viewport = null } = options;
+  const frame = getViewport(videoSize, viewport);
+  const name = resolveTransitionType(type);
+  const start = transformToCamera(from, videoSize, viewport);
+  const target = transformToCamera(to, videoSize, viewport);
+
+  let bridge = null;
+  if (name === TRANSITION_TYPES.ZOOM) {
+    const maxScale = Math.min(start.scale, target.scale, Math.max(start.scale, target.scale) * TRANSITION_SETTINGS.zoomOutFactor);
+    bridge = getBridgeCamera(start, target, frame, maxScale);
+  } else if (name === TRANSITION_TYPES.SMOOTH && isFarApart(start, target, frame)) {
+    bridge = getBridgeCamera(start, target, frame);
+  }
+
+  return {
+    type: name,
+    from: start,
+    to: target,
+    bridge,
+    durationFactor: bridge ? TRANSITION_SETTINGS.bridgeDurationFactor : TRANSITION_SETTINGS.durationFactors[name],
+    videoSize,
+    viewport
+  };
+};
+
+/**
+ * Camera and page opacity part way through a transition
+ * @param {Object} plan - Plan from planTransition
+ * @param {number} progress - 0 (start) to 1 (done); values outside are clamped
+ * @returns {Object} { transform: { scale, translateX, translateY }, opacity, arrival }
+ *   arrival: 0 to 1, how far the target is in view (fades and slides only show it after the cut)
+ */
+export const getTransitionState = (plan, progress) => {
+  const { type, from, to, bridge, videoSize, viewport } = plan;
+  const frame = getViewport(videoSize, viewport);
+  const t = Math.max(0, Math.min(1, progress));
+  const firstHalf = t < 0.5;
+  const halfProgress = firstHalf ? t * 2 : t * 2 - 1;
+
+  let camera = to;
+  let opacity = 1;
+  let arrival = t;
+
+  if (bridge) {
+    camera = firstHalf ? blendCameras(from, bridge, halfProgress) : blendCameras(bridge, to, halfProgress);
+  } else if (type === TRANSITION_TYPES.SMOOTH) {
+    camera = blendCameras(from, to, t);
+  } else if (type === TRANSITION_TYPES.FADE) {
+    camera = firstHalf ? from : to;
+    opacity = firstHalf ? 1 - halfProgress : halfProgress;
+    arrival = firstHalf ? 0 : halfProgress;
+  } else if (type === TRANSITION_TYPES.SLIDE) {
+    // Moving the camera right by a viewport width slides the page out to the left
+    const eased = easing.easeInOut(halfProgress);
+    camera = firstHalf
+      ? { ...from, centerX: from.centerX + (eased * frame.width) / from.scale }
+      : { ...to, centerX: to.centerX - ((1 - eased) * frame.width) / to.scale };
+    arrival = firstHalf ? 0 : halfProgress;
+  } else if (t === 0) {
+    // Instant
+    camera = from;
+  }
+
+  return { transform: cameraToTransform(camera, videoSize, viewport), opacity, arrival };
+};
+
+export default {
+  TRANSITION_SETTINGS,
+  DEFAULT_TRANSITION_TYPE,
+  getTransitionTypes,
+  resolveTransitionType,
+  isFarApart,
+  getBridgeCamera,
+  blendTransforms,
+  planTransition,
+  getTransitionState
+};
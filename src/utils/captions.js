@@ -0,0 +1,219 @@
+import { estimateWordTimings } from './wordTiming.js';
+import { layoutNarrationSteps } from './narrationTimeline.js';
+
+/**
+ * Captions
+ * Builds caption cues from narrative step text and measured audio durations, and writes them
+ * as WebVTT or SRT. Steps are split into short cues (at most two lines, breaking at sentence ends)
+ * timed from the step's word timings, or from timings estimated over the audio duration.
+ *
+ * Cue shape: { start, end, text } (seconds from the start of the narration; text may hold one line break)
+ */
+
+const MAX_CUE_CHARS = 84; // Two lines
+const MAX_LINE_CHARS = 42;
+const MIN_CUE_WORDS = 3; // Fewest words in a cue that continues a sentence
+const MIN_CUE_SECONDS = 1; // Shortest last cue of a step
+const ABBREVIATION_PATTERN = /^(dr|mr|mrs|ms|st|jr|sr|no|vs|inc|e\.g|i\.e)\.$/i; // Periods that don't end a sentence
+
+/**
+ * Breaks a cue into two balanced lines when it is too long for one
+ */
+const wrapCueText = (text) => {
+  if (text.length <= MAX_LINE_CHARS) return text;
+
+  const middle = text.length / 2;
+  let breakAt = -1;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === ' ' && (breakAt === -1 || Math.abs(i - middle) < Math.abs(breakAt - middle))) {
+      breakAt = i;
+    }
+  }
+  return breakAt === -1 ? text : `${text.slice(0, breakAt)}\n${text.slice(breakAt + 1)}`;
+};
+
+/**
+ * Splits a chunk's words in two at the most even point that keeps both parts within a cue
+ */
+const splitEvenly = (words) => {
+  const joinedLength = (list) => list.reduce((length, word) => length + word.text.length, 0) + list.length - 1;
+  let best = null;
+  for (let index = MIN_CUE_WORDS; index <= words.length - MIN_CUE_WORDS; index++) {
+    const first = joinedLength(words.slice(0, index));
+    const second = joinedLength(words.slice(index));
+    if (first > MAX_CUE_CHARS || second > MAX_CUE_CHARS) continue;
+    if (!best || Math.abs(first - second) < best.difference) {
+      best = { index, difference: Math.abs(first - second) };
+    }
+  }
+  return best ? [words.slice(0, best.index), words.slice(best.index)] : null;
+};
+
+/**
+ * Splits text into cue-sized chunks of whole words, ending a chunk at each sentence end
+ * When a sentence runs over a cue and leaves fewer than MIN_CUE_WORDS for the next one
+ * (e.g. a lone "paying."), the two chunks are rebalanced.
+ * @returns {Array} [{ text, charStart }]
+ */
+const splitIntoChunks = (text) => {
+  const chunks = []; // [{ words: [{ text, charStart }], continues }]
+  let current = null;
+  const length = (chunk) => chunk.words.reduce((total, word) => total + word.text.length, 0) + chunk.words.length - 1;
+
+  for (const match of text.matchAll(/\S+/g)) {
+    const word = { text: match[0], charStart: match.index };
+    let continues = false;
+    if (current && length(current) + 1 + word.text.length > MAX_CUE_CHARS) {
+      chunks.push(current);
+      current = null;
+      continues = true;
+    }
+
+    current = current ? { ...current, words: [...current.words, word] } : { words: [word], continues };
+
+    if (/[.!?]["')\]]*$/.test(word.text) && !ABBREVIATION_PATTERN.test(word.text)) {
+      chunks.push(current);
+      current = null;
+    }
+  }
+
+  if (current) chunks.push(current);
+
+  chunks.forEach((chunk, index) => {
+    if (!chunk.continues || chunk.words.length >= MIN_CUE_WORDS) return;
+    const previous = chunks[index - 1];
+    const parts = splitEvenly([...previous.words, ...chunk.words]);
+    if (parts) {
+      [previous.words, chunk.words] = parts;
+    }
+  });
+
+  return chunks.map(chunk => ({
+    text: chunk.words.map(word => word.text).join(' '),
+    charStart: chunk.words[0].charStart
+  }));
+};
+
+/**
+ * Gives the last cue of a step at least MIN_CUE_SECONDS by moving its start earlier, as far as
+ * the cue before it can spare
+ * @param {Array} timings - [{ start, end }] of one step's cues, in order
+ */
+const rebalanceLastCue = (timings) => {
+  if (timings.length < 2) return timings;
+  const last = timings[timings.length - 1];
+  const previous = timings[timings.length - 2];
+  if (last.end - last.start >= MIN_CUE_SECONDS) return timings;
+
+  const boundary = Math.max(previous.start + MIN_CUE_SECONDS, Math.min(last.start, last.end - MIN_CUE_SECONDS));
+  if (boundary >= last.start) return timings;
+  return [...timings.slice(0, -2), { ...previous, end: boundary }, { ...last, start: boundary }];
+};
+
+/**
+ * Creates caption cues for narration steps
+ * @param {Array} steps - [{ text, startTime, duration, words }] (seconds; words as from AzureTTSService, optional)
+ * @returns {Array} Cues in playback order
+ */
+export const createCaptionCues = (steps = []) => {
+  const cues = [];
+
+  steps.forEach(step => {
+    const text = String(step.text || '').trim();
+    const duration = Number(step.duration) || 0;
+    if (!text || duration <= 0) return;
+
+    const offset = step.startTime || 0;
+    // Word boundaries that could be placed in the text, or timings spread over the measured duration
+    const located = (step.words || []).filter(word => word.charStart !== null && word.charStart !== undefined);
+    const words = located.length > 0 ? located : estimateWordTimings(text, duration);
+
+    const chunks = splitIntoChunks(text);
+    const starts = chunks.map(chunk => {
+      const word = words.find(candidate => candidate.charStart >= chunk.charStart);
+      return word ? word.start : (chunk.charStart / text.length) * duration;
+    });
+
+    const timings = chunks
+      .map((chunk, index) => {
+        const start = Math.min(duration, Math.max(starts[index], index > 0 ? starts[index - 1] : 0));
+        const end = index < chunks.length - 1 ? Math.max(start, Math.min(duration, starts[index + 1])) : duration;
+        return { start, end, text: wrapCueText(chunk.text) };
+      })
+      .filter(timing => timing.end > timing.start);
+
+    rebalanceLastCue(timings).forEach(({ start, end, text: cueText }) => {
+      cues.push({ start: offset + start, end: offset + end, text: cueText });
+    });
+  });
+
+  return cues;
+};
+
+/**
+ * Creates cues for the whole narration from a narrative audio result
+ * Steps follow each other with the same pause as the video timeline (see layoutNarrationSteps).
+ * @param {Object} audio - Narrative audio result (audioSteps with text, words and measured audioDuration)
+ * @param {Object} options - { pauseBetweenSteps }
+ * @returns {Array} Cues
+ */
+export const createCaptionCuesFromAudio = (audio, options = {}) => {
+  const steps = audio?.audioSteps || [];
+  const timing = layoutNarrationSteps(steps.map(step => step.audioDuration ?? step.duration), options);
+
+  return createCaptionCues(steps.map((step, index) => ({
+    text: step.text,
+    words: step.words,
+    startTime: timing[index].startTime,
+    duration: timing[index].duration
+  })));
+};
+
+/**
+ * Finds the cue shown at a time
+ * @param {Array} cues - Caption cues
+ * @param {number} time - Seconds from the start of the narration
+ * @returns {Object|null} Cue or null between cues
+ */
+export const getCaptionAtTime = (cues = [], time) => cues.find(cue => time >= cue.start && time < cue.end) || null;
+
+const formatTimestamp = (seconds, decimalSeparator) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${decimalSeparator}${pad(ms, 3)}`;
+};
+
+// WebVTT cue text is markup: "&", "<" and ">" (which also rules out "-->") must be escaped
+const escapeCueText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Writes cues as WebVTT
+ * @param {Array} cues - Caption cues
+ * @returns {string} WebVTT document
+ */
+export const toWebVTT = (cues = []) => [
+  'WEBVTT',
+  '',
+  ...cues.map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${escapeCueText(cue.text)}\n`)
+].join('\n');
+
+/**
+ * Writes cues as SubRip (SRT)
+ * @param {Array} cues - Caption cues
+ * @returns {string} SRT document
+ */
+export const toSRT = (cues = []) => cues
+  .map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`)
+  .join('\n');
+
+export default {
+  createCaptionCues,
+  createCaptionCuesFromAudio,
+  getCaptionAtTime,
+  toWebVTT,
+  toSRT
+};
@@ -9,7 +9,14 @@ export const APP_CONFIG = {
     PREVIEW_WIDTH: 1280,
     PREVIEW_HEIGHT: 720,
     MAX_DURATION: 300, // 10 minutes in seconds
-    MIN_DURATION: 5 // 5 seconds minimum
+    MIN_DURATION: 5, // 5 seconds minimum
+    SUMMARY_DURATION: 4, // seconds the EOB summary card is held after the narration
+    // Output formats; each is registered as its own composition (<id><compositionSuffix>) in Root.jsx
+    FORMATS: {
+      landscape: { width: 1920, height: 1080, aspectRatio: '16:9', compositionSuffix: '' },
+      portrait: { width: 1080, height: 1920, aspectRatio: '9:16', compositionSuffix: '-Vertical' },
+      square: { width: 1080, height: 1080, aspectRatio: '1:1', compositionSuffix: '-Square' }
+    }
   },
 
   // Animation settings
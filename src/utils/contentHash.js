@@ -0,0 +1,53 @@
+/**
+ * Content Hash Utility
+ * Stable SHA-256 hashes for PDFs and request parameters (browser and Node)
+ */
+
+/**
+ * Converts supported inputs to bytes for hashing
+ * @param {ArrayBuffer|ArrayBufferView|string|Object} data - Data to hash
+ * @returns {Uint8Array} Byte representation
+ */
+const toBytes = (data) => {
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  const text = typeof data === 'string' ? data : stableStringify(data);
+  return new TextEncoder().encode(text);
+};
+
+/**
+ * JSON.stringify with sorted object keys so equal objects hash equally
+ * @param {*} value - Value to serialize
+ * @returns {string} Deterministic JSON string
+ */
+export const stableStringify = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+};
+
+/**
+ * Computes a hex-encoded SHA-256 hash
+ * @param {ArrayBuffer|ArrayBufferView|string|Object} data - Data to hash
+ * @returns {Promise<string>} 64-character hex digest
+ */
+export const hashContent = async (data) => {
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', toBytes(data));
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+export default {
+  hashContent,
+  stableStringify
+};
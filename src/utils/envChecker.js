@@ -3,6 +3,32 @@
  * Helps debug environment variable loading issues
  */
 
+/**
+ * Reads an environment variable in both the Vite client and Node
+ * @param {string} name - Variable name (e.g. VITE_AZURE_SPEECH_KEY)
+ * @param {string} fallback - Value returned when the variable is not set
+ * @returns {string|undefined} Variable value
+ */
+export const getEnvVar = (name, fallback = undefined) => {
+  const viteValue = import.meta.env?.[name];
+  if (viteValue !== undefined && viteValue !== '') return viteValue;
+
+  if (typeof process !== 'undefined' && process.env) {
+    const nodeValue = process.env[name];
+    if (nodeValue !== undefined && nodeValue !== '') return nodeValue;
+  }
+
+  return fallback;
+};
+
+/**
+ * Checks whether the code is running in Node rather than the browser
+ * @returns {boolean} True in Node
+ */
+export const isNodeRuntime = () => {
+  return typeof window === 'undefined' && typeof process !== 'undefined' && !!process.versions?.node;
+};
+
 export const checkEnvironmentVariables = () => {
   const requiredVars = [
     'VITE_AZURE_OPENAI_ENDPOINT',
@@ -20,7 +46,7 @@ export const checkEnvironmentVariables = () => {
   };
 
   requiredVars.forEach(varName => {
-    const value = import.meta.env[varName];
+    const value = getEnvVar(varName);
     results.allEnv[varName] = value ? 'Set' : 'Not set';
     
     if (value) {
@@ -54,6 +80,8 @@ export const getEnvironmentStatus = () => {
 };
 
 export default {
+  getEnvVar,
+  isNodeRuntime,
   checkEnvironmentVariables,
   getEnvironmentStatus
 };
\ No newline at end of file
@@ -0,0 +1,142 @@
+/**
+ * EOB Reconciliation
+ * Checks the GPT-extracted eobSummary before its figures are shown to a patient:
+ * the amounts must add up (charged − adjustments − paid ≈ patient owes) and each
+ * amount must appear in the extracted PDF text.
+ */
+
+export const RECONCILED_AMOUNT_FIELDS = ['totalCharged', 'insurancePaid', 'adjustments', 'patientOwes', 'deductible', 'copay'];
+
+const FIELD_LABELS = {
+  totalCharged: 'Total charged',
+  insurancePaid: 'Insurance paid',
+  adjustments: 'Adjustments',
+  patientOwes: 'Patient owes',
+  deductible: 'Deductible',
+  copay: 'Copay'
+};
+
+// $1,234.56 / 1234.56 / (12.00) / -$5 — amounts in the PDF text
+const TEXT_AMOUNT_PATTERN = /\(?-?\$?\s?\d{1,3}(?:,\d{3})+(?:\.\d{2})?\)?|\(?-?\$?\s?\d+\.\d{2}\)?|\(?-?\$\s?\d+\)?/g;
+
+/**
+ * Parses a currency string such as "$1,234.56", "-$20.00" or "($20.00)"
+ * @param {string|number} value - Currency value
+ * @returns {number|null} Amount in dollars, or null when it isn't a currency amount
+ */
+export const parseCurrency = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+  const match = text.match(/^(\()?\s*(-)?\s*\$?\s*(-)?\s*(\d{1,3}(?:,\d{3})+|\d+)(\.\d{1,2})?\s*(\))?$/);
+  if (!match) return null;
+
+  const amount = Number(`${match[4].replace(/,/g, '')}${match[5] || ''}`);
+  const negative = (match[1] && match[6]) || match[2] || match[3];
+  return negative ? -amount : amount;
+};
+
+/**
+ * Formats an amount as "$1,234.56"
+ * @param {number} amount - Amount in dollars
+ * @returns {string} Formatted amount
+ */
+export const formatCurrency = (amount) => {
+  const sign = amount < 0 ? '-' : '';
+  return `${sign}$${Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+const toCents = (amount) => Math.round(Math.abs(amount) * 100);
+
+/**
+ * Collects every currency amount written in the document text
+ * @param {string} text - Extracted page text
+ * @returns {Set<number>} Amounts in cents (sign ignored, since EOBs show adjustments either way)
+ */
+export const extractTextAmounts = (text) => {
+  const amounts = new Set();
+  for (const match of String(text || '').matchAll(TEXT_AMOUNT_PATTERN)) {
+    const amount = parseCurrency(match[0].replace(/\s/g, ''));
+    if (amount !== null) amounts.add(toCents(amount));
+  }
+  return amounts;
+};
+
+/**
+ * Reconciles an extracted EOB summary against its arithmetic and the document text
+ * @param {Object} eobSummary - Summary with currency strings (totalCharged, insurancePaid, ...)
+ * @param {string} pageText - Extracted text of all pages
+ * @param {Object} options - { tolerance } in dollars (default: 0.01)
+ * @returns {Object} {
+ *   status: 'verified' | 'flagged',
+ *   amounts: { [field]: { raw, value, inText } },
+ *   arithmetic: { expected, actual, difference, balanced } | null,
+ *   issues: [{ field, type: 'unparseable' | 'not-in-text' | 'arithmetic', message }],
+ *   flaggedFields: string[]
+ * }
+ */
+export const reconcileEOBSummary = (eobSummary = {}, pageText = '', options = {}) => {
+  const { tolerance = 0.01 } = options;
+  const textAmounts = extractTextAmounts(pageText);
+  const amounts = {};
+  const issues = [];
+
+  RECONCILED_AMOUNT_FIELDS.forEach(field => {
+    const raw = eobSummary[field];
+    const value = parseCurrency(raw);
+
+    if (value === null) {
+      amounts[field] = { raw, value: null, inText: false };
+      if (raw !== undefined && raw !== null && raw !== '') {
+        issues.push({ field, type: 'unparseable', message: `${FIELD_LABELS[field]} "${raw}" is not a dollar amount` });
+      }
+      return;
+    }
+
+    const inText = textAmounts.has(toCents(value));
+    amounts[field] = { raw, value, inText };
+
+    // GPT fills "$0.00" for amounts the EOB leaves blank, so only non-zero amounts must be found
+    if (!inText && value !== 0) {
+      issues.push({ field, type: 'not-in-text', message: `${FIELD_LABELS[field]} ${formatCurrency(value)} does not appear in the document` });
+    }
+  });
+
+  const { totalCharged, insurancePaid, adjustments, patientOwes } = amounts;
+  let arithmetic = null;
+
+  if ([totalCharged, insurancePaid, patientOwes].every(amount => amount.value !== null)) {
+    // Adjustments are printed as positive or negative depending on the payer
+    const expected = totalCharged.value - Math.abs(adjustments.value || 0) - insurancePaid.value;
+    const difference = patientOwes.value - expected;
+    const balanced = Math.abs(difference) <= tolerance + 1e-9;
+    arithmetic = { expected, actual: patientOwes.value, difference, balanced };
+
+    if (!balanced) {
+      issues.push({
+        field: 'patientOwes',
+        type: 'arithmetic',
+        message: `Charged ${formatCurrency(totalCharged.value)} − adjustments ${formatCurrency(Math.abs(adjustments.value || 0))} − paid ${formatCurrency(insurancePaid.value)} = ${formatCurrency(expected)}, but patient owes is ${formatCurrency(patientOwes.value)}`
+      });
+    }
+  }
+
+  const flaggedFields = [...new Set(issues.map(issue => issue.field))];
+
+  return {
+    status: issues.length === 0 ? 'verified' : 'flagged',
+    amounts,
+    arithmetic,
+    issues,
+    flaggedFields
+  };
+};
+
+export default {
+  RECONCILED_AMOUNT_FIELDS,
+  parseCurrency,
+  formatCurrency,
+  extractTextAmounts,
+  reconcileEOBSummary
+};
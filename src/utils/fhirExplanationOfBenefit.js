@@ -0,0 +1,290 @@
+/**
+ * FHIR ExplanationOfBenefit Export
+ * Maps the extracted eobSummary (plus Azure key-value pairs when available) into a
+ * FHIR R4 Bundle holding an ExplanationOfBenefit and the resources it references.
+ */
+
+import { parseCurrency } from './eobReconciliation.js';
+
+const ADJUDICATION_SYSTEM = 'http://terminology.hl7.org/CodeSystem/adjudication';
+const CARIN_ADJUDICATION_SYSTEM = 'http://hl7.org/fhir/us/carin-bb/CodeSystem/C4BBAdjudication';
+const CLAIM_TYPE_SYSTEM = 'http://terminology.hl7.org/CodeSystem/claim-type';
+const INFO_CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/claiminformationcategory';
+
+// eobSummary field → adjudication category for ExplanationOfBenefit.total
+const TOTAL_CATEGORIES = {
+  totalCharged: { system: ADJUDICATION_SYSTEM, code: 'submitted', display: 'Submitted Amount' },
+  adjustments: { system: CARIN_ADJUDICATION_SYSTEM, code: 'discount', display: 'Discount' },
+  insurancePaid: { system: ADJUDICATION_SYSTEM, code: 'benefit', display: 'Benefit Amount' },
+  deductible: { system: ADJUDICATION_SYSTEM, code: 'deductible', display: 'Deductible' },
+  copay: { system: ADJUDICATION_SYSTEM, code: 'copay', display: 'CoPay' },
+  patientOwes: { system: CARIN_ADJUDICATION_SYSTEM, code: 'memberliability', display: 'Member liability' }
+};
+
+// Required (1..1 / 1..*) elements of R4 resources used in the bundle
+const REQUIRED_FIELDS = {
+  ExplanationOfBenefit: ['status', 'type', 'use', 'patient', 'created', 'insurer', 'provider', 'outcome', 'insurance'],
+  Coverage: ['status', 'beneficiary', 'payor'],
+  Patient: [],
+  Organization: []
+};
+
+const newId = () => globalThis.crypto.randomUUID();
+
+const toMoney = (value, currency) => {
+  const amount = parseCurrency(value);
+  return amount === null ? null : { value: Math.abs(amount), currency };
+};
+
+/**
+ * Converts a date like "March 15, 2024" or "03/15/2024" to a FHIR date (YYYY-MM-DD)
+ * @param {string} value - Date text
+ * @returns {string|null} FHIR date, or null when it can't be parsed
+ */
+export const toFhirDate = (value) => {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+
+  const parsed = new Date(text);
+  if (Number.isNaN(parsed.getTime())) return null;
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+};
+
+/**
+ * Finds the first key-value pair whose key matches a pattern
+ * @param {Array} keyValuePairs - [{ key, value, category }] from processAnalysisResult
+ * @param {RegExp} pattern - Key pattern
+ * @returns {string|null} Value of the pair
+ */
+const findValue = (keyValuePairs, pattern) => {
+  const pair = keyValuePairs.find(candidate => candidate.key && candidate.value && pattern.test(candidate.key));
+  return pair ? String(pair.value).trim() : null;
+};
+
+/**
+ * Reads member, provider and plan fields from Azure key-value pairs
+ * @param {Array} keyValuePairs - [{ key, value, category }]
+ * @returns {Object} { memberName, memberId, providerName, insurerName, groupNumber, claimNumber }
+ */
+export const extractEOBFields = (keyValuePairs = []) => {
+  // Keys are matched directly: categorizeKeyValuePair files "Subscriber Name" under 'general'
+  return {
+    memberName: findValue(keyValuePairs, /(member|patient|subscriber)\s*name|^name$/i),
+    memberId: findValue(keyValuePairs, /(member|subscriber|patient)\s*(id|number|#)/i),
+    providerName: findValue(keyValuePairs, /provider|doctor|facility|rendering/i),
+    insurerName: findValue(keyValuePairs, /insurer|insurance company|health plan|payer|plan name/i),
+    groupNumber: findValue(keyValuePairs, /group\s*(number|#|no)/i),
+    claimNumber: findValue(keyValuePairs, /claim\s*(number|#|no|id)/i)
+  };
+};
+
+const entryFor = (resource) => ({ fullUrl: `urn:uuid:${resource.id}`, resource });
+const referenceTo = (resource, display) => ({ reference: `urn:uuid:${resource.id}`, ...(display ? { display } : {}) });
+
+/**
+ * Builds a FHIR R4 collection Bundle for an EOB
+ * @param {Object} input - Extracted data
+ * @param {Object} input.eobSummary - Summary from the narrative (serviceDate, providerName, services, amounts)
+ * @param {Array} input.keyValuePairs - Azure key-value pairs from processAnalysisResult (optional)
+ * @param {Object} options - { currency (default USD), created (ISO date-time) }
+ * @returns {Object} Bundle with ExplanationOfBenefit, Patient, Organization (insurer/provider) and Coverage entries
+ */
+export const buildExplanationOfBenefitBundle = ({ eobSummary = {}, keyValuePairs = [] } = {}, options = {}) => {
+  const { currency = 'USD', created = new Date().toISOString() } = options;
+  const fields = extractEOBFields(keyValuePairs);
+  const serviceDate = toFhirDate(eobSummary.serviceDate);
+
+  const patient = {
+    resourceType: 'Patient',
+    id: newId(),
+    ...(fields.memberId ? { identifier: [{ value: fields.memberId }] } : {}),
+    ...(fields.memberName ? { name: [{ text: fields.memberName }] } : {})
+  };
+
+  const insurer = {
+    resourceType: 'Organization',
+    id: newId(),
+    name: fields.insurerName || 'Unknown insurer'
+  };
+
+  const providerName = eobSummary.providerName && eobSummary.providerName !== 'Provider not identified'
+    ? eobSummary.providerName
+    : fields.providerName;
+  const provider = {
+    resourceType: 'Organization',
+    id: newId(),
+    name: providerName || 'Unknown provider'
+  };
+
+  const coverage = {
+    resourceType: 'Coverage',
+    id: newId(),
+    status: 'active',
+    beneficiary: referenceTo(patient),
+    payor: [referenceTo(insurer, insurer.name)],
+    ...(fields.groupNumber ? { class: [{ type: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/coverage-class', code: 'group' }] }, value: fields.groupNumber }] } : {})
+  };
+
+  const items = (eobSummary.services || [])
+    .filter(service => service && service.description)
+    .map((service, index) => {
+      const net = toMoney(service.amount, currency);
+      return {
+        sequence: index + 1,
+        productOrService: { text: service.description },
+        ...(serviceDate ? { servicedDate: serviceDate } : {}),
+        ...(net ? {
+          net,
+          adjudication: [{ category: { coding: [TOTAL_CATEGORIES.totalCharged] }, amount: net }]
+        } : {})
+      };
+    });
+
+  const total = Object.entries(TOTAL_CATEGORIES)
+    .map(([field, coding]) => {
+      const amount = toMoney(eobSummary[field], currency);
+      return amount ? { category: { coding: [coding] }, amount } : null;
+    })
+    .filter(Boolean);
+
+  // Every extracted key-value pair is kept as supporting information, so nothing Azure found is lost
+  const supportingInfo = keyValuePairs
+    .filter(pair => pair.key && pair.value)
+    .map((pair, index) => ({
+      sequence: index + 1,
+      category: { coding: [{ system: INFO_CATEGORY_SYSTEM, code: 'info' }] },
+      code: { text: String(pair.key).trim() },
+      valueString: String(pair.value).trim()
+    }));
+
+  const insurancePaid = toMoney(eobSummary.insurancePaid, currency);
+
+  const explanationOfBenefit = {
+    resourceType: 'ExplanationOfBenefit',
+    id: newId(),
+    ...(fields.claimNumber ? { identifier: [{ value: fields.claimNumber }] } : {}),
+    status: 'active',
+    type: { coding: [{ system: CLAIM_TYPE_SYSTEM, code: 'professional' }] },
+    use: 'claim',
+    patient: referenceTo(patient, fields.memberName),
+    ...(serviceDate ? { billablePeriod: { start: serviceDate, end: serviceDate } } : {}),
+    created,
+    insurer: referenceTo(insurer, insurer.name),
+    provider: referenceTo(provider, provider.name),
+    outcome: 'complete',
+    insurance: [{ focal: true, coverage: referenceTo(coverage) }],
+    ...(supportingInfo.length > 0 ? { supportingInfo } : {}),
+    ...(items.length > 0 ? { item: items } : {}),
+    ...(total.length > 0 ? { total } : {}),
+    ...(insurancePaid ? { payment: { amount: insurancePaid } } : {})
+  };
+
+  return {
+    resourceType: 'Bundle',
+    type: 'collection',
+    timestamp: created,
+    entry: [explanationOfBenefit, patient, insurer, provider, coverage].map(entryFor)
+  };
+};
+
+const isMissing = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Validates a resource's required fields (and the EOB's required nested elements)
+ * @param {Object} resource - FHIR resource
+ * @param {string} path - Path prefix for error messages
+ * @returns {Array} Errors as [{ path, message }]
+ */
+export const validateResource = (resource, path = resource?.resourceType || 'resource') => {
+  const required = REQUIRED_FIELDS[resource?.resourceType];
+  if (!required) {
+    return [{ path, message: `unsupported resourceType "${resource?.resourceType}"` }];
+  }
+
+  const errors = required
+    .filter(field => isMissing(resource[field]))
+    .map(field => ({ path: `${path}.${field}`, message: 'is required' }));
+
+  if (resource.resourceType === 'ExplanationOfBenefit') {
+    (resource.insurance || []).forEach((insurance, index) => {
+      if (typeof insurance.focal !== 'boolean') errors.push({ path: `${path}.insurance[${index}].focal`, message: 'is required' });
+      if (isMissing(insurance.coverage)) errors.push({ path: `${path}.insurance[${index}].coverage`, message: 'is required' });
+    });
+    (resource.item || []).forEach((item, index) => {
+      if (isMissing(item.sequence)) errors.push({ path: `${path}.item[${index}].sequence`, message: 'is required' });
+      if (isMissing(item.productOrService)) errors.push({ path: `${path}.item[${index}].productOrService`, message: 'is required' });
+    });
+    (resource.total || []).forEach((total, index) => {
+      if (isMissing(total.category)) errors.push({ path: `${path}.total[${index}].category`, message: 'is required' });
+      if (isMissing(total.amount?.value)) errors.push({ path: `${path}.total[${index}].amount`, message: 'is required' });
+    });
+    (resource.supportingInfo || []).forEach((info, index) => {
+      if (isMissing(info.sequence)) errors.push({ path: `${path}.supportingInfo[${index}].sequence`, message: 'is required' });
+      if (isMissing(info.category)) errors.push({ path: `${path}.supportingInfo[${index}].category`, message: 'is required' });
+    });
+    if (resource.insurance?.length && resource.insurance.filter(insurance => insurance.focal).length !== 1) {
+      errors.push({ path: `${path}.insurance`, message: 'must have exactly one focal coverage' });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validates a Bundle: entry structure, required fields and that references resolve inside the bundle
+ * @param {Object} bundle - Bundle from buildExplanationOfBenefitBundle
+ * @returns {Object} { valid, errors: [{ path, message }] }
+ */
+export const validateExplanationOfBenefitBundle = (bundle) => {
+  if (bundle?.resourceType !== 'Bundle') {
+    return { valid: false, errors: [{ path: 'Bundle', message: 'resourceType must be "Bundle"' }] };
+  }
+
+  const errors = [];
+  if (isMissing(bundle.type)) errors.push({ path: 'Bundle.type', message: 'is required' });
+
+  const entries = bundle.entry || [];
+  const fullUrls = new Set(entries.map(entry => entry.fullUrl));
+
+  entries.forEach((entry, index) => {
+    const path = `Bundle.entry[${index}]`;
+    if (!entry.resource) {
+      errors.push({ path: `${path}.resource`, message: 'is required' });
+      return;
+    }
+    errors.push(...validateResource(entry.resource, `${path}.resource`));
+  });
+
+  const eobs = entries.filter(entry => entry.resource?.resourceType === 'ExplanationOfBenefit');
+  if (eobs.length === 0) {
+    errors.push({ path: 'Bundle.entry', message: 'must contain an ExplanationOfBenefit' });
+  }
+
+  eobs.forEach(entry => {
+    const eob = entry.resource;
+    const references = [
+      ['patient', eob.patient],
+      ['insurer', eob.insurer],
+      ['provider', eob.provider],
+      ...(eob.insurance || []).map((insurance, index) => [`insurance[${index}].coverage`, insurance.coverage])
+    ];
+    references.forEach(([field, reference]) => {
+      if (reference?.reference && !fullUrls.has(reference.reference)) {
+        errors.push({ path: `ExplanationOfBenefit.${field}`, message: `reference ${reference.reference} is not in the bundle` });
+      }
+    });
+  });
+
+  return { valid: errors.length === 0, errors };
+};
+
+export default {
+  toFhirDate,
+  extractEOBFields,
+  buildExplanationOfBenefitBundle,
+  validateResource,
+  validateExplanationOfBenefitBundle
+};
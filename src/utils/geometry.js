@@ -0,0 +1,404 @@
+/**
+ * Geometry
+ * Rectangles, polygons and the conversions between the coordinate spaces the app works in:
+ * - PDF points: pdf.js page space at scale 1, top-left origin (text items, highlights, page images)
+ * - Azure units: Document Intelligence polygons, top-left origin, in inches for PDFs and pixels for images
+ * - Canvas pixels: PDF points times the render scale
+ * - Video frame space: screen pixels of a Remotion frame, after the camera transform
+ *
+ * Rect: { x, y, width, height, centerX, centerY } in the units of its space.
+ * Polygon: [{ x, y }, ...], as in (normalized) Azure bounding regions.
+ * Transform: { scale, translateX, translateY }, scaling about the video center, then translating in screen pixels.
+ *
+ * Everything except getElementBounds is pure and runs in Node.
+ */
+
+export const POINTS_PER_INCH = 72;
+
+// Zoom range of the camera
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 3.0;
+
+/**
+ * Creates a rect
+ * @param {number} x - Left
+ * @param {number} y - Top
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @returns {Object} Rect
+ */
+export const createRect = (x, y, width, height) => ({
+  x,
+  y,
+  width,
+  height,
+  centerX: x + width / 2,
+  centerY: y + height / 2
+});
+
+/**
+ * Normalizes any { x, y, width, height } object (element bounds, highlights, page images) into a rect
+ * @param {Object} bounds - Object with x, y, width and height
+ * @returns {Object|null} Rect, or null without bounds
+ */
+export const toRect = (bounds) => bounds ? createRect(bounds.x, bounds.y, bounds.width, bounds.height) : null;
+
+/**
+ * Grows a rect on every side
+ * @param {Object} rect - Rect
+ * @param {number} padding - Amount to add on each side (negative shrinks)
+ * @returns {Object} Rect
+ */
+export const padRect = (rect, padding) => createRect(
+  rect.x - padding,
+  rect.y - padding,
+  rect.width + padding * 2,
+  rect.height + padding * 2
+);
+
+/**
+ * Scales a rect from the origin (a change of units)
+ * @param {Object} rect - Rect
+ * @param {number} scaleX - Horizontal factor
+ * @param {number} scaleY - Vertical factor (defaults to scaleX)
+ * @returns {Object} Rect
+ */
+export const scaleRect = (rect, scaleX, scaleY = scaleX) => createRect(
+  rect.x * scaleX,
+  rect.y * scaleY,
+  rect.width * scaleX,
+  rect.height * scaleY
+);
+
+/**
+ * Smallest rect holding all the given rects
+ * @param {Array} rects - Rects
+ * @returns {Object|null} Rect, or null for an empty list
+ */
+export const unionRects = (rects = []) => {
+  if (rects.length === 0) return null;
+  const left = Math.min(...rects.map(rect => rect.x));
+  const top = Math.min(...rects.map(rect => rect.y));
+  const right = Math.max(...rects.map(rect => rect.x + rect.width));
+  const bottom = Math.max(...rects.map(rect => rect.y + rect.height));
+  return createRect(left, top, right - left, bottom - top);
+};
+
+/**
+ * Whether two rects overlap (touching edges count)
+ * @param {Object} a - Rect
+ * @param {Object} b - Rect
+ * @returns {boolean}
+ */
+export const rectsIntersect = (a, b) => !(
+  a.x + a.width < b.x ||
+  b.x + b.width < a.x ||
+  a.y + a.height < b.y ||
+  b.y + b.height < a.y
+);
+
+/**
+ * Bounding rect of a polygon
+ * @param {Array} polygon - [{ x, y }] points, or a flat [x1, y1, x2, y2, ...] list (raw Azure REST results)
+ * @returns {Object|null} Rect, or null for an empty polygon
+ */
+export const polygonToRect = (polygon = []) => {
+  const points = typeof polygon[0] === 'number'
+    ? polygon.reduce((list, value, index) => (index % 2 === 0 ? [...list, { x: value, y: polygon[index + 1] }] : list), [])
+    : polygon;
+  if (points.length === 0) return null;
+
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const left = Math.min(...xs);
+  const top = Math.min(...ys);
+  return createRect(left, top, Math.max(...xs) - left, Math.max(...ys) - top);
+};
+
+/**
+ * Corners of a rect, clockwise from the top left
+ * @param {Object} rect - Rect
+ * @returns {Array} Polygon
+ */
+export const rectToPolygon = (rect) => [
+  { x: rect.x, y: rect.y },
+  { x: rect.x + rect.width, y: rect.y },
+  { x: rect.x + rect.width, y: rect.y + rect.height },
+  { x: rect.x, y: rect.y + rect.height }
+];
+
+/**
+ * Converts a rect in Azure units to PDF points
+ * With both page sizes the rect is scaled by their ratio (works for any unit); otherwise inches
+ * are converted at 72 points per inch and pixels are taken as points.
+ * @param {Object} rect - Rect in Azure units
+ * @param {Object} azurePage - Azure page ({ width, height, unit })
+ * @param {Object} pdfPageSize - Page size in PDF points ({ width, height }), optional
+ * @returns {Object} Rect in PDF points
+ */
+export const azureToPdfRect = (rect, azurePage = {}, pdfPageSize = null) => {
+  if (pdfPageSize && azurePage.width && azurePage.height) {
+    return scaleRect(rect, pdfPageSize.width / azurePage.width, pdfPageSize.height / azurePage.height);
+  }
+  return scaleRect(rect, azurePage.unit === 'pixel' ? 1 : POINTS_PER_INCH);
+};
+
+/**
+ * Converts a rect in PDF points to Azure units (inverse of azureToPdfRect)
+ * @param {Object} rect - Rect in PDF points
+ * @param {Object} azurePage - Azure page ({ width, height, unit })
+ * @param {Object} pdfPageSize - Page size in PDF points ({ width, height }), optional
+ * @returns {Object} Rect in Azure units
+ */
+export const pdfToAzureRect = (rect, azurePage = {}, pdfPageSize = null) => {
+  if (pdfPageSize && azurePage.width && azurePage.height) {
+    return scaleRect(rect, azurePage.width / pdfPageSize.width, azurePage.height / pdfPageSize.height);
+  }
+  return scaleRect(rect, azurePage.unit === 'pixel' ? 1 : 1 / POINTS_PER_INCH);
+};
+
+/**
+ * Converts a rect in PDF points to canvas pixels
+ * @param {Object} rect - Rect in PDF points
+ * @param {number} scale - Render scale (pdf.js viewport scale, times the device pixel ratio for backing pixels)
+ * @returns {Object} Rect in canvas pixels
+ */
+export const pdfToCanvasRect = (rect, scale) => scaleRect(rect, scale);
+
+/**
+ * Converts a rect in canvas pixels to PDF points
+ * @param {Object} rect - Rect in canvas pixels
+ * @param {number} scale - Render scale the canvas was drawn at
+ * @returns {Object} Rect in PDF points
+ */
+export const canvasToPdfRect = (rect, scale) => scaleRect(rect, 1 / scale);
+
+/**
+ * Rect of a pdf.js text item (whose transform places the baseline with a bottom-left origin)
+ * @param {Object} item - pdf.js text content item ({ transform, width, height })
+ * @param {number} pageHeight - Page height at the same scale (pdf.js viewport height)
+ * @param {number} scale - Render scale (1 for PDF points)
+ * @returns {Object} Rect with a top-left origin
+ */
+export const pdfTextItemToRect = (item, pageHeight, scale = 1) => createRect(
+  item.transform[4] * scale,
+  pageHeight - (item.transform[5] + item.height) * scale,
+  item.width * scale,
+  item.height * scale
+);
+
+/**
+ * Maps a content point (untransformed HTML or canvas pixels) into the video frame
+ * @param {Object} point - { x, y }
+ * @param {Object} transform - Camera transform
+ * @param {Object} videoSize - Video dimensions {width, height}
+ * @returns {Object} { x, y } in frame pixels
+ */
+export const contentToFramePoint = (point, transform, videoSize) => ({
+  x: (point.x - videoSize.width / 2) * transform.scale + videoSize.width / 2 + transform.translateX,
+  y: (point.y - videoSize.height / 2) * transform.scale + videoSize.height / 2 + transform.translateY
+});
+
+/**
+ * Maps a frame point back into content pixels (inverse of contentToFramePoint)
+ * @param {Object} point - { x, y } in frame pixels
+ * @param {Object} transform - Camera transform
+ * @param {Object} videoSize - Video dimensions {width, height}
+ * @returns {Object} { x, y } in content pixels
+ */
+export const frameToContentPoint = (point, transform, videoSize) => ({
+  x: (point.x - videoSize.width / 2 - transform.translateX) / transform.scale + videoSize.width / 2,
+  y: (point.y - videoSize.height / 2 - transform.translateY) / transform.scale + videoSize.height / 2
+});
+
+/**
+ * Maps a content rect into the video frame (where a highlight is drawn)
+ * @param {Object} rect - Rect in content pixels
+ * @param {Object} transform - Camera transform
+ * @param {Object} videoSize - Video dimensions {width, height}
+ * @returns {Object} Rect in frame pixels
+ */
+export const contentToFrameRect = (rect, transform, videoSize) => {
+  const { x, y } = contentToFramePoint(rect, transform, videoSize);
+  return createRect(x, y, rect.width * transform.scale, rect.height * transform.scale);
+};
+
+const getViewport = (videoSize, viewport) => viewport || { x: 0, y: 0, width: videoSize.width, height: videoSize.height };
+
+/**
+ * The camera a transform shows: the content point at the center of the viewport, and the zoom
+ * @param {Object} transform - Camera transform
+ * @param {Object} videoSize - Video dimensions {width, height}
+ * @param {Object} viewport - Region elements are framed in (see getFrameLayout), the whole frame by default
+ * @returns {Object} { centerX, centerY, scale }
+ */
+export const transformToCamera = (transform, videoSize, viewport = null) => {
+  const frame = getViewport(videoSize, viewport);
+  const center = frameToContentPoint({ x: frame.x + frame.width / 2, y: frame.y + frame.height / 2 }, transform, videoSize);
+  return { centerX: center.x, centerY: center.y, scale: transform.scale };
+};
+
+/**
+ * The transform that shows a camera (inverse of transformToCamera)
+ * @param {Object} camera - { centerX, centerY, scale }
+ * @param {Object} videoSize - Video dimensions {width, height}
+ * @param {Object} viewport - Region elements are framed in, the whole frame by default
+ * @returns {Object} Camera transform
+ */
+export const cameraToTransform = (camera, videoSize, viewport = null) => {
+  const frame = getViewport(videoSize, viewport);
+  const { centerX, centerY, scale } = camera;
+  return {
+    scale,
+    translateX: frame.x + frame.width / 2 - videoSize.width / 2 - (centerX - videoSize.width / 2) * scale,
+    translateY: frame.y + frame.height / 2 - videoSize.height / 2 - (centerY - videoSize.height / 2) * scale
+  };
+};
+
+/**
+ * Calculates transform values for centering and zooming
+ * The element is centered in the viewport (the whole frame by default, or the part of it left
+ * clear by captions, see getFrameLayout), and the zoom is capped so the element still fits in it,
+ * which reframes wide elements for narrow formats.
+ * @param {Object} targetBounds - Target rect in content pixels
+ * @param {Object} videoSize - Video dimensions {width, height}
+ * @param {number} zoomLevel - Zoom level (1.0-3.0)
+ * @param {Object} viewport - Region to frame the element in {x, y, width, height}, in video pixels
+ * @returns {Object} Transform values for CSS (translate is in screen pixels, applied after scaling about the center)
+ */
+export const calculateTransform = (targetBounds, videoSize, zoomLevel = 2.0, viewport = null) => {
+  if (!targetBounds || !videoSize) {
+    return { scale: 1, translateX: 0, translateY: 0 };
+  }
+
+  const { centerX, centerY, width, height } = toRect(targetBounds);
+  const frame = getViewport(videoSize, viewport);
+
+  // Calculate scale based on zoom level, leaving a 5% margin around the element
+  const fitScale = Math.min(
+    width > 0 ? (frame.width * 0.9) / width : Infinity,
+    height > 0 ? (frame.height * 0.9) / height : Infinity
+  );
+  const scale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, zoomLevel, fitScale));
+
+  return {
+    ...cameraToTransform({ centerX, centerY, scale }, videoSize, viewport),
+    centerX,
+    centerY,
+    originalWidth: width,
+    originalHeight: height
+  };
+};
+
+/**
+ * Zoom at which an element fills a share of a container
+ * @param {Object} rect - Element rect
+ * @param {Object} containerSize - Container dimensions {width, height}
+ * @param {number} targetFillRatio - Share of the container the element should fill (0.1-0.9)
+ * @returns {number} Zoom level (0.5-3.0)
+ */
+export const calculateOptimalZoom = (rect, containerSize, targetFillRatio = 0.6) => {
+  if (!rect || !containerSize || !(rect.width > 0) || !(rect.height > 0)) return 1.0;
+
+  const scale = Math.min(
+    (containerSize.width * targetFillRatio) / rect.width,
+    (containerSize.height * targetFillRatio) / rect.height
+  );
+  return Math.max(MIN_SCALE, Math.min(MAX_SCALE, scale));
+};
+
+/**
+ * Maps Azure Document Intelligence tables, key-value pairs and paragraphs to PDF point rects
+ * Each element's first bounding region is converted from its page's Azure units (see azureToPdfRect);
+ * use pdfToCanvasRect for where it lands on a rendered page.
+ * @param {Object} azureResults - Normalized analysis result (see normalizeAnalysisResult)
+ * @param {Object} pdfPageSize - Page size in PDF points ({ width, height }, e.g. a scale 1 pdf.js viewport), optional
+ * @returns {Object} Rects keyed by element ID ('table-0', 'field-<key>', 'paragraph-0'), with type, pageNumber and the Azure data
+ */
+export const mapAzureElementsToPdf = (azureResults = {}, pdfPageSize = null) => {
+  const mappedElements = {};
+
+  const addElement = (elementId, item, details) => {
+    const region = item.boundingRegions?.[0];
+    const rect = polygonToRect(region?.polygon);
+    if (!rect) return;
+    const pageNumber = region.pageNumber || 1;
+    const azurePage = (azureResults.pages || []).find(page => page.pageNumber === pageNumber) || {};
+    mappedElements[elementId] = {
+      ...azureToPdfRect(rect, azurePage, pdfPageSize),
+      elementId,
+      pageNumber,
+      ...details,
+      azureData: item
+    };
+  };
+
+  (azureResults.tables || []).forEach((table, index) => {
+    addElement(`table-${index}`, table, { type: 'table' });
+  });
+
+  (azureResults.keyValuePairs || []).forEach((pair, index) => {
+    const slug = String(pair.key || '').toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+    addElement(`field-${slug || index}`, pair, { type: 'field', key: pair.key, value: pair.value });
+  });
+
+  (azureResults.paragraphs || []).forEach((paragraph, index) => {
+    addElement(`paragraph-${index}`, paragraph, { type: 'paragraph', content: paragraph.content });
+  });
+
+  return mappedElements;
+};
+
+/**
+ * Measures an element inside a container (DOM only)
+ * @param {string} elementId - The ID of the element to target
+ * @param {React.RefObject} containerRef - Reference to the container element
+ * @returns {Object|null} Rect relative to the container (with elementId and element), or null if not found
+ */
+export const getElementBounds = (elementId, containerRef) => {
+  if (!containerRef?.current) {
+    console.warn('Container ref not available');
+    return null;
+  }
+
+  const element = containerRef.current.querySelector(`#${elementId}`);
+  if (!element) {
+    console.warn(`Element with ID "${elementId}" not found`);
+    return null;
+  }
+
+  const rect = element.getBoundingClientRect();
+  const containerRect = containerRef.current.getBoundingClientRect();
+
+  return {
+    ...createRect(rect.left - containerRect.left, rect.top - containerRect.top, rect.width, rect.height),
+    elementId,
+    element
+  };
+};
+
+export default {
+  POINTS_PER_INCH,
+  createRect,
+  toRect,
+  padRect,
+  scaleRect,
+  unionRects,
+  rectsIntersect,
+  polygonToRect,
+  rectToPolygon,
+  azureToPdfRect,
+  pdfToAzureRect,
+  pdfToCanvasRect,
+  canvasToPdfRect,
+  pdfTextItemToRect,
+  contentToFramePoint,
+  frameToContentPoint,
+  contentToFrameRect,
+  transformToCamera,
+  cameraToTransform,
+  calculateTransform,
+  calculateOptimalZoom,
+  mapAzureElementsToPdf,
+  getElementBounds
+};
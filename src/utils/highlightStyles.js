@@ -0,0 +1,242 @@
+import { HIGHLIGHT_TYPES } from './constants.js';
+
+/**
+ * Highlight Styles
+ * Registry of the ways a highlighted element can be emphasized. Each style is defined once and
+ * drawn by both renderers:
+ * - layers({ x, y, width, height, time }): absolutely positioned div styles for the Remotion
+ *   HighlightOverlay. The box is the element in screen pixels and time is seconds since the
+ *   highlight appeared, so every animation follows the frame.
+ * - css(selector): rules for the standalone presentation, where selector matches the active
+ *   highlight element (drawn with ::before/::after so the step label is left alone).
+ *
+ * To add a style, add an entry here; the narrative prompts, the schema and both renderers pick it up.
+ */
+
+const COLOR = '#ff6b35';
+const rgba = (alpha) => `rgba(255, 107, 53, ${alpha})`;
+
+// 0 → 1 → 0 over each period (starts at 0, like the CSS keyframes below)
+const wave = (time, period) => (1 - Math.cos((2 * Math.PI * time) / period)) / 2;
+
+// Ease-out progress of a one-off animation
+const drawProgress = (time, duration) => 1 - Math.pow(1 - Math.min(1, Math.max(0, time / duration)), 3);
+
+const padBox = ({ x, y, width, height }, padding) => ({
+  left: x - padding,
+  top: y - padding,
+  width: width + padding * 2,
+  height: height + padding * 2
+});
+
+export const HIGHLIGHT_STYLES = {
+  [HIGHLIGHT_TYPES.BORDER]: {
+    label: 'Border',
+    description: 'an outline around the element',
+    layers: (box, time) => {
+      const pulse = wave(time, 2);
+      return [{
+        ...padBox(box, 8),
+        border: `3px solid ${COLOR}`,
+        borderRadius: 8,
+        boxShadow: `0 0 20px ${rgba(0.5)}`,
+        transform: `scale(${1 + 0.05 * pulse})`,
+        opacity: 0.8 + 0.2 * pulse
+      }];
+    },
+    css: (selector) => `
+      ${selector}::before {
+          content: ''; position: absolute; inset: -8px;
+          border: 3px solid ${COLOR}; border-radius: 8px; box-shadow: 0 0 20px ${rgba(0.5)};
+          animation: highlight-border-pulse 2s ease-in-out infinite;
+      }
+      @keyframes highlight-border-pulse {
+          0%, 100% { transform: scale(1); opacity: 0.8; }
+          50% { transform: scale(1.05); opacity: 1; }
+      }`
+  },
+
+  [HIGHLIGHT_TYPES.SPOTLIGHT]: {
+    label: 'Spotlight',
+    description: 'dims the rest of the page around the element',
+    layers: (box, time) => [{
+      ...padBox(box, 12),
+      borderRadius: 12,
+      boxShadow: `0 0 0 4000px rgba(0, 0, 0, ${0.35 + 0.1 * drawProgress(time, 0.6)}), inset 0 0 12px ${rgba(0.35)}`
+    }],
+    css: (selector) => `
+      ${selector}::before {
+          content: ''; position: absolute; inset: -12px; border-radius: 12px;
+          box-shadow: 0 0 0 4000px rgba(0, 0, 0, 0.45), inset 0 0 12px ${rgba(0.35)};
+          animation: highlight-spotlight-in 0.6s ease-out both;
+      }
+      @keyframes highlight-spotlight-in {
+          from { box-shadow: 0 0 0 4000px rgba(0, 0, 0, 0.35), inset 0 0 12px ${rgba(0.35)}; }
+      }`
+  },
+
+  [HIGHLIGHT_TYPES.GLOW]: {
+    label: 'Glow',
+    description: 'a soft glow around the element',
+    layers: (box, time) => {
+      const pulse = wave(time, 2.5);
+      return [{
+        ...padBox(box, 12),
+        borderRadius: 8,
+        boxShadow: `0 0 ${8 + 8 * pulse}px ${4 + 4 * pulse}px ${rgba(0.6 + 0.2 * pulse)}`,
+        opacity: 0.8 + 0.2 * pulse
+      }];
+    },
+    css: (selector) => `
+      ${selector}::before {
+          content: ''; position: absolute; inset: -12px; border-radius: 8px;
+          animation: highlight-glow-pulse 2.5s ease-in-out infinite;
+      }
+      @keyframes highlight-glow-pulse {
+          0%, 100% { box-shadow: 0 0 8px 4px ${rgba(0.6)}; opacity: 0.8; }
+          50% { box-shadow: 0 0 16px 8px ${rgba(0.8)}; opacity: 1; }
+      }`
+  },
+
+  [HIGHLIGHT_TYPES.PULSE]: {
+    label: 'Pulse',
+    description: 'a tinted fill with rings pulsing out from the element',
+    layers: (box, time) => {
+      const phase = (time % 1.5) / 1.5;
+      return [
+        {
+          ...padBox(box, 6),
+          borderRadius: 8,
+          background: rgba(0.15),
+          border: `2px solid ${COLOR}`,
+          opacity: 0.7 + 0.3 * wave(time, 1.5)
+        },
+        {
+          ...padBox(box, 6),
+          borderRadius: 8,
+          border: `3px solid ${COLOR}`,
+          transform: `scale(${1 + 0.25 * phase})`,
+          opacity: 1 - phase
+        }
+      ];
+    },
+    css: (selector) => `
+      ${selector}::before, ${selector}::after {
+          content: ''; position: absolute; inset: -6px; border-radius: 8px;
+      }
+      ${selector}::before {
+          background: ${rgba(0.15)}; border: 2px solid ${COLOR};
+          animation: highlight-pulse-fill 1.5s ease-in-out infinite;
+      }
+      ${selector}::after {
+          border: 3px solid ${COLOR};
+          animation: highlight-pulse-ring 1.5s linear infinite;
+      }
+      @keyframes highlight-pulse-fill {
+          0%, 100% { opacity: 0.7; }
+          50% { opacity: 1; }
+      }
+      @keyframes highlight-pulse-ring {
+          from { transform: scale(1); opacity: 1; }
+          to { transform: scale(1.25); opacity: 0; }
+      }`
+  },
+
+  [HIGHLIGHT_TYPES.UNDERLINE]: {
+    label: 'Underline',
+    description: 'a line drawn under the element, left to right',
+    layers: (box, time) => [{
+      left: box.x,
+      top: box.y + box.height + 4,
+      width: box.width,
+      height: 4,
+      borderRadius: 2,
+      background: COLOR,
+      boxShadow: `0 2px 6px ${rgba(0.4)}`,
+      transform: `scaleX(${drawProgress(time, 0.6)})`,
+      transformOrigin: 'left center'
+    }],
+    css: (selector) => `
+      ${selector}::after {
+          content: ''; position: absolute; left: 0; right: 0; bottom: -8px; height: 4px;
+          border-radius: 2px; background: ${COLOR}; box-shadow: 0 2px 6px ${rgba(0.4)};
+          transform-origin: left center;
+          animation: highlight-underline-draw 0.6s cubic-bezier(0.33, 1, 0.68, 1) both;
+      }
+      @keyframes highlight-underline-draw {
+          from { transform: scaleX(0); }
+          to { transform: scaleX(1); }
+      }`
+  }
+};
+
+export const DEFAULT_HIGHLIGHT_TYPE = HIGHLIGHT_TYPES.BORDER;
+
+// Steps may also ask for no highlight at all
+export const NO_HIGHLIGHT = 'none';
+
+/**
+ * Names of the registered highlight styles
+ * @returns {Array} Style names, e.g. ['border', 'spotlight', ...]
+ */
+export const getHighlightTypes = () => Object.keys(HIGHLIGHT_STYLES);
+
+/**
+ * Normalizes a highlight type from a narrative, a GPT mapping or a project file
+ * @param {string} type - Requested type
+ * @param {string} fallback - Type used when the request is missing or unknown
+ * @returns {string} A registered style name, 'none', or the fallback
+ */
+export const resolveHighlightType = (type, fallback = DEFAULT_HIGHLIGHT_TYPE) => {
+  const name = typeof type === 'string' ? type.trim().toLowerCase() : '';
+  if (name === NO_HIGHLIGHT || HIGHLIGHT_STYLES[name]) return name;
+  return fallback;
+};
+
+/**
+ * Looks up a highlight style
+ * @param {string} type - Style name
+ * @returns {Object|null} Style ({ label, description, layers, css }), the default style for unknown names, null for 'none'
+ */
+export const getHighlightStyle = (type) => {
+  const name = resolveHighlightType(type);
+  return name === NO_HIGHLIGHT ? null : HIGHLIGHT_STYLES[name];
+};
+
+/**
+ * Class the standalone presentation puts on a highlight element drawn in a style
+ * @param {string} type - Style name
+ * @returns {string} e.g. 'highlight-border' (see CSS_CLASSES.HIGHLIGHT), or '' for 'none'
+ */
+export const getHighlightClassName = (type) => {
+  const name = resolveHighlightType(type);
+  return name === NO_HIGHLIGHT ? '' : `highlight-${name}`;
+};
+
+/**
+ * CSS for every registered style, for the standalone presentation
+ * @returns {string} Style rules scoped to active highlight elements
+ */
+export const getHighlightStylesCSS = () => getHighlightTypes()
+  .map(type => HIGHLIGHT_STYLES[type].css(`.highlight-element.${getHighlightClassName(type)}.active`))
+  .join('\n');
+
+/**
+ * Highlight style options as listed in GPT prompts
+ * @returns {string} e.g. "border (an outline around the element), spotlight (...)"
+ */
+export const describeHighlightTypes = () => getHighlightTypes()
+  .map(type => `${type} (${HIGHLIGHT_STYLES[type].description})`)
+  .join(', ');
+
+export default {
+  HIGHLIGHT_STYLES,
+  DEFAULT_HIGHLIGHT_TYPE,
+  NO_HIGHLIGHT,
+  getHighlightTypes,
+  resolveHighlightType,
+  getHighlightStyle,
+  getHighlightClassName,
+  getHighlightStylesCSS,
+  describeHighlightTypes
+};
@@ -0,0 +1,190 @@
+/**
+ * Identifier Masking
+ * Finds member identifiers in pdf.js text items and blacks out or blurs them on the
+ * rendered page canvas, so exported presentations can be shared for demos and training.
+ *
+ * Text item coordinates are PDF points at scale 1 with a top-left origin
+ * (as produced by convertPDFToHTML): { pageNumber, x, y, width, height, text }.
+ */
+
+import { DATE_PATTERN } from './identifierPatterns.js';
+import { estimateTextWidth, measureCharacterRange } from './textMeasurement.js';
+
+export const MASK_MODES = ['off', 'blackout', 'blur'];
+
+const ID_VALUE = String.raw`(?=[A-Z0-9-]*\d)[A-Z0-9][A-Z0-9-]{3,}`;
+
+/**
+ * Identifier types. `label` matches a field label (the value may be in the same text item or the next one),
+ * `value` matches the identifier itself.
+ */
+export const MASK_ENTITIES = {
+  memberId: {
+    label: /\b(?:member|subscriber|patient|insured)[ \t]*(?:ID|number|no\.?|#)[ \t]*[:#]?/i,
+    value: new RegExp(ID_VALUE, 'i')
+  },
+  groupNumber: {
+    label: /\bgroup[ \t]*(?:ID|number|no\.?|#)[ \t]*[:#]?/i,
+    value: new RegExp(ID_VALUE, 'i')
+  },
+  ssn: {
+    // SSNs are masked wherever they appear, labelled or not
+    standalone: /\b\d{3}-\d{2}-\d{4}\b/g,
+    label: /\b(?:SSN|social security(?:[ \t]+number)?)[ \t]*[:#]?/i,
+    value: /\d{3}-?\d{2}-?\d{4}/
+  },
+  dateOfBirth: {
+    label: /\b(?:date of birth|birth ?date|DOB)[ \t]*[:#]?/i,
+    value: new RegExp(DATE_PATTERN)
+  }
+};
+
+const SAME_LINE_TOLERANCE = 0.6; // Fraction of the text height
+const MAX_VALUE_GAP = 200; // Points between a label and a value in the next text item
+const EDGE_MARGIN = 0.3; // Extra horizontal cover on each side, as a fraction of the text height
+
+/**
+ * Region covering characters [start, end) of a text item, placed by glyph width
+ */
+const regionForRange = (item, start, end, entity, measureText) => {
+  const { left, right } = measureCharacterRange(item, start, end, measureText);
+  return {
+    pageNumber: item.pageNumber,
+    x: left,
+    y: item.y,
+    width: right - left,
+    height: item.height,
+    entity
+  };
+};
+
+/**
+ * Finds the first value match at or after an offset
+ */
+const findValue = (text, pattern, fromIndex = 0) => {
+  const match = text.slice(fromIndex).match(pattern);
+  return match ? { start: fromIndex + match.index, end: fromIndex + match.index + match[0].length } : null;
+};
+
+/**
+ * Finds regions of text items that hold member identifiers
+ * @param {Array} items - Text items with page coordinates ({ pageNumber, x, y, width, height, text })
+ * @param {Object} options - {
+ *   entities: keys of MASK_ENTITIES (default: all), padding in points (default: 2),
+ *   measureText: (text) => width, e.g. createTextMeasurer from textMeasurement (default: estimateTextWidth)
+ * }
+ * @returns {Array} Regions [{ pageNumber, x, y, width, height, entity }]
+ */
+export const findMaskRegions = (items = [], options = {}) => {
+  const { entities = Object.keys(MASK_ENTITIES), padding = 2, measureText = estimateTextWidth } = options;
+  const regions = [];
+  const textItems = items.filter(item => item.text && item.text.trim() !== '');
+
+  textItems.forEach((item, index) => {
+    entities.forEach(entity => {
+      const { label, value, standalone } = MASK_ENTITIES[entity];
+
+      if (standalone) {
+        for (const match of item.text.matchAll(standalone)) {
+          regions.push(regionForRange(item, match.index, match.index + match[0].length, entity, measureText));
+        }
+      }
+
+      const labelMatch = item.text.match(label);
+      if (!labelMatch) return;
+
+      // Value in the same text item ("Member ID: XJH123456"); the mask starts where the label ends
+      const labelEnd = labelMatch.index + labelMatch[0].length;
+      const sameItem = findValue(item.text, value, labelEnd);
+      if (sameItem) {
+        regions.push(regionForRange(item, labelEnd, sameItem.end, entity, measureText));
+        return;
+      }
+
+      // Value in the next text item on the same line ("Member ID:" | "XJH123456")
+      const next = textItems.slice(index + 1).find(candidate =>
+        candidate.pageNumber === item.pageNumber &&
+        Math.abs(candidate.y - item.y) <= item.height * SAME_LINE_TOLERANCE &&
+        candidate.x >= item.x + item.width - padding &&
+        candidate.x - (item.x + item.width) <= MAX_VALUE_GAP
+      );
+      const nextValue = next && findValue(next.text, value);
+      if (nextValue) {
+        regions.push(regionForRange(next, nextValue.start, nextValue.end, entity, measureText));
+      }
+    });
+  });
+
+  // Glyph positions are still estimates, so the sides get a margin on top of the padding
+  return regions.map(region => {
+    const margin = padding + region.height * EDGE_MARGIN;
+    return {
+      ...region,
+      x: region.x - margin,
+      y: region.y - padding,
+      width: region.width + margin * 2,
+      height: region.height + padding * 2
+    };
+  });
+};
+
+/**
+ * Masks regions on a rendered page canvas
+ * @param {CanvasRenderingContext2D} context - Context the page was rendered with (its transform maps CSS px to device px)
+ * @param {Array} regions - Regions for this page, in PDF points
+ * @param {Object} options - {
+ *   mode: 'blackout' | 'blur', scale: PDF points → CSS px (the viewport scale),
+ *   createCanvas: (width, height) => canvas, for blurring outside the DOM (default: document.createElement)
+ * }
+ */
+export const maskCanvasRegions = (context, regions, options = {}) => {
+  const { mode = 'blackout', scale = 1, createCanvas } = options;
+  if (mode === 'off' || regions.length === 0) return;
+  if (!MASK_MODES.includes(mode)) {
+    throw new Error(`Invalid mask mode "${mode}". Use one of ${MASK_MODES.join(', ')}`);
+  }
+
+  const transform = context.getTransform();
+
+  regions.forEach(region => {
+    const x = region.x * scale;
+    const y = region.y * scale;
+    const width = region.width * scale;
+    const height = region.height * scale;
+
+    if (mode === 'blackout') {
+      context.fillStyle = '#000000';
+      context.fillRect(x, y, width, height);
+      return;
+    }
+
+    // Blur by shrinking the region to a few pixels and scaling it back up; unlike a CSS blur
+    // filter this works in every browser and leaves too little detail to recover the text
+    const source = {
+      x: Math.max(0, Math.floor(x * transform.a)),
+      y: Math.max(0, Math.floor(y * transform.d)),
+      width: Math.ceil(width * transform.a),
+      height: Math.ceil(height * transform.d)
+    };
+    const reducedWidth = Math.max(1, Math.round(source.width / 12));
+    const reducedHeight = Math.max(1, Math.round(source.height / 12));
+    const reduced = createCanvas ? createCanvas(reducedWidth, reducedHeight) : document.createElement('canvas');
+    reduced.width = reducedWidth;
+    reduced.height = reducedHeight;
+    const reducedContext = reduced.getContext('2d');
+    reducedContext.imageSmoothingEnabled = true;
+    reducedContext.drawImage(context.canvas, source.x, source.y, source.width, source.height, 0, 0, reduced.width, reduced.height);
+
+    context.save();
+    context.imageSmoothingEnabled = true;
+    context.drawImage(reduced, 0, 0, reduced.width, reduced.height, x, y, width, height);
+    context.restore();
+  });
+};
+
+export default {
+  MASK_MODES,
+  MASK_ENTITIES,
+  findMaskRegions,
+  maskCanvasRegions
+};
@@ -0,0 +1,12 @@
+/**
+ * Identifier Patterns
+ * Regular expression sources shared by PII redaction (text sent to GPT) and identifier
+ * masking (exported page images), so both recognize the same values.
+ */
+
+// 01/15/1980, 1-15-80, 1980-01-15 or Jan. 15, 1980 (no flags needed)
+export const DATE_PATTERN = String.raw`(?:\d{1,2}[/-]\d{1,2}[/-]\d{2,4}|\d{4}-\d{2}-\d{2}|[A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4})`;
+
+export default {
+  DATE_PATTERN
+};
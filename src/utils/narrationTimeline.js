@@ -0,0 +1,135 @@
+import { APP_CONFIG } from './constants.js';
+
+/**
+ * Narration Timeline
+ * Works out how long a Remotion composition runs from the narration in its props
+ * (narration mappings in frames, segments in seconds, or the narration audio clips), so a
+ * project file passed with --props renders to its end instead of a fixed length.
+ * Also lays narration steps out back to back from their measured audio durations and
+ * places each step's audio clip on the frame timeline.
+ */
+
+const DEFAULT_SECTION_FRAMES = 90; // Same default as createAnimationSequence
+const TAIL_SECONDS = 1; // Hold the last frame briefly after the narration ends
+const DEFAULT_PAUSE_SECONDS = 0.5; // Same pause as NarrationScriptGenerator.combineAudioSegments
+
+/**
+ * Lays steps out one after another with a pause between them
+ * @param {Array} durations - Length of each step in seconds (measured audio duration)
+ * @param {Object} options - { pauseBetweenSteps } in seconds
+ * @returns {Array} [{ startTime, endTime, duration }] in seconds from the start of the narration
+ */
+export const layoutNarrationSteps = (durations, options = {}) => {
+  const { pauseBetweenSteps = DEFAULT_PAUSE_SECONDS } = options;
+  let cursor = 0;
+
+  return durations.map((value, index) => {
+    const duration = Math.max(0, Number(value) || 0);
+    const startTime = cursor + (index > 0 ? pauseBetweenSteps : 0);
+    cursor = startTime + duration;
+    return { startTime, endTime: cursor, duration };
+  });
+};
+
+/**
+ * Builds the frame timeline DocumentPresentation animates from timed segments
+ * @param {Array} segments - [{ elementId, text, zoomLevel, highlightType, transitionType, startTime, endTime, duration }]
+ * @param {number} fps - Frames per second
+ * @returns {Object} { mappings: [{ elementId, phrase, zoomLevel, highlightType, transitionType, startFrame, duration }] }
+ */
+export const createNarrationMappings = (segments, fps = APP_CONFIG.VIDEO.DEFAULT_FPS) => ({
+  mappings: segments.map(segment => {
+    // Untimed segments follow the previous one (createAnimationSequence fills in the start frame)
+    const startFrame = Number.isFinite(segment.startTime) ? Math.round(segment.startTime * fps) : undefined;
+    const endFrame = Number.isFinite(segment.endTime) ? Math.round(segment.endTime * fps) : undefined;
+    const duration = startFrame !== undefined && endFrame !== undefined
+      ? Math.max(1, endFrame - startFrame)
+      : Math.round((segment.duration || 0) * fps) || undefined;
+    return {
+      elementId: segment.elementId,
+      phrase: segment.text,
+      zoomLevel: segment.zoomLevel,
+      highlightType: segment.highlightType,
+      transitionType: segment.transitionType,
+      startFrame,
+      duration
+    };
+  })
+});
+
+/**
+ * Places narration audio clips on the frame timeline
+ * @param {Array} narrationAudio - [{ src, startTime, duration }] in seconds (a clip without a duration plays to the end)
+ * @param {number} fps - Frames per second
+ * @returns {Array} [{ src, from, durationInFrames }] (durationInFrames is undefined when the clip may play to the end)
+ */
+export const getNarrationClips = (narrationAudio, fps = APP_CONFIG.VIDEO.DEFAULT_FPS) => (narrationAudio || [])
+  .filter(clip => clip?.src)
+  .map(clip => ({
+    src: clip.src,
+    from: Math.round((clip.startTime || 0) * fps),
+    durationInFrames: clip.duration > 0 ? Math.max(1, Math.ceil(clip.duration * fps)) : undefined
+  }));
+
+/**
+ * Finds the frame the narration ends on
+ * @param {Object} props - Composition props ({ narrationMappings, narrationSegments, narrationAudio })
+ * @param {number} fps - Frames per second
+ * @returns {number} Last narration frame (0 when the props have no narration)
+ */
+export const getNarrationEndFrame = (props = {}, fps = APP_CONFIG.VIDEO.DEFAULT_FPS) => {
+  let endFrame = 0;
+
+  // Mappings without a start frame follow the previous one, as in createAnimationSequence
+  let cursor = 0;
+  (props.narrationMappings?.mappings || []).forEach(mapping => {
+    const startFrame = mapping.startFrame ?? cursor;
+    cursor = startFrame + (mapping.duration || DEFAULT_SECTION_FRAMES);
+    endFrame = Math.max(endFrame, cursor);
+  });
+
+  (props.narrationSegments || []).forEach(segment => {
+    if (Number.isFinite(segment.endTime)) {
+      endFrame = Math.max(endFrame, Math.ceil(segment.endTime * fps));
+    }
+  });
+
+  getNarrationClips(props.narrationAudio, fps).forEach(clip => {
+    if (clip.durationInFrames) {
+      endFrame = Math.max(endFrame, clip.from + clip.durationInFrames);
+    }
+  });
+
+  return endFrame;
+};
+
+/**
+ * Derives the composition size, frame rate and duration from its props
+ * @param {Object} props - Composition props; props.videoConfig may set width, height, fps and a fallback durationInFrames.
+ *   With props.eobSummary the video is held for APP_CONFIG.VIDEO.SUMMARY_DURATION more seconds to show the summary card.
+ * @returns {Object} { width, height, fps, durationInFrames }
+ */
+export const getNarrationMetadata = (props = {}) => {
+  const videoConfig = props.videoConfig || {};
+  const fps = videoConfig.fps || APP_CONFIG.VIDEO.DEFAULT_FPS;
+  const endFrame = getNarrationEndFrame(props, fps);
+  const minFrames = Math.ceil(APP_CONFIG.VIDEO.MIN_DURATION * fps);
+  const summaryFrames = props.eobSummary ? Math.ceil(APP_CONFIG.VIDEO.SUMMARY_DURATION * fps) : 0;
+
+  return {
+    width: videoConfig.width || APP_CONFIG.VIDEO.DEFAULT_WIDTH,
+    height: videoConfig.height || APP_CONFIG.VIDEO.DEFAULT_HEIGHT,
+    fps,
+    durationInFrames: endFrame > 0
+      ? Math.max(minFrames, endFrame + Math.ceil(TAIL_SECONDS * fps) + summaryFrames)
+      : videoConfig.durationInFrames || minFrames
+  };
+};
+
+export default {
+  layoutNarrationSteps,
+  createNarrationMappings,
+  getNarrationClips,
+  getNarrationEndFrame,
+  getNarrationMetadata
+};
@@ -0,0 +1,265 @@
+import { getHighlightTypes } from './highlightStyles.js';
+import { getTransitionTypes } from './cameraTransitions.js';
+
+/**
+ * Narrative Schema
+ * JSON schema for GPT narrative scripts, used both as the model's structured-output format
+ * and to validate responses on arrival (cached, remote or repaired).
+ *
+ * Structured outputs require every property to be listed in `required`, so optional fields
+ * (speech, focusCues, highlightId, highlightType, transitionType) are nullable instead; normalizeNarrative drops the nulls.
+ */
+
+const stringField = { type: 'string' };
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+
+const SERVICE_SCHEMA = {
+  type: 'object',
+  properties: {
+    description: stringField,
+    amount: stringField
+  },
+  required: ['description', 'amount'],
+  additionalProperties: false
+};
+
+const EOB_SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    serviceDate: stringField,
+    providerName: stringField,
+    services: { type: 'array', items: SERVICE_SCHEMA },
+    totalCharged: stringField,
+    insurancePaid: stringField,
+    adjustments: stringField,
+    patientOwes: stringField,
+    deductible: stringField,
+    copay: stringField
+  },
+  required: ['serviceDate', 'providerName', 'services', 'totalCharged', 'insurancePaid', 'adjustments', 'patientOwes', 'deductible', 'copay'],
+  additionalProperties: false
+};
+
+const SPEECH_SCHEMA = {
+  type: 'object',
+  properties: {
+    emphasis: { type: 'array', items: stringField },
+    pauseAfter: { type: ['integer', 'null'] }
+  },
+  required: ['emphasis', 'pauseAfter'],
+  additionalProperties: false
+};
+
+const FOCUS_CUE_SCHEMA = {
+  type: 'object',
+  properties: {
+    atText: stringField,
+    highlightText: stringField
+  },
+  required: ['atText', 'highlightText'],
+  additionalProperties: false
+};
+
+const STEP_SCHEMA = {
+  type: 'object',
+  properties: {
+    stepNumber: { type: 'integer' },
+    title: stringField,
+    narrative: stringField,
+    highlightText: stringField,
+    highlightId: nullable(stringField),
+    pageNumber: { type: 'integer' },
+    duration: { type: 'number' },
+    importance: { type: 'number' },
+    speech: nullable(SPEECH_SCHEMA),
+    focusCues: nullable({ type: 'array', items: FOCUS_CUE_SCHEMA }),
+    // One of the registered highlight styles ('none' for no highlight)
+    highlightType: { type: ['string', 'null'], enum: [...getHighlightTypes(), 'none', null] },
+    // How the camera moves to this step's highlight (see cameraTransitions)
+    transitionType: { type: ['string', 'null'], enum: [...getTransitionTypes(), null] }
+  },
+  required: ['stepNumber', 'title', 'narrative', 'highlightText', 'highlightId', 'pageNumber', 'duration', 'importance', 'speech', 'focusCues', 'highlightType', 'transitionType'],
+  additionalProperties: false
+};
+
+export const NARRATIVE_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: stringField,
+    introduction: stringField,
+    eobSummary: EOB_SUMMARY_SCHEMA,
+    steps: { type: 'array', items: STEP_SCHEMA },
+    conclusion: stringField
+  },
+  required: ['title', 'introduction', 'eobSummary', 'steps', 'conclusion'],
+  additionalProperties: false
+};
+
+/**
+ * response_format for chat completions (Azure OpenAI api-version 2024-08-01-preview or later)
+ */
+export const NARRATIVE_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'eob_narrative',
+    strict: true,
+    schema: NARRATIVE_SCHEMA
+  }
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validates a value against the subset of JSON schema used above
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (type, enum, properties, required, additionalProperties, items)
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array} Errors as [{ path, message }]
+ */
+export const validateAgainstSchema = (value, schema, path = '') => {
+  const types = [].concat(schema.type);
+  if (!types.some(type => matchesType(value, type))) {
+    return [{ path: path || '(root)', message: `expected ${types.join(' or ')}, got ${typeOf(value)}` }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path: path || '(root)', message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` }];
+  }
+
+  const errors = [];
+
+  if (typeOf(value) === 'object' && schema.properties) {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    });
+
+    Object.keys(value).forEach(key => {
+      const childPath = path ? `${path}.${key}` : key;
+      if (schema.properties[key]) {
+        errors.push(...validateAgainstSchema(value[key], schema.properties[key], childPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: 'is not allowed' });
+      }
+    });
+  }
+
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Validates a narrative against the schema plus rules structured outputs can't express
+ * @param {Object} narrative - Parsed narrative JSON
+ * @returns {Array} Errors as [{ path, message }] (empty when valid)
+ */
+export const validateNarrative = (narrative) => {
+  const errors = validateAgainstSchema(narrative, NARRATIVE_SCHEMA);
+  if (errors.length > 0) return errors;
+
+  if (narrative.steps.length === 0) {
+    errors.push({ path: 'steps', message: 'must contain at least one step' });
+  }
+
+  narrative.steps.forEach((step, index) => {
+    if (step.narrative.trim() === '') {
+      errors.push({ path: `steps[${index}].narrative`, message: 'must not be empty' });
+    }
+    if (step.importance < 0 || step.importance > 1) {
+      errors.push({ path: `steps[${index}].importance`, message: 'must be between 0 and 1' });
+    }
+    if (step.duration <= 0) {
+      errors.push({ path: `steps[${index}].duration`, message: 'must be greater than 0' });
+    }
+    if (step.pageNumber < 1) {
+      errors.push({ path: `steps[${index}].pageNumber`, message: 'must be 1 or greater' });
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Parses and validates a raw GPT response
+ * @param {string} content - Message content (JSON, possibly wrapped in text by older prompts)
+ * @returns {Object} { data, errors } - data is null when no JSON could be parsed
+ */
+export const parseNarrativeContent = (content) => {
+  const text = String(content ?? '').trim();
+  let data;
+
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // Responses without structured output may wrap the JSON in prose or code fences
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    try {
+      data = jsonMatch ? JSON.parse(jsonMatch[0]) : undefined;
+    } catch {
+      data = undefined;
+    }
+  }
+
+  if (data === undefined) {
+    return { data: null, errors: [{ path: '(root)', message: 'response is not valid JSON' }] };
+  }
+
+  return { data, errors: validateNarrative(data) };
+};
+
+/**
+ * Removes the nulls structured outputs uses for omitted optional fields
+ * @param {Object} narrative - Valid narrative
+ * @returns {Object} Narrative where optional fields are either set or absent
+ */
+export const normalizeNarrative = (narrative) => {
+  return {
+    ...narrative,
+    steps: narrative.steps.map(step => {
+      const normalized = { ...step };
+      ['highlightId', 'speech', 'focusCues', 'highlightType', 'transitionType'].forEach(key => {
+        if (normalized[key] === null) delete normalized[key];
+      });
+      if (normalized.speech && normalized.speech.pauseAfter === null) {
+        normalized.speech = { ...normalized.speech };
+        delete normalized.speech.pauseAfter;
+      }
+      return normalized;
+    })
+  };
+};
+
+/**
+ * Formats validation errors one per line (for logs and repair prompts)
+ * @param {Array} errors - [{ path, message }]
+ * @returns {string} Formatted errors
+ */
+export const formatValidationErrors = (errors) => {
+  return errors.map(error => `- ${error.path}: ${error.message}`).join('\n');
+};
+
+export default {
+  NARRATIVE_SCHEMA,
+  NARRATIVE_RESPONSE_FORMAT,
+  validateAgainstSchema,
+  validateNarrative,
+  parseNarrativeContent,
+  normalizeNarrative,
+  formatValidationErrors
+};
@@ -0,0 +1,177 @@
+import { maskCanvasRegions } from './identifierMasking.js';
+import { pdfTextItemToRect } from './geometry.js';
+
+/**
+ * PDF Document
+ * pdf.js extraction and page rendering shared by the browser app and the batch CLI.
+ * Works with any pdf.js document proxy; rendering takes the canvas to draw on
+ * (a DOM canvas in the browser, an @napi-rs/canvas canvas in Node).
+ */
+
+/**
+ * Converts every page's pdf.js text items into positioned elements
+ * Coordinates are PDF points at scale 1 with a top-left origin.
+ * @param {Object} pdf - pdf.js document
+ * @returns {Promise<Object>} { html: elements, pages: [{ pageNumber, width, height }], pageCount }
+ */
+export const convertPDFToHTML = async (pdf) => {
+  console.log('🔄 Converting PDF to HTML using pdf2htmlEX...');
+
+  const htmlElements = [];
+  const pages = [];
+
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    const page = await pdf.getPage(pageNumber);
+    const textContent = await page.getTextContent();
+    const viewport = page.getViewport({ scale: 1 });
+
+    pages.push({ pageNumber, width: viewport.width, height: viewport.height });
+
+    // Create HTML-like structure with coordinates (relative to the page)
+    textContent.items.forEach((item, index) => {
+      const { x, y, width, height } = pdfTextItemToRect(item, viewport.height);
+      const text = item.str.trim();
+
+      htmlElements.push({
+        id: `page-${pageNumber}-element-${index}`,
+        pageNumber: pageNumber,
+        x: x,
+        y: y,
+        width: width,
+        height: height,
+        text: text,
+        fontSize: item.height,
+        fontFamily: item.fontName || 'Arial',
+        className: 'text-element',
+        style: `position: absolute; left: ${x}px; top: ${y}px; width: ${width}px; height: ${height}px; font-size: ${item.height}px; font-family: ${item.fontName || 'Arial'};`
+      });
+    });
+  }
+
+  return {
+    html: htmlElements,
+    pages: pages,
+    pageCount: pages.length
+  };
+};
+
+/**
+ * Picks the element fields used for alignment and GPT semantic blocks
+ * @param {Object} htmlData - Result of convertPDFToHTML
+ * @returns {Array} Elements ({ id, pageNumber, x, y, width, height, text, fontSize, fontFamily, className })
+ */
+export const parseHTMLElements = (htmlData) => {
+  console.log('📄 PARSING HTML ELEMENTS:');
+
+  const elements = htmlData.html.map(element => ({
+    id: element.id,
+    pageNumber: element.pageNumber,
+    x: element.x,
+    y: element.y,
+    width: element.width,
+    height: element.height,
+    text: element.text,
+    fontSize: element.fontSize,
+    fontFamily: element.fontFamily,
+    className: element.className
+  }));
+
+  console.log(`Found ${elements.length} HTML elements across ${htmlData.pageCount} page(s)`);
+  return elements;
+};
+
+/**
+ * Extracts the text of every page, marking page boundaries for GPT-4o
+ * @param {Object} pdf - pdf.js document
+ * @returns {Promise<string>} Page text ('' when extraction fails)
+ */
+export const extractPDFText = async (pdf) => {
+  try {
+    const pageTexts = [];
+
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const textContent = await page.getTextContent();
+
+      const pageText = textContent.items
+        .map(item => item.str)
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+      pageTexts.push(pdf.numPages > 1 ? `[Page ${pageNumber}]\n${pageText}` : pageText);
+    }
+
+    return pageTexts.join('\n\n');
+  } catch (error) {
+    console.error('❌ Error extracting PDF text:', error);
+    return '';
+  }
+};
+
+/**
+ * Renders each page to a canvas and captures it as a PNG data URL
+ * @param {Object} pdf - pdf.js document
+ * @param {Object} canvas - Canvas to draw on (reused for every page)
+ * @param {Object} options - {
+ *   scale: page points → CSS px (default: 1), scaleFactor: extra resolution (default: 2),
+ *   maskRegions: from findMaskRegions, maskingMode: 'off' | 'blackout' | 'blur', createCanvas: for blur masking outside the DOM
+ * }
+ * @returns {Promise<Array>} Page images [{ pageNumber, imageDataUrl, width, height }] sized in CSS px
+ */
+export const renderPageImages = async (pdf, canvas, options = {}) => {
+  const { scale = 1, scaleFactor = 2.0, maskRegions = [], maskingMode = 'off', createCanvas } = options;
+  const pageImages = [];
+
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    const page = await pdf.getPage(pageNumber);
+
+    // Use high resolution for crisp rendering
+    const baseViewport = page.getViewport({ scale: scale });
+    const highResViewport = page.getViewport({ scale: scale * scaleFactor });
+
+    const context = canvas.getContext('2d');
+
+    // Set actual canvas size (high resolution) - resizing also resets the context transform
+    canvas.width = highResViewport.width;
+    canvas.height = highResViewport.height;
+
+    // Set display size (CSS pixels) - this is what we'll use for coordinates
+    if (canvas.style) {
+      canvas.style.width = baseViewport.width + 'px';
+      canvas.style.height = baseViewport.height + 'px';
+    }
+
+    // Scale the drawing context to match the device pixel ratio
+    context.scale(scaleFactor, scaleFactor);
+
+    // Render PDF page to canvas with high resolution
+    const renderContext = {
+      canvasContext: context,
+      viewport: baseViewport
+    };
+
+    await page.render(renderContext).promise;
+
+    // Mask before capturing so identifiers never reach the exported image
+    const pageMaskRegions = maskRegions.filter(region => region.pageNumber === pageNumber);
+    maskCanvasRegions(context, pageMaskRegions, { mode: maskingMode, scale, createCanvas });
+
+    pageImages.push({
+      pageNumber,
+      imageDataUrl: canvas.toDataURL('image/png'),
+      width: baseViewport.width,
+      height: baseViewport.height
+    });
+  }
+
+  console.log(`🖼️ Rendered ${pageImages.length} page(s)${maskRegions.length ? `, masked ${maskRegions.length} identifier region(s)` : ''}`);
+  return pageImages;
+};
+
+export default {
+  convertPDFToHTML,
+  parseHTMLElements,
+  extractPDFText,
+  renderPageImages
+};
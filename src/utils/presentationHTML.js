@@ -0,0 +1,1944 @@
+import { estimateWordTimings, findPhraseStartTime } from './wordTiming.js';
+import { createCaptionCues, toWebVTT } from './captions.js';
+import { getHighlightClassName, getHighlightStylesCSS } from './highlightStyles.js';
+import { TRANSITION_SETTINGS } from './cameraTransitions.js';
+import { APP_CONFIG } from './constants.js';
+import { isHighlightPlaced } from './textAlignment.js';
+
+/**
+ * Presentation HTML
+ * Builds the standalone guided presentation (page images, highlights, zoom controls,
+ * narration audio and the EOB sticky note) as one HTML document. Used by the browser
+ * app and the batch CLI.
+ */
+
+/**
+ * Azure TTS returns MP3; offline speech is WAV ("RIFF" header)
+ */
+const getAudioMimeType = (bytes) => {
+  const isWav = bytes[0] === 0x52 && bytes[1] === 0x49 && bytes[2] === 0x46 && bytes[3] === 0x46;
+  return isWav ? 'audio/wav' : 'audio/mpeg';
+};
+
+/**
+ * Generates the presentation HTML with zoom functionality
+ * @param {Array} alignedHighlights - Highlights from alignNarrationSteps (page points at the page image scale)
+ * @param {Array} pageImages - [{ pageNumber, imageDataUrl, width, height }]
+ * @param {Object} narrativeData - Narrative script (steps, eobSummary, reconciliation)
+ * @param {Object} audioData - Narrative audio result (audioSteps), or null
+ * @returns {string} Complete HTML document
+ */
+export const generatePresentationHTMLWithZoom = (alignedHighlights, pageImages, narrativeData, audioData) => {
+  // Page images are sized in display (CSS) pixels, matching the highlight coordinates
+  const pageCount = pageImages.length;
+  const firstPage = alignedHighlights[0]?.pageNumber || 1;
+  
+  // Extract EOB summary data
+  const eobSummary = narrativeData?.eobSummary || {
+    serviceDate: "Date not available",
+    providerName: "Provider not identified",
+    services: [{ description: "Service details not available", amount: "$0.00" }],
+    totalCharged: "$0.00",
+    insurancePaid: "$0.00",
+    adjustments: "$0.00",
+    patientOwes: "$0.00",
+    deductible: "$0.00",
+    copay: "$0.00"
+  };
+
+  // Amounts that don't add up or aren't in the document are marked instead of shown as fact
+  const flaggedFields = new Set(narrativeData?.reconciliation?.flaggedFields || []);
+  const summaryValue = (field, className = 'eob-summary-value') => flaggedFields.has(field)
+    ? `<span class="${className} unverified" title="Could not be verified against your document">${eobSummary[field]} ⚠️</span>`
+    : `<span class="${className}">${eobSummary[field]}</span>`;
+  
+  // Prepare audio data for embedding
+  const audioDataForHTML = audioData && audioData.audioSteps ? audioData.audioSteps.map((step, index) => {
+    // Word timing drives karaoke subtitles and focus cues (estimated when TTS gave none)
+    const words = (step.words?.length ? step.words : estimateWordTimings(step.text, step.audioDuration || step.duration))
+      .map(({ text, start, end, charStart, charEnd }) => ({ text, start, end, charStart, charEnd }));
+    const focusCues = (alignedHighlights[index]?.focusCues || [])
+      .map(cue => ({ ...cue, time: findPhraseStartTime(words, step.text, cue.atText) }))
+      .filter(cue => cue.time !== null);
+    // Captions track for the step's audio (cue times are from the start of the step)
+    const captions = toWebVTT(createCaptionCues([{ text: step.text, words, duration: step.audioDuration || step.duration }]));
+    const timing = { words, focusCues, captionsUrl: `data:text/vtt;charset=utf-8,${encodeURIComponent(captions)}` };
+    
+    if (step.success && step.audioData) {
+      try {
+        const uint8Array = new Uint8Array(step.audioData);
+        let binaryString = '';
+        const chunkSize = 8192;
+        
+        for (let i = 0; i < uint8Array.length; i += chunkSize) {
+          const chunk = uint8Array.slice(i, i + chunkSize);
+          binaryString += String.fromCharCode.apply(null, chunk);
+        }
+        
+        const base64String = btoa(binaryString);
+        return {
+          stepNumber: step.stepNumber,
+          audioData: `data:${getAudioMimeType(uint8Array)};base64,${base64String}`,
+          duration: step.duration,
+          text: step.text,
+          ...timing
+        };
+      } catch (error) {
+        console.error('🎵 Error converting audio to base64:', error);
+        return {
+          stepNumber: step.stepNumber,
+          audioData: null,
+          duration: step.duration,
+          text: step.text,
+          ...timing
+        };
+      }
+    }
+    return {
+      stepNumber: step.stepNumber,
+      audioData: null,
+      duration: step.duration,
+      text: step.text,
+      ...timing
+    };
+  }) : [];
+  
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Guided Presentation with Zoom - ${pageCount} ${pageCount === 1 ? 'Page' : 'Pages'}</title>
+  <style>
+      * { margin: 0; padding: 0; box-sizing: border-box; }
+      body { 
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif; 
+          background: #f1f5f9; 
+          color: #1e293b; 
+          overflow: hidden;
+          height: 100vh;
+          margin: 0;
+          padding: 0;
+          line-height: 1.6;
+      }
+      
+      .container { 
+          display: flex; 
+          height: 100vh; 
+          background: #f1f5f9;
+          margin: 0;
+          overflow: hidden;
+          gap: 0;
+      }
+      
+      /* PDF View Section - Main Content */
+      .pdf-viewer { 
+          flex: 1; 
+          background: transparent; 
+          position: relative; 
+          display: flex; 
+          align-items: center; 
+          justify-content: center; 
+          overflow: hidden;
+          cursor: default;
+          margin: 16px;
+          border-radius: 0;
+          box-shadow: none;
+          border: none;
+      }
+      
+       .pdf-container { 
+           position: relative; 
+           transform-origin: center center;
+           transition: none;
+           max-width: calc(100% - 20px);
+           max-height: calc(100% - 20px);
+           margin: 0 auto;
+           background: transparent;
+           border-radius: 0;
+           overflow: visible;
+       }
+      
+      .pdf-page {
+          position: relative;
+          display: none;
+      }
+      
+      .pdf-page.active {
+          display: block;
+      }
+      
+      .pdf-background { 
+          display: block;
+          z-index: 1; 
+          user-select: none;
+          pointer-events: none;
+          max-width: 100%;
+          max-height: 100%;
+          object-fit: contain;
+          border-radius: 6px;
+      }
+      
+      .highlight-overlay { 
+          position: absolute; 
+          top: 0; 
+          left: 0; 
+          z-index: 2; 
+          pointer-events: none; 
+      }
+      
+       .highlight-element { 
+           position: absolute; 
+           border: none; 
+           border-radius: 0; 
+           background: transparent; 
+           opacity: 0; 
+           transform: scale(0.9); 
+           transition: all 0.4s cubic-bezier(0.4, 0, 0.2, 1); 
+           pointer-events: none; 
+           min-width: 0; 
+           min-height: 0; 
+           box-shadow: none;
+       }
+      
+      .highlight-element.needs-review { 
+          border: none; 
+          background: transparent; 
+      }
+      
+      .highlight-label { 
+          position: absolute; 
+          left: -45px; 
+          top: 50%; 
+          transform: translateY(-50%); 
+          background: linear-gradient(135deg, #ffd700, #ffed4e); 
+          color: #333; 
+          font-weight: 600; 
+          font-size: 16px; 
+          width: 36px; 
+          height: 36px; 
+          border-radius: 50%; 
+          box-shadow: 0 4px 15px rgba(255, 215, 0, 0.4); 
+          text-align: center; 
+          display: flex; 
+          align-items: center; 
+          justify-content: center; 
+          border: 3px solid #fff; 
+          line-height: 1; 
+          opacity: 1; /* Always visible when parent is active */
+      }
+      
+      .highlight-element.needs-review .highlight-label { 
+          background: linear-gradient(135deg, #ff6b6b, #ff8e8e); 
+      }
+      
+      .highlight-element.active { 
+          opacity: 1; 
+          transform: scale(1); 
+          box-shadow: none;
+      }
+      
+      .highlight-element.prev { 
+          opacity: 0; 
+          transform: scale(0.9); 
+      }
+      
+      /* Highlight styles (see highlightStyles.js) */
+      ${getHighlightStylesCSS()}
+      
+      /* Zoom Controls */
+      .zoom-controls {
+          position: absolute;
+          top: 24px;
+          right: 24px;
+          z-index: 10;
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          background: #ffffff;
+          padding: 16px;
+          border-radius: 12px;
+          box-shadow: 0 10px 25px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05);
+          border: 1px solid #e2e8f0;
+      }
+      
+      .zoom-btn {
+          width: 40px;
+          height: 40px;
+          border: none;
+          border-radius: 50%;
+          background: #002677;
+          color: white;
+          font-size: 18px;
+          font-weight: 600;
+          cursor: pointer;
+          transition: all 0.2s ease;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          box-shadow: 0 1px 3px 0 rgba(0, 38, 119, 0.3), 0 1px 2px 0 rgba(0, 38, 119, 0.06);
+      }
+      
+      .zoom-btn:hover {
+          background: #003d99;
+          transform: translateY(-1px);
+          box-shadow: 0 4px 6px -1px rgba(0, 38, 119, 0.4), 0 2px 4px -1px rgba(0, 38, 119, 0.06);
+      }
+      
+      .zoom-btn:active {
+          transform: translateY(0);
+          box-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06);
+      }
+      
+      .zoom-btn:disabled {
+          background: #e2e8f0;
+          color: #94a3b8;
+          cursor: not-allowed;
+          transform: none;
+          box-shadow: none;
+      }
+      
+      .zoom-level {
+          text-align: center;
+          color: #64748b;
+          font-weight: 500;
+          font-size: 11px;
+          margin-top: 6px;
+          letter-spacing: 0.025em;
+      }
+      
+      .zoom-to-fit-btn {
+          width: 100%;
+          padding: 8px 12px;
+          background: #ff642b;
+          color: white;
+          border: none;
+          border-radius: 6px;
+          cursor: pointer;
+          font-size: 11px;
+          font-weight: 500;
+          transition: all 0.2s ease;
+          margin-top: 4px;
+      }
+      
+      .page-indicator {
+          text-align: center;
+          color: #64748b;
+          font-weight: 500;
+          font-size: 11px;
+          letter-spacing: 0.025em;
+      }
+      
+      .zoom-to-fit-btn:hover {
+          background: #e55a2b;
+          transform: translateY(-1px);
+          box-shadow: 0 2px 4px -1px rgba(255, 100, 43, 0.3);
+      }
+      
+      /* EOB Summary Sticky Note */
+      .eob-summary-sticky {
+          position: fixed;
+          top: 24px;
+          left: 24px;
+          width: 300px;
+          max-width: calc(100vw - 48px);
+          background: rgba(255, 255, 255, 0.95);
+          backdrop-filter: blur(10px);
+          -webkit-backdrop-filter: blur(10px);
+          border: 2px solid rgba(255, 255, 255, 0.5);
+          border-radius: 12px;
+          padding: 20px;
+          box-shadow: 0 8px 24px rgba(0, 0, 0, 0.15);
+          z-index: 1000;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          transform: rotate(0deg);
+          transition: all 0.3s ease;
+      }
+      
+      .eob-summary-sticky:hover {
+          transform: translateY(-2px);
+          box-shadow: none;
+      }
+      
+      .eob-summary-header {
+          display: flex;
+          align-items: center;
+          margin-bottom: 16px;
+          border-bottom: 1px solid #e2e8f0;
+          padding-bottom: 12px;
+          position: relative;
+      }
+
+      .eob-toggle-btn {
+          position: absolute;
+          right: 0;
+          top: 50%;
+          transform: translateY(-50%);
+          background: transparent;
+          border: none;
+          font-size: 16px;
+          color: #64748b;
+          cursor: pointer;
+          padding: 4px;
+          border-radius: 4px;
+          transition: all 0.2s ease;
+          display: none;
+      }
+
+      .eob-toggle-btn:hover {
+          background: rgba(0, 0, 0, 0.1);
+          color: #374151;
+      }
+
+      .eob-toggle-btn.rotated {
+          transform: translateY(-50%) rotate(180deg);
+      }
+      
+      .eob-summary-icon {
+          font-size: 18px;
+          margin-right: 10px;
+          color: #3b82f6;
+      }
+      
+      .eob-summary-title {
+          font-size: 18px;
+          font-weight: 600;
+          color: #1e293b;
+          margin: 0;
+          letter-spacing: -0.025em;
+      }
+      
+      .eob-summary-content {
+          font-size: 14px;
+          line-height: 1.5;
+      }
+      
+      .eob-summary-row {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 8px;
+          padding: 6px 0;
+          border-radius: 4px;
+          transition: background-color 0.2s ease;
+      }
+      
+      .eob-summary-row:hover {
+          background-color: #f8fafc;
+      }
+      
+      .eob-summary-label {
+          color: #64748b;
+          font-weight: 500;
+          font-size: 13px;
+      }
+      
+      .eob-summary-value {
+          color: #1e293b;
+          font-weight: 600;
+          font-size: 14px;
+      }
+      
+      .eob-summary-value.highlight {
+          color: #dc2626;
+          font-weight: 700;
+          font-size: 16px;
+      }
+      
+      .eob-summary-value.unverified {
+          color: #b45309;
+          text-decoration: underline dotted;
+      }
+      
+      .eob-summary-warning {
+          margin-top: 10px;
+          padding: 8px 10px;
+          background-color: #fef3c7;
+          border-radius: 6px;
+          color: #92400e;
+          font-size: 12px;
+          line-height: 1.4;
+      }
+      
+      .eob-summary-services {
+          margin-top: 12px;
+          padding-top: 12px;
+          border-top: 1px solid #e2e8f0;
+          background-color: #f8fafc;
+          border-radius: 6px;
+          padding: 12px;
+      }
+      
+      .eob-summary-service {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 6px;
+          font-size: 13px;
+          padding: 4px 0;
+      }
+      
+      .eob-summary-service-label {
+          color: #64748b;
+          font-weight: 500;
+      }
+      
+      .eob-summary-service-value {
+          color: #1e293b;
+          font-weight: 600;
+      }
+      
+      /* Right Side Panel - Slide Navigation */
+      .slide-navigation {
+          width: 320px;
+          background: rgba(255, 255, 255, 0.2);
+          backdrop-filter: blur(10px);
+          -webkit-backdrop-filter: blur(10px);
+          border: 1px solid rgba(255, 255, 255, 0.3);
+          border-radius: 8px;
+          padding: 0;
+          display: flex;
+          flex-direction: column;
+          overflow-y: auto;
+          flex-shrink: 0;
+          position: relative;
+          margin: 8px;
+          box-shadow: 0 4px 16px rgba(0, 0, 0, 0.1);
+      }
+      
+      /* YouTube-style separator line */
+      .slide-navigation::before {
+          display: none;
+      }
+      
+      .slide-navigation-header {
+          padding: 24px 20px 16px;
+          border-bottom: none;
+          background: transparent;
+      }
+      
+      .slide-navigation h3 { 
+          margin: 0 0 8px 0; 
+          color: #002677; 
+          font-weight: 700;
+          font-size: 20px;
+          text-align: left;
+          line-height: 1.2;
+      }
+      
+      .slide-navigation-subtitle {
+          color: #666;
+          font-size: 14px;
+          margin: 0;
+      }
+      
+      .slide-list {
+          flex: 1;
+          padding: 16px 0;
+          overflow-y: auto;
+      }
+      
+      .slide-item {
+          display: flex;
+          align-items: center;
+          padding: 12px 20px;
+          cursor: pointer;
+          transition: all 0.3s ease;
+          border-left: 3px solid transparent;
+          position: relative;
+      }
+      
+      .slide-item:hover {
+          background: #f8f9fa;
+          border-left-color: #ff642b;
+      }
+      
+      .slide-item.active {
+          background: linear-gradient(135deg, #e3f2fd, #f3e5f5);
+          border-left-color: #002677;
+      }
+      
+      .slide-item.completed {
+          background: linear-gradient(135deg, #e8f5e8, #f1f8e9);
+          border-left-color: #22c55e;
+      }
+      
+      .slide-number {
+          width: 32px;
+          height: 32px;
+          border-radius: 50%;
+          background: #e0e0e0;
+          color: #666;
+          font-weight: 600;
+          font-size: 14px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          margin-right: 12px;
+          transition: all 0.3s ease;
+      }
+      
+      .slide-item.active .slide-number {
+          background: #002677;
+          color: white;
+          box-shadow: 0 4px 12px rgba(0, 38, 119, 0.3);
+      }
+      
+      .slide-item.completed .slide-number {
+          background: #4caf50;
+          color: white;
+      }
+      
+      .slide-content {
+          flex: 1;
+          min-width: 0;
+      }
+      
+      .slide-title {
+          font-size: 14px;
+          font-weight: 600;
+          color: #333;
+          margin: 0 0 4px 0;
+          line-height: 1.3;
+          word-wrap: break-word;
+          overflow-wrap: break-word;
+      }
+      
+      .slide-preview {
+          font-size: 12px;
+          color: #666;
+          margin: 0;
+          line-height: 1.4;
+          word-wrap: break-word;
+          overflow-wrap: break-word;
+      }
+      
+      .slide-status {
+          position: absolute;
+          right: 16px;
+          top: 50%;
+          transform: translateY(-50%);
+          width: 8px;
+          height: 8px;
+          border-radius: 50%;
+          background: #e0e0e0;
+      }
+      
+      .slide-item.active .slide-status {
+          background: #002677;
+          box-shadow: 0 0 8px rgba(0, 38, 119, 0.4);
+      }
+      
+      .slide-item.completed .slide-status {
+          background: #4caf50;
+      }
+      
+      /* Bottom Controls */
+      .bottom-controls {
+          padding: 20px;
+          border-top: none;
+          background: transparent;
+      }
+      
+      .navigation-arrows {
+          display: flex;
+          justify-content: center;
+          gap: 12px;
+          margin-bottom: 16px;
+      }
+      
+      .nav-arrow {
+          width: 44px;
+          height: 44px;
+          border: none;
+          border-radius: 50%;
+          background: #002677;
+          color: white;
+          font-size: 18px;
+          font-weight: 600;
+          cursor: pointer;
+          transition: all 0.2s ease;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          box-shadow: 0 2px 4px -1px rgba(0, 38, 119, 0.3), 0 1px 2px -1px rgba(0, 38, 119, 0.06);
+      }
+      
+      .nav-arrow:hover {
+          background: #003d99;
+          transform: translateY(-1px);
+          box-shadow: 0 4px 6px -1px rgba(0, 38, 119, 0.4), 0 2px 4px -1px rgba(0, 38, 119, 0.06);
+      }
+      
+      .nav-arrow:disabled {
+          background: #e2e8f0;
+          color: #94a3b8;
+          cursor: not-allowed;
+          transform: none;
+          box-shadow: none;
+      }
+      
+      .progress-section {
+          text-align: center;
+      }
+      
+      .progress-label {
+          font-size: 13px;
+          color: #64748b;
+          margin-bottom: 10px;
+          font-weight: 500;
+      }
+      
+      /* YouTube-style Video Player Controls */
+      .video-player-overlay {
+          position: absolute;
+          bottom: 0;
+          left: 0;
+          right: 0;
+          background: transparent;
+          padding: 24px;
+          z-index: 10;
+          pointer-events: none;
+          border-radius: 0 0 12px 12px;
+      }
+      
+      .video-controls {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 12px;
+          pointer-events: auto;
+      }
+      
+      .play-pause-btn {
+          position: fixed !important;
+          left: 20px !important;
+          bottom: 30px !important;
+          width: 60px !important;
+          height: 60px !important;
+          border-radius: 50% !important;
+          border: none !important;
+          background: #ff642b !important;
+          color: white !important;
+          font-size: 20px !important;
+          cursor: pointer !important;
+          transition: all 0.2s ease !important;
+          display: flex !important;
+          align-items: center !important;
+          justify-content: center !important;
+          box-shadow: 0 6px 12px rgba(255, 100, 43, 0.4) !important;
+          z-index: 1000 !important;
+      }
+      
+      .play-pause-btn:hover {
+          background: #e55a2b !important;
+          transform: scale(1.05) !important;
+          box-shadow: 0 6px 8px -1px rgba(255, 100, 43, 0.4), 0 4px 6px -1px rgba(255, 100, 43, 0.06) !important;
+      }
+      
+      .play-pause-btn.playing {
+          background: #002677 !important;
+          color: white !important;
+          box-shadow: 0 4px 6px -1px rgba(0, 38, 119, 0.3), 0 2px 4px -1px rgba(0, 38, 119, 0.06) !important;
+      }
+      
+      .video-subtitle {
+          position: fixed;
+          bottom: 30px;
+          left: 50%;
+          transform: translateX(-50%);
+          color: #ffffff;
+          font-size: 16px;
+          font-weight: 600;
+          line-height: 1.5;
+          text-align: center;
+          padding: 12px 20px;
+          background: rgba(0, 0, 0, 0.75);
+          backdrop-filter: blur(10px);
+          -webkit-backdrop-filter: blur(10px);
+          border: 1px solid rgba(255, 255, 255, 0.2);
+          border-radius: 8px;
+          box-shadow: 0 4px 16px rgba(0, 0, 0, 0.1);
+          max-width: 60%;
+          word-wrap: break-word;
+          overflow-wrap: break-word;
+          white-space: normal;
+          z-index: 999;
+      }
+      
+      .subtitle-word {
+          opacity: 0.7;
+          transition: color 0.1s ease, opacity 0.1s ease;
+      }
+      
+      .subtitle-word.spoken {
+          opacity: 1;
+      }
+      
+      .subtitle-word.current {
+          opacity: 1;
+          color: #ffb38f;
+      }
+      
+      /* Center Play Button for Presentation Start */
+      .center-play-button {
+          position: fixed;
+          top: 50%;
+          left: 50%;
+          transform: translate(-50%, -50%);
+          width: 80px;
+          height: 80px;
+          border-radius: 50%;
+          border: none;
+          background: #ff642b;
+          color: white;
+          font-size: 32px;
+          cursor: pointer;
+          z-index: 1001;
+          box-shadow: 0 8px 24px rgba(255, 100, 43, 0.4);
+          transition: all 0.3s ease;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+      }
+      
+      .center-play-button:hover {
+          background: #e55a2b;
+          transform: translate(-50%, -50%) scale(1.1);
+          box-shadow: 0 12px 32px rgba(255, 100, 43, 0.6);
+      }
+      
+      .center-play-button.hidden {
+          display: none;
+      }
+      
+      .center-play-button::before {
+          content: '▶';
+          margin-left: 4px;
+      }
+      
+      .video-progress {
+          position: fixed;
+          bottom: 0;
+          left: 0;
+          right: 0;
+          height: 4px;
+          background: rgba(255, 255, 255, 0.2);
+          z-index: 11;
+          border-radius: 0;
+      }
+      
+      .video-progress-fill {
+          height: 100%;
+          background: #ff642b;
+          width: 0%;
+          transition: width 0.1s ease;
+          border-radius: 0 0 12px 12px;
+      }
+      
+      /* Audio Controls - Hidden */
+      .audio-controls { 
+          display: none;
+      }
+      
+      /* Progress Bar */
+      .progress-container { 
+          background: #e2e8f0; 
+          height: 8px; 
+          border-radius: 4px; 
+          margin-bottom: 20px; 
+          overflow: hidden; 
+      }
+      
+      .progress-fill { 
+          height: 100%; 
+          background: #ff642b; 
+          width: 0%; 
+          transition: width 0.3s ease; 
+      }
+      
+      /* Responsive design */
+      @media (max-width: 1024px) {
+          /* EOB Summary - Tablet adjustments */
+          .eob-summary-sticky {
+              width: 280px;
+              max-width: calc(50vw - 24px);
+          }
+      }
+
+      @media (max-width: 768px) {
+          .container {
+              flex-direction: column;
+          }
+          
+          .pdf-viewer {
+              height: 60vh;
+              margin: 8px;
+              border-right: none;
+              border-bottom: 1px solid #e2e8f0;
+          }
+          
+          .pdf-container {
+              max-width: calc(100vw - 32px);
+              max-height: calc(60vh - 32px);
+          }
+          
+          .slide-navigation {
+              width: 100%;
+              height: 40vh;
+              border-left: none;
+              border-top: 1px solid #e0e0e0;
+          }
+          
+          .slide-navigation::before {
+              display: none;
+          }
+          
+          .slide-list {
+              max-height: 200px;
+          }
+          
+          .zoom-controls {
+              top: 12px;
+              right: 12px;
+              padding: 12px;
+          }
+          
+          .zoom-btn {
+              width: 36px;
+              height: 36px;
+              font-size: 16px;
+          }
+          
+          .bottom-play-button {
+              width: 60px;
+              height: 60px;
+              font-size: 20px;
+              bottom: 20px;
+          }
+          
+          .subtitle-text {
+              bottom: 100px;
+              font-size: 16px;
+              padding: 10px 16px;
+          }
+          
+          .nav-arrow {
+              width: 40px;
+              height: 40px;
+              font-size: 16px;
+          }
+          
+          .slide-item {
+              padding: 10px 16px;
+          }
+          
+          .slide-number {
+              width: 28px;
+              height: 28px;
+              font-size: 12px;
+          }
+          
+          /* EOB Summary Sticky Note - Mobile - Collapsible */
+          .eob-summary-sticky {
+              position: fixed;
+              top: 12px;
+              left: 12px;
+              right: 12px;
+              width: auto;
+              max-width: none;
+              background: rgba(255, 255, 255, 0.95);
+              backdrop-filter: blur(10px);
+              -webkit-backdrop-filter: blur(10px);
+              border: 2px solid rgba(255, 255, 255, 0.5);
+              border-radius: 12px;
+              box-shadow: 0 8px 24px rgba(0, 0, 0, 0.15);
+              transform: translateY(-100%);
+              z-index: 1001;
+              max-height: 50vh;
+              overflow-y: auto;
+              padding: 16px;
+              transition: transform 0.3s ease;
+          }
+          
+          .eob-summary-sticky.show {
+              transform: translateY(0);
+          }
+          
+          .eob-summary-sticky:hover {
+              transform: translateY(-100%);
+          }
+
+          .eob-toggle-btn {
+              display: block;
+          }
+
+          .eob-summary-content {
+              max-height: 0;
+              overflow: hidden;
+              transition: max-height 0.3s ease;
+          }
+
+          .eob-summary-sticky.show .eob-summary-content {
+              max-height: 300px;
+          }
+          
+          .eob-summary-content {
+              font-size: 14px;
+          }
+          
+          .eob-summary-row {
+              margin-bottom: 8px;
+          }
+          
+          .eob-summary-services {
+              margin-top: 12px;
+              padding-top: 12px;
+          }
+          
+          .eob-summary-service {
+              font-size: 13px;
+              margin-bottom: 6px;
+          }
+      }
+
+      @media (max-width: 480px) {
+          /* EOB Summary - Small mobile - Always visible but compact */
+          .eob-summary-sticky {
+              position: fixed;
+              top: 8px;
+              left: 8px;
+              right: 8px;
+              width: auto;
+              max-width: none;
+              background: rgba(255, 255, 255, 0.98);
+              backdrop-filter: blur(15px);
+              -webkit-backdrop-filter: blur(15px);
+              border: 3px solid rgba(255, 255, 255, 0.8);
+              border-radius: 16px;
+              box-shadow: 0 12px 32px rgba(0, 0, 0, 0.2);
+              transform: translateY(0);
+              z-index: 1001;
+              max-height: 40vh;
+              overflow-y: auto;
+              padding: 12px;
+              font-size: 12px;
+          }
+          
+          .eob-summary-header {
+              margin-bottom: 12px;
+              padding-bottom: 8px;
+          }
+          
+          .eob-summary-title {
+              font-size: 16px;
+          }
+          
+          .eob-summary-content {
+              font-size: 12px;
+          }
+          
+          .eob-summary-row {
+              margin-bottom: 6px;
+              padding: 4px 0;
+          }
+          
+          .eob-summary-services {
+              margin-top: 8px;
+              padding-top: 8px;
+          }
+          
+          .eob-summary-service {
+              font-size: 11px;
+              margin-bottom: 4px;
+          }
+      }
+  </style>
+</head>
+<body>
+  <div class="container">
+      <!-- EOB Summary Sticky Note -->
+      <div class="eob-summary-sticky" id="eobSummary">
+          <div class="eob-summary-header">
+              <div class="eob-summary-icon">📋</div>
+              <h3 class="eob-summary-title">EOB Summary</h3>
+              <button class="eob-toggle-btn" id="eobToggle" aria-label="Toggle EOB summary visibility">▼</button>
+          </div>
+          <div class="eob-summary-content">
+              <div class="eob-summary-row">
+                  <span class="eob-summary-label">Date:</span>
+                  <span class="eob-summary-value">${eobSummary.serviceDate}</span>
+              </div>
+              <div class="eob-summary-row">
+                  <span class="eob-summary-label">Provider:</span>
+                  <span class="eob-summary-value">${eobSummary.providerName}</span>
+              </div>
+              <div class="eob-summary-services">
+                  ${eobSummary.services.map(service => `
+                      <div class="eob-summary-service">
+                          <span class="eob-summary-service-label">${service.description}</span>
+                          <span class="eob-summary-service-value">${service.amount}</span>
+                      </div>
+                  `).join('')}
+              </div>
+              <div class="eob-summary-row">
+                  <span class="eob-summary-label">Total Charged:</span>
+                  ${summaryValue('totalCharged')}
+              </div>
+              <div class="eob-summary-row">
+                  <span class="eob-summary-label">Insurance Paid:</span>
+                  ${summaryValue('insurancePaid')}
+              </div>
+              <div class="eob-summary-row">
+                  <span class="eob-summary-label">Adjustments:</span>
+                  ${summaryValue('adjustments')}
+              </div>
+              <div class="eob-summary-row" style="border-top: 1px solid #fdcb6e; padding-top: 6px; margin-top: 6px;">
+                  <span class="eob-summary-label" style="font-weight: 700; color: #2d3436;">You Owe:</span>
+                  ${summaryValue('patientOwes', 'eob-summary-value highlight')}
+              </div>
+              ${eobSummary.deductible !== "$0.00" ? `
+              <div class="eob-summary-row">
+                  <span class="eob-summary-label">Deductible:</span>
+                  ${summaryValue('deductible')}
+              </div>
+              ` : ''}
+              ${eobSummary.copay !== "$0.00" ? `
+              <div class="eob-summary-row">
+                  <span class="eob-summary-label">Copay:</span>
+                  ${summaryValue('copay')}
+              </div>
+              ` : ''}
+              ${flaggedFields.size > 0 ? `
+              <div class="eob-summary-warning">
+                  ⚠️ Some amounts could not be checked against your document. Please confirm them on your EOB before paying.
+              </div>
+              ` : ''}
+          </div>
+      </div>
+
+      <!-- PDF View Section - Main Content -->
+      <div class="pdf-viewer" id="pdfViewer">
+          <!-- Zoom Controls -->
+          <div class="zoom-controls">
+              <button class="zoom-btn" id="zoomIn" title="Zoom In (Ctrl + Plus)">+</button>
+              <button class="zoom-btn" id="zoomOut" title="Zoom Out (Ctrl + Minus)">−</button>
+              <button class="zoom-to-fit-btn" id="zoomToFit" title="Zoom to Fit (Ctrl + 0)">Fit</button>
+               <div class="zoom-level" id="zoomLevel">150%</div>
+               <div class="page-indicator" id="pageIndicator">Page ${firstPage} of ${pageCount}</div>
+          </div>
+          
+          <!-- YouTube-style Video Player Controls -->
+          <!-- Center Play Button for Presentation Start -->
+          <button class="center-play-button" id="centerPlayBtn" onclick="startPresentation()"></button>
+          
+          <div class="video-player-overlay">
+              <div class="video-progress">
+                  <div class="video-progress-fill" id="progressFill"></div>
+              </div>
+          </div>
+          
+          <!-- Independent Floating Play Button (Left Side) -->
+          <button class="play-pause-btn" id="playPauseBtn" onclick="togglePlay()">▶</button>
+          
+          <!-- Independent Floating Subtitle Text (Center) -->
+          <div class="video-subtitle" id="videoSubtitle">Click play to start the presentation</div>
+          
+          <!-- Narration player; each step's audio gets its own captions track -->
+          <audio id="narrationAudio" preload="auto" aria-label="Narration">
+              ${audioDataForHTML[0]?.captionsUrl ? `<track id="narrationCaptions" kind="captions" srclang="en" label="English" src="${audioDataForHTML[0].captionsUrl}" default>` : ''}
+          </audio>
+          
+          <!-- PDF Container -->
+          <div class="pdf-container" id="pdfContainer">
+              ${pageImages.map(pageImage => `
+              <div class="pdf-page ${pageImage.pageNumber === firstPage ? 'active' : ''}" data-page="${pageImage.pageNumber}">
+                  <img src="${pageImage.imageDataUrl}" alt="PDF Page ${pageImage.pageNumber}" class="pdf-background" style="width: ${pageImage.width}px; height: ${pageImage.height}px;">
+                  <div class="highlight-overlay" style="width: ${pageImage.width}px; height: ${pageImage.height}px;">
+                  ${alignedHighlights.filter(highlight => isHighlightPlaced(highlight) && (highlight.pageNumber || 1) === pageImage.pageNumber).map(highlight => {
+                      // Highlight coordinates are already in page display pixels
+                      const stepNumber = highlight.step;
+                      const needsReview = highlight.needsReview ? 'needs-review' : '';
+                      // Steps without a highlight style keep the plain numbered label
+                      const styleClass = highlight.highlightType ? getHighlightClassName(highlight.highlightType) : '';
+                      
+                      return `
+                          <div class="highlight-element ${needsReview} ${styleClass}" id="highlight-${stepNumber - 1}" data-step="${stepNumber - 1}" style="left: ${highlight.x}px; top: ${highlight.y}px; width: ${highlight.width}px; height: ${highlight.height}px;">
+                              <div class="highlight-label">${stepNumber}</div>
+                          </div>
+                      `;
+                  }).join('')}
+                  </div>
+              </div>
+              `).join('')}
+          </div>
+      </div>
+      
+      <!-- Right Side Panel - Slide Navigation -->
+      <div class="slide-navigation">
+          <!-- Header -->
+          <div class="slide-navigation-header">
+              <h3>Presentation Sections</h3>
+              <p class="slide-navigation-subtitle">Navigate through your guided presentation</p>
+          </div>
+          
+          <!-- Slide List -->
+          <div class="slide-list" id="slideList">
+              ${alignedHighlights.map((highlight, index) => {
+                  const isActive = index === 0;
+                  const isCompleted = false;
+                  const stepNumber = highlight.step;
+                  const title = highlight.narrationText || highlight.text || `Section ${stepNumber}`;
+                  const preview = highlight.narrative || highlight.text || 'Click to view this section';
+                  
+                  return `
+                      <div class="slide-item ${isActive ? 'active' : ''} ${isCompleted ? 'completed' : ''}" 
+                           onclick="goToStep(${index})" 
+                           data-step="${index}">
+                          <div class="slide-number">${stepNumber}</div>
+                          <div class="slide-content">
+                              <div class="slide-title">${title}</div>
+                              <div class="slide-preview">${preview}</div>
+                          </div>
+                          <div class="slide-status"></div>
+                      </div>
+                  `;
+              }).join('')}
+          </div>
+          
+          <!-- Bottom Controls -->
+          <div class="bottom-controls">
+              <!-- Navigation Arrows -->
+              <div class="navigation-arrows">
+                  <button class="nav-arrow" id="prevBtn" onclick="previousStep()" disabled>‹</button>
+                  <button class="nav-arrow" id="nextBtn" onclick="nextStep()">›</button>
+              </div>
+              
+              <!-- Progress Section -->
+              <div class="progress-section">
+                  <div class="progress-label">Progress</div>
+                  <div class="progress-container">
+                      <div class="progress-fill" id="progressFill"></div>
+                  </div>
+              </div>
+          </div>
+      </div>
+  </div>
+
+  <script>
+      const elements = ${JSON.stringify(alignedHighlights)};
+      const audioData = ${JSON.stringify(audioDataForHTML)};
+      const narrativeScript = ${JSON.stringify(narrativeData)};
+      const totalSteps = elements.length;
+      const pageCount = ${pageCount};
+      let currentStep = 0;
+      let currentPage = elements[0]?.pageNumber || 1;
+      let isPlaying = false;
+      let playInterval;
+      let audioContext = null;
+      let currentAudio = null;
+      let playbackFrame = null;
+      let currentWordIndex = -1;
+      let activeCueIndex = -1;
+      
+       // Zoom functionality
+       let currentZoom = 1.5; // Start at 150% as requested
+       let minZoom = 0.5;
+       let maxZoom = 2.0;
+       let zoomStep = 0.25;
+       let isDragging = false;
+       let dragStart = { x: 0, y: 0 };
+       let currentPan = { x: 0, y: 0 };
+       let isPanning = false;
+       
+       // Camera transitions between steps (same types and settings as the video, see cameraTransitions.js)
+       const transitionSettings = ${JSON.stringify(TRANSITION_SETTINGS)};
+       const baseTransitionMs = ${APP_CONFIG.ANIMATION.DEFAULT_TRANSITION_DURATION * 1000};
+       let cameraAnimation = null;
+      
+      function updateStep(step) {
+          currentStep = step;
+          currentWordIndex = -1;
+          activeCueIndex = -1;
+          
+          // Update subtitle text above play button
+          updateSubtitle();
+          
+          // Update progress
+          const progress = ((step + 1) / totalSteps) * 100;
+          const progressFill = document.getElementById('progressFill');
+          if (progressFill) {
+              progressFill.style.width = progress + '%';
+          }
+          
+          // Update highlights - only show current step, hide all others
+          document.querySelectorAll('.highlight-element').forEach((el) => {
+              el.classList.remove('active', 'prev');
+              const elementStep = parseInt(el.getAttribute('data-step')) || 0;
+              if (elementStep === step) {
+                  el.classList.add('active');
+              }
+              // All other elements remain hidden (opacity: 0)
+          });
+          
+          // Update slide navigation
+          document.querySelectorAll('.slide-item').forEach((el, index) => {
+              el.classList.remove('active', 'completed');
+              if (index === step) {
+                  el.classList.add('active');
+              } else if (index < step) {
+                  el.classList.add('completed');
+              }
+          });
+          
+          // Update navigation buttons
+          const prevBtn = document.getElementById('prevBtn');
+          const nextBtn = document.getElementById('nextBtn');
+          if (prevBtn) prevBtn.disabled = step === 0;
+          if (nextBtn) nextBtn.disabled = step >= totalSteps - 1;
+          
+          // Auto-zoom to current element (switching to its page) with a small delay to ensure proper rendering
+          setTimeout(() => {
+              zoomToElement(step);
+          }, 100);
+      }
+      
+      // Show only the page that holds the given step's highlight
+      function showPage(pageNumber) {
+          if (!pageNumber || pageNumber === currentPage) return;
+          
+          currentPage = pageNumber;
+          document.querySelectorAll('.pdf-page').forEach((el) => {
+              const elementPage = parseInt(el.getAttribute('data-page')) || 1;
+              el.classList.toggle('active', elementPage === pageNumber);
+          });
+          
+          const pageIndicator = document.getElementById('pageIndicator');
+          if (pageIndicator) {
+              pageIndicator.textContent = 'Page ' + pageNumber + ' of ' + pageCount;
+          }
+      }
+      
+      function nextStep() {
+          if (currentStep < totalSteps - 1) {
+              updateStep(currentStep + 1);
+              if (isPlaying) {
+                  playStepAudio(currentStep);
+              }
+          } else {
+              stopPlay();
+          }
+      }
+      
+      function previousStep() {
+          if (currentStep > 0) {
+              updateStep(currentStep - 1);
+              if (isPlaying) {
+                  playStepAudio(currentStep);
+              }
+          }
+      }
+      
+      function goToStep(step) {
+          updateStep(step);
+          if (isPlaying) {
+              playStepAudio(step);
+          }
+      }
+      
+      function startPresentation() {
+          // Hide center play button and show video controls
+          const centerBtn = document.getElementById('centerPlayBtn');
+          const videoControls = document.querySelector('.video-controls');
+          
+          if (centerBtn) {
+              centerBtn.classList.add('hidden');
+          }
+          
+          if (videoControls) {
+              videoControls.style.display = 'flex';
+          }
+          
+          // Start the presentation
+          startPlay();
+      }
+      
+      function togglePlay() {
+          // YouTube-style behavior: single click toggles play/pause
+          if (isPlaying) {
+              pausePlay();
+          } else {
+              startPlay();
+          }
+      }
+      
+      // YouTube-style keyboard shortcuts
+      function handleKeyPress(event) {
+          // Space bar or Enter key toggles play/pause (YouTube standard)
+          if (event.code === 'Space' || event.code === 'Enter') {
+              event.preventDefault();
+              togglePlay();
+          }
+          // Arrow keys for navigation (YouTube standard)
+          else if (event.code === 'ArrowLeft') {
+              event.preventDefault();
+              goToPreviousStep();
+          }
+          else if (event.code === 'ArrowRight') {
+              event.preventDefault();
+              goToNextStep();
+          }
+      }
+      
+      function updatePlayButton() {
+          const playBtn = document.getElementById('playPauseBtn');
+          if (!playBtn) return;
+          
+          // YouTube-style icon updates with better visual feedback
+          if (isPlaying) {
+              playBtn.textContent = '⏸';
+              playBtn.classList.add('playing');
+              playBtn.setAttribute('aria-label', 'Pause presentation');
+          } else {
+              playBtn.textContent = '▶';
+              playBtn.classList.remove('playing');
+              playBtn.setAttribute('aria-label', 'Play presentation');
+          }
+      }
+      
+      // YouTube-style click anywhere to play/pause (on video area)
+      function handleVideoClick(event) {
+          // Only trigger if clicking on the video area, not on controls
+          if (event.target.classList.contains('video-player-overlay') || 
+              event.target.classList.contains('video-controls')) {
+              return; // Don't trigger if clicking on controls
+          }
+          
+          // Click on video area toggles play/pause (YouTube behavior)
+          togglePlay();
+      }
+      
+      function updateSubtitle() {
+          const subtitleText = document.getElementById('videoSubtitle');
+          if (!subtitleText) return;
+          
+          // Check if presentation has started (center button is hidden)
+          const centerBtn = document.getElementById('centerPlayBtn');
+          const isPresentationStarted = centerBtn && centerBtn.classList.contains('hidden');
+          const stepAudio = audioData && audioData[currentStep];
+          
+          if (isPresentationStarted && stepAudio && stepAudio.text && stepAudio.words && stepAudio.words.length > 0) {
+              renderSubtitleWords(subtitleText, stepAudio.text, stepAudio.words);
+          } else if (isPresentationStarted && narrativeScript && narrativeScript.steps && narrativeScript.steps[currentStep]) {
+              const stepData = narrativeScript.steps[currentStep];
+              subtitleText.textContent = stepData.narrative || elements[currentStep]?.text || 'No description available';
+          } else if (isPresentationStarted && elements && elements[currentStep]) {
+              subtitleText.textContent = elements[currentStep].text || 'No description available';
+          } else if (isPresentationStarted) {
+              subtitleText.textContent = 'Click play to start the presentation';
+          } else {
+              subtitleText.textContent = 'Click the play button to start the presentation';
+          }
+      }
+      
+      // Render the narration with one span per timed word so it can be highlighted karaoke-style
+      function renderSubtitleWords(container, text, words) {
+          container.textContent = '';
+          let cursor = 0;
+          
+          words.forEach((word, index) => {
+              if (word.charStart === null || word.charStart === undefined || word.charStart < cursor) return;
+              
+              container.appendChild(document.createTextNode(text.slice(cursor, word.charStart)));
+              const span = document.createElement('span');
+              span.className = 'subtitle-word';
+              span.setAttribute('data-word', index);
+              span.textContent = text.slice(word.charStart, word.charEnd);
+              container.appendChild(span);
+              cursor = word.charEnd;
+          });
+          
+          container.appendChild(document.createTextNode(text.slice(cursor)));
+      }
+      
+      function highlightWord(wordIndex) {
+          if (wordIndex === currentWordIndex) return;
+          currentWordIndex = wordIndex;
+          
+          document.querySelectorAll('#videoSubtitle .subtitle-word').forEach((span) => {
+              const index = parseInt(span.getAttribute('data-word'));
+              span.classList.toggle('current', index === wordIndex);
+              span.classList.toggle('spoken', index < wordIndex);
+          });
+      }
+      
+      // Move the view when playback reaches a focus cue inside the current step
+      function applyFocusCues(stepIndex, time) {
+          const cues = (audioData && audioData[stepIndex] && audioData[stepIndex].focusCues) || [];
+          let cueIndex = -1;
+          cues.forEach((cue, index) => {
+              if (cue.time <= time) cueIndex = index;
+          });
+          
+          if (cueIndex > activeCueIndex) {
+              activeCueIndex = cueIndex;
+              zoomToRegion(cues[cueIndex]);
+          }
+      }
+      
+      function trackPlayback(stepIndex) {
+          stopPlaybackTracking();
+          
+          const tick = () => {
+              if (!currentAudio || stepIndex !== currentStep) return;
+              
+              const time = currentAudio.currentTime;
+              const words = (audioData[stepIndex] && audioData[stepIndex].words) || [];
+              let wordIndex = -1;
+              for (let i = 0; i < words.length && words[i].start <= time; i++) {
+                  wordIndex = i;
+              }
+              
+              highlightWord(wordIndex);
+              applyFocusCues(stepIndex, time);
+              playbackFrame = requestAnimationFrame(tick);
+          };
+          
+          playbackFrame = requestAnimationFrame(tick);
+      }
+      
+      function stopPlaybackTracking() {
+          if (playbackFrame) {
+              cancelAnimationFrame(playbackFrame);
+              playbackFrame = null;
+          }
+      }
+      
+      function startPlay() {
+          // YouTube-style: immediate visual feedback
+          isPlaying = true;
+          updatePlayButton();
+          
+          // YouTube-style: start from current step
+          updateStep(currentStep);
+          
+          if (audioData && audioData.length > 0 && audioData[currentStep] && audioData[currentStep].audioData) {
+              playStepAudio(currentStep);
+          } else {
+              // YouTube-style: auto-advance with smooth transitions
+              playInterval = setInterval(() => {
+                  if (isPlaying) { // Check if still playing (YouTube behavior)
+                      nextStep();
+                  }
+              }, 3000);
+          }
+      }
+      
+      function playStepAudio(stepIndex) {
+          if (audioData && audioData[stepIndex] && audioData[stepIndex].audioData) {
+              if (currentAudio) {
+                  currentAudio.pause();
+              }
+              
+              currentAudio = document.getElementById('narrationAudio');
+              setCaptionsTrack(stepIndex);
+              currentAudio.src = audioData[stepIndex].audioData;
+              currentAudio.play();
+              trackPlayback(stepIndex);
+              
+              currentAudio.onended = () => {
+                  stopPlaybackTracking();
+                  if (stepIndex < totalSteps - 1) {
+                      nextStep();
+                  } else {
+                      stopPlay();
+                  }
+              };
+          } else {
+              setTimeout(() => {
+                  if (stepIndex < totalSteps - 1) {
+                      nextStep();
+                  } else {
+                      stopPlay();
+                  }
+              }, 3000);
+          }
+      }
+      
+      // Replace the captions track so it matches the step's audio (a new element makes browsers load the new cues)
+      function setCaptionsTrack(stepIndex) {
+          const oldTrack = document.getElementById('narrationCaptions');
+          if (oldTrack) oldTrack.remove();
+          if (!audioData[stepIndex] || !audioData[stepIndex].captionsUrl) return;
+          
+          const track = document.createElement('track');
+          track.id = 'narrationCaptions';
+          track.kind = 'captions';
+          track.srclang = 'en';
+          track.label = 'English';
+          track.default = true;
+          track.src = audioData[stepIndex].captionsUrl;
+          document.getElementById('narrationAudio').appendChild(track);
+          track.track.mode = 'showing';
+      }
+      
+      function pausePlay() {
+          // YouTube-style: immediate pause with visual feedback
+          isPlaying = false;
+          updatePlayButton();
+          updateStep(currentStep);
+          
+          // YouTube-style: pause audio immediately
+          if (currentAudio) {
+              currentAudio.pause();
+          }
+          stopPlaybackTracking();
+          
+          // YouTube-style: stop auto-advance
+          if (playInterval) {
+              clearInterval(playInterval);
+              playInterval = null;
+          }
+      }
+      
+      function stopPlay() {
+          isPlaying = false;
+          updatePlayButton();
+          currentStep = 0;
+          updateStep(0);
+          
+          if (currentAudio) {
+              currentAudio.pause();
+              currentAudio.currentTime = 0;
+              currentAudio = null;
+          }
+          stopPlaybackTracking();
+          
+          if (playInterval) {
+              clearInterval(playInterval);
+              playInterval = null;
+          }
+      }
+      
+       // Zoom functionality - Allow Y-axis movement to follow highlights
+       function updateZoom() {
+           const container = document.getElementById('pdfContainer');
+           const zoomLevel = document.getElementById('zoomLevel');
+           
+           if (container && zoomLevel) {
+               // Allow Y-axis movement; X only moves during slide transitions
+               container.style.transform = \`scale(\${currentZoom}) translate(\${currentPan.x}px, \${currentPan.y}px)\`;
+               zoomLevel.textContent = Math.round(currentZoom * 100) + '%';
+               
+               // Update button states
+               const zoomInBtn = document.getElementById('zoomIn');
+               const zoomOutBtn = document.getElementById('zoomOut');
+               
+               if (zoomInBtn) zoomInBtn.disabled = currentZoom >= maxZoom;
+               if (zoomOutBtn) zoomOutBtn.disabled = currentZoom <= minZoom;
+           }
+       }
+      
+      function zoomIn() {
+          if (currentZoom < maxZoom) {
+              currentZoom = Math.min(maxZoom, currentZoom + zoomStep);
+              updateZoom();
+          }
+      }
+      
+      function zoomOut() {
+          if (currentZoom > minZoom) {
+              currentZoom = Math.max(minZoom, currentZoom - zoomStep);
+              updateZoom();
+          }
+      }
+      
+      function zoomToFit() {
+          const viewer = document.getElementById('pdfViewer');
+          const container = document.getElementById('pdfContainer');
+          
+          if (viewer && container) {
+              const viewerRect = viewer.getBoundingClientRect();
+              const containerRect = container.getBoundingClientRect();
+              
+              const scaleX = viewerRect.width / containerRect.width;
+              const scaleY = viewerRect.height / containerRect.height;
+              const scale = Math.min(scaleX, scaleY) * 0.9; // 90% to leave some margin
+              
+              currentZoom = Math.max(minZoom, Math.min(maxZoom, scale));
+              currentPan = { x: 0, y: 0 };
+              updateZoom();
+          }
+      }
+      
+       function zoomToElement(elementIndex) {
+           const element = elements[elementIndex];
+           if (!element) return;
+           // Steps that matched nothing on the page have no box; just show their page
+           if (element.x === null || element.y === null) {
+               showPage(element.pageNumber || 1);
+               return;
+           }
+           zoomToRegion(element, element.transitionType, () => showPage(element.pageNumber || 1));
+       }
+       
+       function easeInOut(t) {
+           return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+       }
+       
+       // Center a page region ({ x, y, width, height }) in the viewer (Y-axis only, keeping the reader's zoom).
+       // The view moves with the transition type (smooth, instant, fade, slide or zoom); onCut runs where
+       // the old view is left behind, which is where the page is switched.
+       function zoomToRegion(region, transitionType, onCut) {
+           const viewer = document.getElementById('pdfViewer');
+           const container = document.getElementById('pdfContainer');
+           
+           if (viewer && container && region) {
+               // A transition that is still running is replaced; it would have ended at the reader's zoom
+               const zoom = cameraAnimation ? cameraAnimation.zoom : currentZoom;
+               if (cameraAnimation) {
+                   cancelAnimationFrame(cameraAnimation.frame);
+                   cameraAnimation = null;
+               }
+               
+               const viewerRect = viewer.getBoundingClientRect();
+               const viewerCenterY = viewerRect.height / 2;
+               // The view is described by the point at the viewer's center and the zoom
+               const from = { centerY: viewerCenterY - currentPan.y * currentZoom, zoom: currentZoom };
+               const to = { centerY: region.y + region.height / 2, zoom: zoom };
+               const type = transitionSettings.durationFactors[transitionType] !== undefined ? transitionType : 'smooth';
+               const changesPage = !!region.pageNumber && region.pageNumber !== currentPage;
+               const farApart = changesPage || Math.abs(to.centerY - from.centerY) > viewerRect.height / (2 * from.zoom);
+               
+               // Zoom out until both places fit, then back in (always for zoom, for smooth when the target is out of view)
+               let bridge = null;
+               if (type === 'zoom' || (type === 'smooth' && farApart)) {
+                   const distance = changesPage ? Infinity : Math.abs(to.centerY - from.centerY);
+                   const maxZoom = type === 'zoom' ? zoom * transitionSettings.zoomOutFactor : zoom;
+                   bridge = {
+                       centerY: changesPage ? to.centerY : (from.centerY + to.centerY) / 2,
+                       zoom: Math.max(minZoom, Math.min(maxZoom, distance > 0 ? viewerRect.height * transitionSettings.bridgeFill / distance : maxZoom))
+                   };
+               }
+               
+               const factor = bridge ? transitionSettings.bridgeDurationFactor : transitionSettings.durationFactors[type];
+               const duration = baseTransitionMs * factor;
+               const cutAt = bridge || type === 'fade' || type === 'slide' ? 0.5 : 0;
+               const startTime = performance.now();
+               let cutDone = false;
+               
+               const blend = (a, b, t) => {
+                   const eased = easeInOut(t);
+                   return { centerY: a.centerY + (b.centerY - a.centerY) * eased, zoom: a.zoom + (b.zoom - a.zoom) * eased };
+               };
+               
+               const tick = (now) => {
+                   const t = duration > 0 ? Math.min(1, (now - startTime) / duration) : 1;
+                   const firstHalf = t < 0.5;
+                   const half = firstHalf ? t * 2 : t * 2 - 1;
+                   let view = to;
+                   let offsetX = 0;
+                   let opacity = 1;
+                   
+                   if (bridge) {
+                       view = firstHalf ? blend(from, bridge, half) : blend(bridge, to, half);
+                   } else if (type === 'smooth') {
+                       view = blend(from, to, t);
+                   } else if (type === 'fade') {
+                       view = firstHalf ? from : to;
+                       opacity = firstHalf ? 1 - half : half;
+                   } else if (type === 'slide') {
+                       // The old view leaves to the left and the new one comes in from the right
+                       view = firstHalf ? from : to;
+                       offsetX = (firstHalf ? -easeInOut(half) : 1 - easeInOut(half)) * viewerRect.width / view.zoom;
+                   }
+                   
+                   if (!cutDone && t >= cutAt) {
+                       cutDone = true;
+                       if (onCut) onCut();
+                   }
+                   
+                   currentZoom = view.zoom;
+                   currentPan = { x: offsetX, y: (viewerCenterY - view.centerY) / view.zoom };
+                   container.style.opacity = opacity;
+                   updateZoom();
+                   
+                   if (t < 1) {
+                       cameraAnimation.frame = requestAnimationFrame(tick);
+                   } else {
+                       cameraAnimation = null;
+                   }
+               };
+               
+               cameraAnimation = { zoom: zoom, frame: null };
+               tick(startTime);
+           }
+       }
+      
+       // Pan functionality - Disabled to keep PDF stable
+       function startPan(e) {
+           // Disable panning to keep PDF stable
+           e.preventDefault();
+       }
+       
+       function doPan(e) {
+           // Disable panning to keep PDF stable
+           e.preventDefault();
+       }
+       
+       function endPan(e) {
+           // Disable panning to keep PDF stable
+       }
+      
+      // Mouse wheel zoom
+      function handleWheel(e) {
+          e.preventDefault();
+          const delta = e.deltaY > 0 ? -zoomStep : zoomStep;
+          const newZoom = Math.max(minZoom, Math.min(maxZoom, currentZoom + delta));
+          
+          if (newZoom !== currentZoom) {
+              currentZoom = newZoom;
+              updateZoom();
+          }
+      }
+      
+      // Initialize zoom controls
+      function initializeZoom() {
+          const zoomInBtn = document.getElementById('zoomIn');
+          const zoomOutBtn = document.getElementById('zoomOut');
+          const zoomToFitBtn = document.getElementById('zoomToFit');
+          const pdfViewer = document.getElementById('pdfViewer');
+          
+          if (zoomInBtn) {
+              zoomInBtn.addEventListener('click', (e) => {
+                  e.preventDefault();
+                  e.stopPropagation();
+                  zoomIn();
+              });
+          }
+          if (zoomOutBtn) {
+              zoomOutBtn.addEventListener('click', (e) => {
+                  e.preventDefault();
+                  e.stopPropagation();
+                  zoomOut();
+              });
+          }
+          if (zoomToFitBtn) {
+              zoomToFitBtn.addEventListener('click', (e) => {
+                  e.preventDefault();
+                  e.stopPropagation();
+                  zoomToFit();
+              });
+          }
+          
+          if (pdfViewer) {
+              pdfViewer.addEventListener('mousedown', startPan);
+              pdfViewer.addEventListener('mousemove', doPan);
+              pdfViewer.addEventListener('mouseup', endPan);
+              pdfViewer.addEventListener('mouseleave', endPan);
+              pdfViewer.addEventListener('wheel', handleWheel, { passive: false });
+          }
+          
+          updateZoom();
+      }
+
+      // Initialize EOB Summary Toggle
+      function initializeEOBToggle() {
+          const eobSummary = document.getElementById('eobSummary');
+          const eobToggle = document.getElementById('eobToggle');
+          
+          if (eobSummary && eobToggle) {
+              // Show EOB summary by default on mobile
+              if (window.innerWidth <= 768) {
+                  eobSummary.classList.add('show');
+              }
+              
+              eobToggle.addEventListener('click', (e) => {
+                  e.preventDefault();
+                  e.stopPropagation();
+                  
+                  eobSummary.classList.toggle('show');
+                  eobToggle.classList.toggle('rotated');
+                  
+                  // Update aria-label
+                  const isExpanded = eobSummary.classList.contains('show');
+                  eobToggle.setAttribute('aria-label', 
+                      isExpanded ? 'Hide EOB summary' : 'Show EOB summary'
+                  );
+              });
+          }
+      }
+      
+      // Initialize with YouTube-style behavior
+      updateStep(0);
+      updatePlayButton();
+      updateSubtitle();
+      initializeZoom();
+      initializeEOBToggle();
+      
+      // Hide video controls initially, show center play button
+      const videoControls = document.querySelector('.video-controls');
+      const centerBtn = document.getElementById('centerPlayBtn');
+      
+      if (videoControls) {
+          videoControls.style.display = 'none';
+      }
+      
+      if (centerBtn) {
+          centerBtn.classList.remove('hidden');
+      }
+      
+      // Add YouTube-style event listeners
+      document.addEventListener('keydown', handleKeyPress);
+      
+      // Add click-to-play functionality on video area
+      const videoContainer = document.querySelector('.pdf-container');
+      if (videoContainer) {
+          videoContainer.addEventListener('click', handleVideoClick);
+      }
+      
+       // Set initial zoom to a reasonable level
+       currentZoom = 1.5;
+       updateZoom();
+      
+      // Keyboard navigation
+      document.addEventListener('keydown', (e) => {
+          if (e.key === 'ArrowRight' || e.key === ' ') {
+              e.preventDefault();
+              nextStep();
+          } else if (e.key === 'ArrowLeft') {
+              e.preventDefault();
+              previousStep();
+          } else if (e.key === 'Enter') {
+              e.preventDefault();
+              togglePlay();
+          }
+          
+          // Zoom keyboard shortcuts
+          if (e.ctrlKey || e.metaKey) {
+              switch (e.key) {
+                  case '=':
+                  case '+':
+                      e.preventDefault();
+                      zoomIn();
+                      break;
+                  case '-':
+                      e.preventDefault();
+                      zoomOut();
+                      break;
+                  case '0':
+                      e.preventDefault();
+                      zoomToFit();
+                      break;
+              }
+          }
+      });
+  </script>
+</body>
+</html>`;
+};
+
+export default {
+  generatePresentationHTMLWithZoom
+};
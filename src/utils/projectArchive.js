@@ -0,0 +1,277 @@
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate';
+import { hashContent } from './contentHash.js';
+
+/**
+ * Project Archive
+ * Saves a whole presentation workflow as one zip so it can be reopened later without
+ * re-running analysis, GPT or TTS:
+ *
+ *   project.json          manifest (format, version, analysis with Azure key-value pairs, semantic blocks, highlights, narrative, audio metadata)
+ *   document.pdf          source PDF
+ *   pages/page-<n>.png    rendered (and possibly masked) page images
+ *   audio/step-<n>.mp3    per-step narration audio (.wav for offline speech)
+ *
+ * Older manifests are upgraded step by step through MIGRATIONS when an archive is opened.
+ */
+
+export const PROJECT_FORMAT = 'eob-presentation-project';
+export const PROJECT_VERSION = 1;
+export const PROJECT_MANIFEST = 'project.json';
+
+const DOCUMENT_FILE = 'document.pdf';
+
+/**
+ * Manifest migrations, keyed by the version they upgrade from
+ *
+ * Version 0 is a bare JSON export from before archives existed: a GPT narrative script
+ * ({ steps, eobSummary }) or a NarrationScriptGenerator.exportScript() result ({ segments }).
+ * Neither has a PDF or audio, so the migrated project only restores the narrative.
+ */
+export const MIGRATIONS = {
+  0: (legacy) => {
+    const narrative = Array.isArray(legacy.steps)
+      ? legacy
+      : {
+        title: legacy.metadata?.title || 'Narration script',
+        steps: (legacy.segments || []).map((segment, index) => ({
+          stepNumber: index + 1,
+          title: `Step ${index + 1}`,
+          narrative: segment.text,
+          highlightText: null,
+          duration: segment.duration
+        }))
+      };
+
+    return {
+      format: PROJECT_FORMAT,
+      version: 1,
+      createdAt: legacy.metadata?.generatedAt || null,
+      document: null,
+      analysis: null,
+      semanticBlocks: [],
+      highlights: [],
+      narrative,
+      eobSummary: narrative.eobSummary || null,
+      pages: [],
+      audio: null,
+      settings: {}
+    };
+  }
+};
+
+/**
+ * Upgrades a manifest to PROJECT_VERSION
+ * @param {Object} manifest - Parsed project.json (or a legacy JSON export)
+ * @returns {Object} Manifest at the current version
+ */
+export const migrateProjectManifest = (manifest) => {
+  const isPlainObject = manifest !== null && typeof manifest === 'object' && Object.getPrototypeOf(manifest) === Object.prototype;
+  if (!isPlainObject) {
+    const kind = manifest === null ? 'null' : Array.isArray(manifest) ? 'an array' : typeof manifest;
+    throw new Error(`Not an EOB presentation project (the manifest is ${kind}, not a JSON object)`);
+  }
+  if (manifest.format !== undefined && manifest.format !== PROJECT_FORMAT) {
+    throw new Error(`Not an EOB presentation project (format "${manifest.format}")`);
+  }
+
+  let current = manifest.format === undefined ? { ...manifest, version: 0 } : manifest;
+  if (!Number.isInteger(current.version) || current.version < 0) {
+    throw new Error(`Invalid project version "${current.version}"`);
+  }
+  if (current.version > PROJECT_VERSION) {
+    throw new Error(`Project version ${current.version} is newer than this app supports (${PROJECT_VERSION}); update the app to open it`);
+  }
+
+  while (current.version < PROJECT_VERSION) {
+    const migrate = MIGRATIONS[current.version];
+    if (!migrate) {
+      throw new Error(`No migration from project version ${current.version}`);
+    }
+    console.log(`🔄 Migrating project from version ${current.version}`);
+    current = migrate(current);
+  }
+
+  return current;
+};
+
+const toUint8Array = (data) => {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  throw new Error('Expected binary data (ArrayBuffer or Uint8Array)');
+};
+
+const dataUrlToBytes = (dataUrl) => {
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+const bytesToDataUrl = (bytes, mimeType) => {
+  let binary = '';
+  const chunkSize = 8192;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return `data:${mimeType};base64,${btoa(binary)}`;
+};
+
+const padStep = (stepNumber) => String(stepNumber).padStart(2, '0');
+
+/**
+ * Builds a project archive
+ * @param {Object} project - {
+ *   pdf: ArrayBuffer|Uint8Array, fileName, analysis, semanticBlocks, highlights, narrative,
+ *   pageImages: [{ pageNumber, imageDataUrl, width, height }], audio: narrative audio result, settings
+ * }
+ * @returns {Promise<Uint8Array>} Zip bytes
+ */
+export const createProjectArchive = async (project) => {
+  const { pdf, fileName, analysis = null, semanticBlocks = [], highlights = [], narrative = null, pageImages = [], audio = null, settings = {} } = project;
+  if (!pdf) {
+    throw new Error('A project archive needs the source PDF');
+  }
+
+  const pdfBytes = toUint8Array(pdf);
+  const files = {
+    // PDFs, PNGs and MP3s are already compressed
+    [DOCUMENT_FILE]: [pdfBytes, { level: 0 }]
+  };
+
+  const pages = pageImages.map(({ pageNumber, imageDataUrl, width, height }) => {
+    const file = `pages/page-${pageNumber}.png`;
+    files[file] = [dataUrlToBytes(imageDataUrl), { level: 0 }];
+    return { pageNumber, width, height, file };
+  });
+
+  const audioSteps = (audio?.audioSteps || []).map((step, index) => {
+    // Blobs and object URLs only live in this page; the bytes go in their own file
+    const metadata = { ...step };
+    delete metadata.audioData;
+    delete metadata.audioBlob;
+    delete metadata.audioUrl;
+    if (!step.success || !step.audioData) return { ...metadata, file: null };
+
+    const audioBytes = toUint8Array(step.audioData);
+    const isWav = strFromU8(audioBytes.subarray(0, 4)) === 'RIFF'; // Offline speech; Azure TTS returns MP3
+    const file = `audio/step-${padStep(step.stepNumber ?? index + 1)}.${isWav ? 'wav' : 'mp3'}`;
+    files[file] = [audioBytes, { level: 0 }];
+    return { ...metadata, file };
+  });
+
+  const manifest = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    createdAt: new Date().toISOString(),
+    document: {
+      fileName: fileName || DOCUMENT_FILE,
+      file: DOCUMENT_FILE,
+      sha256: await hashContent(pdfBytes),
+      pageCount: pages.length || analysis?.pageCount || null
+    },
+    analysis,
+    semanticBlocks,
+    highlights,
+    narrative,
+    eobSummary: narrative?.eobSummary || null,
+    pages,
+    audio: audio ? { ...audio, audioSteps } : null,
+    settings
+  };
+
+  files[PROJECT_MANIFEST] = strToU8(JSON.stringify(manifest, null, 2));
+  return zipSync(files);
+};
+
+/**
+ * Opens a project archive (or a legacy JSON export) and restores the in-memory project
+ * @param {ArrayBuffer|Uint8Array} data - Zip or JSON bytes
+ * @returns {Promise<Object>} {
+ *   version, createdAt, pdf: Uint8Array|null, fileName, analysis, semanticBlocks, highlights, narrative,
+ *   eobSummary, pageImages, audio (audioSteps with audioData ArrayBuffers), settings, migratedFrom
+ * }
+ */
+export const readProjectArchive = async (data) => {
+  const bytes = toUint8Array(data);
+  const isZip = bytes[0] === 0x50 && bytes[1] === 0x4b; // "PK"
+
+  let files = {};
+  let rawManifest;
+  try {
+    if (isZip) {
+      files = unzipSync(bytes);
+      if (!files[PROJECT_MANIFEST]) {
+        throw new Error(`${PROJECT_MANIFEST} is missing`);
+      }
+      rawManifest = JSON.parse(strFromU8(files[PROJECT_MANIFEST]));
+    } else {
+      rawManifest = JSON.parse(strFromU8(bytes));
+    }
+  } catch (error) {
+    throw new Error(`Failed to read project: ${error.message}`);
+  }
+
+  const manifest = migrateProjectManifest(rawManifest);
+  const migratedFrom = rawManifest.format === undefined ? 0 : rawManifest.version;
+
+  const readFile = (name) => {
+    if (!files[name]) {
+      throw new Error(`Project file "${name}" is missing from the archive`);
+    }
+    return files[name];
+  };
+
+  let pdf = null;
+  if (manifest.document?.file) {
+    pdf = readFile(manifest.document.file);
+    if (manifest.document.sha256 && await hashContent(pdf) !== manifest.document.sha256) {
+      throw new Error('The PDF in the project does not match its recorded checksum');
+    }
+  }
+
+  const pageImages = (manifest.pages || []).map(({ pageNumber, width, height, file }) => ({
+    pageNumber,
+    width,
+    height,
+    imageDataUrl: bytesToDataUrl(readFile(file), 'image/png')
+  }));
+
+  const audio = manifest.audio && {
+    ...manifest.audio,
+    audioSteps: manifest.audio.audioSteps.map(({ file, ...step }) => {
+      if (!file) return step;
+      const audioBytes = readFile(file);
+      // Copy so each step owns a standalone ArrayBuffer, like TTS results
+      return { ...step, audioData: audioBytes.slice().buffer };
+    })
+  };
+
+  return {
+    version: manifest.version,
+    createdAt: manifest.createdAt,
+    pdf,
+    fileName: manifest.document?.fileName || null,
+    analysis: manifest.analysis,
+    semanticBlocks: manifest.semanticBlocks || [],
+    highlights: manifest.highlights || [],
+    narrative: manifest.narrative,
+    eobSummary: manifest.eobSummary,
+    pageImages,
+    audio,
+    settings: manifest.settings || {},
+    migratedFrom: migratedFrom === manifest.version ? null : migratedFrom
+  };
+};
+
+export default {
+  PROJECT_FORMAT,
+  PROJECT_VERSION,
+  PROJECT_MANIFEST,
+  MIGRATIONS,
+  migrateProjectManifest,
+  createProjectArchive,
+  readProjectArchive
+};
@@ -0,0 +1,279 @@
+/**
+ * SSML Builder
+ * Builds valid SSML for Azure TTS from plain narration text.
+ * All text is XML-escaped; prosody, voice and break values are validated before use.
+ */
+
+const RATE_KEYWORDS = ['x-slow', 'slow', 'medium', 'fast', 'x-fast', 'default'];
+const PITCH_KEYWORDS = ['x-low', 'low', 'medium', 'high', 'x-high', 'default'];
+const VOLUME_KEYWORDS = ['silent', 'x-soft', 'soft', 'medium', 'loud', 'x-loud', 'default'];
+const BREAK_STRENGTHS = ['none', 'x-weak', 'weak', 'medium', 'strong', 'x-strong'];
+const EMPHASIS_LEVELS = ['reduced', 'none', 'moderate', 'strong'];
+const MAX_BREAK_MS = 5000;
+
+// $1,234.56 / $30 / $0.00
+const CURRENCY_PATTERN = /\$\s?\d{1,3}(?:,\d{3})*(?:\.\d{1,2})?(?!\d)|\$\s?\d+(?:\.\d{1,2})?(?!\d)/g;
+
+/**
+ * Option names understood by buildSSML (used to forward only SSML options to the API server)
+ */
+export const SSML_OPTION_KEYS = [
+  'voice', 'language', 'rate', 'pitch', 'volume',
+  'pauseBefore', 'pauseAfter', 'emphasis', 'emphasisLevel', 'sayAsCurrency'
+];
+
+/**
+ * Escapes text for use in XML content or attribute values
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export const escapeXml = (text) => {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+/**
+ * Validates an Azure voice name (e.g. en-US-AriaNeural, en-US-Ava:DragonHDLatestNeural)
+ */
+const validateVoice = (voice) => {
+  if (typeof voice !== 'string' || !/^[A-Za-z]{2,3}(-[A-Za-z0-9]+)+(:[A-Za-z0-9]+)?$/.test(voice)) {
+    throw new Error(`Invalid SSML voice name: "${voice}"`);
+  }
+  return voice;
+};
+
+/**
+ * Validates a language tag (e.g. en-US)
+ */
+const validateLanguage = (language) => {
+  if (typeof language !== 'string' || !/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(language)) {
+    throw new Error(`Invalid SSML language: "${language}"`);
+  }
+  return language;
+};
+
+/**
+ * Validates a prosody value against its keywords and allowed numeric formats
+ */
+const validateProsodyValue = (name, value, keywords, patterns) => {
+  const text = String(value).trim();
+  if (keywords.includes(text) || patterns.some(pattern => pattern.test(text))) {
+    return text;
+  }
+  throw new Error(`Invalid SSML prosody ${name}: "${value}". Use one of ${keywords.join(', ')} or a relative value like "+10%"`);
+};
+
+/**
+ * Validates and normalizes prosody settings
+ * @param {Object} prosody - { rate, pitch, volume }
+ * @returns {Object} Validated prosody values
+ */
+export const validateProsody = ({ rate = '0%', pitch = '0%', volume = '100%' } = {}) => {
+  return {
+    // +10%, -20%, 0%, or a multiplier like 1.2
+    rate: validateProsodyValue('rate', rate, RATE_KEYWORDS, [/^[+-]?\d{1,3}(\.\d+)?%$/, /^\d(\.\d+)?$/]),
+    // +10%, -5st, +50Hz
+    pitch: validateProsodyValue('pitch', pitch, PITCH_KEYWORDS, [/^[+-]?\d{1,3}(\.\d+)?%$/, /^[+-]?\d{1,2}(\.\d+)?st$/, /^[+-]?\d{1,4}(\.\d+)?Hz$/]),
+    // 0-100 absolute, 100%, or relative +10%
+    volume: validateProsodyValue('volume', volume, VOLUME_KEYWORDS, [/^[+-]?\d{1,3}(\.\d+)?%$/, /^(100|\d{1,2})(\.\d+)?$/])
+  };
+};
+
+/**
+ * Builds a <break> element from milliseconds or a strength keyword
+ * @param {number|string} pause - Pause length in ms, "500ms"/"1s", or a strength (e.g. "strong")
+ * @returns {string} Break element, or '' for no pause
+ */
+export const buildBreak = (pause) => {
+  if (pause === undefined || pause === null || pause === 0 || pause === '') return '';
+  // NaN or Infinity (e.g. a pause computed from a missing duration) would become time="NaNms", which Azure rejects
+  if (typeof pause === 'number' && !Number.isFinite(pause)) return '';
+
+  if (typeof pause === 'string' && BREAK_STRENGTHS.includes(pause)) {
+    return `<break strength="${pause}"/>`;
+  }
+
+  const match = typeof pause === 'number' ? [null, String(pause), 'ms'] : String(pause).trim().match(/^(\d+(?:\.\d+)?)(ms|s)?$/);
+  if (!match) {
+    throw new Error(`Invalid SSML break: "${pause}". Use milliseconds or one of ${BREAK_STRENGTHS.join(', ')}`);
+  }
+
+  const milliseconds = Math.round(Number(match[1]) * (match[2] === 's' ? 1000 : 1));
+  if (milliseconds < 0 || milliseconds > MAX_BREAK_MS) {
+    throw new Error(`Invalid SSML break: ${milliseconds}ms is outside 0-${MAX_BREAK_MS}ms`);
+  }
+
+  return milliseconds === 0 ? '' : `<break time="${milliseconds}ms"/>`;
+};
+
+/**
+ * Finds non-overlapping ranges to wrap in emphasis/say-as markup
+ */
+const findMarkupRanges = (text, { emphasis = [], sayAsCurrency = true }) => {
+  const ranges = [];
+  const lowerText = text.toLowerCase();
+
+  emphasis
+    .filter(phrase => typeof phrase === 'string' && phrase.trim() !== '')
+    .forEach(phrase => {
+      const needle = phrase.trim().toLowerCase();
+      let index = lowerText.indexOf(needle);
+      while (index !== -1) {
+        ranges.push({ start: index, end: index + needle.length, type: 'emphasis' });
+        index = lowerText.indexOf(needle, index + needle.length);
+      }
+    });
+
+  if (sayAsCurrency) {
+    for (const match of text.matchAll(CURRENCY_PATTERN)) {
+      ranges.push({ start: match.index, end: match.index + match[0].length, type: 'currency' });
+    }
+  }
+
+  // Earliest first, longer wins on ties; drop anything overlapping an accepted range
+  ranges.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const accepted = [];
+  ranges.forEach(range => {
+    const previous = accepted[accepted.length - 1];
+    if (!previous || range.start >= previous.end) {
+      accepted.push(range);
+    }
+  });
+  return accepted;
+};
+
+/**
+ * Escapes narration text and adds emphasis/currency markup
+ * @param {string} text - Plain narration text (may contain &, <, > etc.)
+ * @param {Object} options - { emphasis: string[], emphasisLevel, sayAsCurrency }
+ * @returns {string} SSML-safe inner content
+ */
+export const buildSpeechContent = (text, options = {}) => {
+  const { emphasisLevel = 'moderate', sayAsCurrency = true } = options;
+  const emphasis = Array.isArray(options.emphasis) ? options.emphasis : [options.emphasis].filter(Boolean);
+
+  if (!EMPHASIS_LEVELS.includes(emphasisLevel)) {
+    throw new Error(`Invalid SSML emphasis level: "${emphasisLevel}". Use one of ${EMPHASIS_LEVELS.join(', ')}`);
+  }
+
+  const source = String(text ?? '');
+  const ranges = findMarkupRanges(source, { emphasis, sayAsCurrency });
+
+  let content = '';
+  let cursor = 0;
+  ranges.forEach(range => {
+    content += escapeXml(source.slice(cursor, range.start));
+    const segment = escapeXml(source.slice(range.start, range.end));
+    content += range.type === 'emphasis'
+      ? `<emphasis level="${emphasisLevel}">${segment}</emphasis>`
+      : `<say-as interpret-as="currency">${segment.replace(/\s+/g, '')}</say-as>`;
+    cursor = range.end;
+  });
+  content += escapeXml(source.slice(cursor));
+
+  return content;
+};
+
+/**
+ * Validates SSML options without building a document
+ * @param {Object} options - buildSSML options
+ * @throws {Error} When a value is invalid
+ */
+export const validateSSMLOptions = (options = {}) => {
+  buildSSML('', options);
+};
+
+/**
+ * Builds a complete SSML document
+ * @param {string} text - Plain narration text
+ * @param {Object} options - SSML options
+ * @param {string} options.voice - Azure voice name (default: en-US-AriaNeural)
+ * @param {string} options.language - Document language (default: en-US)
+ * @param {string} options.rate - Prosody rate (e.g. "0%", "-10%", "slow")
+ * @param {string} options.pitch - Prosody pitch (e.g. "0%", "+2st", "high")
+ * @param {string} options.volume - Prosody volume (e.g. "100%", "80", "loud")
+ * @param {number|string} options.pauseBefore - Break before the text (ms or strength)
+ * @param {number|string} options.pauseAfter - Break after the text (ms or strength)
+ * @param {string[]} options.emphasis - Phrases to emphasize
+ * @param {string} options.emphasisLevel - reduced, none, moderate or strong
+ * @param {boolean} options.sayAsCurrency - Read dollar amounts as currency (default: true)
+ * @returns {string} SSML document
+ */
+export const buildSSML = (text, options = {}) => {
+  const {
+    voice = 'en-US-AriaNeural',
+    language = 'en-US',
+    pauseBefore,
+    pauseAfter
+  } = options;
+
+  const prosody = validateProsody(options);
+  const content = buildSpeechContent(text, options);
+
+  return [
+    `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="${validateLanguage(language)}">`,
+    `<voice name="${validateVoice(voice)}">`,
+    `<prosody rate="${prosody.rate}" pitch="${prosody.pitch}" volume="${prosody.volume}">`,
+    `${buildBreak(pauseBefore)}${content}${buildBreak(pauseAfter)}`,
+    '</prosody>',
+    '</voice>',
+    '</speak>'
+  ].join('');
+};
+
+/**
+ * Reads SSML options from narrative step metadata
+ * @param {Object} step - Narrative step with optional `speech` metadata
+ *   ({ pauseBefore, pauseAfter, emphasis, emphasisLevel, sayAsCurrency, rate, pitch, volume })
+ * @returns {Object} Valid options for buildSSML
+ */
+export const getStepSSMLOptions = (step = {}) => {
+  const speech = step.speech || {};
+  const options = {};
+
+  // Metadata comes from GPT output, so skip invalid values instead of failing the step
+  ['pauseBefore', 'pauseAfter', 'emphasis', 'emphasisLevel', 'sayAsCurrency', 'rate', 'pitch', 'volume'].forEach(key => {
+    if (speech[key] === undefined) return;
+    try {
+      validateSSMLOptions({ [key]: speech[key] });
+      options[key] = speech[key];
+    } catch (error) {
+      console.warn(`⚠️ Ignoring speech metadata for step ${step.stepNumber}: ${error.message}`);
+    }
+  });
+
+  // Very important steps (e.g. what the patient owes) get a short pause to let them land
+  if (options.pauseAfter === undefined && (step.importance || 0) >= 0.9) {
+    options.pauseAfter = 400;
+  }
+
+  return options;
+};
+
+/**
+ * Keeps only the options buildSSML understands
+ * @param {Object} options - Any TTS options
+ * @returns {Object} SSML options
+ */
+export const pickSSMLOptions = (options = {}) => {
+  return SSML_OPTION_KEYS.reduce((picked, key) => {
+    if (options[key] !== undefined) picked[key] = options[key];
+    return picked;
+  }, {});
+};
+
+export default {
+  SSML_OPTION_KEYS,
+  escapeXml,
+  validateProsody,
+  buildBreak,
+  buildSpeechContent,
+  validateSSMLOptions,
+  buildSSML,
+  getStepSSMLOptions,
+  pickSSMLOptions
+};
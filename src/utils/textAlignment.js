@@ -0,0 +1,492 @@
+/**
+ * Text Alignment
+ * Locates GPT `highlightText` on the page by joining pdf.js text items into lines and
+ * blocks and searching the continuous page text by character offsets, so a highlight
+ * can cover part of one item or run across several items and lines.
+ *
+ * Text item coordinates are PDF points at scale 1 with a top-left origin
+ * (as produced by convertPDFToHTML): { id, pageNumber, x, y, width, height, text }.
+ */
+
+import { estimateTextWidth, measureCharacterRange } from './textMeasurement.js';
+
+export const MIN_CONFIDENCE = 0.5; // Below this a step is left for review instead of highlighted
+export const REVIEW_CONFIDENCE = 0.8; // Matches below this are highlighted but should be checked by an operator
+
+const SAME_LINE_TOLERANCE = 0.5; // Fraction of the taller item's height between line centers
+const BLOCK_GAP = 1.0; // Line heights of vertical space allowed inside a block
+const FUZZY_CONFIDENCE = 0.9; // Best possible score for a fuzzy (non-exact) match
+const WINDOW_SLACK = 2; // Extra/missing words tolerated in a fuzzy match
+
+/**
+ * Normalizes text for matching (lowercase, punctuation to spaces, collapsed whitespace)
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export const normalizeText = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Normalizes text like normalizeText while keeping where each character came from
+ * @param {string} text - Raw text
+ * @returns {Object} { text, offsets } where offsets[i] is the raw index of normalized character i
+ */
+export const normalizeWithOffsets = (text) => {
+  let normalized = '';
+  const offsets = [];
+
+  for (let index = 0; index < text.length; index++) {
+    for (const char of text[index].toLowerCase()) {
+      const mapped = /\w/.test(char) ? char : ' ';
+      // Collapse whitespace and skip it at the start
+      if (mapped === ' ' && (normalized === '' || normalized.endsWith(' '))) continue;
+      normalized += mapped;
+      offsets.push(index);
+    }
+  }
+
+  if (normalized.endsWith(' ')) {
+    normalized = normalized.slice(0, -1);
+    offsets.pop();
+  }
+
+  return { text: normalized, offsets };
+};
+
+const unionBox = (boxes) => {
+  const minX = Math.min(...boxes.map(box => box.x));
+  const minY = Math.min(...boxes.map(box => box.y));
+  const maxX = Math.max(...boxes.map(box => box.x + box.width));
+  const maxY = Math.max(...boxes.map(box => box.y + box.height));
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+};
+
+/**
+ * Groups a page's items into lines (top to bottom, items left to right)
+ */
+const groupLines = (items) => {
+  const sorted = [...items].sort((a, b) => (a.y + a.height / 2) - (b.y + b.height / 2) || a.x - b.x);
+  const lines = [];
+
+  sorted.forEach(item => {
+    const center = item.y + item.height / 2;
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(center - line.center) <= Math.max(line.height, item.height) * SAME_LINE_TOLERANCE) {
+      line.items.push(item);
+      line.height = Math.max(line.height, item.height);
+    } else {
+      lines.push({ items: [item], center, height: item.height });
+    }
+  });
+
+  return lines.map((line, index) => {
+    const lineItems = line.items.sort((a, b) => a.x - b.x);
+    return { index, items: lineItems, ...unionBox(lineItems) };
+  });
+};
+
+/**
+ * Groups consecutive lines into blocks (paragraphs, table rows) separated by larger gaps
+ */
+const groupBlocks = (lines) => {
+  const blocks = [];
+
+  lines.forEach(line => {
+    const block = blocks[blocks.length - 1];
+    const previous = block && block.lines[block.lines.length - 1];
+    const gap = previous ? line.y - (previous.y + previous.height) : Infinity;
+    const overlaps = previous && line.x < previous.x + previous.width && previous.x < line.x + line.width;
+
+    if (previous && overlaps && gap <= previous.height * BLOCK_GAP) {
+      block.lines.push(line);
+    } else {
+      blocks.push({ index: blocks.length, lines: [line] });
+    }
+  });
+
+  return blocks.map(block => ({ ...block, ...unionBox(block.lines) }));
+};
+
+/**
+ * Builds the searchable text of every page
+ * @param {Array} elements - Text items ({ id, pageNumber, x, y, width, height, text })
+ * @param {Object} options - { measureText: (text) => width, e.g. createTextMeasurer (default: estimateTextWidth) }
+ * @returns {Array} Pages [{ pageNumber, text, normalized, lines, blocks, itemRanges, measureText, ... }]
+ */
+export const buildTextIndex = (elements = [], options = {}) => {
+  const { measureText = estimateTextWidth } = options;
+  const byPage = new Map();
+  elements
+    .filter(element => element.text && element.text.trim() !== '' && element.width > 0 && element.height > 0)
+    .forEach(element => {
+      const pageNumber = element.pageNumber || 1;
+      if (!byPage.has(pageNumber)) byPage.set(pageNumber, []);
+      byPage.get(pageNumber).push({ ...element, pageNumber });
+    });
+
+  return [...byPage.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([pageNumber, items]) => {
+      const lines = groupLines(items);
+      const blocks = groupBlocks(lines);
+      const itemRanges = []; // { item, line, block, start, end } in raw page text
+      let text = '';
+
+      blocks.forEach((block, blockIndex) => {
+        if (blockIndex > 0) text += '\n\n';
+        block.lines.forEach((line, lineIndex) => {
+          if (lineIndex > 0) text += '\n';
+          line.items.forEach((item, itemIndex) => {
+            if (itemIndex > 0) text += ' ';
+            itemRanges.push({ item, line: line.index, block: block.index, start: text.length, end: text.length + item.text.length });
+            text += item.text;
+          });
+        });
+      });
+
+      const { text: normalized, offsets } = normalizeWithOffsets(text);
+      const words = [...normalized.matchAll(/\S+/g)].map(match => ({
+        word: match[0],
+        start: match.index,
+        end: match.index + match[0].length
+      }));
+
+      return { pageNumber, text, normalized, offsets, words, lines, blocks, itemRanges, measureText };
+    });
+};
+
+/**
+ * Turns a normalized character range of a page into a span with item rectangles
+ */
+const createSpan = (page, start, end, confidence, exact) => {
+  const rawStart = page.offsets[start];
+  const rawEnd = page.offsets[end - 1] + 1;
+  const ranges = page.itemRanges.filter(range => range.start < rawEnd && range.end > rawStart);
+
+  // Rectangle for the covered characters of each item, placed by glyph width like identifier masks
+  const itemRects = ranges.map(range => {
+    const { item } = range;
+    const from = Math.max(rawStart, range.start) - range.start;
+    const to = Math.min(rawEnd, range.end) - range.start;
+    const { left, right } = measureCharacterRange(item, from, to, page.measureText);
+    return {
+      line: range.line,
+      x: left,
+      y: item.y,
+      width: right - left,
+      height: item.height
+    };
+  });
+
+  const lineIndexes = [...new Set(ranges.map(range => range.line))];
+  const rects = lineIndexes.map(line => unionBox(itemRects.filter(rect => rect.line === line)));
+
+  return {
+    pageNumber: page.pageNumber,
+    charStart: rawStart,
+    charEnd: rawEnd,
+    text: page.text.slice(rawStart, rawEnd).replace(/\s+/g, ' '),
+    items: ranges.map(range => range.item),
+    lines: lineIndexes,
+    blocks: [...new Set(ranges.map(range => range.block))],
+    rects,
+    bbox: unionBox(rects),
+    confidence,
+    exact
+  };
+};
+
+const isWordBoundary = (text, start, end) => {
+  return (start === 0 || text[start - 1] === ' ') && (end === text.length || text[end] === ' ');
+};
+
+/**
+ * Exact occurrences of the normalized query; whole-word matches score 1, partial ones less
+ */
+const findExactMatches = (page, query) => {
+  const matches = [];
+  let index = page.normalized.indexOf(query);
+  while (index !== -1) {
+    const confidence = isWordBoundary(page.normalized, index, index + query.length) ? 1 : 0.95;
+    matches.push({ start: index, end: index + query.length, confidence, exact: true });
+    index = page.normalized.indexOf(query, index + 1);
+  }
+  return matches;
+};
+
+/**
+ * Levenshtein distance of at most one (OCR slips, plurals)
+ */
+const isNearWord = (a, b) => {
+  if (a === b) return true;
+  if (Math.min(a.length, b.length) < 5 || Math.abs(a.length - b.length) > 1) return false;
+
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+};
+
+/**
+ * Best window of page words for the query words (word overlap, trimmed to the matched words)
+ */
+const findFuzzyMatch = (page, queryWords) => {
+  const { words } = page;
+  const count = queryWords.length;
+  let best = null;
+
+  for (let size = Math.max(1, count - WINDOW_SLACK); size <= count + WINDOW_SLACK; size++) {
+    for (let first = 0; first + size <= words.length; first++) {
+      const window = words.slice(first, first + size);
+      const used = new Set();
+      queryWords.forEach(queryWord => {
+        const index = window.findIndex((candidate, i) => !used.has(i) && isNearWord(queryWord, candidate.word));
+        if (index !== -1) used.add(index);
+      });
+      if (used.size === 0) continue;
+
+      const score = used.size / Math.max(count, size);
+      if (!best || score > best.score) {
+        const matched = [...used].sort((a, b) => a - b);
+        best = {
+          score,
+          start: window[matched[0]].start,
+          end: window[matched[matched.length - 1]].end
+        };
+      }
+    }
+  }
+
+  return best && { start: best.start, end: best.end, confidence: best.score * FUZZY_CONFIDENCE, exact: false };
+};
+
+const overlapsUsed = (used, pageNumber, start, end) => {
+  return (used.get(pageNumber) || []).some(range => range.start < end && start < range.end);
+};
+
+/**
+ * Finds the best span for a piece of text
+ * @param {Array} index - Pages from buildTextIndex
+ * @param {string} text - Text to locate (e.g. a step's highlightText)
+ * @param {Object} options - { pageNumber: preferred/only page, strictPage: search only that page, used: Map of page → raw character ranges already highlighted }
+ * @returns {Object|null} Span { pageNumber, charStart, charEnd, text, items, lines, blocks, rects, bbox, confidence, exact }
+ */
+export const findTextSpan = (index, text, options = {}) => {
+  const { pageNumber, strictPage = false, used = new Map() } = options;
+  const query = normalizeText(text);
+  if (!query) return null;
+
+  const queryWords = query.split(' ');
+  const pages = index.filter(page => !strictPage || pageNumber === undefined || page.pageNumber === pageNumber);
+
+  const candidates = pages.flatMap(page => {
+    const exact = findExactMatches(page, query);
+    const matches = exact.length > 0 ? exact : [findFuzzyMatch(page, queryWords)].filter(Boolean);
+    return matches.map(match => ({
+      ...match,
+      page,
+      fresh: !overlapsUsed(used, page.pageNumber, page.offsets[match.start], page.offsets[match.end - 1] + 1),
+      preferred: page.pageNumber === pageNumber
+    }));
+  });
+
+  // Highest confidence first, then text not highlighted by an earlier step, then the step's own page
+  candidates.sort((a, b) => (b.confidence - a.confidence) || (b.fresh - a.fresh) || (b.preferred - a.preferred));
+
+  const best = candidates[0];
+  return best ? createSpan(best.page, best.start, best.end, best.confidence, best.exact) : null;
+};
+
+/**
+ * Locates the page regions a step's focus cues move the view to
+ */
+const resolveFocusCues = (index, step, pageNumber) => {
+  if (!Array.isArray(step.focusCues)) return [];
+
+  return step.focusCues
+    .filter(cue => cue && cue.atText && cue.highlightText)
+    .map(cue => {
+      const span = findTextSpan(index, cue.highlightText, { pageNumber, strictPage: true });
+      if (!span || span.confidence < MIN_CONFIDENCE) {
+        console.log(`⚠️ Focus cue "${cue.highlightText}" not found on page ${pageNumber}`);
+        return null;
+      }
+
+      return {
+        atText: cue.atText,
+        text: span.text,
+        pageNumber,
+        ...span.bbox
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Aligns narration steps with the page text they talk about
+ * @param {Array} elements - Text items ({ id, pageNumber, x, y, width, height, text, fontSize, fontFamily })
+ * @param {Array} steps - Narrative steps ({ highlightText, narrative, pageNumber, focusCues, highlightType, transitionType })
+ * @param {Object} options - { minConfidence (default: MIN_CONFIDENCE), measureText (see buildTextIndex) }
+ * @returns {Array} Highlights [{ id, step, pageNumber, x, y, width, height, text, rects, span, confidence, elements, focusCues, highlightType, transitionType, needsReview? }]
+ *   Steps with no match need review and are unplaced: x, y, width and height are null (see isHighlightPlaced)
+ */
+export const alignNarrationSteps = (elements = [], steps = [], options = {}) => {
+  const { minConfidence = MIN_CONFIDENCE, measureText } = options;
+  if (!steps || steps.length === 0) {
+    console.log('⚠️ No narration steps provided');
+    return [];
+  }
+
+  const index = buildTextIndex(elements, { measureText });
+  const used = new Map(); // pageNumber → raw character ranges already highlighted
+
+  return steps.map((step, stepIndex) => {
+    const stepText = step.highlightText || step.narrative || '';
+    const span = findTextSpan(index, stepText, { pageNumber: step.pageNumber, used });
+
+    if (!span || span.confidence < minConfidence) {
+      // Nothing on the page matched, so there is no box to highlight until a reviewer draws one
+      const pageNumber = step.pageNumber || 1;
+      return {
+        id: `needs-review-${stepIndex}`,
+        step: stepIndex + 1,
+        pageNumber,
+        x: null,
+        y: null,
+        width: null,
+        height: null,
+        text: stepText,
+        narrationText: stepText,
+        narrative: step.narrative,
+        fontSize: 12,
+        fontFamily: 'Arial',
+        isMerged: false,
+        elements: [],
+        rects: [],
+        span: null,
+        confidence: span ? span.confidence : 0,
+        focusCues: resolveFocusCues(index, step, pageNumber),
+        highlightType: step.highlightType,
+        transitionType: step.transitionType,
+        needsReview: true
+      };
+    }
+
+    used.set(span.pageNumber, [...(used.get(span.pageNumber) || []), { start: span.charStart, end: span.charEnd }]);
+
+    return {
+      id: `highlight-${stepIndex}`,
+      step: stepIndex + 1,
+      pageNumber: span.pageNumber,
+      ...span.bbox,
+      text: span.text,
+      narrationText: stepText,
+      narrative: step.narrative,
+      fontSize: Math.max(...span.items.map(item => item.fontSize || item.height)),
+      fontFamily: span.items[0].fontFamily,
+      isMerged: span.items.length > 1,
+      elements: span.items,
+      rects: span.rects,
+      span,
+      confidence: span.confidence,
+      focusCues: resolveFocusCues(index, step, span.pageNumber),
+      highlightType: step.highlightType,
+      transitionType: step.transitionType
+    };
+  });
+};
+
+/**
+ * Whether a highlight has a box on the page (unmatched steps have none until they are reviewed)
+ * @param {Object} highlight - Highlight from alignNarrationSteps
+ * @returns {boolean} True when x, y, width and height are numbers
+ */
+export const isHighlightPlaced = (highlight) => Boolean(highlight) &&
+  ['x', 'y', 'width', 'height'].every(key => Number.isFinite(highlight[key]));
+
+/**
+ * Whether an operator should check a highlight before it is presented
+ * @param {Object} highlight - Highlight from alignNarrationSteps
+ * @returns {boolean} True for unmatched or low-confidence highlights that haven't been reviewed
+ */
+export const needsHighlightReview = (highlight) => {
+  if (!highlight || highlight.reviewed) return false;
+  return Boolean(highlight.needsReview) || (highlight.confidence ?? 1) < REVIEW_CONFIDENCE;
+};
+
+/**
+ * Replaces a highlight's region with one chosen by an operator
+ * @param {Object} highlight - Highlight from alignNarrationSteps
+ * @param {Object} correction - { pageNumber, box: { x, y, width, height } in page points, items: picked text items }
+ * @param {Array} elements - All text items, used to find the text inside a drawn box
+ * @returns {Object} Reviewed highlight (confidence 1, needsReview false)
+ */
+export const correctHighlight = (highlight, correction, elements = []) => {
+  const { items = [], pageNumber = highlight.pageNumber } = correction;
+  const box = items.length > 0 ? unionBox(items) : correction.box;
+  if (!box || box.width <= 0 || box.height <= 0) {
+    throw new Error(`Step ${highlight.step} needs a box or at least one text item`);
+  }
+
+  // Text items whose center falls inside the box, in reading order
+  const covered = items.length > 0 ? items : elements.filter(element => {
+    const centerX = element.x + element.width / 2;
+    const centerY = element.y + element.height / 2;
+    return (element.pageNumber || 1) === pageNumber && element.text && element.text.trim() !== '' &&
+      centerX >= box.x && centerX <= box.x + box.width &&
+      centerY >= box.y && centerY <= box.y + box.height;
+  });
+  const ordered = [...covered].sort((a, b) => (a.y - b.y) || (a.x - b.x));
+
+  return {
+    ...highlight,
+    id: `highlight-${highlight.step - 1}`,
+    pageNumber,
+    x: box.x,
+    y: box.y,
+    width: box.width,
+    height: box.height,
+    text: ordered.length > 0 ? ordered.map(item => item.text).join(' ') : highlight.text,
+    fontSize: ordered.length > 0 ? Math.max(...ordered.map(item => item.fontSize || item.height)) : highlight.fontSize,
+    fontFamily: ordered.length > 0 ? ordered[0].fontFamily : highlight.fontFamily,
+    isMerged: ordered.length > 1,
+    elements: ordered,
+    rects: [{ x: box.x, y: box.y, width: box.width, height: box.height }],
+    span: null,
+    confidence: 1,
+    needsReview: false,
+    reviewed: true
+  };
+};
+
+export default {
+  MIN_CONFIDENCE,
+  REVIEW_CONFIDENCE,
+  normalizeText,
+  normalizeWithOffsets,
+  buildTextIndex,
+  findTextSpan,
+  alignNarrationSteps,
+  isHighlightPlaced,
+  needsHighlightReview,
+  correctHighlight
+};
@@ -0,0 +1,58 @@
+/**
+ * Text Measurement
+ * Places character ranges inside pdf.js text items by glyph width, so masks and highlights
+ * cover the characters where pdf.js drew them rather than at equal steps.
+ *
+ * A measurer is any (text) => width function; only ratios of its widths are used, so its
+ * font size does not matter.
+ */
+
+// Approximate Helvetica advance widths (em) for when no canvas is at hand to measure with
+const NARROW = /[ .,:;'|!iljtfI()[\]/-]/;
+const WIDE = /[mwMW@%]/;
+const estimateCharWidth = (char) => {
+  if (NARROW.test(char)) return 0.28;
+  if (WIDE.test(char)) return 0.85;
+  if (/[A-Z]/.test(char)) return 0.68;
+  return 0.56;
+};
+
+/**
+ * Estimates the width of a text in em, from approximate Helvetica character widths
+ * @param {string} text - Text to measure
+ * @returns {number} Width in em
+ */
+export const estimateTextWidth = (text) => [...text].reduce((width, char) => width + estimateCharWidth(char), 0);
+
+/**
+ * Text measurer backed by a canvas context, for the real glyph widths
+ * @param {CanvasRenderingContext2D} context - Any 2D context (a DOM canvas or an @napi-rs/canvas one)
+ * @param {string} font - CSS font to measure with
+ * @returns {Function} (text) => width
+ */
+export const createTextMeasurer = (context, font = '16px Helvetica, Arial, sans-serif') => (text) => {
+  context.font = font;
+  return context.measureText(text).width;
+};
+
+/**
+ * Horizontal extent of characters [start, end) of a text item
+ * @param {Object} item - Text item ({ x, width, text })
+ * @param {number} start - First character
+ * @param {number} end - Character after the last
+ * @param {Function} measureText - Measurer (default: estimateTextWidth)
+ * @returns {Object} { left, right } in the item's coordinates
+ */
+export const measureCharacterRange = (item, start, end, measureText = estimateTextWidth) => {
+  const fullWidth = measureText(item.text) || 1;
+  return {
+    left: item.x + (item.width * measureText(item.text.slice(0, start))) / fullWidth,
+    right: item.x + (item.width * measureText(item.text.slice(0, end))) / fullWidth
+  };
+};
+
+export default {
+  estimateTextWidth,
+  createTextMeasurer,
+  measureCharacterRange
+};
@@ -0,0 +1,72 @@
+/**
+ * Video Layout
+ * Where the camera frames highlights and where the caption, progress and summary overlays sit
+ * for each output format. Captions sit in the lower part of the frame (in portrait and square clear
+ * of the areas mobile apps cover with their own UI) and highlights are framed in the space left
+ * above them.
+ */
+
+/**
+ * Classifies a video size as one of APP_CONFIG.VIDEO.FORMATS
+ * @param {Object} videoSize - { width, height }
+ * @returns {string} 'landscape', 'portrait' or 'square'
+ */
+export const getVideoFormat = ({ width, height }) => {
+  const ratio = width / height;
+  if (ratio > 1.1) return 'landscape';
+  if (ratio < 0.9) return 'portrait';
+  return 'square';
+};
+
+/**
+ * Lays out the frame for a video size
+ * @param {Object} videoSize - { width, height }
+ * @returns {Object} {
+ *   format,
+ *   cameraViewport: { x, y, width, height } region highlights are framed into,
+ *   captionStyle, progressStyle, summaryStyle: absolute-position styles for the overlays,
+ *   fontSize: { caption, progress, summary }
+ * }
+ */
+export const getFrameLayout = ({ width, height }) => {
+  const format = getVideoFormat({ width, height });
+  // Sizes are designed for a 1080 pixel short side and scale with it
+  const unit = Math.min(width, height) / 1080;
+
+  if (format === 'portrait') {
+    // Top 8% and bottom 14% are under the app's header, buttons and description
+    return {
+      format,
+      cameraViewport: { x: width * 0.04, y: height * 0.08, width: width * 0.92, height: height * 0.5 },
+      captionStyle: { left: width * 0.06, right: width * 0.06, bottom: height * 0.2, textAlign: 'center' },
+      progressStyle: { left: width * 0.06, right: width * 0.06, bottom: height * 0.15 },
+      summaryStyle: { left: width * 0.06, right: width * 0.06, top: height * 0.12 },
+      fontSize: { caption: 44 * unit, progress: 28 * unit, summary: 40 * unit }
+    };
+  }
+
+  if (format === 'square') {
+    return {
+      format,
+      cameraViewport: { x: width * 0.04, y: height * 0.04, width: width * 0.92, height: height * 0.62 },
+      captionStyle: { left: width * 0.05, right: width * 0.05, bottom: height * 0.1, textAlign: 'center' },
+      progressStyle: { left: width * 0.05, right: width * 0.05, bottom: height * 0.03 },
+      summaryStyle: { left: width * 0.15, right: width * 0.15, top: height * 0.1 },
+      fontSize: { caption: 34 * unit, progress: 20 * unit, summary: 30 * unit }
+    };
+  }
+
+  return {
+    format,
+    cameraViewport: { x: 0, y: 0, width, height: height * 0.78 },
+    captionStyle: { left: width * 0.12, right: width * 0.12, bottom: height * 0.1, textAlign: 'center' },
+    progressStyle: { left: 20 * unit, right: 20 * unit, bottom: 20 * unit },
+    summaryStyle: { left: width * 0.3, right: width * 0.3, top: height * 0.15 },
+    fontSize: { caption: 36 * unit, progress: 14 * unit, summary: 24 * unit }
+  };
+};
+
+export default {
+  getVideoFormat,
+  getFrameLayout
+};
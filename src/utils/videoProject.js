@@ -0,0 +1,108 @@
+import { APP_CONFIG } from './constants.js';
+import { layoutNarrationSteps, createNarrationMappings } from './narrationTimeline.js';
+import { createCaptionCuesFromAudio } from './captions.js';
+import { resolveHighlightType } from './highlightStyles.js';
+import { resolveTransitionType } from './cameraTransitions.js';
+import { isHighlightPlaced } from './textAlignment.js';
+
+/**
+ * Video Project
+ * Builds the Remotion project file (the --props file of `npm run video`) for a guided presentation:
+ * page images with one element per highlight, a segment per narration step carrying its own
+ * audio clip, caption cues, and the EOB summary for the closing card. Steps are laid out back to back from their
+ * measured audio durations, so the camera, the highlights and the voice-over stay in sync.
+ */
+
+const DEFAULT_ZOOM_LEVEL = 2.0;
+
+/**
+ * Azure TTS returns MP3; offline speech is WAV ("RIFF" header)
+ */
+const audioToDataUrl = (audioData) => {
+  const bytes = new Uint8Array(audioData);
+  const isWav = bytes[0] === 0x52 && bytes[1] === 0x49 && bytes[2] === 0x46 && bytes[3] === 0x46;
+  let binary = '';
+  const chunkSize = 8192;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return `data:${isWav ? 'audio/wav' : 'audio/mpeg'};base64,${btoa(binary)}`;
+};
+
+/**
+ * Page images stacked and centered, each placed highlight an empty element with the id the segments point at
+ * (the same highlight-<step index> ids as the standalone presentation)
+ */
+const createPagesHTML = (highlights, pageImages) => `
+<div style="display: flex; flex-direction: column; align-items: center; gap: 24px; padding: 24px 0;">
+  ${pageImages.map(pageImage => `
+  <div style="position: relative; width: ${pageImage.width}px; height: ${pageImage.height}px; box-shadow: 0 2px 12px rgba(0, 0, 0, 0.15);">
+    <img src="${pageImage.imageDataUrl}" alt="Page ${pageImage.pageNumber}" style="display: block; width: 100%; height: 100%;" />
+    ${highlights.filter(highlight => isHighlightPlaced(highlight) && (highlight.pageNumber || 1) === pageImage.pageNumber).map(highlight => `
+    <div id="highlight-${highlight.step - 1}" style="position: absolute; left: ${highlight.x}px; top: ${highlight.y}px; width: ${highlight.width}px; height: ${highlight.height}px;"></div>`).join('')}
+  </div>`).join('')}
+</div>`;
+
+/**
+ * Creates the video project for a presentation
+ * @param {Array} highlights - Highlights from alignNarrationSteps (page points at the page image scale)
+ * @param {Array} pageImages - [{ pageNumber, imageDataUrl, width, height }]
+ * @param {Object} narrative - Narrative script (eobSummary, reconciliation)
+ * @param {Object} audio - Narrative audio result (audioSteps with audioData and measured audioDuration)
+ * @param {Object} options - { fps, pauseBetweenSteps, zoomLevel }
+ * @returns {Object} { htmlContent, segments, narrationMappings, captions, totalDuration, eobSummary, flaggedFields, metadata }
+ *   segments: [{ id, text, elementId, zoomLevel, highlightType, transitionType, startTime, endTime, duration, audioUrl }]
+ */
+export const createVideoProject = (highlights, pageImages, narrative, audio, options = {}) => {
+  const {
+    fps = APP_CONFIG.VIDEO.DEFAULT_FPS,
+    pauseBetweenSteps,
+    zoomLevel = DEFAULT_ZOOM_LEVEL
+  } = options;
+
+  const steps = audio?.audioSteps || [];
+  const timing = layoutNarrationSteps(
+    steps.map(step => step.audioDuration ?? step.duration),
+    { pauseBetweenSteps }
+  );
+
+  const segments = steps.map((step, index) => {
+    const stepNumber = step.stepNumber ?? index + 1;
+    const highlight = highlights.find(candidate => candidate.step === stepNumber);
+
+    return {
+      id: `segment-${index}`,
+      text: step.text,
+      // Steps without a box on the page show the whole page
+      elementId: isHighlightPlaced(highlight) ? `highlight-${stepNumber - 1}` : null,
+      zoomLevel,
+      highlightType: resolveHighlightType(highlight?.highlightType),
+      transitionType: resolveTransitionType(highlight?.transitionType),
+      ...timing[index],
+      audioUrl: step.success && step.audioData ? audioToDataUrl(step.audioData) : null
+    };
+  });
+
+  const totalDuration = timing.length > 0 ? timing[timing.length - 1].endTime : 0;
+
+  return {
+    htmlContent: createPagesHTML(highlights, pageImages),
+    segments,
+    narrationMappings: createNarrationMappings(segments, fps),
+    captions: createCaptionCuesFromAudio(audio, { pauseBetweenSteps }),
+    totalDuration,
+    eobSummary: narrative?.eobSummary || null,
+    // Amounts that don't add up or aren't in the document are marked on the summary card
+    flaggedFields: narrative?.reconciliation?.flaggedFields || [],
+    metadata: {
+      totalSegments: segments.length,
+      totalFrames: Math.ceil(totalDuration * fps),
+      fps,
+      generatedAt: new Date().toISOString()
+    }
+  };
+};
+
+export default {
+  createVideoProject
+};
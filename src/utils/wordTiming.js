@@ -0,0 +1,114 @@
+/**
+ * Word Timing Utilities
+ * Maps TTS word boundaries onto the narration text so players can highlight
+ * the spoken word and trigger focus cues partway through a step.
+ *
+ * Word timing shape: { text, start, end, charStart, charEnd } (seconds / character offsets)
+ */
+
+const TICKS_PER_SECOND = 10000000;
+
+/**
+ * Converts Speech SDK ticks (100ns) to seconds
+ * @param {number} ticks - Duration in ticks
+ * @returns {number} Seconds
+ */
+export const ticksToSeconds = (ticks) => (ticks || 0) / TICKS_PER_SECOND;
+
+/**
+ * Maps word boundaries onto the plain narration text.
+ * Boundary text offsets refer to the SSML document, so words are located in the
+ * narration by searching forward from the previous match instead.
+ * @param {string} text - Narration text that was synthesized
+ * @param {Array} boundaries - [{ text, start, end }] in seconds, in spoken order
+ * @returns {Array} Word timings with charStart/charEnd (null when the word can't be located)
+ */
+export const alignWordBoundaries = (text, boundaries = []) => {
+  const source = String(text || '');
+  const lowerSource = source.toLowerCase();
+  let cursor = 0;
+
+  return boundaries.map(boundary => {
+    const needle = String(boundary.text || '').toLowerCase();
+    const index = needle ? lowerSource.indexOf(needle, cursor) : -1;
+
+    // Don't jump far ahead on a miss (e.g. "$30.00" spoken as "thirty dollars")
+    if (index === -1 || index - cursor > 40) {
+      return { ...boundary, charStart: null, charEnd: null };
+    }
+
+    cursor = index + needle.length;
+    return { ...boundary, charStart: index, charEnd: index + needle.length };
+  });
+};
+
+/**
+ * Estimates word timings when no boundaries are available (e.g. mock TTS or old cache entries)
+ * @param {string} text - Narration text
+ * @param {number} duration - Audio duration in seconds
+ * @returns {Array} Word timings spread over the duration by word length
+ */
+export const estimateWordTimings = (text, duration) => {
+  const source = String(text || '');
+  const matches = [...source.matchAll(/\S+/g)];
+  if (matches.length === 0 || !duration) return [];
+
+  const totalWeight = matches.reduce((sum, match) => sum + match[0].length + 1, 0);
+  let elapsed = 0;
+
+  return matches.map(match => {
+    const length = ((match[0].length + 1) / totalWeight) * duration;
+    const word = {
+      text: match[0],
+      start: elapsed,
+      end: elapsed + length,
+      charStart: match.index,
+      charEnd: match.index + match[0].length,
+      estimated: true
+    };
+    elapsed += length;
+    return word;
+  });
+};
+
+/**
+ * Finds the word being spoken at a given time
+ * @param {Array} words - Word timings
+ * @param {number} time - Playback time in seconds
+ * @returns {number} Index of the current word, or -1 before the first word
+ */
+export const findWordIndexAtTime = (words = [], time) => {
+  let found = -1;
+  for (let index = 0; index < words.length; index++) {
+    if (words[index].start <= time) {
+      found = index;
+    } else {
+      break;
+    }
+  }
+  return found;
+};
+
+/**
+ * Finds when a phrase in the narration starts being spoken
+ * @param {Array} words - Word timings with character offsets
+ * @param {string} text - Narration text
+ * @param {string} phrase - Phrase from the narration (e.g. a focus cue's atText)
+ * @returns {number|null} Start time in seconds, or null when the phrase isn't spoken
+ */
+export const findPhraseStartTime = (words = [], text, phrase) => {
+  if (!phrase) return null;
+  const offset = String(text || '').toLowerCase().indexOf(String(phrase).toLowerCase());
+  if (offset === -1) return null;
+
+  const word = words.find(candidate => candidate.charStart !== null && candidate.charEnd > offset);
+  return word ? word.start : null;
+};
+
+export default {
+  ticksToSeconds,
+  alignWordBoundaries,
+  estimateWordTimings,
+  findWordIndexAtTime,
+  findPhraseStartTime
+};
@@ -0,0 +1,52 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import ContentCache, { MemoryCacheStore } from '../src/components/Services/ContentCache.js';
+import AzureTTSService from '../src/components/Services/AzureTTSService.js';
+
+const narrative = {
+  title: 'Understanding Your EOB',
+  steps: [
+    { stepNumber: 1, narrative: 'This is not a bill.', duration: 4 },
+    { stepNumber: 2, narrative: 'Your plan paid $110.00.', duration: 5 },
+    { stepNumber: 3, narrative: 'You may owe $40.00.', duration: 5, importance: 0.95 }
+  ]
+};
+
+// A service like the one each upload creates, with Azure Speech replaced by a counter
+const createService = (cache, options = {}) => {
+  const service = new AzureTTSService({ subscriptionKey: 'test-key', region: 'eastus', cache, ...options });
+  service.requests = [];
+  service.requestSpeech = async (ssml) => {
+    service.requests.push(ssml);
+    return { audioData: new ArrayBuffer(8), boundaries: [], audioDuration: 1.5 };
+  };
+  return service;
+};
+
+describe('AzureTTSService narrative voice', () => {
+  beforeEach(() => ['log', 'warn'].forEach(method => mock.method(console, method, () => {})));
+  afterEach(() => mock.restoreAll());
+
+  it('serves a second narrative run on a fresh service entirely from the cache', async () => {
+    const cache = new ContentCache({ store: new MemoryCacheStore() });
+    // Math.random would give each fresh service a different voice
+    mock.method(Math, 'random', () => 0.01);
+    const first = await createService(cache).generateNarrativeAudio(narrative);
+    mock.method(Math, 'random', () => 0.99);
+
+    const service = createService(cache);
+    const second = await service.generateNarrativeAudio(narrative);
+
+    assert.equal(first.cachedSteps, 0);
+    assert.equal(second.cachedSteps, narrative.steps.length);
+    assert.deepEqual(service.requests, []);
+    assert.equal(second.audioSteps[0].voice.name, first.audioSteps[0].voice.name);
+  });
+
+  it('uses the configured voice', async () => {
+    const service = createService(new ContentCache({ store: new MemoryCacheStore() }), { voice: 'en-GB-SoniaNeural' });
+    const audio = await service.generateNarrativeAudio(narrative);
+    assert.equal(audio.audioSteps[0].voice.name, 'en-GB-SoniaNeural');
+    assert.match(service.requests[0], /<voice name="en-GB-SoniaNeural">/);
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import OfflineNarrativeGenerator from '../src/components/Services/OfflineNarrativeGenerator.js';
+
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/eob-owed-labels.json', import.meta.url), 'utf8'));
+
+// Page text as extractPDFText gives it: one line per row of text items
+const toPageText = (items) => {
+  const rows = new Map();
+  items.forEach(item => rows.set(item.y, [...(rows.get(item.y) || []), item.text]));
+  return [...rows.values()].map(row => row.join(' ')).join('\n');
+};
+
+describe('OfflineNarrativeGenerator', () => {
+  ['patientOwes', 'amountDue'].forEach(name => {
+    it(`reads what the patient owes from the ${name} fixture`, async () => {
+      const items = fixtures[name];
+      const result = await new OfflineNarrativeGenerator().generateNarrativeScript(toPageText(items), items);
+
+      assert.equal(result.success, true);
+      assert.equal(result.narrative.eobSummary.patientOwes, '$40.00');
+      assert.equal(result.narrative.reconciliation.status, 'verified');
+      assert.ok(result.narrative.steps.some(step => step.title === 'What You May Owe'));
+    });
+  });
+});
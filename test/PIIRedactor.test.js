@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import PIIRedactor from '../src/components/Services/PIIRedactor.js';
+
+const createRedactor = () => new PIIRedactor({ enabled: true });
+
+describe('PIIRedactor', () => {
+  it('redacts labelled identifiers and restores them', () => {
+    const redactor = createRedactor();
+    const text = 'Member Name: Jane Doe Member ID: XJH123456 DOB: 01/15/1980';
+    const redacted = redactor.redact(text);
+    assert.equal(redacted, 'Member Name: [NAME_1] Member ID: [MEMBER_ID_1] DOB: [DOB_1]');
+    assert.equal(redactor.restore(redacted), text);
+  });
+
+  it('does not take a year for a policy number', () => {
+    const redactor = createRedactor();
+    const text = 'Policy No. 2024 Service date 2/3/2024, processed 2024-02-10, total $2024.00';
+    assert.equal(redactor.redact(text), text);
+  });
+
+  it('accepts numeric IDs of five or more digits', () => {
+    assert.equal(createRedactor().redact('Policy No. 20245'), 'Policy No. [MEMBER_ID_1]');
+  });
+
+  it('replaces earlier values only as whole tokens', () => {
+    const redactor = createRedactor();
+    redactor.redact('Member ID: 48213');
+    const text = 'Claim 482130 on 1/2/48213, invoice 48213-7, ID 48213.';
+    assert.equal(redactor.redact(text), 'Claim 482130 on 1/2/48213, invoice 48213-7, ID [MEMBER_ID_1].');
+  });
+});
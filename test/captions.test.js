@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCaptionCues } from '../src/utils/captions.js';
+
+// One sentence that overflows a cue by a single word
+const OVERFLOWING = 'Your plan paid the allowed amount for this visit and the rest is the part you should keep in mind before paying.';
+
+const wordCount = (cue) => cue.text.split(/\s+/).length;
+
+describe('createCaptionCues', () => {
+  it('does not leave a sentence\'s last word alone in a cue', () => {
+    const cues = createCaptionCues([{ text: OVERFLOWING, startTime: 0, duration: 8 }]);
+    assert.equal(cues.length, 2);
+    cues.forEach(cue => assert.ok(wordCount(cue) >= 3, cue.text));
+    assert.equal(cues.map(cue => cue.text.replace(/\n/g, ' ')).join(' '), OVERFLOWING);
+  });
+
+  it('keeps short sentences as their own cues', () => {
+    const cues = createCaptionCues([{ text: 'Good news. Your plan paid for this visit.', startTime: 0, duration: 4 }]);
+    assert.deepEqual(cues.map(cue => cue.text), ['Good news.', 'Your plan paid for this visit.']);
+  });
+
+  it('gives the last cue of a step at least a second', () => {
+    const text = 'Your plan paid for this visit in full. Done.';
+    const words = text.split(' ').map((word, index) => ({ text: word, charStart: text.indexOf(word), start: index * 0.45 }));
+    const cues = createCaptionCues([{ text, words, startTime: 10, duration: 4.2 }]);
+
+    assert.equal(cues.length, 2);
+    assert.ok(cues[1].end - cues[1].start >= 1, `last cue lasts ${cues[1].end - cues[1].start}s`);
+    assert.equal(cues[0].end, cues[1].start);
+    assert.equal(cues[1].end, 14.2);
+  });
+});
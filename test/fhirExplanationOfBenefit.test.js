@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import AzureDocumentIntelligence from '../src/components/Services/AzureDocumentIntelligence.js';
+import {
+  buildExplanationOfBenefitBundle,
+  extractEOBFields,
+  toFhirDate,
+  validateExplanationOfBenefitBundle
+} from '../src/utils/fhirExplanationOfBenefit.js';
+
+const eobSummary = {
+  serviceDate: 'March 15, 2024',
+  providerName: 'Provider not identified',
+  services: [{ description: 'Office Visit', amount: '$150.00' }],
+  totalCharged: '$150.00',
+  insurancePaid: '$110.00',
+  adjustments: '$0.00',
+  patientOwes: '$40.00',
+  deductible: '$0.00',
+  copay: '$40.00'
+};
+
+// Key-value pairs as processAnalysisResult returns them (with its categories)
+const analysis = new AzureDocumentIntelligence({ provider: { name: 'test' } }).processAnalysisResult({
+  keyValuePairs: [
+    { key: 'Subscriber Name', value: 'Jane Doe' },
+    { key: 'Member ID', value: 'XJH123456' },
+    { key: 'Group Number', value: '77881' },
+    { key: 'Claim Number', value: 'C-2024-0042' },
+    { key: 'Health Plan', value: 'Acme Health' },
+    { key: 'Rendering Provider', value: 'City Clinic' }
+  ]
+});
+
+const resourcesOf = (bundle) => Object.fromEntries(bundle.entry.map(entry => [
+  entry.resource.resourceType === 'Organization' ? `Organization:${entry.resource.name}` : entry.resource.resourceType,
+  entry.resource
+]));
+
+describe('extractEOBFields', () => {
+  it('reads member, plan, provider and claim fields from analysis key-value pairs', () => {
+    assert.deepEqual(extractEOBFields(analysis.keyValuePairs), {
+      memberName: 'Jane Doe',
+      memberId: 'XJH123456',
+      providerName: 'City Clinic',
+      insurerName: 'Acme Health',
+      groupNumber: '77881',
+      claimNumber: 'C-2024-0042'
+    });
+  });
+});
+
+describe('buildExplanationOfBenefitBundle', () => {
+  it('maps the summary and key-value pairs into linked resources', () => {
+    const bundle = buildExplanationOfBenefitBundle({ eobSummary, keyValuePairs: analysis.keyValuePairs }, { created: '2024-03-20T00:00:00Z' });
+    const resources = resourcesOf(bundle);
+    const eob = resources.ExplanationOfBenefit;
+
+    assert.deepEqual(resources.Patient.identifier, [{ value: 'XJH123456' }]);
+    assert.deepEqual(resources.Patient.name, [{ text: 'Jane Doe' }]);
+    assert.ok(resources['Organization:Acme Health']);
+    assert.equal(eob.provider.display, 'City Clinic');
+    assert.deepEqual(eob.identifier, [{ value: 'C-2024-0042' }]);
+    assert.equal(resources.Coverage.class[0].value, '77881');
+    assert.deepEqual(eob.billablePeriod, { start: '2024-03-15', end: '2024-03-15' });
+    assert.equal(eob.supportingInfo.length, 6);
+    assert.deepEqual(eob.payment.amount, { value: 110, currency: 'USD' });
+    const owed = eob.total.find(total => total.category.coding[0].code === 'memberliability');
+    assert.deepEqual(owed.amount, { value: 40, currency: 'USD' });
+  });
+
+  it('falls back to placeholders without key-value pairs', () => {
+    const resources = resourcesOf(buildExplanationOfBenefitBundle({ eobSummary }));
+    assert.ok(resources['Organization:Unknown insurer']);
+    assert.equal(resources.Patient.identifier, undefined);
+  });
+});
+
+describe('validateExplanationOfBenefitBundle', () => {
+  it('accepts a built bundle', () => {
+    assert.deepEqual(validateExplanationOfBenefitBundle(buildExplanationOfBenefitBundle({ eobSummary, keyValuePairs: analysis.keyValuePairs })), { valid: true, errors: [] });
+  });
+
+  it('reports missing required fields and dangling references', () => {
+    const bundle = buildExplanationOfBenefitBundle({ eobSummary });
+    const eob = bundle.entry[0].resource;
+    delete eob.outcome;
+    eob.insurance[0].focal = 'yes';
+    bundle.entry = bundle.entry.filter(entry => entry.resource.resourceType !== 'Patient');
+
+    const { valid, errors } = validateExplanationOfBenefitBundle(bundle);
+    assert.equal(valid, false);
+    assert.deepEqual(errors.map(error => error.path), [
+      'Bundle.entry[0].resource.outcome',
+      'Bundle.entry[0].resource.insurance[0].focal',
+      'ExplanationOfBenefit.patient'
+    ]);
+  });
+
+  it('rejects something that is not a bundle', () => {
+    assert.equal(validateExplanationOfBenefitBundle({ resourceType: 'Patient' }).valid, false);
+  });
+});
+
+describe('toFhirDate', () => {
+  it('converts common date formats', () => {
+    assert.equal(toFhirDate('03/15/2024'), '2024-03-15');
+    assert.equal(toFhirDate('2024-03-15'), '2024-03-15');
+    assert.equal(toFhirDate('not a date'), null);
+  });
+});
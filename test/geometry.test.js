@@ -0,0 +1,174 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createRect,
+  polygonToRect,
+  azureToPdfRect,
+  pdfToAzureRect,
+  pdfToCanvasRect,
+  canvasToPdfRect,
+  pdfTextItemToRect,
+  contentToFramePoint,
+  frameToContentPoint,
+  contentToFrameRect,
+  transformToCamera,
+  cameraToTransform,
+  calculateTransform,
+  calculateOptimalZoom,
+  mapAzureElementsToPdf
+} from '../src/utils/geometry.js';
+
+const VIDEO = { width: 1920, height: 1080 };
+const CAPTION_VIEWPORT = { x: 0, y: 0, width: 1920, height: 900 };
+const LETTER = { width: 612, height: 792 };
+
+const assertClose = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: expected ${expected}, got ${actual}`);
+};
+
+const assertRectClose = (actual, expected) => {
+  ['x', 'y', 'width', 'height'].forEach(key => assertClose(actual[key], expected[key], key));
+};
+
+describe('polygonToRect', () => {
+  it('bounds point polygons and flat coordinate lists alike', () => {
+    const expected = createRect(1, 2, 3, 0.5);
+    assertRectClose(polygonToRect([{ x: 1, y: 2 }, { x: 4, y: 2 }, { x: 4, y: 2.5 }, { x: 1, y: 2.5 }]), expected);
+    assertRectClose(polygonToRect([1, 2, 4, 2, 4, 2.5, 1, 2.5]), expected);
+    assert.equal(polygonToRect([]), null);
+  });
+});
+
+describe('Azure units ↔ PDF points', () => {
+  const rect = createRect(1, 1.5, 2.25, 0.5);
+
+  it('converts inches at 72 points per inch', () => {
+    assertRectClose(azureToPdfRect(rect, { unit: 'inch' }), createRect(72, 108, 162, 36));
+  });
+
+  it('uses the page size ratio when both sizes are known', () => {
+    const azurePage = { width: 1700, height: 2200, unit: 'pixel' };
+    assertRectClose(azureToPdfRect(createRect(850, 1100, 170, 22), azurePage, LETTER), createRect(306, 396, 61.2, 7.92));
+  });
+
+  it('round-trips for inches, pixels and page ratios', () => {
+    [
+      [{ unit: 'inch' }, null],
+      [{ unit: 'pixel' }, null],
+      [{ width: 8.5, height: 11, unit: 'inch' }, LETTER],
+      [{ width: 1700, height: 2200, unit: 'pixel' }, LETTER]
+    ].forEach(([azurePage, pdfPageSize]) => {
+      assertRectClose(pdfToAzureRect(azureToPdfRect(rect, azurePage, pdfPageSize), azurePage, pdfPageSize), rect);
+    });
+  });
+});
+
+describe('PDF points ↔ canvas pixels', () => {
+  it('round-trips at any render scale', () => {
+    const rect = createRect(72, 108, 162, 36);
+    assertRectClose(pdfToCanvasRect(rect, 2), createRect(144, 216, 324, 72));
+    assertRectClose(canvasToPdfRect(pdfToCanvasRect(rect, 1.37), 1.37), rect);
+  });
+});
+
+describe('pdfTextItemToRect', () => {
+  const item = { transform: [12, 0, 0, 12, 50, 700], width: 100, height: 12 };
+
+  it('flips the baseline origin to a top-left rect', () => {
+    assertRectClose(pdfTextItemToRect(item, LETTER.height), createRect(50, 80, 100, 12));
+  });
+
+  it('scales with the viewport height at the same scale', () => {
+    assertRectClose(pdfTextItemToRect(item, LETTER.height * 2, 2), createRect(100, 160, 200, 24));
+  });
+});
+
+describe('content ↔ video frame', () => {
+  const transform = { scale: 2, translateX: -300, translateY: 120 };
+
+  it('scales about the video center, then translates', () => {
+    assert.deepEqual(contentToFramePoint({ x: 960, y: 540 }, transform, VIDEO), { x: 660, y: 660 });
+    assert.deepEqual(contentToFramePoint({ x: 0, y: 0 }, transform, VIDEO), { x: -1260, y: -420 });
+  });
+
+  it('frameToContentPoint inverts contentToFramePoint', () => {
+    [{ x: 0, y: 0 }, { x: 123.4, y: 987.6 }, { x: -50, y: 2000 }].forEach(point => {
+      const back = frameToContentPoint(contentToFramePoint(point, transform, VIDEO), transform, VIDEO);
+      assertClose(back.x, point.x, 'x');
+      assertClose(back.y, point.y, 'y');
+    });
+  });
+
+  it('maps rects by their top-left corner and the zoom', () => {
+    assertRectClose(contentToFrameRect(createRect(960, 540, 100, 50), transform, VIDEO), createRect(660, 660, 200, 100));
+  });
+});
+
+describe('calculateTransform', () => {
+  const bounds = createRect(100, 200, 300, 50);
+
+  it('centers the element in the frame', () => {
+    const transform = calculateTransform(bounds, VIDEO, 2);
+    assert.equal(transform.scale, 2);
+    const frame = contentToFrameRect(bounds, transform, VIDEO);
+    assertClose(frame.centerX, VIDEO.width / 2, 'centerX');
+    assertClose(frame.centerY, VIDEO.height / 2, 'centerY');
+  });
+
+  it('centers the element in a viewport', () => {
+    const frame = contentToFrameRect(bounds, calculateTransform(bounds, VIDEO, 2, CAPTION_VIEWPORT), VIDEO);
+    assertClose(frame.centerX, 960, 'centerX');
+    assertClose(frame.centerY, 450, 'centerY');
+  });
+
+  it('caps the zoom so the element fits with a margin', () => {
+    const wide = createRect(0, 0, 1600, 100);
+    const transform = calculateTransform(wide, VIDEO, 3);
+    assertClose(transform.scale, (VIDEO.width * 0.9) / 1600, 'scale');
+  });
+
+  it('shows the whole page without bounds', () => {
+    assert.deepEqual(calculateTransform(null, VIDEO), { scale: 1, translateX: 0, translateY: 0 });
+  });
+});
+
+describe('camera ↔ transform', () => {
+  it('cameraToTransform inverts transformToCamera', () => {
+    [null, CAPTION_VIEWPORT].forEach(viewport => {
+      const transform = { scale: 1.75, translateX: 412.5, translateY: -88 };
+      const back = cameraToTransform(transformToCamera(transform, VIDEO, viewport), VIDEO, viewport);
+      assertClose(back.scale, transform.scale, 'scale');
+      assertClose(back.translateX, transform.translateX, 'translateX');
+      assertClose(back.translateY, transform.translateY, 'translateY');
+    });
+  });
+
+  it('a calculated transform looks at the element center', () => {
+    const bounds = createRect(100, 200, 300, 50);
+    const camera = transformToCamera(calculateTransform(bounds, VIDEO, 2, CAPTION_VIEWPORT), VIDEO, CAPTION_VIEWPORT);
+    assertClose(camera.centerX, bounds.centerX, 'centerX');
+    assertClose(camera.centerY, bounds.centerY, 'centerY');
+  });
+});
+
+describe('calculateOptimalZoom', () => {
+  it('fills the container share on the limiting side, within 0.5-3', () => {
+    assertClose(calculateOptimalZoom({ width: 800, height: 100 }, VIDEO), 1.44, 'wide element');
+    assert.equal(calculateOptimalZoom({ width: 10, height: 10 }, VIDEO), 3);
+    assert.equal(calculateOptimalZoom({ width: 0, height: 10 }, VIDEO), 1);
+  });
+});
+
+describe('mapAzureElementsToPdf', () => {
+  it('maps top-left Azure polygons to PDF point rects keyed by element id', () => {
+    const mapped = mapAzureElementsToPdf({
+      pages: [{ pageNumber: 1, width: 8.5, height: 11, unit: 'inch' }],
+      tables: [{ boundingRegions: [{ pageNumber: 1, polygon: [{ x: 1, y: 1 }, { x: 2, y: 1 }, { x: 2, y: 1.5 }, { x: 1, y: 1.5 }] }] }],
+      keyValuePairs: [{ key: 'Amount Due', value: '$40.00', boundingRegions: [{ pageNumber: 1, polygon: [1, 2, 3, 2, 3, 2.5, 1, 2.5] }] }]
+    }, LETTER);
+
+    assertRectClose(mapped['table-0'], createRect(72, 72, 72, 36));
+    assertRectClose(mapped['field-amount-due'], createRect(72, 144, 144, 36));
+    assert.equal(mapped['field-amount-due'].value, '$40.00');
+  });
+});
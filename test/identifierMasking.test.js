@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCanvas } from '@napi-rs/canvas';
+import { findMaskRegions } from '../src/utils/identifierMasking.js';
+import { createTextMeasurer, estimateTextWidth } from '../src/utils/textMeasurement.js';
+
+const FONT_SIZE = 12;
+const context = createCanvas(1, 1).getContext('2d');
+const measureGlyphs = createTextMeasurer(context, `${FONT_SIZE}px Helvetica, Arial, sans-serif`);
+
+// A text item laid out the way pdf.js reports it: the item width is the drawn width of its text
+const textItem = (text, x = 100) => ({ pageNumber: 1, x, y: 96, width: measureGlyphs(text), height: FONT_SIZE, text });
+
+// Where the characters of value were actually drawn
+const valueExtent = (item, value) => {
+  const start = item.text.indexOf(value);
+  const left = item.x + measureGlyphs(item.text.slice(0, start));
+  return { left, right: left + measureGlyphs(value) };
+};
+
+const assertCovers = (region, extent, item) => {
+  assert.ok(region.x <= extent.left, `mask starts at ${region.x}, value at ${extent.left}`);
+  assert.ok(region.x + region.width >= extent.right, `mask ends at ${region.x + region.width}, value at ${extent.right}`);
+  assert.ok(region.y <= item.y && region.y + region.height >= item.y + item.height, 'mask covers the text height');
+};
+
+const LABELLED_VALUES = [
+  ['Member ID: XJH123456', 'XJH123456', 'memberId'],
+  ['Date of Birth: 01/15/1980', '01/15/1980', 'dateOfBirth'],
+  ['Group No. 77881', '77881', 'groupNumber'],
+  ['Subscriber #: WWM4409', 'WWM4409', 'memberId'],
+  ['SSN: 123-45-6789', '123-45-6789', 'ssn']
+];
+
+describe('findMaskRegions', () => {
+  [['measured glyph widths', measureGlyphs], ['estimated glyph widths', estimateTextWidth]].forEach(([name, measureText]) => {
+    it(`covers the whole value with ${name}`, () => {
+      LABELLED_VALUES.forEach(([text, value, entity]) => {
+        const item = textItem(text);
+        const regions = findMaskRegions([item], { measureText }).filter(region => region.entity === entity);
+        // SSNs are found both by their label and on their own
+        assert.ok(regions.length > 0, text);
+        regions.forEach(region => assertCovers(region, valueExtent(item, value), item));
+      });
+    });
+  });
+
+  it('leaves the label readable', () => {
+    const item = textItem('Member ID: XJH123456');
+    const [region] = findMaskRegions([item], { measureText: measureGlyphs });
+    assert.ok(region.x > item.x + measureGlyphs('Member I'), 'label is not masked');
+  });
+
+  it('covers a value in the next text item on the same line', () => {
+    const label = textItem('Member ID:');
+    const item = textItem('XJH123456', label.x + label.width + 6);
+    const [region] = findMaskRegions([label, item], { measureText: measureGlyphs });
+    assertCovers(region, valueExtent(item, 'XJH123456'), item);
+  });
+});
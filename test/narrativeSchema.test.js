@@ -0,0 +1,145 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNarrativeContent, normalizeNarrative } from '../src/utils/narrativeSchema.js';
+import ContentCache, { MemoryCacheStore } from '../src/components/Services/ContentCache.js';
+import GPTNarrativeGenerator from '../src/components/Services/GPTNarrativeGenerator.js';
+
+const validNarrative = () => ({
+  title: 'Understanding Your EOB',
+  introduction: 'Let us look at this together.',
+  eobSummary: {
+    serviceDate: 'March 15, 2024',
+    providerName: 'City Clinic',
+    services: [{ description: 'Office Visit', amount: '$150.00' }],
+    totalCharged: '$150.00',
+    insurancePaid: '$110.00',
+    adjustments: '$0.00',
+    patientOwes: '$40.00',
+    deductible: '$0.00',
+    copay: '$40.00'
+  },
+  steps: [{
+    stepNumber: 1,
+    title: 'What You May Owe',
+    narrative: 'You may owe $40.00.',
+    highlightText: 'You Owe $40.00',
+    highlightId: null,
+    pageNumber: 1,
+    duration: 5,
+    importance: 0.95,
+    speech: null,
+    focusCues: null,
+    highlightType: null,
+    transitionType: null
+  }],
+  conclusion: 'That is all.'
+});
+
+const pathsOf = (errors) => errors.map(error => error.path);
+
+describe('parseNarrativeContent', () => {
+  it('accepts a valid narrative', () => {
+    const { data, errors } = parseNarrativeContent(JSON.stringify(validNarrative()));
+    assert.deepEqual(errors, []);
+    assert.equal(normalizeNarrative(data).steps[0].speech, undefined);
+  });
+
+  it('reports each violation with the path of its field', () => {
+    const narrative = validNarrative();
+    delete narrative.eobSummary.patientOwes;
+    narrative.steps[0].duration = '5';
+    narrative.steps[0].highlightType = 'sparkles';
+    narrative.steps[0].extra = true;
+
+    const { errors } = parseNarrativeContent(JSON.stringify(narrative));
+    assert.deepEqual(pathsOf(errors).sort(), [
+      'eobSummary.patientOwes',
+      'steps[0].duration',
+      'steps[0].extra',
+      'steps[0].highlightType'
+    ]);
+    assert.equal(errors.find(error => error.path === 'steps[0].duration').message, 'expected number, got string');
+  });
+
+  it('checks the rules the schema cannot express', () => {
+    const narrative = validNarrative();
+    narrative.steps[0].importance = 1.5;
+    narrative.steps[0].narrative = ' ';
+    const { errors } = parseNarrativeContent(JSON.stringify(narrative));
+    assert.deepEqual(pathsOf(errors), ['steps[0].narrative', 'steps[0].importance']);
+  });
+
+  it('reports a response that is not JSON', () => {
+    const { data, errors } = parseNarrativeContent('Sorry, I cannot help with that.');
+    assert.equal(data, null);
+    assert.deepEqual(errors, [{ path: '(root)', message: 'response is not valid JSON' }]);
+  });
+});
+
+// Generator whose chat completions return the given responses in order
+const createGenerator = (responses, options = {}) => {
+  const generator = new GPTNarrativeGenerator({
+    apiKey: 'test-key',
+    endpoint: 'https://example.invalid',
+    cache: new ContentCache({ store: new MemoryCacheStore() }),
+    ...options
+  });
+  const requests = [];
+  generator.openai = {
+    chat: {
+      completions: {
+        create: async (request) => {
+          requests.push(request);
+          return { choices: [{ message: { content: responses[requests.length - 1] } }] };
+        }
+      }
+    }
+  };
+  return { generator, requests };
+};
+
+const semanticBlocks = [{ id: 'block-1', text: 'You Owe $40.00', importance: 0.9, pageNumber: 1 }];
+
+describe('GPTNarrativeGenerator validation', () => {
+  // The generator logs whole responses; keep them out of the test report
+  beforeEach(() => ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {})));
+  afterEach(() => mock.restoreAll());
+
+  it('repairs an invalid response by sending its errors back', async () => {
+    const invalid = { ...validNarrative(), steps: 'none' };
+    const { generator, requests } = createGenerator([JSON.stringify(invalid), JSON.stringify(validNarrative())]);
+
+    const result = await generator.requestNarrativeScript('You Owe $40.00', semanticBlocks);
+
+    assert.equal(requests.length, 2);
+    assert.equal(requests[1].temperature, 0);
+    assert.match(requests[1].messages.at(-1).content, /- steps: expected array, got string/);
+    assert.equal(result.repairAttempts, 1);
+    assert.equal(result.usedFallback, false);
+    assert.deepEqual(result.validationErrors, []);
+    assert.equal(result.narrative.steps[0].highlightId, 'block-1');
+  });
+
+  it('uses the fallback narrative and says so when repairs fail', async () => {
+    const { generator, requests } = createGenerator(['not json', '{"title": 1}'], { maxRepairAttempts: 1 });
+
+    const result = await generator.requestNarrativeScript('You Owe $40.00', semanticBlocks);
+
+    assert.equal(requests.length, 2);
+    assert.equal(result.success, true);
+    assert.equal(result.usedFallback, true);
+    assert.ok(result.validationErrors.some(error => error.path === 'title'));
+    assert.equal(result.narrative.title, 'Document Walkthrough');
+  });
+
+  it('does not cache a response that failed validation', async () => {
+    const { generator, requests } = createGenerator(['not json', 'not json', JSON.stringify(validNarrative())], { maxRepairAttempts: 0 });
+
+    assert.equal((await generator.requestNarrativeScript('text', semanticBlocks)).usedFallback, true);
+    assert.equal((await generator.requestNarrativeScript('text', semanticBlocks)).usedFallback, true);
+    const result = await generator.requestNarrativeScript('text', semanticBlocks);
+    assert.equal(result.usedFallback, false);
+    assert.equal(result.fromCache, false);
+    assert.equal(requests.length, 3);
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import ConversionProgress from '../cli/progress.js';
+
+describe('ConversionProgress', () => {
+  it('keeps saving after a failed write', async () => {
+    const outputDir = await mkdtemp(path.join(tmpdir(), 'convert-progress-'));
+    try {
+      const progress = new ConversionProgress(outputDir);
+      const save = progress.save.bind(progress);
+      let calls = 0;
+      progress.save = () => (++calls === 1 ? Promise.reject(new Error('disk full')) : save());
+
+      await progress.record('a.pdf', { status: 'converted', sha256: 'aaa' });
+      await progress.record('b.pdf', { status: 'failed', sha256: 'bbb' });
+
+      const saved = JSON.parse(await readFile(progress.file, 'utf8'));
+      assert.deepEqual(Object.keys(saved.files).sort(), ['a.pdf', 'b.pdf']);
+      assert.equal((await new ConversionProgress(outputDir).load()).isDone('a.pdf', 'aaa'), true);
+    } finally {
+      await rm(outputDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { strToU8 } from 'fflate';
+import { migrateProjectManifest, readProjectArchive, PROJECT_FORMAT, PROJECT_VERSION } from '../src/utils/projectArchive.js';
+
+const NOT_A_PROJECT = /Not an EOB presentation project/;
+
+describe('migrateProjectManifest', () => {
+  it('rejects manifests that are not plain objects', () => {
+    [null, [], [{ steps: [] }], 'project', 42, true].forEach(manifest => {
+      assert.throws(() => migrateProjectManifest(manifest), NOT_A_PROJECT, JSON.stringify(manifest));
+    });
+  });
+
+  it('rejects other formats', () => {
+    assert.throws(() => migrateProjectManifest({ format: 'something-else', version: 1 }), NOT_A_PROJECT);
+  });
+
+  it('upgrades a legacy narrative export', () => {
+    const manifest = migrateProjectManifest({ steps: [{ stepNumber: 1, narrative: 'Hello' }] });
+    assert.equal(manifest.format, PROJECT_FORMAT);
+    assert.equal(manifest.version, PROJECT_VERSION);
+    assert.equal(manifest.narrative.steps.length, 1);
+  });
+});
+
+describe('readProjectArchive', () => {
+  it('reports a JSON null or array export as not a project', async () => {
+    await assert.rejects(readProjectArchive(strToU8('null')), NOT_A_PROJECT);
+    await assert.rejects(readProjectArchive(strToU8('[]')), NOT_A_PROJECT);
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildBreak, buildSSML } from '../src/utils/ssmlBuilder.js';
+
+describe('buildBreak', () => {
+  it('writes pauses in milliseconds', () => {
+    assert.equal(buildBreak(400), '<break time="400ms"/>');
+    assert.equal(buildBreak('1.5s'), '<break time="1500ms"/>');
+    assert.equal(buildBreak('strong'), '<break strength="strong"/>');
+  });
+
+  it('skips pauses that are not finite numbers', () => {
+    [NaN, Infinity, -Infinity].forEach(pause => assert.equal(buildBreak(pause), '', String(pause)));
+    assert.ok(!buildSSML('Hello', { pauseAfter: NaN }).includes('NaN'));
+  });
+
+  it('still rejects pauses out of range', () => {
+    assert.throws(() => buildBreak(-5), /Invalid SSML break/);
+    assert.throws(() => buildBreak(60000), /Invalid SSML break/);
+  });
+});
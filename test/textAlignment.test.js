@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCanvas } from '@napi-rs/canvas';
+import { alignNarrationSteps, isHighlightPlaced, needsHighlightReview } from '../src/utils/textAlignment.js';
+import { createVideoProject } from '../src/utils/videoProject.js';
+import { createTextMeasurer } from '../src/utils/textMeasurement.js';
+
+const elements = [
+  { id: 'page-1-element-0', pageNumber: 1, x: 72, y: 72, width: 80, height: 12, text: 'You Owe' },
+  { id: 'page-1-element-1', pageNumber: 1, x: 160, y: 72, width: 40, height: 12, text: '$40.00' }
+];
+
+const steps = [
+  { highlightText: 'You Owe $40.00', narrative: 'You may owe $40.00.', pageNumber: 1 },
+  { highlightText: 'Out-of-network appeal deadline', narrative: 'Appeals are due in 180 days.', pageNumber: 1 }
+];
+
+describe('alignNarrationSteps', () => {
+  it('places matched steps on their text', () => {
+    const [highlight] = alignNarrationSteps(elements, steps);
+    assert.equal(isHighlightPlaced(highlight), true);
+    assert.deepEqual([highlight.x, highlight.y], [72, 72]);
+  });
+
+  it('leaves unmatched steps unplaced instead of inventing a box', () => {
+    const highlight = alignNarrationSteps(elements, steps)[1];
+    assert.equal(isHighlightPlaced(highlight), false);
+    assert.deepEqual([highlight.x, highlight.y, highlight.width, highlight.height], [null, null, null, null]);
+    assert.equal(needsHighlightReview(highlight), true);
+  });
+
+  it('gives unplaced steps no highlight in the video project', () => {
+    const highlights = alignNarrationSteps(elements, steps);
+    const audio = { audioSteps: steps.map((step, index) => ({ stepNumber: index + 1, text: step.narrative, duration: 3, success: false })) };
+    const project = createVideoProject(highlights, [{ pageNumber: 1, imageDataUrl: 'data:image/png;base64,', width: 612, height: 792 }], {}, audio);
+
+    assert.equal(project.segments[0].elementId, 'highlight-0');
+    assert.equal(project.segments[1].elementId, null);
+    assert.ok(!project.htmlContent.includes('id="highlight-1"'));
+  });
+});
+
+describe('partial item highlights', () => {
+  const measureGlyphs = createTextMeasurer(createCanvas(1, 1).getContext('2d'), '12px Helvetica, Arial, sans-serif');
+  // Narrow glyphs before the match and wide ones in it put it far from where equal widths would
+  const item = { id: 'page-1-element-0', pageNumber: 1, x: 72, y: 72, height: 12, text: 'Filed: 1/1/11 WWMM' };
+  item.width = measureGlyphs(item.text);
+
+  it('places the box by glyph width', () => {
+    const [highlight] = alignNarrationSteps([item], [{ highlightText: 'WWMM', narrative: 'Look here.' }], { measureText: measureGlyphs });
+    const left = item.x + measureGlyphs('Filed: 1/1/11 ');
+
+    assert.ok(Math.abs(highlight.x - left) < 0.01, `box starts at ${highlight.x}, text at ${left}`);
+    assert.ok(Math.abs(highlight.width - measureGlyphs('WWMM')) < 0.01);
+  });
+});
@@ -14,6 +14,10 @@ export default defineConfig({
   server: {
     fs: {
       allow: ['..']
+    },
+    // Same-origin /api calls in dev go to the API server (npm run server)
+    proxy: {
+      '/api': process.env.API_SERVER_URL || 'http://localhost:8787'
     }
   },
   optimizeDeps: {